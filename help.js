@@ -6,8 +6,30 @@ console.log("npm run configure-workspace  - Configure your workspace directory")
 console.log("npm run setup-github        - Set up GitHub Personal Access Token");
 console.log("npm run mcp-init            - Initialize MCP configuration");
 console.log("npm run mcp-init-force      - Force restart MCP servers");
+console.log("npm run mcp-init -- --dry-run - Preview mcp.json changes without writing");
+console.log("npm run mcp-init -- --profile <name> - Switch to a server profile (minimal, web, full, ...)");
+console.log("npm run rollback            - List or restore mcp.json backups");
+console.log("npm run mcp-config          - Show the effective global + project MCP configuration");
+console.log("npm run doctor              - Diagnose the MCP setup (add -- --fix to repair)");
+console.log("npm run mcp-export -- <format> - Export servers to another MCP client (claude-desktop, vscode, vscode-workspace)");
+console.log("npm run mcp-import -- <format> - Import another MCP client's servers into mcp.json");
+console.log("npm run secrets             - List, set or remove secrets referenced as ${secret:name} in mcp.json");
+console.log("npm run lock                - Verify server versions against mcp-lock.json (-- --update to re-pin)");
+console.log("npm run mcp-init -- --offline - Use only locally installed servers; never fetch with npx");
+console.log("npm run roots               - Show or edit the filesystem server's allowed directories");
 console.log("npm run start-all-mcp       - Start all MCP servers with detailed logging");
-console.log("npm run stop-all-mcp        - Stop all MCP servers");
-console.log("npm run test-mcp            - Test if MCP tools are working\n");
+console.log("npm run start-all-mcp -- --skip-preflight - Start servers without the preflight checks");
+console.log("npm run stop-all-mcp        - Stop all MCP servers (SIGTERM, then SIGKILL after -- --grace=<seconds>)");
+console.log("npm run supervisor -- status - Show the supervisor and its servers (start, restart, stop)");
+console.log("npm run status              - Show every server's state, PID, uptime, memory, CPU and last error (-- --json)");
+console.log("npm run logs -- <server>    - Read a server's logs (--follow, --since=1h, --grep=pattern)");
+console.log("npm run gateway -- urls      - Show the HTTP endpoint of every server and whether it answers");
+console.log("npm run mcp-init -- --proxy  - Replace the server entries in mcp.json with one aggregating proxy");
+console.log("npm run proxy -- list       - Show the proxy's merged tools, resources and prompts");
+console.log("npm run install-service     - Run the supervisor as a systemd user service on Linux (uninstall-service removes it)");
+console.log("npm run test-mcp            - Check every server over MCP: handshake, tool list and a canary call");
+console.log("npm run test:mock           - Run the tool tests against offline stand-ins (mcp-init -- --mock switches to them)");
+console.log("npm run snapshots           - Verify server tools against mcp-snapshots/ (-- record to update them)");
+console.log("npm run cassette -- list    - List recorded MCP sessions (mcp-init -- --record records Cursor's sessions)\n");
 
 console.log("For more information, see the README.md file.\n");
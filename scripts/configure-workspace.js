@@ -5,6 +5,8 @@ const path = require('path');
 const readline = require('readline');
 const os = require('os');
 const { execSync } = require('child_process');
+const { getServer, toMcpConfigEntry } = require('./lib/mcp-registry');
+const { getGlobalConfigPath, readConfig, writeConfig } = require('./lib/mcp-config');
 
 // Create readline interface
 const rl = readline.createInterface({
@@ -131,46 +133,16 @@ function saveWorkspaceConfig(workspaceDir) {
     fs.writeFileSync(profilePath, profileContent);
     console.log(`Workspace directory saved to ${profilePath}`);
     
-    // 2. Update package.json
-    const packageJsonPath = path.join(process.cwd(), 'package.json');
-    if (fs.existsSync(packageJsonPath)) {
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-      
-      if (packageJson.scripts && packageJson.scripts['mcp-fs']) {
-        packageJson.scripts['mcp-fs'] = `npx -y @modelcontextprotocol/server-filesystem "${workspaceDir}"`;
-        fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2));
-        console.log(`Updated mcp-fs script in package.json`);
-      }
-    }
-    
-    // 3. Update start-all-mcp.js if it exists
-    const startAllMcpPath = path.join(process.cwd(), 'scripts', 'start-all-mcp.js');
-    if (fs.existsSync(startAllMcpPath)) {
-      let content = fs.readFileSync(startAllMcpPath, 'utf8');
-      
-      // This is a simple string replacement and might not work for all cases
-      // A more robust approach would be to parse the JavaScript, but that's complex for a script
-      if (content.includes('workspaceDir =')) {
-        content = content.replace(
-          /const\s+workspaceDir\s*=\s*process\.env\.CURSOR_WORKSPACE_DIR\s*\|\|\s*path\.resolve\([^)]*\)/,
-          `const workspaceDir = process.env.CURSOR_WORKSPACE_DIR || "${workspaceDir}"`
-        );
-        fs.writeFileSync(startAllMcpPath, content);
-        console.log(`Updated workspaceDir in start-all-mcp.js`);
-      }
-    }
-    
-    // 4. Update the MCP configuration in ~/.cursor/mcp.json if it exists
-    const mcpConfigPath = path.join(os.homedir(), '.cursor', 'mcp.json');
+    // 2. Update the MCP configuration in ~/.cursor/mcp.json if it exists
+    const mcpConfigPath = getGlobalConfigPath();
     if (fs.existsSync(mcpConfigPath)) {
       try {
-        const mcpConfig = JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8'));
+        const mcpConfig = readConfig(mcpConfigPath);
         
-        if (mcpConfig.mcpServers && mcpConfig.mcpServers.filesystem && 
-            mcpConfig.mcpServers.filesystem.args && mcpConfig.mcpServers.filesystem.args.length > 2) {
-          // Update the path in the args array
-          mcpConfig.mcpServers.filesystem.args[2] = workspaceDir;
-          fs.writeFileSync(mcpConfigPath, JSON.stringify(mcpConfig, null, 2));
+        if (mcpConfig.mcpServers.filesystem) {
+          // Regenerate the filesystem entry for the new directory
+          mcpConfig.mcpServers.filesystem = toMcpConfigEntry(getServer('filesystem'), { workspaceDir });
+          writeConfig(mcpConfigPath, mcpConfig);
           console.log(`Updated workspace path in MCP configuration: ${mcpConfigPath}`);
         }
       } catch (error) {
@@ -1,13 +1,48 @@
 #!/usr/bin/env node
 
-const { execSync } = require('child_process');
-const path = require('path');
-const fs = require('fs');
-const os = require('os');
+const { getServerNames, buildMcpServers, formatServerList } = require('./lib/mcp-registry');
+const { findGitRoot, resolveWorkspaceDir } = require('./lib/workspace');
+const { resolveFilesystemRoots } = require('./lib/filesystem-roots');
+const { getGlobalConfigPath, applyManagedServers, reportWrite } = require('./lib/mcp-config');
+const { applyProjectConfig, parseProjectServers, getDefaultProjectServers } = require('./lib/project-config');
+const { resolveProfile, getActiveProfile, setActiveProfile, diffProfiles, formatProfileList } = require('./lib/profiles');
+const { getSupervisorPid, ensureSupervisor, findOrphanedServers, formatServerStatus } = require('./lib/supervisor');
+const { terminateTree, formatShutdownReport } = require('./lib/process-tree');
+const { isAnyServerRunning } = require('./lib/server-status');
+const { PROXY_NAME, buildProxyEntry } = require('./lib/proxy');
+const { runPreflight, formatSkipped } = require('./lib/preflight');
+const { MOCKED_SERVERS } = require('./lib/mocks');
+const { getCassetteDir, wrapWithRecorder } = require('./lib/cassettes');
 
 // Process command line arguments
 const args = process.argv.slice(2);
 const forceInit = args.includes('--force') || args.includes('-f');
+const dryRun = args.includes('--dry-run');
+const globalOnly = args.includes('--global-only');
+const useProxy = args.includes('--proxy');
+const skipPreflight = args.includes('--skip-preflight');
+const recording = args.some(arg => arg === '--record' || arg.startsWith('--record='));
+
+// Offline mode: only locally installed servers, never fetch with npx
+if (args.includes('--offline')) {
+  process.env.MCP_OFFLINE = '1';
+}
+
+// Function to read an option given as "--name value" or "--name=value"
+function getOption(name) {
+  const index = args.indexOf(name);
+  if (index !== -1 && args[index + 1] && !args[index + 1].startsWith('-')) {
+    return args[index + 1];
+  }
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  return inline ? inline.slice(name.length + 1) : null;
+}
+
+if (args.includes('--list-profiles')) {
+  console.log('Available profiles (* = active):');
+  formatProfileList().forEach(line => console.log(line));
+  process.exit(0);
+}
 
 // Get the current working directory
 const cwd = process.cwd();
@@ -21,241 +56,177 @@ if (process.env.GITHUB_PERSONAL_ACCESS_TOKEN && !process.env.GITHUB_TOKEN) {
   process.env.GITHUB_TOKEN = process.env.GITHUB_PERSONAL_ACCESS_TOKEN;
 }
 
-// Function to find the git root of the current directory
-function findGitRoot(dir) {
-  try {
-    return execSync('git rev-parse --show-toplevel', { cwd: dir, stdio: ['pipe', 'pipe', 'ignore'] })
-      .toString()
-      .trim();
-  } catch (error) {
-    return null;
+// Function to stop servers left behind by a supervisor that is no longer running
+// Servers in `keep` are left alone; MCP processes this tool did not start are never touched
+async function stopOrphanedServers(names, keep = []) {
+  const orphans = findOrphanedServers(names).filter(server => !keep.includes(server.name));
+  if (orphans.length === 0) {
+    return;
   }
+  console.log('Stopping existing MCP servers...');
+  const reports = await Promise.all(orphans.map(server => terminateTree(server.pid, { name: server.name })));
+  reports.forEach(report => formatShutdownReport(report).forEach(line => console.log(`  ${line}`)));
 }
 
-// Function to find all Git repositories in a parent directory
-function findAllGitRepos(parentDir) {
-  try {
-    // Find all directories that contain a .git folder
-    const findCommand = `find "${parentDir}" -type d -name ".git" -maxdepth 3 | sed 's/\/.git$//'`;
-    return execSync(findCommand, { stdio: ['pipe', 'pipe', 'ignore'] })
-      .toString()
-      .trim()
-      .split('\n')
-      .filter(Boolean);
-  } catch (error) {
-    console.error('Error finding git repositories:', error.message);
-    return [];
+// Function to hand the profile's servers to the supervisor
+// It starts what is missing, stops what the profile no longer enables and,
+// with `restart`, restarts the rest
+async function startServers(names, context, restart) {
+  const state = await ensureSupervisor(names, context, { restart });
+  for (const name of names) {
+    const server = state.servers[name];
+    if (server && server.status === 'failed') {
+      console.warn(`Warning: Could not start ${name}: ${server.error}`);
+    } else if (server) {
+      console.log(`  ${formatServerStatus(name, server)}`);
+    }
   }
 }
 
-// Function to check if the specified MCP server is already running
-function isMCPServerRunning(serverName) {
+// Resolve the requested profile; without --profile keep the active one.
+// --mock is short for --profile=mock
+let profile;
+let previousProfile;
 try {
-const result = execSync(`ps aux | grep "${serverName}" | grep -v grep`, { stdio: ['pipe', 'pipe', 'ignore'] });
-return result.toString().trim().length > 0;
+  previousProfile = getActiveProfile();
+  const profileName = getOption('--profile') || (args.includes('--mock') ? 'mock' : null) ||
+    (previousProfile && previousProfile.name) || undefined;
+  profile = resolveProfile(profileName);
 } catch (error) {
-return false;
-}
+  console.error('Failed to initialize MCP servers:', error.message);
+  process.exit(1);
 }
 
-// Function to check if any MCP server is running
-function isAnyMCPServerRunning() {
-const servers = [
-'server-filesystem',
-'mcp-webresearch',
-'server-github',
-'server-puppeteer',
-'mcprouter',
-'sequentialthinking',
-'fetch'
-];
-  
-  return servers.some(server => isMCPServerRunning(server));
-}
+// A switch between profiles only touches the servers that differ
+const switching = Boolean(previousProfile && previousProfile.name !== profile.name);
+const changes = switching
+  ? diffProfiles(previousProfile.servers, profile.servers)
+  : { start: profile.servers, stop: [], keep: [] };
+// Kept servers swap between the real server and its stand-in when mock mode changes
+const restartKept = switching && previousProfile.mock !== profile.mock
+  ? changes.keep.filter(name => MOCKED_SERVERS.includes(name))
+  : [];
 
-// Function to kill existing MCP servers
-function killExistingMCPServers() {
-  try {
-    console.log('Stopping existing MCP servers...');
-    execSync('pkill -f "server-filesystem" || true', { stdio: 'inherit' });
-    execSync('pkill -f "mcp-webresearch" || true', { stdio: 'inherit' });
-    execSync('pkill -f "server-github" || true', { stdio: 'inherit' });
-    execSync('pkill -f "server-puppeteer" || true', { stdio: 'inherit' });
-    execSync('pkill -f "mcprouter" || true', { stdio: 'inherit' });
-    console.log('Existing MCP servers stopped.');
-  } catch (error) {
-    console.warn('Warning: Could not stop all MCP servers:', error.message);
-  }
-}
+// Servers started by a running supervisor are stopped and restarted by it;
+// without one, servers left behind by an earlier supervisor are stopped first
+const supervised = Boolean(getSupervisorPid());
+let orphans = null;
 
 // Check if MCP server is already running
-if (isAnyMCPServerRunning() && !forceInit) {
+if (dryRun) {
+  console.log('Dry run: no servers will be stopped or started.');
+} else if (switching && !forceInit) {
+  console.log(`Switching profile from ${previousProfile.name} to ${profile.name}...`);
+  if (changes.stop.length > 0 && !supervised) {
+    orphans = { names: changes.stop, keep: profile.servers };
+  }
+} else if (isAnyServerRunning() && !forceInit && !recording) {
   console.log('MCP servers are already running. Use --force to restart them.');
   process.exit(0);
-} else if (isAnyMCPServerRunning() && forceInit) {
-  killExistingMCPServers();
+} else if (isAnyServerRunning() && forceInit) {
+  if (!supervised) {
+    orphans = { names: undefined, keep: [] };
+  }
+  changes.start = profile.servers;
 }
 
-// Find the git root for the current directory
-const gitRoot = findGitRoot(cwd);
-
 // Determine workspace directory
-let workspaceDir;
-if (gitRoot) {
-  // If we're in a git repo, use its parent
-  workspaceDir = path.dirname(gitRoot);
-} else {
-  // Otherwise use a reasonable default
-  workspaceDir = path.join(os.homedir(), 'Desktop');
-  
-  // Try to find a likely project directory
-  const possibleWorkspaces = [
-    path.join(os.homedir(), 'Desktop', 'Work'),
-    path.join(os.homedir(), 'Documents', 'Projects'),
-    path.join(os.homedir(), 'Projects'),
-    path.join(os.homedir(), 'code')
-  ];
-  
-  for (const dir of possibleWorkspaces) {
-    if (fs.existsSync(dir)) {
-      workspaceDir = dir;
-      break;
-    }
-  }
-}
+const workspaceDir = resolveWorkspaceDir(cwd);
 
-// Find all git repositories in the workspace
-const allRepos = findAllGitRepos(workspaceDir);
+// Function to initialize all MCP servers
+async function initialize() {
+  console.log(`Initializing MCP servers (profile: ${profile.name})...`);
 
-// Get the cursor-utils directory
-const cursorUtilsDir = path.join(workspaceDir, 'cursor-utils');
+  // The filesystem server gets each repository in the workspace plus the
+  // user's include rules; without any it is skipped by the preflight below
+  const { roots, rejected } = resolveFilesystemRoots({ workspaceDir });
+  console.log(`Filesystem roots (${roots.length}) from ${workspaceDir}:`);
+  roots.forEach(root => console.log(`  ${root}`));
+  rejected.forEach(item => console.log(`  skipped ${item.path}: ${item.reason}`));
+  const context = { workspaceDir, roots, offline: args.includes('--offline'), mock: profile.mock };
 
-// Initialize all MCP servers
-try {
-  console.log('Initializing MCP servers...');
-  
-  // Construct workspace glob pattern, handling both specific repos and general directory
-  let workspaceGlob;
-  if (allRepos.length === 0) {
-    console.log(`No git repositories found in ${workspaceDir}. Using directory pattern.`);
-    workspaceGlob = `${workspaceDir}/**/*`;
-  } else {
-    console.log(`Found ${allRepos.length} repositories in ${workspaceDir}`);
-    workspaceGlob = `${workspaceDir}/**/*`;
+  // Servers that fail the preflight checks are neither configured nor
+  // started, so Cursor is never pointed at a server that cannot run
+  let servers = profile.servers;
+  if (!skipPreflight) {
+    const { ready, skipped } = await runPreflight(profile.servers, context);
+    formatSkipped(skipped).forEach(line => console.warn(line));
+    servers = ready;
+    changes.start = changes.start.filter(name => servers.includes(name));
   }
-  
-  // Check if the .cursor directory exists, create if not
-  const cursorDir = path.join(os.homedir(), '.cursor');
-  if (!fs.existsSync(cursorDir)) {
-    fs.mkdirSync(cursorDir, { recursive: true });
+
+  // Merge the profile's server entries into the MCP configuration, leaving
+  // servers the user added by hand untouched and dropping managed servers
+  // the profile does not enable. With --proxy a single entry stands in for
+  // all of them, so adding a server needs no mcp.json change
+  const mcpConfigPath = getGlobalConfigPath();
+  const disabled = useProxy ? getServerNames() : getServerNames().filter(name => !servers.includes(name));
+  const managed = useProxy ? { [PROXY_NAME]: buildProxyEntry() } : buildMcpServers(context, servers);
+  // With --record, Cursor's sessions with these entries are written to cassettes
+  if (recording) {
+    const option = getOption('--record');
+    const names = option ? option.split(',').map(name => name.trim()).filter(Boolean) : Object.keys(managed);
+    names.filter(name => !managed[name]).forEach(name => console.warn(`Not recording ${name}: it is not configured by this profile`));
+    const recorded = names.filter(name => managed[name]);
+    recorded.forEach(name => wrapWithRecorder(managed[name], name));
+    if (recorded.length > 0) {
+      console.log(`Recording sessions with ${recorded.join(', ')} to ${getCassetteDir()}`);
+    }
+  }
+  const result = applyManagedServers(mcpConfigPath, managed, {
+    dryRun,
+    // Remove the HTML to Markdown server section
+    remove: ['htmltomarkdown', ...disabled, ...(useProxy ? [] : [PROXY_NAME])]
+  });
+  reportWrite(mcpConfigPath, result, { dryRun });
+  if (result.summary.preserved.length > 0) {
+    console.log(`Kept user-defined servers: ${result.summary.preserved.join(', ')}`);
+  }
+
+  // Write the project-scoped layer when run inside a repository
+  const gitRoot = findGitRoot(cwd);
+  if (gitRoot && useProxy) {
+    console.log('Skipping the project configuration: the proxy already serves every server');
+  } else if (gitRoot && !globalOnly) {
+    const projectServers = parseProjectServers(args) ||
+      getDefaultProjectServers(gitRoot).filter(name => servers.includes(name));
+    const projectResult = applyProjectConfig(gitRoot, { names: projectServers, dryRun });
+    reportWrite(projectResult.configPath, projectResult, { dryRun });
   }
-  
-  // Update the MCP configuration
-  const mcpConfigPath = path.join(cursorDir, 'mcp.json');
-  let mcpConfig = { mcpServers: {} };
-  
-  if (fs.existsSync(mcpConfigPath)) {
-    try {
-      mcpConfig = JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8'));
-      if (!mcpConfig.mcpServers) {
-        mcpConfig.mcpServers = {};
-      }
-    } catch (error) {
-      console.warn(`Warning: Could not parse existing MCP config: ${error.message}`);
+
+  if (dryRun) {
+    if (switching) {
+      console.log(`Would start: ${changes.start.join(', ') || 'none'}`);
+      console.log(`Would stop: ${changes.stop.join(', ') || 'none'}`);
     }
+    process.exit(0);
+  }
+
+  // Start MCP servers in the background, under the supervisor
+  if (changes.start.length > 0) {
+    console.log(`Starting MCP servers in the background: ${changes.start.join(', ')}`);
   }
-  
-  // Configure MCP servers
-  mcpConfig.mcpServers = {
-    filesystem: {
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-filesystem", workspaceGlob],
-      type: "stdio"
-    },
-    puppeteer: {
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-puppeteer"],
-      env: {
-        "PUPPETEER_LAUNCH_OPTIONS": "{ \"headless\": true, \"args\": [\"--no-sandbox\"] }",
-        "ALLOW_DANGEROUS": "true"
-      },
-      type: "stdio"
-    },
-    github: {
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-github"],
-      type: "stdio"
-    },
-    webresearch: {
-      command: "npx",
-      args: ["-y", "@mzxrai/mcp-webresearch"],
-      type: "stdio"
-    },
-    fetch: {
-      command: "npx",
-      args: ["-y", "mcprouter"],
-      env: {
-        "SERVER_KEY": "928gi2m8xwtay9"
-      },
-      type: "stdio"
-    },
-    sequentialthinking: {
-      command: "npx",
-      args: ["-y", "mcprouter"],
-      env: {
-        "SERVER_KEY": "76e32um8xwucnc"
-      },
-      type: "stdio"
-    },
-    ...mcpConfig.mcpServers
-  };
-  
-  // Remove the HTML to Markdown server section
-  if (mcpConfig.mcpServers.htmltomarkdown) {
-    delete mcpConfig.mcpServers.htmltomarkdown;
+  if (changes.stop.length > 0) {
+    console.log(`Stopping MCP servers: ${changes.stop.join(', ')}`);
   }
-  
-  // Write updated configuration
-  fs.writeFileSync(mcpConfigPath, JSON.stringify(mcpConfig, null, 2));
-  console.log(`Updated MCP configuration at ${mcpConfigPath}`);
-  
-  // Start MCP servers in the background
-  console.log('Starting MCP servers in the background...');
-  
-  // Define all the server start commands
-  const startCommands = [
-    `npx -y @modelcontextprotocol/server-filesystem "${workspaceGlob}"`,
-    `npx -y @modelcontextprotocol/server-puppeteer`,
-    `npx -y @modelcontextprotocol/server-github`,
-    `npx -y @mzxrai/mcp-webresearch`,
-    `npx -y mcprouter`, // fetch
-    `npx -y mcprouter`  // sequential
-  ];
-  
-  // Start each server in the background
-  for (const cmd of startCommands) {
-    try {
-      const isWindows = process.platform === 'win32';
-      const bgCommand = isWindows 
-        ? `start /B ${cmd}` 
-        : `nohup ${cmd} > /dev/null 2>&1 &`;
-      
-      execSync(bgCommand, { stdio: 'inherit' });
-    } catch (error) {
-      console.warn(`Warning: Could not start command: ${cmd}`);
-      console.warn(`  Error: ${error.message}`);
+  try {
+    if (orphans) {
+      await stopOrphanedServers(orphans.names, orphans.keep);
     }
+    await startServers(servers, context, forceInit || (restartKept.length > 0 ? restartKept : false));
+  } catch (error) {
+    console.error('Failed to start MCP servers:', error.message);
+    process.exit(1);
   }
-  
+  setActiveProfile(profile);
+
   console.log('MCP servers initialized successfully!');
   console.log('\nAvailable MCP Servers:');
-  console.log('- filesystem: Access to files and directories');
-  console.log('- puppeteer: Browser automation and UI analysis');
-  console.log('- github: GitHub repository integration');
-  console.log('- webresearch: Web search and content retrieval');
-  console.log('- fetch: Enhanced fetch capabilities');
-  console.log('- sequentialthinking: Sequential thinking for complex tasks');
-} catch (error) {
+  formatServerList(servers).forEach(line => console.log(line));
+}
+
+// Run the initialization
+initialize().catch(error => {
   console.error('Failed to initialize MCP servers:', error.message);
   process.exit(1);
-}
+});
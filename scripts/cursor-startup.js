@@ -10,7 +10,18 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { execSync, spawn } = require('child_process');
+const { execSync } = require('child_process');
+const { getServer, selectServers, toMcpConfigEntry } = require('./lib/mcp-registry');
+const { getGlobalConfigPath, readConfig, writeConfig, dropPlaintextSecrets } = require('./lib/mcp-config');
+const { hasReferences, setEnvReference } = require('./lib/interpolate');
+const { createResolver, saveEnvValue } = require('./lib/launch-env');
+const { resolveWorkspaceDir } = require('./lib/workspace');
+const { resolveFilesystemRoots } = require('./lib/filesystem-roots');
+const { runPreflight, formatSkipped } = require('./lib/preflight');
+const { readSupervisorState, getSupervisorPid, ensureSupervisor, formatServerStatus } = require('./lib/supervisor');
+const { listProcesses } = require('./lib/process-tree');
+const { resolveProfile, getActiveProfile } = require('./lib/profiles');
+const { findServerProcesses } = require('./lib/server-status');
 
 // Colors for terminal output
 const colors = {
@@ -31,31 +42,18 @@ function log(message, color = colors.reset) {
 
 // Check for existing MCP servers and start if needed
 async function ensureMCPServersRunning() {
-  // List of MCP servers to check
-  const servers = [
-    { name: 'filesystem', check: 'server-filesystem', start: 'mcp-fs' },
-    { name: 'puppeteer', check: 'server-puppeteer', start: 'mcp-puppeteer' },
-    { name: 'github', check: 'server-github', start: 'mcp-github' },
-    { name: 'webresearch', check: 'mcp-webresearch', start: 'mcp-webresearch' },
-    { name: 'fetch', check: 'mcprouter.*928gi2m8xwtay9', start: 'mcp-fetch' },
-    { name: 'sequentialthinking', check: 'mcprouter.*76e32um8xwucnc', start: 'mcp-sequential' }
-  ];
+  // Only the active profile's servers are started; the others were switched off
+  const active = getActiveProfile();
+  const profile = resolveProfile(active ? active.name : undefined);
+  const servers = selectServers(profile.servers);
 
   // Check status of each server
+  const processes = listProcesses();
   const serverStatus = {};
-  let allRunning = true;
-
   for (const server of servers) {
-    try {
-      const result = execSync(`ps aux | grep "${server.check}" | grep -v grep`, { stdio: ['pipe', 'pipe', 'ignore'] });
-      const running = result.toString().trim().length > 0;
-      serverStatus[server.name] = running;
-      if (!running) allRunning = false;
-    } catch (error) {
-      serverStatus[server.name] = false;
-      allRunning = false;
-    }
+    serverStatus[server.name] = findServerProcesses(server, processes).length > 0;
   }
+  const allRunning = Object.values(serverStatus).every(Boolean);
 
   // If all servers are running, no need to do anything
   if (allRunning) {
@@ -69,28 +67,42 @@ async function ensureMCPServersRunning() {
   // Start missing servers
   log('Starting missing MCP servers...', colors.yellow);
 
-  for (const server of servers) {
-    if (!serverStatus[server.name]) {
-      log(`Starting ${server.name} MCP server...`, colors.yellow);
-      try {
-        // Special handling for GitHub if no token
-        if (server.name === 'github' && !githubTokenExists) {
-          log('GitHub token not found, prompting for setup...', colors.yellow);
-          await setupGitHubToken();
-        }
-        
-        // Start the server in background
-        const subprocess = spawn('npm', ['run', server.start], {
-          detached: true,
-          stdio: 'ignore',
-          shell: true
-        });
-        subprocess.unref();
-        log(`${server.name} MCP server started.`, colors.green);
-      } catch (error) {
-        log(`Error starting ${server.name} server: ${error.message}`, colors.red);
-      }
+  // Special handling for GitHub if no token; its stand-in needs none
+  if (serverStatus.github === false && !profile.mock && !githubTokenExists) {
+    log('GitHub token not found, prompting for setup...', colors.yellow);
+    await setupGitHubToken();
+  }
+
+  // The supervisor starts the missing servers alongside the ones it already runs
+  const supervised = getSupervisorPid() ? Object.keys(readSupervisorState().servers) : [];
+  try {
+    const workspaceDir = resolveWorkspaceDir();
+    const { roots } = resolveFilesystemRoots({ workspaceDir });
+    // Launched the way the active profile and MCP_OFFLINE ask; a running
+    // supervisor otherwise keeps its own offline setting
+    const context = {
+      workspaceDir,
+      roots,
+      offline: process.env.MCP_OFFLINE === '1' || undefined,
+      mock: profile.mock
+    };
+
+    // Servers that cannot run (no filesystem roots, no token) are left out,
+    // each with its reason, and the others start anyway
+    const { ready: missing, skipped } = await runPreflight(
+      servers.filter(server => !serverStatus[server.name]).map(server => server.name), context);
+    formatSkipped(skipped).forEach(line => log(line, colors.yellow));
+    if (missing.length === 0) {
+      return true;
     }
+
+    const state = await ensureSupervisor([...new Set([...supervised, ...missing])], context);
+    for (const name of missing) {
+      const server = state.servers[name];
+      log(formatServerStatus(name, server), server.status === 'failed' ? colors.red : colors.green);
+    }
+  } catch (error) {
+    log(`Error starting MCP servers: ${error.message}`, colors.red);
   }
 
   return true;
@@ -98,22 +110,21 @@ async function ensureMCPServersRunning() {
 
 // Check for GitHub token
 async function checkGitHubToken() {
-  // Check environment variable
-  if (process.env.GITHUB_TOKEN) {
+  // Check environment variables and .env files
+  if (createResolver()('env', 'GITHUB_TOKEN')) {
     return true;
   }
 
   // Check in MCP config
-  const cursorDir = path.join(os.homedir(), '.cursor');
-  const mcpConfigPath = path.join(cursorDir, 'mcp.json');
+  const mcpConfigPath = getGlobalConfigPath();
   
   if (fs.existsSync(mcpConfigPath)) {
     try {
-      const mcpConfig = JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8'));
-      if (mcpConfig.mcpServers && 
-          mcpConfig.mcpServers.github && 
+      const mcpConfig = readConfig(mcpConfigPath);
+      if (mcpConfig.mcpServers.github && 
           mcpConfig.mcpServers.github.env && 
-          mcpConfig.mcpServers.github.env.GITHUB_TOKEN) {
+          mcpConfig.mcpServers.github.env.GITHUB_TOKEN &&
+          !hasReferences(mcpConfig.mcpServers.github.env.GITHUB_TOKEN)) {
         return true;
       }
     } catch (error) {
@@ -169,44 +180,24 @@ async function setupGitHubToken() {
     });
 
     if (token) {
-      // Save to MCP config
-      const cursorDir = path.join(os.homedir(), '.cursor');
-      if (!fs.existsSync(cursorDir)) {
-        fs.mkdirSync(cursorDir, { recursive: true });
-      }
-      
-      const mcpConfigPath = path.join(cursorDir, 'mcp.json');
-      let mcpConfig = { mcpServers: {} };
-      
-      if (fs.existsSync(mcpConfigPath)) {
-        try {
-          mcpConfig = JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8'));
-          if (!mcpConfig.mcpServers) mcpConfig.mcpServers = {};
-        } catch (error) {
-          // Use default config
-        }
-      }
+      // Save to .env; mcp.json only references it and the launcher resolves it at start
+      const envPath = saveEnvValue('GITHUB_TOKEN', token, { replace: ['GITHUB_PERSONAL_ACCESS_TOKEN'] });
+      log(`GitHub token saved to ${envPath}.`, colors.green);
+
+      const mcpConfigPath = getGlobalConfigPath();
+      const mcpConfig = readConfig(mcpConfigPath);
 
-      // Update GitHub configuration
+      // Update GitHub configuration, dropping any token an older version stored in it
       if (mcpConfig.mcpServers.github) {
-        if (!mcpConfig.mcpServers.github.env) {
-          mcpConfig.mcpServers.github.env = {};
-        }
-        mcpConfig.mcpServers.github.env.GITHUB_TOKEN = token;
+        mcpConfig.mcpServers.github.env = dropPlaintextSecrets(mcpConfig.mcpServers.github.env);
+        setEnvReference(mcpConfig.mcpServers.github, 'GITHUB_PERSONAL_ACCESS_TOKEN');
       } else {
-        mcpConfig.mcpServers.github = {
-          command: "npx",
-          args: ["-y", "@modelcontextprotocol/server-github"],
-          env: {
-            GITHUB_TOKEN: token
-          },
-          type: "stdio"
-        };
+        mcpConfig.mcpServers.github = toMcpConfigEntry(getServer('github'));
       }
       
       // Write config
-      fs.writeFileSync(mcpConfigPath, JSON.stringify(mcpConfig, null, 2));
-      log('GitHub token added to MCP configuration.', colors.green);
+      writeConfig(mcpConfigPath, mcpConfig);
+      log('GitHub server in MCP configuration now reads the token at launch.', colors.green);
 
       return true;
     }
@@ -270,7 +261,7 @@ async function main() {
     log(colors.bold + colors.magenta + '=== Cursor Full Automation Startup ===' + colors.reset);
     
     // Ensure MCP configuration is optimized
-    const mcpConfigPath = path.join(os.homedir(), '.cursor', 'mcp.json');
+    const mcpConfigPath = getGlobalConfigPath();
     if (!fs.existsSync(mcpConfigPath)) {
       log('Initializing optimized MCP configuration...', colors.yellow);
       execSync('node ./scripts/optimize-mcp-config.js', { stdio: 'inherit' });
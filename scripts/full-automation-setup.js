@@ -7,6 +7,11 @@
  */
 
 const { execSync } = require('child_process');
+const { stopAllServers } = require('./lib/supervisor');
+const { formatShutdownReport } = require('./lib/process-tree');
+const { hasReferences } = require('./lib/interpolate');
+const { createResolver } = require('./lib/launch-env');
+const { getGlobalConfigPath, readConfig } = require('./lib/mcp-config');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
@@ -36,11 +41,8 @@ async function main() {
     // Step 1: Stop any running MCP servers
     log('\n' + colors.bold + '1. Stopping existing MCP servers...' + colors.reset);
     try {
-      execSync('pkill -f "server-filesystem" || true', { stdio: 'inherit' });
-      execSync('pkill -f "mcp-webresearch" || true', { stdio: 'inherit' });
-      execSync('pkill -f "server-github" || true', { stdio: 'inherit' });
-      execSync('pkill -f "server-puppeteer" || true', { stdio: 'inherit' });
-      execSync('pkill -f "mcprouter" || true', { stdio: 'inherit' });
+      const reports = await stopAllServers();
+      reports.forEach(report => formatShutdownReport(report).forEach(line => log(line)));
       log('Existing MCP servers stopped.', colors.green);
     } catch (error) {
       log('Warning: Could not stop all MCP servers: ' + error.message, colors.yellow);
@@ -56,22 +58,21 @@ async function main() {
     // Check for existing GitHub token
     let hasGithubToken = false;
     
-    // Check environment variable
-    if (process.env.GITHUB_TOKEN) {
+    // Check environment variables and .env files
+    if (createResolver()('env', 'GITHUB_TOKEN')) {
       log('Found existing GitHub token in environment variables', colors.green);
       hasGithubToken = true;
     } else {
       // Check in MCP config
-      const cursorDir = path.join(os.homedir(), '.cursor');
-      const mcpConfigPath = path.join(cursorDir, 'mcp.json');
+      const mcpConfigPath = getGlobalConfigPath();
       
       if (fs.existsSync(mcpConfigPath)) {
         try {
-          const mcpConfig = JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8'));
-          if (mcpConfig.mcpServers && 
-              mcpConfig.mcpServers.github && 
+          const mcpConfig = readConfig(mcpConfigPath);
+          if (mcpConfig.mcpServers.github && 
               mcpConfig.mcpServers.github.env && 
-              mcpConfig.mcpServers.github.env.GITHUB_TOKEN) {
+              mcpConfig.mcpServers.github.env.GITHUB_TOKEN &&
+              !hasReferences(mcpConfig.mcpServers.github.env.GITHUB_TOKEN)) {
             log('Found existing GitHub token in MCP configuration', colors.green);
             hasGithubToken = true;
           }
@@ -138,8 +139,13 @@ async function main() {
     
     // Step 5: Run tests
     log('\n' + colors.bold + '5. Testing MCP servers...' + colors.reset);
-    execSync('node ./scripts/test-all-mcp-tools.js', { stdio: 'inherit' });
-    
+    // An unhealthy server is reported, but does not undo the setup
+    try {
+      execSync('node ./scripts/test-all-mcp-tools.js', { stdio: 'inherit' });
+    } catch (error) {
+      log('Some MCP servers are not healthy yet; see the report above.', colors.yellow);
+    }
+
     // Final success message
     log('\n' + colors.bold + colors.green + '=== Full Automation Setup Complete ===' + colors.reset);
     log('\nYour Cursor environment is now configured for maximum AI automation capabilities.', colors.green);
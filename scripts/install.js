@@ -4,6 +4,9 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
+const { buildMcpServers, formatServerList } = require('./lib/mcp-registry');
+const { resolveWorkspaceDir } = require('./lib/workspace');
+const { getGlobalConfigPath, applyManagedServers, reportWrite } = require('./lib/mcp-config');
 
 // Define paths
 const homeDir = os.homedir();
@@ -13,7 +16,7 @@ const mcpScriptName = 'cursor-mcp-init.js';
 const mcpScriptDestPath = path.join(startupScriptsDir, mcpScriptName);
 const currentDir = path.dirname(__dirname);
 const sourceMcpScriptPath = path.join(currentDir, 'scripts', 'cursor-mcp-init.js');
-const mcpConfigPath = path.join(cursorConfigDir, 'mcp.json');
+const mcpConfigPath = getGlobalConfigPath();
 
 // Create cursor startup scripts directory if it doesn't exist
 console.log('Setting up Cursor MCP utilities...');
@@ -30,8 +33,9 @@ if (!fs.existsSync(startupScriptsDir)) {
 
 // Copy the MCP script to the cursor startup scripts directory
 try {
-  // Copy the MCP initialization script
-  fs.copyFileSync(sourceMcpScriptPath, mcpScriptDestPath);
+  // Install a stub that runs the MCP initialization script from this checkout,
+  // since it loads the shared server registry from scripts/lib
+  fs.writeFileSync(mcpScriptDestPath, `#!/usr/bin/env node\nrequire(${JSON.stringify(sourceMcpScriptPath)});\n`);
   fs.chmodSync(mcpScriptDestPath, '755'); // Make executable
   console.log(`MCP script installed to: ${mcpScriptDestPath}`);
 
@@ -56,76 +60,10 @@ node "${mcpScriptDestPath}" "$@"
   fs.chmodSync(mcpLauncherPath, '755'); // Make executable
   console.log(`MCP launcher script created at: ${mcpLauncherPath}`);
 
-  // Update MCP configuration
-  let mcpConfig = {};
-  if (fs.existsSync(mcpConfigPath)) {
-    try {
-      mcpConfig = JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8'));
-    } catch (error) {
-      console.warn(`Warning: Could not parse existing MCP config, creating new one: ${error.message}`);
-      mcpConfig = { mcpServers: {} };
-    }
-  } else {
-    mcpConfig = { mcpServers: {} };
-  }
-
-  // Add servers to MCP config if not present
-  if (!mcpConfig.mcpServers) {
-    mcpConfig.mcpServers = {};
-  }
-
-  // Configure MCP servers with appropriate settings
-  const mcpServers = {
-    filesystem: {
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-filesystem", `${homeDir}/Desktop/Work/*`],
-      type: "stdio"
-    },
-    puppeteer: {
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-puppeteer"],
-      env: {
-        "PUPPETEER_LAUNCH_OPTIONS": "{ \"headless\": true, \"args\": [\"--no-sandbox\"] }",
-        "ALLOW_DANGEROUS": "true"
-      },
-      type: "stdio"
-    },
-    github: {
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-github"],
-      type: "stdio"
-    },
-    webresearch: {
-      command: "npx",
-      args: ["-y", "@mzxrai/mcp-webresearch"],
-      type: "stdio"
-    },
-    fetch: {
-      command: "npx",
-      args: ["-y", "mcprouter"],
-      env: {
-        "SERVER_KEY": "928gi2m8xwtay9"
-      },
-      type: "stdio"
-    },
-    sequentialthinking: {
-      command: "npx",
-      args: ["-y", "mcprouter"],
-      env: {
-        "SERVER_KEY": "76e32um8xwucnc"
-      },
-      type: "stdio"
-    }
-  };
-
-  // Add each server to the config
-  Object.entries(mcpServers).forEach(([key, config]) => {
-    mcpConfig.mcpServers[key] = config;
-  });
-
-  // Write updated config
-  fs.writeFileSync(mcpConfigPath, JSON.stringify(mcpConfig, null, 2));
-  console.log(`Updated MCP configuration at: ${mcpConfigPath}`);
+  // Update MCP configuration from the server registry, keeping user-defined servers
+  const mcpServers = buildMcpServers({ workspaceDir: resolveWorkspaceDir() });
+  const result = applyManagedServers(mcpConfigPath, mcpServers);
+  reportWrite(mcpConfigPath, result);
 
   // Create global symlinks for easy access from anywhere
   try {
@@ -156,12 +94,7 @@ node "${mcpScriptDestPath}" "$@"
 
   console.log('\nSetup complete! The MCP utilities are now installed.');
   console.log('\nAvailable MCP Servers:');
-  console.log('- filesystem: Access to files and directories');
-  console.log('- puppeteer: Browser automation and UI analysis');
-  console.log('- github: GitHub repository integration');
-  console.log('- webresearch: Web search and content retrieval');
-  console.log('- fetch: Enhanced fetch capabilities');
-  console.log('- sequentialthinking: Sequential thinking for complex tasks');
+  formatServerList().forEach(line => console.log(line));
   
   console.log('\nTo manually start the MCP server, run:');
   console.log(`node ${mcpScriptDestPath}`);
@@ -0,0 +1,264 @@
+/**
+ * MCP Session Cassettes
+ *
+ * A cassette records one MCP session over stdio: every JSON-RPC message the
+ * client and the server exchanged, with the time it passed the recording
+ * shim (scripts/mcp-cassette.js record). Cassettes are JSON lines, so a
+ * session that ends abruptly keeps everything up to its last message:
+ *
+ *   {"cassette":1,"server":"github","recordedAt":"2026-10-19T09:30:00.000Z"}
+ *   {"t":0,"from":"client","message":{"jsonrpc":"2.0","id":0,"method":"initialize","params":{...}}}
+ *   {"t":412,"from":"server","message":{"jsonrpc":"2.0","id":0,"result":{...}}}
+ *
+ * `t` counts milliseconds from the start of the recording. A line the server
+ * printed that is not JSON is kept as "raw" instead of "message".
+ *
+ * The replay server answers requests from a cassette without running the
+ * server. A request matches a recorded one with the same method and the
+ * same params, ignoring `_meta`; `initialize` matches on the method alone,
+ * since every client describes itself differently. Identical requests get
+ * their recorded answers in order, and the last one again once those run
+ * out. A request nothing matches is answered with a REPLAY_MISMATCH error
+ * and listed in the replay report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getStateDir } = require('./state');
+const { isWrapped, wrapWithLauncher, unwrapLauncher } = require('./interpolate');
+
+const CASSETTE_VERSION = 1;
+const CASSETTE_SCRIPT = path.resolve(__dirname, '..', 'mcp-cassette.js');
+
+// JSON-RPC error code for a request that is not in the cassette
+const REPLAY_MISMATCH = -32001;
+
+// Function to get the directory new recordings are written to
+function getCassetteDir() {
+  return path.join(getStateDir(), 'cassettes');
+}
+
+// Function to find a cassette given as a path, or as a name in the cassette directory
+function resolveCassettePath(nameOrPath, dir = getCassetteDir()) {
+  if (fs.existsSync(nameOrPath)) {
+    return path.resolve(nameOrPath);
+  }
+  const named = path.join(dir, nameOrPath.endsWith('.jsonl') ? nameOrPath : `${nameOrPath}.jsonl`);
+  if (!fs.existsSync(named)) {
+    throw new Error(`No cassette "${nameOrPath}" here or in ${dir}`);
+  }
+  return named;
+}
+
+// Function to get the path for a new recording of a server,
+// e.g. github-2026-10-19T09-30-00-000Z.jsonl
+function newCassettePath(server, dir = getCassetteDir(), date = new Date()) {
+  return path.join(dir, `${server}-${date.toISOString().replace(/[:.]/g, '-')}.jsonl`);
+}
+
+// Function to start a cassette file and get the function that records each line
+// `record(from, line)` appends the line and resolves with its message, or null if it is not JSON
+function createRecorder(file, server, now = Date.now) {
+  const startedAt = now();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const header = { cassette: CASSETTE_VERSION, server, recordedAt: new Date(startedAt).toISOString() };
+  fs.writeFileSync(file, JSON.stringify(header) + '\n', { mode: 0o600 });
+
+  return function record(from, line) {
+    const entry = { t: now() - startedAt, from };
+    try {
+      entry.message = JSON.parse(line);
+    } catch (error) {
+      entry.raw = line;
+    }
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    return entry.message || null;
+  };
+}
+
+// Function to read a cassette file
+// Returns { header, entries }; throws if it is not a cassette
+function readCassette(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  const parsed = lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1}: ${error.message}`);
+    }
+  });
+  const [header, ...entries] = parsed;
+  if (!header || header.cassette !== CASSETTE_VERSION) {
+    throw new Error(`${file} is not a version ${CASSETTE_VERSION} cassette`);
+  }
+  return { header, entries };
+}
+
+// Function to pair the client's requests with the server's answers, in recorded order
+// Requests the server never answered cannot be replayed and are left out
+function getInteractions(cassette) {
+  const interactions = [];
+  cassette.entries.forEach((entry, index) => {
+    const message = entry.message;
+    if (entry.from !== 'client' || !message || !message.method || message.id === undefined) {
+      return;
+    }
+    const answer = cassette.entries.slice(index + 1).find(later => later.from === 'server' &&
+      later.message && later.message.id === message.id && later.message.method === undefined);
+    if (answer) {
+      const { jsonrpc, id, ...response } = answer.message;
+      interactions.push({ method: message.method, params: message.params, response, t: entry.t, durationMs: answer.t - entry.t });
+    }
+  });
+  return interactions;
+}
+
+// Function to summarize a cassette for listings
+function describeCassette(cassette) {
+  const interactions = getInteractions(cassette);
+  const last = cassette.entries[cassette.entries.length - 1];
+  return {
+    server: cassette.header.server,
+    recordedAt: cassette.header.recordedAt,
+    requests: interactions.length,
+    errors: interactions.filter(interaction => interaction.response.error).length,
+    durationMs: last ? last.t : 0
+  };
+}
+
+// Function to serialize a JSON value with sorted keys, so equal values compare equal
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Function to get the key a request is matched on
+function getMatchKey(method, params) {
+  if (method === 'initialize') {
+    return method;
+  }
+  const { _meta, ...rest } = params || {};
+  return `${method} ${canonical(rest)}`;
+}
+
+// Function to create a server that answers from a cassette
+// `send` writes one JSON-RPC message to the client. With `timing`, each
+// answer waits as long as the recorded server took
+function createReplayServer(cassette, send, { timing = false, log = () => {} } = {}) {
+  const interactions = getInteractions(cassette).map(interaction => ({
+    ...interaction,
+    key: getMatchKey(interaction.method, interaction.params),
+    used: false
+  }));
+  const mismatches = [];
+  const idleWaiters = [];
+  let replayed = 0;
+  let pending = 0;
+
+  // Function to pick the recorded answer for a request, or null
+  function findInteraction(key) {
+    const unused = interactions.find(interaction => !interaction.used && interaction.key === key);
+    if (unused) {
+      unused.used = true;
+      return unused;
+    }
+    const repeated = interactions.filter(interaction => interaction.key === key);
+    return repeated.length > 0 ? repeated[repeated.length - 1] : null;
+  }
+
+  // Function to answer a request nothing in the cassette matches
+  function reportMismatch(message) {
+    const recorded = interactions.filter(interaction => interaction.method === message.method)
+      .slice(0, 5)
+      .map(interaction => interaction.params);
+    mismatches.push({ method: message.method, params: message.params });
+    const tool = message.method === 'tools/call' && message.params ? ` ${message.params.name}` : '';
+    log(`mismatch: ${message.method}${tool} is not in the cassette`);
+    send({
+      jsonrpc: '2.0',
+      id: message.id,
+      error: {
+        code: REPLAY_MISMATCH,
+        message: `Request not in the cassette: ${message.method}${tool} with these params was not recorded`,
+        data: { params: message.params, recorded }
+      }
+    });
+  }
+
+  // Function to handle one message from the client
+  // Notifications and answers to requests from the server need no reply
+  function handleMessage(message) {
+    if (message.method === undefined || message.id === undefined || message.id === null) {
+      return;
+    }
+    const interaction = findInteraction(getMatchKey(message.method, message.params));
+    if (!interaction) {
+      reportMismatch(message);
+      return;
+    }
+    replayed++;
+    const answer = () => send({ jsonrpc: '2.0', id: message.id, ...interaction.response });
+    if (timing && interaction.durationMs > 0) {
+      pending++;
+      setTimeout(() => {
+        answer();
+        if (--pending === 0) {
+          idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+      }, interaction.durationMs);
+    } else {
+      answer();
+    }
+  }
+
+  // Function to summarize the replay so far
+  function getReport() {
+    return {
+      replayed,
+      mismatches: mismatches.slice(),
+      unused: interactions.filter(interaction => !interaction.used)
+        .map(interaction => ({ method: interaction.method, params: interaction.params }))
+    };
+  }
+
+  // Function to wait until every delayed answer has been sent
+  function whenIdle() {
+    return pending === 0 ? Promise.resolve() : new Promise(resolve => idleWaiters.push(resolve));
+  }
+
+  return { handleMessage, getReport, whenIdle };
+}
+
+// Function to make an mcp.json entry record its sessions (no-op if it already does)
+// The shim runs inside the launcher, so ${env:...} references are still resolved first
+function wrapWithRecorder(entry, server) {
+  const wrapped = isWrapped(entry);
+  const inner = unwrapLauncher(entry);
+  if (inner.command === 'node' && inner.args[0] === CASSETTE_SCRIPT) {
+    return entry;
+  }
+  entry.command = 'node';
+  entry.args = [CASSETTE_SCRIPT, 'record', `--server=${server}`, '--', inner.command, ...inner.args];
+  return wrapped ? wrapWithLauncher(entry) : entry;
+}
+
+module.exports = {
+  CASSETTE_VERSION,
+  CASSETTE_SCRIPT,
+  REPLAY_MISMATCH,
+  getCassetteDir,
+  resolveCassettePath,
+  newCassettePath,
+  createRecorder,
+  readCassette,
+  getInteractions,
+  describeCassette,
+  createReplayServer,
+  wrapWithRecorder
+};
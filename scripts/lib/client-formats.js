@@ -0,0 +1,205 @@
+/**
+ * MCP Client Config Formats
+ *
+ * Converters between Cursor's mcp.json and the config files of other MCP
+ * clients, so the registry (or one mcp.json) can drive every tool on a
+ * machine. Each format knows where its file lives, how to pull server
+ * entries out of it and how to put them back without touching the rest
+ * of the file.
+ *
+ *   claude-desktop    claude_desktop_config.json   { "mcpServers": { name: entry } }
+ *   vscode            VS Code user settings.json   { "mcp": { "servers": { name: entry } } }
+ *   vscode-workspace  <repo>/.vscode/mcp.json      { "servers": { name: entry } }
+ */
+
+const path = require('path');
+const os = require('os');
+
+// Function to get the per-user application config directory
+function getAppDataDir() {
+  if (process.platform === 'win32') {
+    return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support');
+  }
+  return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+}
+
+// Function to strip comments and trailing commas from JSON with comments
+// (VS Code settings files allow both)
+function stripJsonComments(text) {
+  let result = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += next || '';
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && next === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else if (char === '}' || char === ']') {
+      // Only commas outside strings get here, so "a,]" inside a value is kept
+      const end = result.trimEnd().length;
+      if (result[end - 1] === ',') {
+        result = result.slice(0, end - 1) + result.slice(end);
+      }
+      result += char;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+// Function to parse a client config file's text
+function parseClientConfig(text) {
+  if (!text.trim()) {
+    return {};
+  }
+  return JSON.parse(stripJsonComments(text));
+}
+
+// Function to copy the fields every client understands from an entry
+// Returns null for transports the target cannot express
+function toPortableEntry(entry, { allowUrl = true } = {}) {
+  if (typeof entry.command === 'string') {
+    const portable = { command: entry.command, args: [...(entry.args || [])] };
+    if (entry.env && Object.keys(entry.env).length > 0) {
+      portable.env = { ...entry.env };
+    }
+    return portable;
+  }
+  if (allowUrl && typeof entry.url === 'string') {
+    return { url: entry.url };
+  }
+  return null;
+}
+
+// Function to turn a client's entry into a Cursor mcp.json entry
+function toCursorEntry(entry) {
+  if (entry.type && !['stdio', 'sse'].includes(entry.type)) {
+    return null;
+  }
+  const cursorEntry = toPortableEntry(entry);
+  if (cursorEntry) {
+    cursorEntry.type = cursorEntry.url ? 'sse' : 'stdio';
+  }
+  return cursorEntry;
+}
+
+// Function to convert a set of entries, collecting the ones that cannot be converted
+function convertEntries(servers, convert) {
+  const converted = {};
+  const skipped = [];
+
+  for (const [name, entry] of Object.entries(servers || {})) {
+    const result = entry && typeof entry === 'object' ? convert(entry) : null;
+    if (result) {
+      converted[name] = result;
+    } else {
+      skipped.push(name);
+    }
+  }
+
+  return { servers: converted, skipped };
+}
+
+const FORMATS = {
+  'claude-desktop': {
+    description: 'Claude Desktop (claude_desktop_config.json)',
+    getDefaultPath() {
+      return path.join(getAppDataDir(), 'Claude', 'claude_desktop_config.json');
+    },
+    getServers(config) {
+      return config.mcpServers || {};
+    },
+    setServers(config, servers) {
+      return { ...config, mcpServers: servers };
+    },
+    // Claude Desktop only launches stdio servers
+    fromCursor(entry) {
+      return toPortableEntry(entry, { allowUrl: false });
+    }
+  },
+
+  vscode: {
+    description: 'VS Code user settings (the "mcp" section of settings.json)',
+    getDefaultPath() {
+      return path.join(getAppDataDir(), 'Code', 'User', 'settings.json');
+    },
+    getServers(config) {
+      return (config.mcp && config.mcp.servers) || {};
+    },
+    setServers(config, servers) {
+      return { ...config, mcp: { ...(config.mcp || {}), servers } };
+    },
+    fromCursor(entry) {
+      const portable = toPortableEntry(entry);
+      return portable && { type: portable.url ? 'sse' : 'stdio', ...portable };
+    }
+  },
+
+  'vscode-workspace': {
+    description: 'VS Code workspace config (.vscode/mcp.json)',
+    getDefaultPath(gitRoot) {
+      return path.join(gitRoot || process.cwd(), '.vscode', 'mcp.json');
+    },
+    getServers(config) {
+      return config.servers || {};
+    },
+    setServers(config, servers) {
+      return { ...config, servers };
+    },
+    fromCursor(entry) {
+      const portable = toPortableEntry(entry);
+      return portable && { type: portable.url ? 'sse' : 'stdio', ...portable };
+    }
+  }
+};
+
+// Function to look up a format by name
+function getFormat(name) {
+  const format = FORMATS[name];
+  if (!format) {
+    throw new Error(`Unknown client format "${name}". Available formats: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+// Function to convert Cursor mcpServers into a client's server entries
+function exportServers(formatName, mcpServers) {
+  return convertEntries(mcpServers, getFormat(formatName).fromCursor);
+}
+
+// Function to convert a client's config into Cursor mcpServers
+function importServers(formatName, clientConfig) {
+  const { servers, skipped } = convertEntries(getFormat(formatName).getServers(clientConfig), toCursorEntry);
+  return { mcpServers: servers, skipped };
+}
+
+module.exports = {
+  FORMATS,
+  getFormat,
+  stripJsonComments,
+  parseClientConfig,
+  exportServers,
+  importServers
+};
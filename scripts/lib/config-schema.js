@@ -0,0 +1,115 @@
+/**
+ * MCP Configuration Schema Versions
+ *
+ * mcp.json has been written in more than one shape over time:
+ *
+ *   version 0  { "servers": [ { "name": "github", "command": ..., ... } ] }
+ *   version 1  { "schemaVersion": 1, "mcpServers": { "github": { "command": ..., ... } } }
+ *
+ * Cursor reads the `mcpServers` object. Older files (and files edited by
+ * hand from other tools' examples) may still use the `servers` array.
+ * Migrators convert each version to the next without dropping fields,
+ * and the result records the version it was migrated to.
+ */
+
+const { SERVERS, matchesServer } = require('./mcp-registry');
+
+const CURRENT_SCHEMA_VERSION = 1;
+
+// Function to guess a name for an array entry that has none
+function inferServerName(entry, index) {
+  // mcprouter serves more than one server, so it says nothing about the name
+  const match = SERVERS.find(server => server.package !== 'mcprouter' && matchesServer(entry, server));
+  return match ? match.name : `server-${index + 1}`;
+}
+
+// Function to pick a name that is not taken yet
+function uniqueName(name, taken) {
+  let candidate = name;
+  let suffix = 2;
+  while (candidate in taken) {
+    candidate = `${name}-${suffix++}`;
+  }
+  return candidate;
+}
+
+// Ordered list of migrations; each takes a config of version `from`
+// and returns a new config of version `to`
+const MIGRATIONS = [
+  {
+    from: 0,
+    to: 1,
+    description: 'Convert the "servers" array to the "mcpServers" object',
+    migrate(config) {
+      const { servers, ...rest } = config;
+      const mcpServers = { ...(rest.mcpServers || {}) };
+      const entries = Array.isArray(servers)
+        ? servers.map((entry, index) => [entry.name || inferServerName(entry, index), entry])
+        : Object.entries(servers || {});
+
+      for (const [name, entry] of entries) {
+        const { name: ignored, ...fields } = entry || {};
+        mcpServers[uniqueName(name, mcpServers)] = fields;
+      }
+
+      return { ...rest, mcpServers };
+    }
+  }
+];
+
+// Function to work out which schema version a raw config uses
+function detectSchemaVersion(config) {
+  if (typeof config.schemaVersion === 'number') {
+    return config.schemaVersion;
+  }
+  if (config.servers !== undefined) {
+    return 0;
+  }
+  // Unversioned files with an mcpServers object already have the current shape
+  return 1;
+}
+
+// Function to bring a raw config up to the current schema version
+// Returns the migrated config, the version it started at and the steps applied
+function migrateConfig(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('MCP configuration must be a JSON object');
+  }
+
+  const fromVersion = detectSchemaVersion(raw);
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`MCP configuration uses schema version ${fromVersion}, ` +
+      `but this tool only understands up to version ${CURRENT_SCHEMA_VERSION}. Update cursor-automation.`);
+  }
+
+  let config = { ...raw };
+  delete config.schemaVersion;
+  const applied = [];
+
+  for (const migration of MIGRATIONS) {
+    if (migration.from >= fromVersion && migration.to <= CURRENT_SCHEMA_VERSION) {
+      config = migration.migrate(config);
+      applied.push(migration.description);
+    }
+  }
+
+  // Malformed values are kept as-is so validation can report them
+  if (config.mcpServers === undefined) {
+    config.mcpServers = {};
+  }
+
+  return {
+    config: { schemaVersion: CURRENT_SCHEMA_VERSION, ...config },
+    fromVersion,
+    applied,
+    // A missing version stamp alone is not worth reporting as a migration
+    migrated: applied.length > 0
+  };
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  MIGRATIONS,
+  detectSchemaVersion,
+  migrateConfig
+};
@@ -0,0 +1,98 @@
+/**
+ * Unified Diff
+ *
+ * Minimal line-based unified diff used to preview config changes.
+ * Config files are small, so a plain LCS table is fast enough.
+ */
+
+// Function to compute the edit script between two line arrays
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length + 1;
+  const cols = newLines.length + 1;
+  const lcs = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: ' ', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+    } else {
+      ops.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+    }
+  }
+  while (i < oldLines.length) {
+    ops.push({ type: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+  }
+  while (j < newLines.length) {
+    ops.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+  }
+
+  return ops;
+}
+
+// Function to split text into lines without a trailing empty line
+function toLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+// Function to render a unified diff between two texts, or '' when identical
+function unifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  const ops = diffLines(toLines(oldText), toLines(newText));
+  const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index >= 0);
+
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context windows overlap into hunks
+  const hunks = [];
+  let start = Math.max(0, changed[0] - context);
+  let end = Math.min(ops.length, changed[0] + context + 1);
+  for (const index of changed.slice(1)) {
+    if (index - context <= end) {
+      end = Math.min(ops.length, index + context + 1);
+    } else {
+      hunks.push([start, end]);
+      start = Math.max(0, index - context);
+      end = Math.min(ops.length, index + context + 1);
+    }
+  }
+  hunks.push([start, end]);
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const [hunkStart, hunkEnd] of hunks) {
+    const slice = ops.slice(hunkStart, hunkEnd);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? slice[0].oldIndex : slice[0].oldIndex + 1;
+    const newStart = newCount === 0 ? slice[0].newIndex : slice[0].newIndex + 1;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(op => output.push(op.type + op.line));
+  }
+
+  return output.join('\n') + '\n';
+}
+
+module.exports = {
+  diffLines,
+  unifiedDiff
+};
@@ -0,0 +1,367 @@
+/**
+ * MCP Setup Diagnostics
+ *
+ * Checks an mcp.json configuration and the local environment for common
+ * mistakes. Every check returns findings of the form:
+ *
+ *   { id, severity, server, message, suggestion, fix }
+ *
+ * where severity is 'error', 'warning' or 'info', and `fix` (optional)
+ * mutates the config object in place to resolve the finding.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { getServer, matchesServer, getEnvAliases } = require('./mcp-registry');
+const {
+  REFERENCE_PATTERN,
+  toReference,
+  findEntryReferences,
+  isWrapped,
+  wrapWithLauncher,
+  unwrapLauncher
+} = require('./interpolate');
+const { createResolver } = require('./launch-env');
+const { setSecret } = require('./secrets');
+const { readLockfile, readPackageLock, verifyLockfile } = require('./lockfile');
+
+const MIN_NODE_MAJOR = 18;
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+const VALID_TYPES = ['stdio', 'sse'];
+
+// Placeholder syntax that nothing ever substitutes, e.g. "${process.env.GITHUB_TOKEN}"
+// (${env:...} and ${secret:...} references are resolved by the launcher instead)
+const PLACEHOLDER_PATTERN = /\$\{[^}]*\}/;
+const LEGACY_ENV_PATTERN = /^\$\{process\.env\.([A-Za-z_][A-Za-z0-9_]*)\}$/;
+
+// Env keys and values that look like credentials
+const SECRET_KEY_PATTERN = /(TOKEN|SECRET|PASSWORD|API_KEY|ACCESS_KEY)/i;
+const SECRET_VALUE_PATTERN = /^(ghp_|gho_|ghu_|ghs_|github_pat_|sk-)/;
+
+// Characters that only make sense in a glob, not a directory path
+const GLOB_PATTERN = /[*?[\]{}]/;
+
+// Function to build a finding
+function finding(id, severity, server, message, suggestion, fix) {
+  return { id, severity, server: server || null, message, suggestion, fix: fix || null };
+}
+
+// Function to check for a plain object, the only shape an entry or its env may have
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Function to list the entries the checks after checkSchema can look into
+// An entry that is not an object, or whose args or env have the wrong type,
+// is reported by checkSchema and skipped by the others until it is repaired
+function getCheckableEntries(config) {
+  return Object.entries(config.mcpServers || {}).filter(([, entry]) => isPlainObject(entry) &&
+    (entry.args === undefined || Array.isArray(entry.args)) &&
+    (entry.env === undefined || isPlainObject(entry.env)));
+}
+
+// Function to check that every entry has the shape Cursor expects
+function checkSchema(config) {
+  const findings = [];
+
+  if (!config || !isPlainObject(config.mcpServers)) {
+    findings.push(finding('schema.mcpServers', 'error', null,
+      'Configuration has no "mcpServers" object',
+      'Run "npm run mcp-init" to regenerate the configuration'));
+    return findings;
+  }
+
+  for (const [name, entry] of Object.entries(config.mcpServers)) {
+    if (!isPlainObject(entry)) {
+      findings.push(finding('schema.entry', 'error', name, 'Server entry is not an object',
+        'Remove the entry or replace it with { "command": ..., "args": [...] }'));
+      continue;
+    }
+
+    if (typeof entry.command !== 'string' && typeof entry.url !== 'string') {
+      findings.push(finding('schema.command', 'error', name, 'Entry needs a "command" (stdio) or "url" (sse)',
+        'Add the command that starts the server'));
+    }
+
+    if (entry.args !== undefined &&
+        (!Array.isArray(entry.args) || entry.args.some(arg => typeof arg !== 'string'))) {
+      findings.push(finding('schema.args', 'error', name, '"args" must be an array of strings',
+        'Quote every argument and put them in an array'));
+    }
+
+    if (entry.env !== undefined) {
+      if (!isPlainObject(entry.env) || Object.values(entry.env).some(value => typeof value !== 'string')) {
+        findings.push(finding('schema.env', 'error', name, '"env" must map names to string values',
+          'Quote every environment value'));
+      }
+    }
+
+    if (entry.type !== undefined && !VALID_TYPES.includes(entry.type)) {
+      findings.push(finding('schema.type', 'warning', name, `Unknown transport type "${entry.type}"`,
+        `Use one of: ${VALID_TYPES.join(', ')}`, () => { entry.type = 'stdio'; }));
+    }
+  }
+
+  return findings;
+}
+
+// Function to get the name the registry requires for a variable, e.g.
+// GITHUB_TOKEN -> GITHUB_PERSONAL_ACCESS_TOKEN; other names are kept
+function getCanonicalEnvName(name) {
+  const aliases = getEnvAliases()[name];
+  return aliases ? aliases[0] : name;
+}
+
+// Function to check whether a string has placeholders other than launcher references
+function hasUnsupportedPlaceholder(value) {
+  return typeof value === 'string' && PLACEHOLDER_PATTERN.test(value.replace(REFERENCE_PATTERN, ''));
+}
+
+// Function to find literal placeholders that will be passed to the server verbatim
+function checkPlaceholders(config) {
+  const findings = [];
+
+  for (const [name, entry] of getCheckableEntries(config)) {
+    for (const [key, value] of Object.entries(entry.env || {})) {
+      if (!hasUnsupportedPlaceholder(value)) {
+        continue;
+      }
+
+      const legacy = value.match(LEGACY_ENV_PATTERN);
+      if (legacy) {
+        // Required variables are written under the name the server reads
+        const canonicalKey = getCanonicalEnvName(key);
+        const reference = toReference('env', getCanonicalEnvName(legacy[1]));
+        const target = canonicalKey === key ? key : `${canonicalKey} (instead of ${key})`;
+        findings.push(finding('placeholder.env', 'error', name,
+          `env ${key} is the literal string "${value}"; it is never substituted`,
+          `Set ${target} to the launcher reference "${reference}"`,
+          () => {
+            if (canonicalKey !== key) {
+              delete entry.env[key];
+            }
+            entry.env[canonicalKey] = reference;
+            wrapWithLauncher(entry);
+          }));
+      } else {
+        findings.push(finding('placeholder.env', 'error', name,
+          `env ${key} is the literal string "${value}"; it is never substituted`,
+          `Remove ${key} from mcp.json so the server reads it from its environment`,
+          () => { delete entry.env[key]; if (Object.keys(entry.env).length === 0) delete entry.env; }));
+      }
+    }
+
+    // References only work when the launcher starts the server
+    if (findEntryReferences(entry).length > 0 && !isWrapped(entry)) {
+      findings.push(finding('reference.unwrapped', 'error', name,
+        'Entry uses ${env:...} or ${secret:...} references but is not started through scripts/mcp-launch.js',
+        'Start the server through the launcher so the references are resolved',
+        () => { wrapWithLauncher(entry); }));
+    }
+
+    (entry.args || []).forEach((arg, index) => {
+      if (hasUnsupportedPlaceholder(arg)) {
+        findings.push(finding('placeholder.args', 'error', name,
+          `Argument ${index} is the literal string "${arg}"; it is never substituted`,
+          'Replace it with the actual value'));
+      }
+    });
+  }
+
+  return findings;
+}
+
+// Function to find references that cannot be resolved on this machine
+function checkReferences(config, { lookup = createResolver() } = {}) {
+  const findings = [];
+
+  for (const [name, entry] of getCheckableEntries(config)) {
+    for (const reference of findEntryReferences(entry)) {
+      const value = lookup(reference.kind, reference.name);
+      if (value !== undefined && value !== null) {
+        continue;
+      }
+      const text = toReference(reference.kind, reference.name);
+      findings.push(finding('reference.unresolved', 'warning', name,
+        `${reference.where} references ${text}, which is not set`,
+        reference.kind === 'env'
+          ? `Set ${reference.name} in your environment or .env file`
+          : `Store it with "npm run secrets -- set ${reference.name}"`));
+    }
+  }
+
+  return findings;
+}
+
+// Function to get the directory arguments of a filesystem server entry
+// They follow the package name (npx) or the binary itself (local install)
+function getDirectoryArgs(entry) {
+  const filesystem = getServer('filesystem');
+  const args = entry.args || [];
+  if (!matchesServer(entry, filesystem)) {
+    return [];
+  }
+  const serverIndex = args.findIndex(arg => matchesServer({ args: [arg] }, filesystem));
+  return args.slice(serverIndex + 1).map((arg, offset) => ({
+    arg,
+    index: serverIndex + 1 + offset
+  }));
+}
+
+// Function to strip glob segments from a path, e.g. "/work/**/*" -> "/work"
+function stripGlob(arg) {
+  const segments = arg.split(path.sep);
+  const firstGlob = segments.findIndex(segment => GLOB_PATTERN.test(segment));
+  return firstGlob === -1 ? arg : segments.slice(0, firstGlob).join(path.sep) || path.sep;
+}
+
+// Function to check filesystem roots: they must be real, existing directories
+function checkWorkspacePaths(config) {
+  const findings = [];
+
+  for (const [name, entry] of getCheckableEntries(config)) {
+    for (const { arg, index } of getDirectoryArgs(entry)) {
+      if (typeof arg !== 'string' || arg.startsWith('-')) {
+        continue;
+      }
+
+      if (GLOB_PATTERN.test(arg)) {
+        const directory = stripGlob(arg);
+        findings.push(finding('workspace.glob', 'error', name,
+          `"${arg}" is a glob, but the filesystem server expects a directory`,
+          `Use the directory "${directory}" instead`,
+          () => { entry.args[index] = directory; }));
+        continue;
+      }
+
+      if (!fs.existsSync(arg)) {
+        findings.push(finding('workspace.missing', 'error', name, `Workspace path "${arg}" does not exist`,
+          'Create the directory or run "npm run configure-workspace"'));
+      } else if (!fs.statSync(arg).isDirectory()) {
+        findings.push(finding('workspace.notDirectory', 'error', name, `Workspace path "${arg}" is not a directory`,
+          'Point the filesystem server at a directory'));
+      }
+    }
+  }
+
+  return findings;
+}
+
+// Function to find credentials stored in plain text
+function checkPlainTextSecrets(config) {
+  const findings = [];
+
+  for (const [name, entry] of getCheckableEntries(config)) {
+    for (const [key, value] of Object.entries(entry.env || {})) {
+      if (typeof value !== 'string' || !value || PLACEHOLDER_PATTERN.test(value)) {
+        continue;
+      }
+      if (SECRET_KEY_PATTERN.test(key) || SECRET_VALUE_PATTERN.test(value)) {
+        const secretName = `${name}.${key}`;
+        findings.push(finding('secret.plainText', 'warning', name,
+          `env ${key} stores a credential in plain text`,
+          `Move it to the secret store and reference it as "${toReference('secret', secretName)}"`,
+          () => {
+            setSecret(secretName, value);
+            entry.env[key] = toReference('secret', secretName);
+            wrapWithLauncher(entry);
+          }));
+      }
+    }
+  }
+
+  return findings;
+}
+
+// Function to check whether a command is available on PATH
+function commandExists(command) {
+  try {
+    const probe = process.platform === 'win32' ? `where ${command}` : `command -v ${command}`;
+    execSync(probe, { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Function to locate the Chromium binary downloaded for Puppeteer
+function findChromium() {
+  try {
+    const executablePath = require('puppeteer').executablePath();
+    return executablePath && fs.existsSync(executablePath) ? executablePath : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to check the Node version, npx, Chromium and the server lockfile
+function checkEnvironment(config, { nodeVersion = process.versions.node } = {}) {
+  const findings = [];
+  const servers = getCheckableEntries(config).map(([, entry]) => entry);
+
+  const major = parseInt(nodeVersion.split('.')[0], 10);
+  if (major < MIN_NODE_MAJOR) {
+    findings.push(finding('env.node', 'error', null,
+      `Node ${nodeVersion} is too old; MCP servers need Node ${MIN_NODE_MAJOR} or later`,
+      `Install Node ${MIN_NODE_MAJOR}+ (for example with nvm) and re-run npm install`));
+  }
+
+  if (servers.some(entry => unwrapLauncher(entry).command === 'npx') && !commandExists('npx')) {
+    findings.push(finding('env.npx', 'error', null, 'npx is not on PATH',
+      'Install npm, or add its bin directory to PATH'));
+  }
+
+  const puppeteer = getServer('puppeteer');
+  const usesPuppeteer = servers.some(entry => matchesServer(entry, puppeteer));
+  if (usesPuppeteer && !findChromium()) {
+    findings.push(finding('env.chromium', 'warning', 'puppeteer', 'Puppeteer has no downloaded Chromium',
+      'Run "npx puppeteer browsers install chrome"'));
+  }
+
+  // Locked servers that are configured should be installed at the pinned version
+  try {
+    const lock = readLockfile();
+    const problems = lock ? verifyLockfile(lock, readPackageLock()) : [];
+    problems
+      .filter(problem => (config.mcpServers || {})[problem.server])
+      .forEach(problem => findings.push(finding('env.lock', 'warning', problem.server, problem.message,
+        'Run "npm ci", or "npm run lock -- --update" after a deliberate upgrade')));
+  } catch (error) {
+    findings.push(finding('env.lock', 'warning', null, `Could not verify mcp-lock.json: ${error.message}`,
+      'Regenerate it with "npm run lock -- --update"'));
+  }
+
+  return findings;
+}
+
+// Function to run every check against a config
+// Pass { environment: false } to skip the machine-wide checks
+function diagnose(config, options = {}) {
+  const findings = checkSchema(config);
+  if (findings.some(item => item.id === 'schema.mcpServers')) {
+    return findings;
+  }
+
+  return findings.concat(
+    checkPlaceholders(config),
+    checkReferences(config, options),
+    checkWorkspacePaths(config),
+    checkPlainTextSecrets(config),
+    options.environment === false ? [] : checkEnvironment(config, options)
+  ).sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+module.exports = {
+  MIN_NODE_MAJOR,
+  checkSchema,
+  checkPlaceholders,
+  checkReferences,
+  checkWorkspacePaths,
+  checkPlainTextSecrets,
+  checkEnvironment,
+  commandExists,
+  findChromium,
+  stripGlob,
+  diagnose
+};
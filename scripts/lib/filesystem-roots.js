@@ -0,0 +1,236 @@
+/**
+ * Filesystem Server Roots
+ *
+ * Builds the list of directories the filesystem MCP server may access.
+ * Instead of one broad workspace directory, the list is made of every git
+ * repository found under the workspace plus directories the user adds,
+ * filtered by exclude rules. The rules live in ~/.cursor/mcp-roots.json:
+ *
+ *   {
+ *     "discover": true,                         // add repositories found by findAllGitRepos
+ *     "include": ["~/notes", "~/Projects/*"],   // extra directories; "*" matches one level
+ *     "exclude": ["**\/archive-*", "~/Projects/secret"]
+ *   }
+ *
+ * Every candidate is checked against the filesystem before it is used:
+ * it must exist, be a readable directory, and not sit inside another root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { findAllGitRepos } = require('./workspace');
+
+const DEFAULT_RULES = { discover: true, include: [], exclude: [] };
+const GLOB_PATTERN = /[*?]/;
+
+// Function to get the path of the roots rules file
+function getRootsPath() {
+  return path.join(os.homedir(), '.cursor', 'mcp-roots.json');
+}
+
+// Function to read the rules file, filling in defaults
+function loadRootRules(rootsPath = getRootsPath()) {
+  if (!fs.existsSync(rootsPath)) {
+    return { ...DEFAULT_RULES };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(rootsPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${rootsPath}: ${error.message}`);
+  }
+
+  const rules = { ...DEFAULT_RULES, ...data };
+  for (const key of ['include', 'exclude']) {
+    if (!Array.isArray(rules[key]) || rules[key].some(entry => typeof entry !== 'string')) {
+      throw new Error(`${rootsPath}: "${key}" must be an array of paths`);
+    }
+  }
+  return rules;
+}
+
+// Function to write the rules file
+function saveRootRules(rules, rootsPath = getRootsPath()) {
+  fs.mkdirSync(path.dirname(rootsPath), { recursive: true });
+  const { discover, include, exclude } = rules;
+  fs.writeFileSync(rootsPath, JSON.stringify({ discover, include, exclude }, null, 2) + '\n');
+}
+
+// Function to expand "~" and make a path absolute
+function expandPath(entry) {
+  const expanded = entry === '~' || entry.startsWith('~/') ? path.join(os.homedir(), entry.slice(1)) : entry;
+  return path.resolve(expanded);
+}
+
+// Function to convert a glob into a regular expression over absolute paths
+// "**" matches any number of levels, "*" and "?" stay within one level;
+// "**/" only matches whole levels, so "**/archive-*" skips "myarchive-2020"
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*' && pattern[i + 2] === '/') {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Function to find the exclude rule that matches a directory or one of its parents
+function findExcludeRule(dir, exclude) {
+  for (const rule of exclude) {
+    const pattern = globToRegExp(rule.startsWith('**') ? rule : expandPath(rule));
+    for (let current = dir; ; current = path.dirname(current)) {
+      if (pattern.test(current)) {
+        return rule;
+      }
+      if (current === path.dirname(current)) {
+        break;
+      }
+    }
+  }
+  return null;
+}
+
+// Function to expand an include entry; "*" segments match existing directories
+function expandInclude(entry) {
+  const absolute = expandPath(entry);
+  if (!GLOB_PATTERN.test(absolute)) {
+    return [absolute];
+  }
+  if (absolute.includes('**')) {
+    throw new Error(`"**" is not supported in include entries: ${entry}`);
+  }
+
+  let matches = [path.parse(absolute).root];
+  for (const segment of absolute.split(path.sep).filter(Boolean)) {
+    if (!GLOB_PATTERN.test(segment)) {
+      matches = matches.map(dir => path.join(dir, segment));
+      continue;
+    }
+    const pattern = globToRegExp(segment);
+    matches = matches.flatMap(dir => {
+      try {
+        return fs.readdirSync(dir, { withFileTypes: true })
+          .filter(item => item.isDirectory() && pattern.test(item.name))
+          .map(item => path.join(dir, item.name));
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+  return matches;
+}
+
+// Function to check that a candidate is a readable directory
+// Returns the canonical path (real case and symlinks resolved) or a reason it was rejected
+function validateRoot(dir) {
+  if (!fs.existsSync(dir)) {
+    return { reason: 'does not exist' };
+  }
+  if (!fs.statSync(dir).isDirectory()) {
+    return { reason: 'is not a directory' };
+  }
+  try {
+    fs.accessSync(dir, fs.constants.R_OK | fs.constants.X_OK);
+  } catch (error) {
+    return { reason: 'is not readable' };
+  }
+  return { path: fs.realpathSync.native(dir) };
+}
+
+// Function to check whether `dir` is `parent` or lies inside it
+function isInside(dir, parent) {
+  const relative = path.relative(parent, dir);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Function to build the validated list of filesystem roots
+// Returns { roots, origins: [{ path, origin }], rejected: [{ path, reason }] };
+// nothing is written here
+function resolveFilesystemRoots({ workspaceDir, rules = loadRootRules(), findRepos = findAllGitRepos } = {}) {
+  const rejected = [];
+  const candidates = [];
+
+  const discovered = rules.discover && workspaceDir ? findRepos(workspaceDir).sort() : [];
+  candidates.push(...discovered.map(dir => ({ dir, origin: 'repository' })));
+
+  for (const entry of rules.include) {
+    try {
+      const expanded = expandInclude(entry);
+      if (expanded.length === 0) {
+        rejected.push({ path: entry, reason: 'matches no directories' });
+      }
+      candidates.push(...expanded.map(dir => ({ dir, origin: 'include' })));
+    } catch (error) {
+      rejected.push({ path: entry, reason: error.message });
+    }
+  }
+
+  // Without repositories or explicit entries, fall back to the workspace itself
+  if (candidates.length === 0 && workspaceDir) {
+    candidates.push({ dir: workspaceDir, origin: 'workspace' });
+  }
+
+  const valid = [];
+  for (const candidate of candidates) {
+    const result = validateRoot(candidate.dir);
+    if (result.reason) {
+      rejected.push({ path: candidate.dir, reason: result.reason });
+      continue;
+    }
+    const rule = findExcludeRule(result.path, rules.exclude);
+    if (rule) {
+      rejected.push({ path: result.path, reason: `excluded by "${rule}"` });
+      continue;
+    }
+    if (!valid.some(root => root.path === result.path)) {
+      valid.push({ path: result.path, origin: candidate.origin });
+    }
+  }
+
+  // A root inside another root adds nothing
+  const roots = valid.filter(root => {
+    const parent = valid.find(other => other !== root && isInside(root.path, other.path));
+    if (parent) {
+      rejected.push({ path: root.path, reason: `already covered by ${parent.path}` });
+    }
+    return !parent;
+  });
+
+  return { roots: roots.map(root => root.path), origins: roots, rejected };
+}
+
+// Function to resolve the roots, refusing to continue when none are usable
+function requireFilesystemRoots(options) {
+  const result = resolveFilesystemRoots(options);
+  if (result.roots.length === 0) {
+    const reasons = result.rejected.map(item => `${item.path} ${item.reason}`).join('; ');
+    throw new Error(`No usable filesystem roots${reasons ? `: ${reasons}` : ''}. ` +
+      'Add one with "npm run roots -- add <dir>"');
+  }
+  return result;
+}
+
+module.exports = {
+  getRootsPath,
+  loadRootRules,
+  saveRootRules,
+  expandPath,
+  globToRegExp,
+  findExcludeRule,
+  resolveFilesystemRoots,
+  requireFilesystemRoots
+};
@@ -0,0 +1,1053 @@
+/**
+ * MCP Stdio-to-HTTP Gateway
+ *
+ * A stdio MCP server can only talk to the process that owns its pipes. The
+ * gateway owns them and exposes the server on a localhost port, so Cursor,
+ * the test scripts and the examples can share one running instance:
+ *
+ *   POST/GET/DELETE /mcp            Streamable HTTP transport (protocol 2025-03-26)
+ *   GET /sse + POST /messages       HTTP+SSE transport (protocol 2024-11-05)
+ *   GET /health                     JSON summary for scripts
+ *
+ * The gateway initializes the server once and answers each client's
+ * "initialize" from that result. Request ids and progress tokens are
+ * rewritten on the way in, so clients that pick the same ids never see each
+ * other's responses. Server notifications are sent to every client.
+ *
+ * Servers with an idle timeout are started on demand: the gateway listens
+ * straight away and starts the server when the first request it cannot
+ * answer itself arrives. A cold server is not started for "initialize",
+ * "ping" or a list it has answered before, so clients that only connect and
+ * list, like the aggregating proxy, leave it stopped. Once no request has
+ * been in flight for the timeout, the server is stopped again while the
+ * gateway and its client sessions stay up. The server is in one of four
+ * states:
+ *
+ *   cold      not running; the next request starts it
+ *   warming   started, not initialized yet
+ *   warm      working on at least one request
+ *   idle      running with nothing to do; stopped when the timeout runs out
+ *
+ * Tool calls are held to the server's limits from the registry: calls
+ * beyond maxConcurrentCalls wait for a free slot, and a call that takes
+ * longer than callTimeoutSeconds is cancelled and answered with an error.
+ * Both are reported as limit events (see onEvent).
+ *
+ * Ports and idle timeouts come from the registry (gatewayPort,
+ * idleTimeoutMinutes) and can be overridden in ~/.cursor/mcp-gateway.json:
+ *
+ *   {
+ *     "enabled": true,                  // run supervised servers behind the gateway
+ *     "host": "127.0.0.1",              // loopback only
+ *     "ports": { "github": 4100 },
+ *     "idleTimeouts": { "puppeteer": 5, "github": 0 }   // minutes; 0 keeps it running
+ *   }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { terminateTree } = require('./process-tree');
+const { readState, isProcessAlive } = require('./state');
+
+const GATEWAY_SCRIPT = path.join(__dirname, '..', 'mcp-gateway.js');
+const PROTOCOL_VERSION = '2025-03-26';
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+const DEFAULT_CONFIG = { enabled: true, host: '127.0.0.1', ports: {}, idleTimeouts: {} };
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const INIT_TIMEOUT_MS = 120000;
+const KEEPALIVE_MS = 25000;
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// JSON-RPC error codes used by the gateway
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const SERVER_GONE = -32000;
+const REQUEST_CANCELLED = -32800;
+const REQUEST_TIMEOUT = -32001;
+
+// List requests a cold server is not started for once their first page is
+// cached, and the notification that makes each cached page stale
+const CACHED_LISTS = {
+  'tools/list': 'notifications/tools/list_changed',
+  'resources/list': 'notifications/resources/list_changed',
+  'resources/templates/list': 'notifications/resources/list_changed',
+  'prompts/list': 'notifications/prompts/list_changed'
+};
+
+// Function to get the path of the gateway settings file
+function getGatewayConfigPath() {
+  return path.join(os.homedir(), '.cursor', 'mcp-gateway.json');
+}
+
+// Function to read the gateway settings, filling in defaults
+function loadGatewayConfig(configPath = getGatewayConfigPath()) {
+  if (!fs.existsSync(configPath)) {
+    return { ...DEFAULT_CONFIG, ports: {}, idleTimeouts: {} };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error.message}`);
+  }
+
+  const config = { ...DEFAULT_CONFIG, ...data, ports: { ...(data.ports || {}) }, idleTimeouts: { ...(data.idleTimeouts || {}) } };
+  if (typeof config.enabled !== 'boolean') {
+    throw new Error(`${configPath}: "enabled" must be true or false`);
+  }
+  if (!LOOPBACK_HOSTS.includes(config.host)) {
+    throw new Error(`${configPath}: "host" must be a loopback address (${LOOPBACK_HOSTS.join(', ')})`);
+  }
+  for (const [name, port] of Object.entries(config.ports)) {
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error(`${configPath}: port for "${name}" must be a number between 1 and 65535`);
+    }
+  }
+  for (const [name, minutes] of Object.entries(config.idleTimeouts)) {
+    if (typeof minutes !== 'number' || !Number.isFinite(minutes) || minutes < 0) {
+      throw new Error(`${configPath}: idle timeout for "${name}" must be a number of minutes (0 keeps it running)`);
+    }
+  }
+  return config;
+}
+
+// Function to get the port a server's gateway listens on
+function getGatewayPort(server, config = loadGatewayConfig()) {
+  return config.ports[server.name] || server.gatewayPort;
+}
+
+// Function to get how many idle minutes a server is kept running; 0 means always
+function getIdleTimeoutMinutes(server, config = loadGatewayConfig()) {
+  const configured = config.idleTimeouts[server.name];
+  return configured === undefined ? server.idleTimeoutMinutes : configured;
+}
+
+// Function to get the Streamable HTTP endpoint of a server's gateway
+function getGatewayUrl(server, config = loadGatewayConfig(), pathname = '/mcp') {
+  const host = config.host.includes(':') ? `[${config.host}]` : config.host;
+  return `http://${host}:${getGatewayPort(server, config)}${pathname}`;
+}
+
+// Function to get the state file in which a running gateway describes its server
+function getGatewayStateName(name) {
+  return path.join('gateways', `${name}.json`);
+}
+
+// Function to read what a running gateway reports about its server, or null
+// Returns { name, pid, port, state, since, serverPid, idleTimeoutMs, starts }
+function readGatewayState(name) {
+  const data = readState(getGatewayStateName(name));
+  return data && isProcessAlive(data.pid) ? data : null;
+}
+
+// Function to wrap a server's spawn spec so it runs behind the gateway
+// The spec's environment is kept; the gateway passes it on to the server
+function wrapWithGateway(server, spec, config = loadGatewayConfig()) {
+  const idleTimeout = getIdleTimeoutMinutes(server, config);
+  const limits = server.limits || {};
+  return {
+    command: process.execPath,
+    args: [
+      GATEWAY_SCRIPT,
+      server.name,
+      `--port=${getGatewayPort(server, config)}`,
+      `--host=${config.host}`,
+      ...(idleTimeout > 0 ? [`--idle-timeout=${idleTimeout}`] : []),
+      ...(limits.maxConcurrentCalls ? [`--max-calls=${limits.maxConcurrentCalls}`] : []),
+      ...(limits.callTimeoutSeconds ? [`--call-timeout=${limits.callTimeoutSeconds}`] : []),
+      '--',
+      spec.command,
+      ...spec.args
+    ],
+    env: spec.env,
+    url: getGatewayUrl(server, config)
+  };
+}
+
+// Function to check that a Host or Origin header names this machine
+// Browsers send both; rejecting other names stops DNS rebinding attacks
+function isLocalAddress(value) {
+  try {
+    const hostname = new URL(value.includes('://') ? value : `http://${value}`).hostname.replace(/^\[|\]$/g, '');
+    return LOOPBACK_HOSTS.includes(hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Function to read a request body as JSON
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(Object.assign(new Error(`Parse error: ${error.message}`), { status: 400, code: PARSE_ERROR }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Function to send a JSON body
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Function to send a JSON-RPC error that is not tied to a request
+function sendRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: '2.0', id: null, error: { code, message } });
+}
+
+// Function to open a Server-Sent Events stream on a response
+// Returns { send(message, event), close() }; a comment line is sent
+// every 25s so idle connections are not dropped
+function openEventStream(res, headers = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    ...headers
+  });
+  res.flushHeaders();
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+  keepalive.unref();
+  res.on('close', () => clearInterval(keepalive));
+
+  return {
+    send(message, event = 'message') {
+      res.write(`event: ${event}\ndata: ${typeof message === 'string' ? message : JSON.stringify(message)}\n\n`);
+    },
+    close() {
+      clearInterval(keepalive);
+      res.end();
+    }
+  };
+}
+
+// Function to tell JSON-RPC message kinds apart
+function isRequest(message) {
+  return typeof message.method === 'string' && message.id !== undefined && message.id !== null;
+}
+
+function isNotification(message) {
+  return typeof message.method === 'string' && (message.id === undefined || message.id === null);
+}
+
+// Function to create a gateway for one stdio server
+// Returns { child, state, listen(), close(), exited }. With `idleTimeoutMs` the
+// server is started by the first request it is needed for (see answerCold)
+// and stopped after that long without one; otherwise it starts right away. `maxConcurrentCalls` and
+// `callTimeoutMs` (0 for no limit) hold tool calls to the server's limits,
+// and `onEvent({ message, type, limit, ... })` hears when they are hit.
+// `onStateChange(details)` hears about every change of state, and
+// `onExit(code, signal, error)` is called once the server has exited on its
+// own and the HTTP server is closed
+function createGateway({
+  name,
+  command,
+  args = [],
+  env = process.env,
+  host = DEFAULT_CONFIG.host,
+  port,
+  idleTimeoutMs = 0,
+  maxConcurrentCalls = 0,
+  callTimeoutMs = 0,
+  log = () => {},
+  onEvent = () => {},
+  onStateChange = () => {},
+  onExit = () => {}
+}) {
+  const lazy = idleTimeoutMs > 0;
+  const sessions = new Map();
+  const pending = new Map();
+  const progressTokens = new Map();
+  let nextId = 1;
+  let initializeResult = null;
+  const cachedLists = new Map();
+  let exited = false;
+
+  // The running server, if any, and its initialization
+  const INIT_ID = 'gateway-initialize';
+  let child = null;
+  let ready = null;
+  let initialized = false;
+  let initTimer;
+  let rejectReady = () => {};
+  let stoppingIdle = null;
+  let idleStopped = () => {};
+
+  // Tool calls running on the server, the ones waiting for a free slot, and
+  // the limited calls whose forwarding has not finished yet
+  let activeCalls = 0;
+  const callQueue = [];
+  let openCalls = 0;
+
+  let state = 'cold';
+  let stateSince = Date.now();
+  let starts = 0;
+  let idleTimer = null;
+
+  const httpServer = http.createServer((req, res) => {
+    handleHttp(req, res).catch(error => {
+      if (!res.headersSent) {
+        sendRpcError(res, error.status || 500, error.code || INVALID_REQUEST, error.message);
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  // Function to write a message to the server
+  function sendToServer(message) {
+    if (child && !exited) {
+      child.stdin.write(JSON.stringify(message) + '\n');
+    }
+  }
+
+  // Function to describe the server's state for /health and onStateChange
+  function describeState() {
+    return {
+      state,
+      since: new Date(stateSince).toISOString(),
+      serverPid: child ? child.pid : null,
+      idleTimeoutMs: lazy ? idleTimeoutMs : null,
+      starts
+    };
+  }
+
+  // Function to work out the server's state after anything that may change it
+  // Entering "idle" starts the countdown to stopping the server
+  function updateState() {
+    const inFlight = [...pending.keys()].some(id => id !== INIT_ID);
+    const next = !child ? 'cold' : !initialized ? 'warming' : inFlight ? 'warm' : 'idle';
+    if (next === state) {
+      return;
+    }
+    state = next;
+    stateSince = Date.now();
+    clearTimeout(idleTimer);
+    if (state === 'idle' && lazy) {
+      idleTimer = setTimeout(stopIdleServer, idleTimeoutMs);
+      idleTimer.unref();
+    }
+    onStateChange(describeState());
+  }
+
+  // Function to start the server and initialize it
+  // Initialization: the gateway is the server's only real client
+  function startServer() {
+    starts++;
+    initialized = false;
+    // The server leads its own process group, so an idle stop can end it
+    // together with whatever it started (npx, a browser)
+    const current = spawn(command, args, {
+      stdio: ['pipe', 'pipe', 'inherit'],
+      env,
+      detached: process.platform !== 'win32',
+      shell: process.platform === 'win32'
+    });
+    child = current;
+    current.stdin.on('error', () => {});
+    current.once('error', error => serverExited(current, null, null, error));
+    current.once('exit', (code, signal) => serverExited(current, code, signal, null));
+
+    // Server output: one JSON-RPC message per line
+    readline.createInterface({ input: current.stdout }).on('line', line => {
+      if (current !== child || !line.trim()) {
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        log(`ignoring non-JSON output from ${name}: ${line.slice(0, 200)}`);
+        return;
+      }
+      (Array.isArray(message) ? message : [message]).forEach(handleServerMessage);
+    });
+
+    ready = new Promise((resolve, reject) => {
+      rejectReady = reject;
+      pending.set(INIT_ID, {
+        deliver(message) {
+          clearTimeout(initTimer);
+          if (message.error) {
+            reject(new Error(`${name} refused to initialize: ${message.error.message}`));
+            return;
+          }
+          initializeResult = message.result;
+          initialized = true;
+          sendToServer({ jsonrpc: '2.0', method: 'notifications/initialized' });
+          resolve(initializeResult);
+          updateState();
+        }
+      });
+      initTimer = setTimeout(() => reject(new Error(`${name} did not answer "initialize" within ${INIT_TIMEOUT_MS / 1000}s`)), INIT_TIMEOUT_MS);
+    });
+    ready.catch(() => {});
+    sendToServer({
+      jsonrpc: '2.0',
+      id: INIT_ID,
+      method: 'initialize',
+      params: {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: 'cursor-automation-gateway', version: '1.0.0' }
+      }
+    });
+    updateState();
+    if (lazy) {
+      log(`starting ${name} (PID ${current.pid}) for an incoming request`);
+    }
+    return ready;
+  }
+
+  // Function to check whether the server is stopped or on its way there
+  function isCold() {
+    return !child || Boolean(stoppingIdle);
+  }
+
+  // Function to answer a request without the server, or return false
+  // A cold server is not started to be pinged, initialized or asked for a
+  // list it already gave; "initialize" gets the last initialization, or
+  // tool support only before the server ever ran
+  function answerCold(message) {
+    if (message.method === 'ping') {
+      return { result: {} };
+    }
+    if (message.method === 'initialize') {
+      const requested = message.params && message.params.protocolVersion;
+      return {
+        result: initializeResult || {
+          protocolVersion: typeof requested === 'string' ? requested : PROTOCOL_VERSION,
+          capabilities: { tools: {} },
+          serverInfo: { name, version: 'unknown' }
+        }
+      };
+    }
+    const firstPage = !message.params || message.params.cursor === undefined;
+    if (firstPage && cachedLists.has(message.method)) {
+      return { result: cachedLists.get(message.method) };
+    }
+    return false;
+  }
+
+  // Function to get the server initialized, starting it if it is cold
+  // A request that arrives while an idle server is being stopped waits for a fresh one
+  async function ensureServer() {
+    if (stoppingIdle) {
+      await stoppingIdle;
+    }
+    return child ? ready : startServer();
+  }
+
+  // Function to stop a server that stayed idle for the whole timeout
+  // Its whole process tree goes, so browsers it started do not linger
+  function stopIdleServer() {
+    if (state !== 'idle' || !child) {
+      return;
+    }
+    stoppingIdle = new Promise(resolve => { idleStopped = resolve; });
+    log(`stopping ${name} (PID ${child.pid}) after ${Math.round(idleTimeoutMs / 1000)}s idle`);
+    child.stdin.end();
+    terminateTree(child.pid, { name }).catch(() => {});
+  }
+
+  // Function to clean up after the server exits
+  // An idle stop leaves the gateway waiting for the next request; any other
+  // exit ends the gateway too, so the supervisor sees it as the server's
+  function serverExited(current, code, signal, error) {
+    if (current !== child) {
+      return;
+    }
+    child = null;
+    initialized = false;
+    clearTimeout(initTimer);
+    rejectReady(new Error(`${name} exited before it was initialized`));
+    for (const [gatewayId, entry] of pending) {
+      if (gatewayId !== INIT_ID) {
+        entry.deliver({ jsonrpc: '2.0', id: entry.id, error: { code: SERVER_GONE, message: `${name} has exited` } });
+      }
+    }
+    pending.clear();
+    progressTokens.clear();
+
+    updateState();
+    if (stoppingIdle) {
+      stoppingIdle = null;
+      idleStopped();
+      return;
+    }
+    finish(code, signal, error);
+  }
+
+  // Function to route one message from the server to the right client
+  function handleServerMessage(message) {
+    if (message.id !== undefined && message.id !== null && !message.method) {
+      const entry = pending.get(message.id);
+      if (!entry) {
+        return;
+      }
+      pending.delete(message.id);
+      if (entry.progressToken !== undefined) {
+        progressTokens.delete(entry.gatewayToken);
+      }
+      entry.deliver({ ...message, id: entry.id });
+      updateState();
+      return;
+    }
+
+    if (isRequest(message)) {
+      // Clients are initialized without capabilities, so the only request a
+      // server may send is ping; anything else cannot be routed to one client
+      if (message.method === 'ping') {
+        sendToServer({ jsonrpc: '2.0', id: message.id, result: {} });
+      } else {
+        sendToServer({ jsonrpc: '2.0', id: message.id, error: { code: METHOD_NOT_FOUND, message: `The gateway does not forward "${message.method}" to clients` } });
+      }
+      return;
+    }
+
+    if (message.method === 'notifications/progress' && message.params) {
+      const entry = progressTokens.get(message.params.progressToken);
+      if (entry) {
+        entry.deliver({ ...message, params: { ...message.params, progressToken: entry.progressToken } });
+      }
+      return;
+    }
+
+    if (message.method === 'notifications/cancelled' && message.params) {
+      const entry = pending.get(message.params.requestId);
+      if (entry) {
+        // The client still gets an answer, so its HTTP request does not hang
+        pending.delete(message.params.requestId);
+        progressTokens.delete(entry.gatewayToken);
+        entry.deliver({ jsonrpc: '2.0', id: entry.id, error: { code: REQUEST_CANCELLED, message: message.params.reason || 'Cancelled by the server' } });
+        updateState();
+      }
+      return;
+    }
+
+    for (const [method, notification] of Object.entries(CACHED_LISTS)) {
+      if (message.method === notification) {
+        cachedLists.delete(method);
+      }
+    }
+    for (const session of sessions.values()) {
+      sendToSession(session, message);
+    }
+  }
+
+  // Function to send a message on a session's long-lived stream
+  // Streamable HTTP clients that have not opened a GET stream miss it
+  function sendToSession(session, message) {
+    const stream = session.streams[session.streams.length - 1];
+    if (stream) {
+      stream.send(message);
+    }
+  }
+
+  // Function to take a tool call slot; resolves with true once the call may run
+  // Returns { promise, cancel() } so a call that times out while waiting leaves
+  // the queue; its promise then resolves with false
+  function acquireCallSlot(toolName) {
+    if (!maxConcurrentCalls || activeCalls < maxConcurrentCalls) {
+      activeCalls++;
+      return { promise: Promise.resolve(true), cancel: () => {} };
+    }
+    const waiter = {};
+    const promise = new Promise(resolve => { waiter.resolve = resolve; });
+    callQueue.push(waiter);
+    onEvent({
+      message: `concurrency limit reached: ${activeCalls} calls running, "${toolName}" waits as number ${callQueue.length} in line`,
+      type: 'limit',
+      limit: 'concurrency',
+      value: activeCalls + callQueue.length,
+      max: maxConcurrentCalls,
+      unit: 'calls',
+      tool: toolName,
+      action: 'queued'
+    });
+    const cancel = () => {
+      const index = callQueue.indexOf(waiter);
+      if (index !== -1) {
+        callQueue.splice(index, 1);
+        waiter.resolve(false);
+      }
+    };
+    return { promise, cancel };
+  }
+
+  // Function to hand a finished call's slot to the next waiting call
+  function releaseCallSlot() {
+    const next = callQueue.shift();
+    if (next) {
+      next.resolve(true);
+    } else {
+      activeCalls--;
+    }
+  }
+
+  // Function to forward a tool call within the concurrency and time limits
+  // It counts as open until it is forwarded or given up
+  async function forwardToolCall(message, deliver, forward) {
+    openCalls++;
+    try {
+      await forwardLimitedCall(message, deliver, forward);
+    } finally {
+      openCalls--;
+    }
+  }
+
+  // Function to wait for a call slot and forward the call, or time it out
+  // The slot is held until the call is answered, cancelled or timed out
+  async function forwardLimitedCall(message, deliver, forward) {
+    const toolName = message.params && message.params.name;
+    let settled = false;
+    let holdsSlot = false;
+    let timer = null;
+    const settle = () => {
+      if (settled) return false;
+      settled = true;
+      clearTimeout(timer);
+      if (holdsSlot) releaseCallSlot();
+      return true;
+    };
+
+    const slot = acquireCallSlot(toolName);
+    if (callTimeoutMs > 0) {
+      timer = setTimeout(() => {
+        if (!settle()) return;
+        slot.cancel();
+        const match = [...pending].find(([, entry]) => entry.settle === settle);
+        if (match) {
+          pending.delete(match[0]);
+          progressTokens.delete(match[1].gatewayToken);
+          sendToServer({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: match[0], reason: 'Timed out' } });
+          updateState();
+        }
+        onEvent({
+          message: `call timeout: "${toolName}" did not finish within ${callTimeoutMs / 1000}s and was cancelled`,
+          type: 'limit',
+          limit: 'timeout',
+          value: callTimeoutMs / 1000,
+          max: callTimeoutMs / 1000,
+          unit: 's',
+          tool: toolName,
+          action: 'cancelled'
+        });
+        deliver({ jsonrpc: '2.0', id: message.id, error: { code: REQUEST_TIMEOUT, message: `${name} did not finish "${toolName}" within ${callTimeoutMs / 1000}s` } });
+      }, callTimeoutMs);
+      timer.unref();
+    }
+
+    if (!(await slot.promise)) {
+      // Timed out while queued; the timer already answered the client
+      return;
+    }
+    holdsSlot = true;
+    if (settled) {
+      // Timed out while waiting; the slot goes straight to the next call
+      releaseCallSlot();
+      return;
+    }
+    if (exited) {
+      settle();
+      deliver({ jsonrpc: '2.0', id: message.id, error: { code: SERVER_GONE, message: `${name} has exited` } });
+      return;
+    }
+    // Progress notifications pass through; the answer ends the call
+    forward(response => {
+      if (response.id === undefined || settle()) deliver(response);
+    }, settle);
+  }
+
+  // Function to forward one client message; responses go to `deliver`
+  // Returns true when a response will follow
+  async function handleClientMessage(session, message, deliver) {
+    if (!message || message.jsonrpc !== '2.0') {
+      deliver({ jsonrpc: '2.0', id: message && message.id !== undefined ? message.id : null, error: { code: INVALID_REQUEST, message: 'Not a JSON-RPC 2.0 message' } });
+      return true;
+    }
+
+    if (isRequest(message)) {
+      if (exited) {
+        deliver({ jsonrpc: '2.0', id: message.id, error: { code: SERVER_GONE, message: `${name} has exited` } });
+        return true;
+      }
+      const coldAnswer = lazy && isCold() && answerCold(message);
+      if (coldAnswer) {
+        deliver({ jsonrpc: '2.0', id: message.id, ...coldAnswer });
+        return true;
+      }
+      try {
+        const result = await ensureServer();
+        if (message.method === 'initialize') {
+          deliver({ jsonrpc: '2.0', id: message.id, result });
+          return true;
+        }
+      } catch (error) {
+        deliver({ jsonrpc: '2.0', id: message.id, error: { code: SERVER_GONE, message: error.message } });
+        return true;
+      }
+
+      // `settle` lets a limited tool call give back its slot however it ends
+      const forward = (deliverTo, settle = null) => {
+        const gatewayId = nextId++;
+        const entry = { session, id: message.id, deliver: deliverTo, replyTo: deliver, settle };
+        const meta = message.params && message.params._meta;
+        let forwarded = { ...message, id: gatewayId };
+        if (meta && meta.progressToken !== undefined) {
+          entry.progressToken = meta.progressToken;
+          entry.gatewayToken = `${gatewayId}`;
+          progressTokens.set(entry.gatewayToken, entry);
+          forwarded = { ...forwarded, params: { ...message.params, _meta: { ...meta, progressToken: entry.gatewayToken } } };
+        }
+        pending.set(gatewayId, entry);
+        sendToServer(forwarded);
+        updateState();
+      };
+      if (message.method === 'tools/call' && (maxConcurrentCalls > 0 || callTimeoutMs > 0)) {
+        forwardToolCall(message, deliver, forward);
+      } else if (CACHED_LISTS[message.method] && (!message.params || message.params.cursor === undefined)) {
+        // First pages are kept for clients that list while the server is cold
+        forward(response => {
+          if (response.result) {
+            cachedLists.set(message.method, response.result);
+          }
+          deliver(response);
+        });
+      } else {
+        forward(deliver);
+      }
+      return true;
+    }
+
+    if (isNotification(message)) {
+      if (message.method === 'notifications/initialized') {
+        return false;
+      }
+      if (message.method === 'notifications/cancelled' && message.params) {
+        const match = [...pending].find(([, entry]) => entry.session === session && entry.id === message.params.requestId);
+        if (match) {
+          sendToServer({ ...message, params: { ...message.params, requestId: match[0] } });
+          // The server does not answer a cancelled request, so its tool call slot is freed here
+          if (match[1].settle) {
+            pending.delete(match[0]);
+            progressTokens.delete(match[1].gatewayToken);
+            match[1].settle();
+            updateState();
+          }
+        }
+        return false;
+      }
+      sendToServer(message);
+    }
+    // Responses would answer server requests, which are never forwarded
+    return false;
+  }
+
+  // Function to cancel a client's requests the server is still working on
+  function cancelPending(filter, reason) {
+    for (const [gatewayId, entry] of pending) {
+      if (gatewayId !== INIT_ID && filter(entry)) {
+        pending.delete(gatewayId);
+        progressTokens.delete(entry.gatewayToken);
+        if (entry.settle) entry.settle();
+        sendToServer({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: gatewayId, reason } });
+      }
+    }
+    updateState();
+  }
+
+  // Function to create a client session
+  function createSession(transport) {
+    const session = { id: crypto.randomUUID(), transport, streams: [], lastSeen: Date.now() };
+    sessions.set(session.id, session);
+    log(`${transport} session ${session.id} opened (${sessions.size} active)`);
+    return session;
+  }
+
+  // Function to end a client session and everything it was waiting for
+  function closeSession(session) {
+    if (!sessions.delete(session.id)) {
+      return;
+    }
+    cancelPending(entry => entry.session === session, 'Client disconnected');
+    session.streams.forEach(stream => stream.close());
+    log(`${session.transport} session ${session.id} closed (${sessions.size} active)`);
+  }
+
+  // Streamable HTTP: one endpoint for POST (messages), GET (server stream) and DELETE (end session)
+  async function handleStreamable(req, res) {
+    const accept = req.headers.accept || '*/*';
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (req.method === 'POST') {
+      const body = await readJsonBody(req);
+      const messages = Array.isArray(body) ? body : [body];
+      if (messages.length === 0) {
+        return sendRpcError(res, 400, INVALID_REQUEST, 'Empty batch');
+      }
+
+      let session;
+      const initializing = messages.some(message => message && message.method === 'initialize');
+      if (initializing) {
+        if (messages.length > 1) {
+          return sendRpcError(res, 400, INVALID_REQUEST, '"initialize" must be sent on its own');
+        }
+        session = createSession('streamable-http');
+      } else if (!sessionId) {
+        return sendRpcError(res, 400, INVALID_REQUEST, 'Missing Mcp-Session-Id header');
+      } else if (!sessions.has(sessionId)) {
+        return sendRpcError(res, 404, SERVER_GONE, 'Unknown or expired session');
+      } else {
+        session = sessions.get(sessionId);
+      }
+      session.lastSeen = Date.now();
+      const headers = { 'Mcp-Session-Id': session.id };
+
+      const expected = messages.filter(message => !message || message.jsonrpc !== '2.0' || isRequest(message)).length;
+      if (expected === 0) {
+        for (const message of messages) {
+          await handleClientMessage(session, message, () => {});
+        }
+        res.writeHead(202, headers);
+        return res.end();
+      }
+
+      // Answer on an event stream when the client takes one, so progress
+      // notifications arrive before the result; otherwise as plain JSON
+      const responses = [];
+      const stream = accept.includes('text/event-stream') ? openEventStream(res, headers) : null;
+      let disconnected = false;
+      await new Promise(resolve => {
+        const deliver = message => {
+          if (message.id === undefined) {
+            if (stream) stream.send(message);
+            return;
+          }
+          responses.push(message);
+          if (stream) stream.send(message);
+          if (responses.length === expected) resolve();
+        };
+        res.on('close', () => {
+          if (responses.length < expected) {
+            disconnected = true;
+            cancelPending(entry => entry.replyTo === deliver, 'Client disconnected');
+            resolve();
+          }
+        });
+        messages.reduce((chain, message) => chain.then(() => handleClientMessage(session, message, deliver)), Promise.resolve());
+      });
+      if (disconnected) {
+        return undefined;
+      }
+      if (stream) {
+        return stream.close();
+      }
+      return sendJson(res, 200, Array.isArray(body) ? responses : responses[0], headers);
+    }
+
+    if (req.method === 'GET') {
+      if (!accept.includes('text/event-stream')) {
+        res.writeHead(406);
+        return res.end();
+      }
+      const session = sessionId && sessions.get(sessionId);
+      if (!session) {
+        return sendRpcError(res, sessionId ? 404 : 400, INVALID_REQUEST, sessionId ? 'Unknown or expired session' : 'Missing Mcp-Session-Id header');
+      }
+      const stream = openEventStream(res, { 'Mcp-Session-Id': session.id });
+      session.streams.push(stream);
+      res.on('close', () => {
+        session.streams = session.streams.filter(item => item !== stream);
+        session.lastSeen = Date.now();
+      });
+      return undefined;
+    }
+
+    if (req.method === 'DELETE') {
+      const session = sessionId && sessions.get(sessionId);
+      if (!session) {
+        return sendRpcError(res, 404, INVALID_REQUEST, 'Unknown or expired session');
+      }
+      closeSession(session);
+      res.writeHead(200);
+      return res.end();
+    }
+
+    res.writeHead(405, { Allow: 'GET, POST, DELETE' });
+    return res.end();
+  }
+
+  // HTTP+SSE: the client keeps GET /sse open and posts to the endpoint it announces
+  async function handleLegacySse(req, res, url) {
+    if (url.pathname === '/sse' && req.method === 'GET') {
+      const session = createSession('sse');
+      const stream = openEventStream(res);
+      session.streams.push(stream);
+      stream.send(`/messages?sessionId=${session.id}`, 'endpoint');
+      res.on('close', () => closeSession(session));
+      return undefined;
+    }
+
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: url.pathname === '/sse' ? 'GET' : 'POST' });
+      return res.end();
+    }
+    const session = sessions.get(url.searchParams.get('sessionId'));
+    if (!session || session.transport !== 'sse') {
+      return sendRpcError(res, 404, INVALID_REQUEST, 'Unknown session');
+    }
+    const body = await readJsonBody(req);
+    res.writeHead(202);
+    res.end('Accepted');
+    for (const message of Array.isArray(body) ? body : [body]) {
+      await handleClientMessage(session, message, response => sendToSession(session, response));
+    }
+    return undefined;
+  }
+
+  // Function to dispatch an HTTP request
+  async function handleHttp(req, res) {
+    if (!isLocalAddress(req.headers.host || '') || (req.headers.origin && !isLocalAddress(req.headers.origin))) {
+      return sendRpcError(res, 403, INVALID_REQUEST, 'Only local clients may connect');
+    }
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/mcp') {
+      return handleStreamable(req, res);
+    }
+    if (url.pathname === '/sse' || url.pathname === '/messages') {
+      return handleLegacySse(req, res, url);
+    }
+    if (url.pathname === '/health' && req.method === 'GET') {
+      const counts = { 'streamable-http': 0, sse: 0 };
+      sessions.forEach(session => { counts[session.transport]++; });
+      return sendJson(res, state === 'warming' ? 503 : 200, {
+        name,
+        pid: process.pid,
+        ...describeState(),
+        ready: state !== 'warming',
+        server: initializeResult ? initializeResult.serverInfo : null,
+        protocolVersion: initializeResult ? initializeResult.protocolVersion : null,
+        sessions: counts,
+        pendingRequests: [...pending.keys()].filter(id => id !== INIT_ID).length,
+        toolCalls: { running: activeCalls, queued: callQueue.length, open: openCalls }
+      });
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('Not found. Use /mcp (Streamable HTTP), /sse (HTTP+SSE) or /health\n');
+  }
+
+  // Streamable HTTP sessions end with DELETE, but clients that crash never send it
+  const sweeper = setInterval(() => {
+    for (const session of sessions.values()) {
+      if (session.transport === 'streamable-http' && session.streams.length === 0 && Date.now() - session.lastSeen > SESSION_IDLE_MS) {
+        closeSession(session);
+      }
+    }
+  }, 60000);
+  sweeper.unref();
+
+  // Function to close the gateway once the server is gone for good
+  let resolveExited;
+  const exitedPromise = new Promise(resolve => { resolveExited = resolve; });
+  function finish(code, signal, error) {
+    if (exited) {
+      return;
+    }
+    exited = true;
+    clearTimeout(idleTimer);
+    clearInterval(sweeper);
+    [...sessions.values()].forEach(closeSession);
+    httpServer.close(() => {
+      onExit(code, signal, error);
+      resolveExited({ code, signal, error });
+    });
+    httpServer.closeAllConnections();
+  }
+
+  // Function to start accepting clients
+  // A server without an idle timeout is started and initialized first
+  async function listen() {
+    if (!lazy) {
+      await startServer();
+    }
+    await new Promise((resolve, reject) => {
+      httpServer.once('error', error => {
+        reject(error.code === 'EADDRINUSE' ? new Error(`Port ${port} on ${host} is already in use`) : error);
+      });
+      httpServer.listen(port, host, resolve);
+    });
+    const address = httpServer.address();
+    const url = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}/mcp`;
+    if (lazy) {
+      log(`${name} is available at ${url}; it starts when a request needs it and stops after ${Math.round(idleTimeoutMs / 1000)}s idle`);
+    } else {
+      log(`${name} (PID ${child.pid}) is available at ${url}`);
+    }
+    return address.port;
+  }
+
+  // Function to stop the server and the gateway; resolves with how the server exited
+  function close() {
+    stoppingIdle = null;
+    if (child) {
+      child.stdin.end();
+      terminateTree(child.pid, { name }).catch(() => {});
+    } else {
+      finish(0, null, null);
+    }
+    return exitedPromise;
+  }
+
+  return {
+    get child() {
+      return child;
+    },
+    get state() {
+      return describeState();
+    },
+    listen,
+    close,
+    exited: exitedPromise
+  };
+}
+
+module.exports = {
+  GATEWAY_SCRIPT,
+  PROTOCOL_VERSION,
+  getGatewayConfigPath,
+  loadGatewayConfig,
+  getGatewayPort,
+  getIdleTimeoutMinutes,
+  getGatewayUrl,
+  getGatewayStateName,
+  readGatewayState,
+  wrapWithGateway,
+  isLocalAddress,
+  createGateway
+};
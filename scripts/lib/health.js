@@ -0,0 +1,267 @@
+/**
+ * MCP Server Health Checks
+ *
+ * Checks a server by speaking MCP to it with the SDK client instead of
+ * looking for its process: a server the supervisor runs is reached through
+ * its gateway's SSE endpoint, any other server is spawned over stdio and
+ * stopped with its whole process tree afterwards. Each
+ * check performs the initialize handshake, lists the tools and makes the
+ * server's harmless canary call (see the registry).
+ *
+ * checkServer resolves with:
+ *
+ *   { name, transport, ok, protocolVersion, serverInfo, tools, toolCount,
+ *     handshakeMs, canary: { tool, ok, ms, error } | null, error }
+ *
+ * listServerTools returns the full tools/list result for tool snapshots
+ * (see lib/snapshots.js).
+ */
+
+const { spawn: spawnProcess } = require('child_process');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { ReadBuffer, serializeMessage } = require('@modelcontextprotocol/sdk/shared/stdio.js');
+const { getSpawnSpec, getMissingEnv } = require('./mcp-registry');
+const { createResolver } = require('./launch-env');
+const { loadGatewayConfig, getGatewayUrl, readGatewayState } = require('./gateway');
+const { terminateTree } = require('./process-tree');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const CLIENT_INFO = { name: 'cursor-automation-health', version: '1.0.0' };
+const STOP_GRACE_MS = 2000;
+
+// Function to note the protocol version of the initialize result as it passes
+// The SDK client checks the version but does not keep it
+function tapProtocolVersion(transport, onVersion) {
+  const start = transport.start.bind(transport);
+  transport.start = () => {
+    const deliver = transport.onmessage;
+    transport.onmessage = message => {
+      if (message.result && typeof message.result.protocolVersion === 'string') {
+        onVersion(message.result.protocolVersion);
+      }
+      deliver(message);
+    };
+    return start();
+  };
+  return transport;
+}
+
+// Function to reject when a promise takes longer than `ms`
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Function to create a stdio transport for the SDK client
+// Unlike the SDK's own, it starts the server as the leader of a new process
+// group, so closing it stops the server's children too, even when the server
+// ignores SIGTERM
+function createStdioTransport(spec) {
+  const buffer = new ReadBuffer();
+  let child = null;
+
+  const transport = {
+    async start() {
+      child = spawnProcess(spec.command, spec.args, {
+        env: spec.env,
+        stdio: ['pipe', 'pipe', 'ignore'],
+        detached: process.platform !== 'win32',
+        shell: process.platform === 'win32'
+      });
+      await new Promise((resolve, reject) => {
+        child.once('spawn', resolve);
+        child.once('error', reject);
+      });
+      child.stdout.on('data', chunk => {
+        buffer.append(chunk);
+        try {
+          let message;
+          while ((message = buffer.readMessage()) !== null) {
+            transport.onmessage && transport.onmessage(message);
+          }
+        } catch (error) {
+          transport.onerror && transport.onerror(error);
+        }
+      });
+      child.stdin.on('error', error => transport.onerror && transport.onerror(error));
+      child.on('close', () => transport.onclose && transport.onclose());
+    },
+    send(message) {
+      return new Promise(resolve => {
+        if (child.stdin.write(serializeMessage(message))) {
+          resolve();
+        } else {
+          child.stdin.once('drain', resolve);
+        }
+      });
+    },
+    async close() {
+      if (child && child.exitCode === null && child.signalCode === null) {
+        await terminateTree(child.pid, { name: spec.name, graceMs: STOP_GRACE_MS });
+      }
+      child = null;
+    }
+  };
+  return transport;
+}
+
+// Function to get the SSE endpoint of the server's running gateway, or null
+function findGatewayUrl(server, config = loadGatewayConfig()) {
+  const gateway = readGatewayState(server.name);
+  return config.enabled && gateway ? getGatewayUrl(server, config, '/sse') : null;
+}
+
+// Function to create the transport for a server: its gateway when it runs,
+// otherwise a fresh process over stdio
+// Rejects when a spawned server would be missing a required variable
+async function createTransport(server, context = {}, { spawn = false } = {}) {
+  const url = spawn ? null : findGatewayUrl(server);
+  if (url) {
+    // The SSE client pulls in an ES module with top-level await, which
+    // require() cannot load
+    const { SSEClientTransport } = await import('@modelcontextprotocol/sdk/client/sse.js');
+    return { transport: new SSEClientTransport(new URL(url)), kind: 'gateway' };
+  }
+
+  const lookup = createResolver();
+  const env = { ...process.env };
+  for (const requirement of server.requiredEnv) {
+    const value = lookup('env', requirement.name);
+    if (value) {
+      env[requirement.name] = value;
+    }
+  }
+  const missing = getMissingEnv(server, env, context);
+  if (missing.length > 0) {
+    throw new Error(`requires ${missing.join(', ')}`);
+  }
+
+  const spec = getSpawnSpec(server, { ...context, env });
+  return { transport: createStdioTransport({ ...spec, name: server.name }), kind: 'stdio' };
+}
+
+// Function to make the canary call and describe how it went
+async function runCanary(client, server, tools, timeoutMs) {
+  const { tool, arguments: args } = server.canary;
+  if (!tools.some(item => item.name === tool)) {
+    return { tool, ok: false, ms: null, error: `the server does not offer "${tool}"` };
+  }
+  const startedAt = Date.now();
+  try {
+    const result = await client.callTool({ name: tool, arguments: args }, undefined, { timeout: timeoutMs });
+    const ms = Date.now() - startedAt;
+    if (result.isError) {
+      const text = (result.content || []).find(item => item.type === 'text');
+      return { tool, ok: false, ms, error: text ? text.text.split('\n')[0] : 'the tool reported an error' };
+    }
+    return { tool, ok: true, ms, error: null };
+  } catch (error) {
+    return { tool, ok: false, ms: Date.now() - startedAt, error: error.message };
+  }
+}
+
+// Function to connect an SDK client to a server and perform the handshake
+// Resolves with { client, kind, handshakeMs }; the caller closes the client.
+// `onVersion` receives the protocol version the server answers with
+async function connectClient(server, context, { spawn = false, timeoutMs = DEFAULT_TIMEOUT_MS } = {}, onVersion = () => {}) {
+  const { transport, kind } = await createTransport(server, context, { spawn });
+  const client = new Client(CLIENT_INFO, { capabilities: {} });
+  tapProtocolVersion(transport, onVersion);
+
+  const startedAt = Date.now();
+  try {
+    await withTimeout(client.connect(transport), timeoutMs, 'initialize');
+  } catch (error) {
+    await client.close().catch(() => {});
+    error.transport = kind;
+    throw error;
+  }
+  return { client, kind, handshakeMs: Date.now() - startedAt };
+}
+
+// Function to check one server over MCP
+// `context` is the launch context for spawned servers ({ workspaceDir, roots, offline, mock });
+// pass { spawn: true } to spawn the server even when the supervisor runs it
+async function checkServer(server, context = {}, { spawn = false, canary = true, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const report = {
+    name: server.name,
+    transport: null,
+    ok: false,
+    protocolVersion: null,
+    serverInfo: null,
+    tools: null,
+    toolCount: null,
+    handshakeMs: null,
+    canary: null,
+    error: null
+  };
+
+  let client = null;
+  try {
+    const connection = await connectClient(server, context, { spawn, timeoutMs }, version => { report.protocolVersion = version; });
+    client = connection.client;
+    report.transport = connection.kind;
+    report.handshakeMs = connection.handshakeMs;
+    report.serverInfo = client.getServerVersion() || null;
+
+    const { tools } = await client.listTools(undefined, { timeout: timeoutMs });
+    report.tools = tools.map(tool => tool.name);
+    report.toolCount = tools.length;
+
+    if (canary && server.canary) {
+      report.canary = await runCanary(client, server, tools, timeoutMs);
+    }
+    report.ok = !report.canary || report.canary.ok;
+  } catch (error) {
+    report.transport = report.transport || error.transport || null;
+    report.error = error.message;
+  } finally {
+    if (client) {
+      await client.close().catch(() => {});
+    }
+  }
+  return report;
+}
+
+// Function to read a server's complete tool list: names, descriptions and input schemas
+// Resolves with { protocolVersion, serverInfo, tools }; rejects when the server
+// cannot be reached
+async function listServerTools(server, context = {}, { spawn = false, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  let protocolVersion = null;
+  const { client } = await connectClient(server, context, { spawn, timeoutMs }, version => { protocolVersion = version; });
+  try {
+    const { tools } = await client.listTools(undefined, { timeout: timeoutMs });
+    return { protocolVersion, serverInfo: client.getServerVersion() || null, tools };
+  } finally {
+    await client.close().catch(() => {});
+  }
+}
+
+// Function to format a health report as one summary line and optional detail
+function formatHealthReport(report) {
+  if (report.error) {
+    return [`${report.name.padEnd(20)} unhealthy  ${report.error}`];
+  }
+  const server = report.serverInfo ? `${report.serverInfo.name} ${report.serverInfo.version}` : 'unknown server';
+  const lines = [
+    `${report.name.padEnd(20)} ${report.ok ? 'healthy  ' : 'degraded '}  ${report.transport}, ${server}, ` +
+    `protocol ${report.protocolVersion || 'unknown'}, ${report.toolCount} tools, handshake ${report.handshakeMs}ms`
+  ];
+  if (report.canary) {
+    const { tool, ok, ms, error } = report.canary;
+    lines.push(`${''.padEnd(20)} canary ${tool}: ${ok ? `ok in ${ms}ms` : `failed: ${error}`}`);
+  }
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  createStdioTransport,
+  createTransport,
+  checkServer,
+  listServerTools,
+  formatHealthReport
+};
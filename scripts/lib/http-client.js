@@ -0,0 +1,245 @@
+/**
+ * MCP Streamable HTTP Client
+ *
+ * A small client for the Streamable HTTP transport served by the gateway
+ * (see ./gateway.js). The SDK version this repository depends on has no
+ * client for it, so requests are plain HTTP: each message is POSTed, the
+ * answer comes back as JSON or as an event stream, and a GET stream carries
+ * the server's own notifications.
+ *
+ * When the gateway restarts, its sessions are gone and it answers 404; the
+ * client then initializes a new session and retries the request once.
+ */
+
+const http = require('http');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const CLIENT_INFO = { name: 'cursor-automation', version: '1.0.0' };
+const PROTOCOL_VERSION = '2025-03-26';
+
+// Function to build an error that carries the JSON-RPC error from the server
+function toRpcError(error) {
+  return Object.assign(new Error(error.message), { code: error.code, data: error.data });
+}
+
+// Function to read a Server-Sent Events stream, calling `onEvent({ event, data })`
+function readEventStream(res, onEvent) {
+  let buffer = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => {
+    buffer += chunk.replace(/\r\n/g, '\n');
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      let event = 'message';
+      const data = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      }
+      if (data.length > 0) {
+        onEvent({ event, data: data.join('\n') });
+      }
+    }
+  });
+}
+
+// Function to create a client for one Streamable HTTP endpoint
+// `onNotification(message)` receives every notification the server sends,
+// on the GET stream or while answering a request; `onDisconnect()` is called
+// when the GET stream drops, which usually means the server went away
+function createHttpClient({ url, clientInfo = CLIENT_INFO, onNotification = () => {}, onDisconnect = () => {}, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  const endpoint = new URL(url);
+  let sessionId = null;
+  let serverInfo = null;
+  let connecting = null;
+  let stream = null;
+  let nextId = 1;
+
+  // Function to POST one message; resolves with the response to `id`, if any
+  function post(message, { signal, timeout = timeoutMs } = {}) {
+    return new Promise((resolve, reject) => {
+      const headers = {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream'
+      };
+      if (sessionId) {
+        headers['Mcp-Session-Id'] = sessionId;
+      }
+
+      const req = http.request(endpoint, { method: 'POST', headers, signal, timeout }, res => {
+        if (res.statusCode === 404 && sessionId) {
+          res.resume();
+          return reject(Object.assign(new Error('Session expired'), { sessionExpired: true }));
+        }
+        if (res.headers['mcp-session-id']) {
+          sessionId = res.headers['mcp-session-id'];
+        }
+        if (res.statusCode === 202) {
+          res.resume();
+          return resolve(null);
+        }
+
+        const type = res.headers['content-type'] || '';
+        if (type.includes('text/event-stream')) {
+          let answered = false;
+          readEventStream(res, ({ data }) => {
+            const reply = JSON.parse(data);
+            if (reply.id === message.id && !reply.method) {
+              answered = true;
+              resolve(reply);
+            } else if (reply.method) {
+              onNotification(reply);
+            }
+          });
+          res.on('end', () => {
+            if (!answered) reject(new Error(`${endpoint.host} closed the stream without answering`));
+          });
+          return undefined;
+        }
+
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => {
+          try {
+            const reply = JSON.parse(body);
+            if (res.statusCode >= 400 && !reply.error) {
+              return reject(new Error(`HTTP ${res.statusCode}`));
+            }
+            return resolve(reply);
+          } catch (error) {
+            return reject(new Error(`HTTP ${res.statusCode}: ${body.slice(0, 200) || 'empty response'}`));
+          }
+        });
+        return undefined;
+      });
+      req.on('timeout', () => req.destroy(new Error(`No answer from ${endpoint.host} within ${timeout / 1000}s`)));
+      req.on('error', reject);
+      req.end(JSON.stringify(message));
+    });
+  }
+
+  // Function to keep a GET stream open for the server's notifications
+  function openStream() {
+    const req = http.get(endpoint, { headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId } }, res => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return;
+      }
+      readEventStream(res, ({ data }) => {
+        const message = JSON.parse(data);
+        if (message.method) onNotification(message);
+      });
+      res.on('close', () => lostStream(req));
+    });
+    req.on('error', () => lostStream(req));
+    stream = req;
+  }
+
+  // Function to report a GET stream that ended without being closed here
+  function lostStream(req) {
+    if (stream === req) {
+      stream = null;
+      connecting = null;
+      onDisconnect();
+    }
+  }
+
+  // Function to close the GET stream without reporting it
+  function dropStream() {
+    const current = stream;
+    stream = null;
+    if (current) {
+      current.destroy();
+    }
+  }
+
+  // Function to start a session
+  function connect() {
+    if (!connecting) {
+      connecting = (async () => {
+        sessionId = null;
+        const reply = await post({
+          jsonrpc: '2.0',
+          id: nextId++,
+          method: 'initialize',
+          params: { protocolVersion: PROTOCOL_VERSION, capabilities: {}, clientInfo }
+        });
+        if (reply.error) {
+          throw toRpcError(reply.error);
+        }
+        serverInfo = reply.result;
+        await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+        dropStream();
+        openStream();
+        return serverInfo;
+      })();
+      connecting.catch(() => { connecting = null; });
+    }
+    return connecting;
+  }
+
+  // Function to send a request and resolve with its result
+  async function request(method, params = {}, options = {}) {
+    await connect();
+    const message = { jsonrpc: '2.0', id: nextId++, method, params };
+    let reply;
+    try {
+      reply = await post(message, options);
+    } catch (error) {
+      if (!error.sessionExpired) {
+        throw error;
+      }
+      connecting = null;
+      await connect();
+      reply = await post(message, options);
+    }
+    if (reply.error) {
+      throw toRpcError(reply.error);
+    }
+    return reply.result;
+  }
+
+  // Function to send a notification
+  async function notify(method, params = {}) {
+    await connect();
+    await post({ jsonrpc: '2.0', method, params });
+  }
+
+  // Function to end the session
+  async function close() {
+    dropStream();
+    if (!sessionId) {
+      return;
+    }
+    const id = sessionId;
+    sessionId = null;
+    connecting = null;
+    await new Promise(resolve => {
+      const req = http.request(endpoint, { method: 'DELETE', headers: { 'Mcp-Session-Id': id }, timeout: 2000 }, res => {
+        res.resume();
+        res.on('end', resolve);
+      });
+      req.on('timeout', () => req.destroy());
+      req.on('error', resolve);
+      req.end();
+    });
+  }
+
+  return {
+    connect,
+    request,
+    notify,
+    close,
+    get serverInfo() {
+      return serverInfo;
+    }
+  };
+}
+
+module.exports = {
+  createHttpClient,
+  readEventStream
+};
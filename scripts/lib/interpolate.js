@@ -0,0 +1,108 @@
+/**
+ * Launch-Time Interpolation
+ *
+ * mcp.json entries may reference values instead of containing them:
+ *
+ *   ${env:GITHUB_PERSONAL_ACCESS_TOKEN}   a variable from the environment or a .env file
+ *   ${secret:github}                      an entry in the local secret store
+ *
+ * Cursor passes these strings through untouched, so entries that use them
+ * are wrapped in scripts/mcp-launch.js, which resolves them just before it
+ * starts the real server. Resolved values only ever exist in the server's
+ * process environment; they are never written back or logged.
+ */
+
+const path = require('path');
+
+const LAUNCHER_PATH = path.resolve(__dirname, '..', 'mcp-launch.js');
+const REFERENCE_PATTERN = /\$\{(env|secret):([^}]+)\}/g;
+
+// Function to build a reference string
+function toReference(kind, name) {
+  return `\${${kind}:${name}}`;
+}
+
+// Function to check whether a string contains references
+function hasReferences(value) {
+  return typeof value === 'string' && new RegExp(REFERENCE_PATTERN.source).test(value);
+}
+
+// Function to list the references in a string
+function parseReferences(value) {
+  if (typeof value !== 'string') {
+    return [];
+  }
+  return Array.from(value.matchAll(REFERENCE_PATTERN), match => ({ kind: match[1], name: match[2].trim() }));
+}
+
+// Function to list every reference used by an mcp.json entry
+function findEntryReferences(entry) {
+  const references = [];
+  for (const [key, value] of Object.entries(entry.env || {})) {
+    parseReferences(value).forEach(reference => references.push({ ...reference, where: `env ${key}` }));
+  }
+  (entry.args || []).forEach((arg, index) => {
+    parseReferences(arg).forEach(reference => references.push({ ...reference, where: `argument ${index}` }));
+  });
+  return references;
+}
+
+// Function to replace every reference in a string
+// `lookup(kind, name)` returns the value, or undefined when it is not available;
+// unresolved references are collected in `missing` and left empty
+function interpolate(value, lookup, missing = []) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(REFERENCE_PATTERN, (match, kind, name) => {
+    const resolved = lookup(kind, name.trim());
+    if (resolved === undefined || resolved === null) {
+      missing.push(toReference(kind, name.trim()));
+      return '';
+    }
+    return resolved;
+  });
+}
+
+// Function to check whether an entry is started through the launcher
+function isWrapped(entry) {
+  return Array.isArray(entry.args) && entry.args[0] === LAUNCHER_PATH;
+}
+
+// Function to start an entry through the launcher (no-op if it already is)
+function wrapWithLauncher(entry) {
+  if (isWrapped(entry)) {
+    return entry;
+  }
+  entry.args = [LAUNCHER_PATH, entry.command, ...(entry.args || [])];
+  entry.command = 'node';
+  return entry;
+}
+
+// Function to get the command an entry really runs, looking through the launcher
+function unwrapLauncher(entry) {
+  if (!isWrapped(entry)) {
+    return { command: entry.command, args: entry.args || [] };
+  }
+  return { command: entry.args[1], args: entry.args.slice(2) };
+}
+
+// Function to make an env key of an entry reference a variable instead of holding its value
+function setEnvReference(entry, key, variable = key) {
+  entry.env = { ...(entry.env || {}), [key]: toReference('env', variable) };
+  return wrapWithLauncher(entry);
+}
+
+module.exports = {
+  LAUNCHER_PATH,
+  REFERENCE_PATTERN,
+  toReference,
+  hasReferences,
+  parseReferences,
+  findEntryReferences,
+  interpolate,
+  isWrapped,
+  wrapWithLauncher,
+  unwrapLauncher,
+  setEnvReference
+};
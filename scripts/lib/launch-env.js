@@ -0,0 +1,113 @@
+/**
+ * Launch Environment
+ *
+ * Where ${env:...} and ${secret:...} references are looked up when a
+ * server starts. Variables come from the process environment first, then
+ * from .env files (this repository's, then ~/.cursor/.env); each name also
+ * matches its registry aliases, e.g. GITHUB_PERSONAL_ACCESS_TOKEN and
+ * GITHUB_TOKEN. Secrets come from the local secret store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getEnvAliases } = require('./mcp-registry');
+const { hasReferences } = require('./interpolate');
+const { loadSecrets } = require('./secrets');
+
+// Function to list the .env files consulted, highest priority first
+function getEnvFiles() {
+  return [
+    path.resolve(__dirname, '..', '..', '.env'),
+    path.join(os.homedir(), '.cursor', '.env')
+  ];
+}
+
+// Function to parse KEY=value lines from a .env file
+// Supports comments, "export KEY=..." and single or double quotes
+function parseEnvFile(text) {
+  const values = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) {
+      continue;
+    }
+    let value = match[2];
+    const quoted = value.match(/^(['"])(.*)\1$/);
+    if (quoted) {
+      value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  }
+  return values;
+}
+
+// Function to read the variables from a list of .env files
+// Earlier files win over later ones
+function loadEnvFiles(files = getEnvFiles()) {
+  const values = {};
+  for (const file of files.slice().reverse()) {
+    if (fs.existsSync(file)) {
+      Object.assign(values, parseEnvFile(fs.readFileSync(file, 'utf8')));
+    }
+  }
+  return values;
+}
+
+// Function to store a variable in a .env file, replacing any earlier definition
+// Lines for the names in `replace` (e.g. an older alias) are replaced as well
+function saveEnvValue(name, value, { file = getEnvFiles()[0], replace = [] } = {}) {
+  const names = [name, ...replace];
+  const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n') : [];
+  const pattern = new RegExp(`^\\s*(?:export\\s+)?(${names.join('|')})\\s*=`);
+  const kept = lines.filter(line => !pattern.test(line));
+
+  while (kept.length > 0 && kept[kept.length - 1] === '') {
+    kept.pop();
+  }
+  kept.push(`${name}="${value}"`, '');
+  fs.writeFileSync(file, kept.join('\n'), { mode: 0o600 });
+  return file;
+}
+
+// Function to create the lookup used to resolve references
+// Environment values that are themselves unresolved references are ignored,
+// since that is how mcp.json passes them to the launcher
+function createResolver({ env = process.env, envFiles, secretsPath } = {}) {
+  const fileValues = loadEnvFiles(envFiles);
+  const aliases = getEnvAliases();
+  let secrets = null;
+
+  function lookupVariable(name) {
+    for (const candidate of aliases[name] || [name]) {
+      if (env[candidate] && !hasReferences(env[candidate])) {
+        return env[candidate];
+      }
+    }
+    for (const candidate of aliases[name] || [name]) {
+      if (fileValues[candidate]) {
+        return fileValues[candidate];
+      }
+    }
+    return undefined;
+  }
+
+  return function lookup(kind, name) {
+    if (kind === 'env') {
+      return lookupVariable(name);
+    }
+    // The store is only read when a secret is actually referenced
+    secrets = secrets || loadSecrets(secretsPath);
+    return secrets[name];
+  };
+}
+
+module.exports = {
+  getEnvFiles,
+  parseEnvFile,
+  loadEnvFiles,
+  saveEnvValue,
+  createResolver
+};
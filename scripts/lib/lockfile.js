@@ -0,0 +1,185 @@
+/**
+ * MCP Server Lockfile
+ *
+ * mcp-lock.json pins the exact version and integrity hash of every server
+ * package, taken from package-lock.json:
+ *
+ *   {
+ *     "lockfileVersion": 1,
+ *     "servers": {
+ *       "github": { "package": "@modelcontextprotocol/server-github", "version": "0.6.2",
+ *                   "integrity": "sha512-...", "resolved": "https://...", "bin": "mcp-server-github" }
+ *     }
+ *   }
+ *
+ * Locked servers launch from this repository's node_modules/.bin when the
+ * installed version matches the lock, and otherwise from `npx -y <package>@<version>`.
+ * In offline mode nothing is ever fetched: a server that is not installed
+ * locally fails to resolve instead of falling back to npx.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const LOCKFILE_VERSION = 1;
+
+// Function to get the path of mcp-lock.json
+function getLockfilePath() {
+  return path.join(REPO_ROOT, 'mcp-lock.json');
+}
+
+// Function to check whether offline mode is on for a launch context
+function isOffline(context = {}) {
+  return Boolean(context.offline) || process.env.MCP_OFFLINE === '1';
+}
+
+// Function to read mcp-lock.json; returns null when there is none
+function readLockfile(lockPath = getLockfilePath()) {
+  if (!fs.existsSync(lockPath)) {
+    return null;
+  }
+
+  const lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  if (lock.lockfileVersion !== LOCKFILE_VERSION) {
+    throw new Error(`${lockPath} has lockfileVersion ${lock.lockfileVersion}; expected ${LOCKFILE_VERSION}`);
+  }
+  return lock;
+}
+
+// Function to write mcp-lock.json with servers in a stable order
+function writeLockfile(lock, lockPath = getLockfilePath()) {
+  const servers = {};
+  Object.keys(lock.servers).sort().forEach(name => { servers[name] = lock.servers[name]; });
+  fs.writeFileSync(lockPath, JSON.stringify({ lockfileVersion: LOCKFILE_VERSION, servers }, null, 2) + '\n');
+}
+
+// Function to read npm's package-lock.json
+function readPackageLock(root = REPO_ROOT) {
+  const packageLockPath = path.join(root, 'package-lock.json');
+  if (!fs.existsSync(packageLockPath)) {
+    throw new Error(`${packageLockPath} not found. Run "npm install" first`);
+  }
+  return JSON.parse(fs.readFileSync(packageLockPath, 'utf8'));
+}
+
+// Function to pick the executable a package provides
+function getBinName(packageName, bin) {
+  if (typeof bin === 'string') {
+    return packageName.split('/').pop();
+  }
+  const names = Object.keys(bin || {});
+  return names.length > 0 ? names[0] : null;
+}
+
+// Function to build the lock entry for one server from package-lock.json
+function lockServer(server, packageLock) {
+  const entry = packageLock.packages && packageLock.packages[`node_modules/${server.package}`];
+  if (!entry || !entry.version) {
+    throw new Error(`${server.package} (${server.name}) is not in package-lock.json. ` +
+      'Add it to package.json dependencies and run "npm install"');
+  }
+
+  return {
+    package: server.package,
+    version: entry.version,
+    integrity: entry.integrity || null,
+    resolved: entry.resolved || null,
+    bin: getBinName(server.package, entry.bin)
+  };
+}
+
+// Function to build a lockfile for a set of servers
+// Entries of servers not in `servers` are kept from `previous`
+function buildLockfile(servers, packageLock, previous = null) {
+  const lock = { lockfileVersion: LOCKFILE_VERSION, servers: { ...((previous && previous.servers) || {}) } };
+  for (const server of servers) {
+    lock.servers[server.name] = lockServer(server, packageLock);
+  }
+  return lock;
+}
+
+// Function to read the version of a package installed in node_modules
+function getInstalledVersion(packageName, root = REPO_ROOT) {
+  const manifestPath = path.join(root, 'node_modules', packageName, 'package.json');
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8')).version || null;
+}
+
+// Function to get the absolute path of a locked server's local binary, if installed
+function getLocalBin(locked, root = REPO_ROOT) {
+  if (!locked.bin) {
+    return null;
+  }
+  const binPath = path.join(root, 'node_modules', '.bin', process.platform === 'win32' ? `${locked.bin}.cmd` : locked.bin);
+  return fs.existsSync(binPath) ? binPath : null;
+}
+
+// Function to compare the lockfile with package-lock.json and node_modules
+// Returns a list of { server, message } problems; empty means everything matches
+function verifyLockfile(lock, packageLock, root = REPO_ROOT) {
+  const problems = [];
+
+  for (const [name, locked] of Object.entries(lock.servers)) {
+    const current = packageLock.packages && packageLock.packages[`node_modules/${locked.package}`];
+    if (!current) {
+      problems.push({ server: name, message: `${locked.package} is no longer in package-lock.json` });
+      continue;
+    }
+    if (current.version !== locked.version) {
+      problems.push({ server: name, message: `package-lock.json has ${locked.package}@${current.version}, lock pins ${locked.version}` });
+    } else if (locked.integrity && current.integrity !== locked.integrity) {
+      problems.push({ server: name, message: `Integrity of ${locked.package}@${locked.version} differs from package-lock.json` });
+    }
+
+    const installed = getInstalledVersion(locked.package, root);
+    if (!installed) {
+      problems.push({ server: name, message: `${locked.package} is not installed; run "npm ci"` });
+    } else if (installed !== locked.version) {
+      problems.push({ server: name, message: `node_modules has ${locked.package}@${installed}, lock pins ${locked.version}` });
+    }
+  }
+
+  return problems;
+}
+
+// Function to decide how to launch a server: local binary, pinned npx, or floating npx
+// `extraArgs` are the registry arguments that follow the package name
+function resolveLaunch(server, context = {}, root = REPO_ROOT) {
+  const lock = context.lock !== undefined ? context.lock : readLockfile();
+  const locked = lock && lock.servers[server.name];
+  const extraArgs = server.args.filter(arg => arg !== '-y' && arg !== server.package);
+
+  if (locked && getInstalledVersion(locked.package, root) === locked.version) {
+    const localBin = getLocalBin(locked, root);
+    if (localBin) {
+      return { command: localBin, args: extraArgs, source: 'local' };
+    }
+  }
+
+  if (isOffline(context)) {
+    throw new Error(`${server.name} is not installed locally (${server.package}` +
+      `${locked ? `@${locked.version}` : ''}) and offline mode forbids fetching it. Run "npm ci" while online`);
+  }
+
+  if (locked) {
+    return { command: 'npx', args: ['-y', `${locked.package}@${locked.version}`, ...extraArgs], source: 'npx-pinned' };
+  }
+  return { command: server.command, args: server.args.slice(), source: 'npx' };
+}
+
+module.exports = {
+  LOCKFILE_VERSION,
+  getLockfilePath,
+  isOffline,
+  readLockfile,
+  writeLockfile,
+  readPackageLock,
+  buildLockfile,
+  getInstalledVersion,
+  getLocalBin,
+  verifyLockfile,
+  resolveLaunch
+};
@@ -0,0 +1,374 @@
+/**
+ * Server Logs
+ *
+ * The supervisor records everything a server writes as JSON lines, one
+ * entry per line of output:
+ *
+ *   {"timestamp":"2026-01-01T12:00:00.000Z","server":"github","pid":4242,"stream":"stderr","message":"..."}
+ *
+ * "stream" is stdout, stderr, or supervisor for the supervisor's own notes
+ * (started, exited). Structured events, such as a server going over one of
+ * its limits, have the stream "event" and carry the details in "event":
+ *
+ *   {..., "stream":"event","message":"memory limit exceeded: ...","event":{"type":"limit","limit":"memory",...}}
+ *
+ * A process run by the supervisor reports an event by writing a line that
+ * starts with "@mcp-event " followed by the JSON (see formatEventLine).
+ *
+ * Each server has one current file, <name>.jsonl, in the
+ * log directory. It is rotated when it grows past a size or age limit:
+ * the old file is renamed to <name>.<timestamp>.jsonl and gzipped, and only
+ * the newest archives within the retention period are kept.
+ *
+ * Limits come from the environment:
+ *   MCP_LOG_MAX_MB           rotate above this size (default 10)
+ *   MCP_LOG_MAX_AGE_HOURS    rotate files older than this (default 24)
+ *   MCP_LOG_KEEP             archives kept per server (default 5)
+ *   MCP_LOG_RETENTION_DAYS   delete archives older than this (default 14)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+
+const LOG_EXTENSION = '.jsonl';
+const EVENT_MARKER = '@mcp-event ';
+const ARCHIVE_STAMP = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+const MAX_LINE_LENGTH = 16 * 1024;
+const FOLLOW_INTERVAL_MS = 500;
+
+// Function to read a positive number from the environment
+function readLimit(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Function to get the rotation and retention limits
+function getLogPolicy() {
+  return {
+    maxBytes: readLimit('MCP_LOG_MAX_MB', 10) * 1024 * 1024,
+    maxAgeMs: readLimit('MCP_LOG_MAX_AGE_HOURS', 24) * 60 * 60 * 1000,
+    keep: Math.floor(readLimit('MCP_LOG_KEEP', 5)),
+    retentionMs: readLimit('MCP_LOG_RETENTION_DAYS', 14) * 24 * 60 * 60 * 1000
+  };
+}
+
+// Function to get the current log file of a server
+function getLogPath(logDir, name) {
+  return path.join(logDir, `${name}${LOG_EXTENSION}`);
+}
+
+// Function to split a log path into the parts archive names are made of
+function splitLogPath(logPath) {
+  const ext = path.extname(logPath);
+  return { dir: path.dirname(logPath), base: path.basename(logPath, ext), ext };
+}
+
+// Function to list the archives of a log file, oldest first
+// Archives still being compressed are listed without the .gz extension
+function listArchives(logPath) {
+  const { dir, base, ext } = splitLogPath(logPath);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(file => {
+      if (!file.startsWith(`${base}.`)) return false;
+      const rest = file.slice(base.length + 1).replace(/\.gz$/, '');
+      return rest.endsWith(ext) && ARCHIVE_STAMP.test(rest.slice(0, rest.length - ext.length));
+    })
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+// Function to delete archives beyond the retention limits
+function pruneArchives(logPath, policy = getLogPolicy(), now = Date.now()) {
+  const archives = listArchives(logPath).filter(file => file.endsWith('.gz'));
+  const removed = [];
+  archives.forEach((file, index) => {
+    const tooMany = index < archives.length - policy.keep;
+    let tooOld = false;
+    try {
+      tooOld = now - fs.statSync(file).mtimeMs > policy.retentionMs;
+    } catch (error) {
+      return;
+    }
+    if (tooMany || tooOld) {
+      fs.rmSync(file, { force: true });
+      removed.push(file);
+    }
+  });
+  return removed;
+}
+
+// Function to compress a renamed log file and delete the uncompressed copy
+async function compressArchive(file) {
+  await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`));
+  fs.rmSync(file, { force: true });
+}
+
+// Function to move the current log file aside and compress it
+// Resolves with the archive path once it is compressed and old archives are pruned
+async function rotateLog(logPath, policy = getLogPolicy(), now = Date.now()) {
+  if (!fs.existsSync(logPath) || fs.statSync(logPath).size === 0) {
+    return null;
+  }
+  const { dir, base, ext } = splitLogPath(logPath);
+  // Rotations within the same millisecond get the next free stamp
+  const archiveAt = time => path.join(dir, `${base}.${new Date(time).toISOString().replace(/[:.]/g, '-')}${ext}`);
+  let time = now;
+  while (fs.existsSync(archiveAt(time)) || fs.existsSync(`${archiveAt(time)}.gz`)) {
+    time += 1;
+  }
+  const archive = archiveAt(time);
+  fs.renameSync(logPath, archive);
+  await compressArchive(archive);
+  pruneArchives(logPath, policy, now);
+  return `${archive}.gz`;
+}
+
+// Function to find when a log file was started: the timestamp of its first
+// entry, or the file's own times for plain logs
+function getLogStart(logPath) {
+  const fd = fs.openSync(logPath, 'r');
+  try {
+    const buffer = Buffer.alloc(4096);
+    const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const first = parseLogLine(buffer.toString('utf8', 0, length).split('\n')[0]);
+    if (first.timestamp) {
+      return Date.parse(first.timestamp);
+    }
+    const stats = fs.fstatSync(fd);
+    return stats.birthtimeMs || stats.mtimeMs;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Function to check whether a log file is past its size or age limit
+function needsRotation(logPath, policy = getLogPolicy(), now = Date.now()) {
+  try {
+    const { size } = fs.statSync(logPath);
+    return size > 0 && (size >= policy.maxBytes || now - getLogStart(logPath) >= policy.maxAgeMs);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Function to create a writer for one server's log
+// Returns { write({ pid, stream, message, event }), close() }; the file is
+// rotated before a write that finds it past its limits
+function createLogWriter(logDir, name, { policy = getLogPolicy(), onError = () => {} } = {}) {
+  const logPath = getLogPath(logDir, name);
+  let fd = null;
+  let size = 0;
+  let openedAt = 0;
+
+  function open() {
+    fd = fs.openSync(logPath, 'a');
+    size = fs.fstatSync(fd).size;
+    openedAt = size > 0 ? getLogStart(logPath) : Date.now();
+  }
+
+  function rotate() {
+    fs.closeSync(fd);
+    fd = null;
+    rotateLog(logPath, policy).catch(onError);
+    open();
+  }
+
+  return {
+    path: logPath,
+    write({ pid = null, stream, message, event }) {
+      if (fd === null) {
+        open();
+      }
+      if (size > 0 && (size >= policy.maxBytes || Date.now() - openedAt >= policy.maxAgeMs)) {
+        rotate();
+      }
+      const entry = { timestamp: new Date().toISOString(), server: name, pid, stream, message };
+      if (event) {
+        entry.event = event;
+      }
+      const line = JSON.stringify(entry) + '\n';
+      fs.writeSync(fd, line);
+      size += Buffer.byteLength(line);
+    },
+    close() {
+      if (fd !== null) {
+        fs.closeSync(fd);
+        fd = null;
+      }
+    }
+  };
+}
+
+// Function to turn a stream of output into lines, calling `onLine` for each
+// Overlong lines are split into several entries, so a runaway write without
+// newlines is still logged as it arrives
+function splitLines(readable, onLine) {
+  let buffer = '';
+  readable.setEncoding('utf8');
+  readable.on('data', chunk => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\n')) !== -1 || buffer.length >= MAX_LINE_LENGTH) {
+      const cut = end === -1 || end > MAX_LINE_LENGTH ? MAX_LINE_LENGTH : end;
+      onLine(buffer.slice(0, cut).replace(/\r$/, ''));
+      buffer = buffer.slice(cut === end ? cut + 1 : cut);
+    }
+  });
+  readable.on('end', () => {
+    if (buffer) onLine(buffer);
+    buffer = '';
+  });
+}
+
+// Function to format an event as an output line the supervisor logs as one
+// `event` is { message, ...details }
+function formatEventLine({ message, ...details }) {
+  return EVENT_MARKER + JSON.stringify({ message, event: details });
+}
+
+// Function to read an event from a line of output; returns { message, event } or null
+function parseEventLine(line) {
+  if (!line.startsWith(EVENT_MARKER)) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(line.slice(EVENT_MARKER.length));
+    return typeof parsed.message === 'string' && parsed.event && typeof parsed.event === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to parse one log line; lines that are not JSON (older plain logs)
+// become entries with only a message
+function parseLogLine(line) {
+  try {
+    const entry = JSON.parse(line);
+    if (entry && typeof entry === 'object' && 'message' in entry) {
+      return entry;
+    }
+  } catch (error) {
+    // plain text
+  }
+  return { timestamp: null, server: null, pid: null, stream: null, message: line };
+}
+
+// Function to parse --since: "30s", "10m", "2h", "3d" or a date
+function parseSince(value, now = Date.now()) {
+  const match = String(value).match(/^(\d+(?:\.\d+)?)([smhd])$/);
+  if (match) {
+    const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2]];
+    return now - Number(match[1]) * unit;
+  }
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    throw new Error(`Invalid --since value "${value}"; use 30s, 10m, 2h, 3d or a date`);
+  }
+  return date;
+}
+
+// Function to build a filter from { since, grep, stream }
+function createEntryFilter({ since = null, grep = null, stream = null } = {}) {
+  const pattern = grep ? new RegExp(grep, 'i') : null;
+  return entry => {
+    if (since !== null && entry.timestamp && Date.parse(entry.timestamp) < since) return false;
+    if (stream && entry.stream !== stream) return false;
+    if (pattern && !pattern.test(entry.message)) return false;
+    return true;
+  };
+}
+
+// Function to read every entry of a log and its archives, oldest first
+// Archives whose newest entry is older than `since` are skipped unread
+async function* readLogEntries(logPath, filter = {}) {
+  const accept = createEntryFilter(filter);
+  // An archive still being compressed is read from its uncompressed copy
+  const files = [...listArchives(logPath), logPath]
+    .filter(file => fs.existsSync(file) && !(file.endsWith('.gz') && fs.existsSync(file.slice(0, -3))));
+
+  for (const file of files) {
+    if (filter.since !== undefined && filter.since !== null && file !== logPath && fs.statSync(file).mtimeMs < filter.since) {
+      continue;
+    }
+    const input = file.endsWith('.gz') ? fs.createReadStream(file).pipe(zlib.createGunzip()) : fs.createReadStream(file);
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (!line) continue;
+      const entry = parseLogLine(line);
+      if (accept(entry)) {
+        yield entry;
+      }
+    }
+  }
+}
+
+// Function to watch a log for new entries until the returned stop() is called
+// Rotation is noticed when the file shrinks or is replaced, and reading restarts at its top
+function followLog(logPath, onEntry, filter = {}) {
+  const accept = createEntryFilter(filter);
+  let offset = fs.existsSync(logPath) ? fs.statSync(logPath).size : 0;
+  let inode = fs.existsSync(logPath) ? fs.statSync(logPath).ino : null;
+  let partial = '';
+
+  const timer = setInterval(() => {
+    let stats;
+    try {
+      stats = fs.statSync(logPath);
+    } catch (error) {
+      return;
+    }
+    if (stats.ino !== inode || stats.size < offset) {
+      inode = stats.ino;
+      offset = 0;
+      partial = '';
+    }
+    if (stats.size === offset) {
+      return;
+    }
+    const fd = fs.openSync(logPath, 'r');
+    const buffer = Buffer.alloc(stats.size - offset);
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+    fs.closeSync(fd);
+    offset = stats.size;
+
+    const lines = (partial + buffer.toString('utf8')).split('\n');
+    partial = lines.pop();
+    lines.filter(Boolean).map(parseLogLine).filter(accept).forEach(onEntry);
+  }, FOLLOW_INTERVAL_MS);
+
+  return () => clearInterval(timer);
+}
+
+// Function to format an entry for the terminal
+function formatLogEntry(entry) {
+  if (!entry.timestamp) {
+    return entry.message;
+  }
+  const time = entry.timestamp.replace('T', ' ').replace('Z', '');
+  const source = entry.pid ? `${entry.server}[${entry.pid}]` : entry.server;
+  return `${time} ${source} ${entry.stream}: ${entry.message}`;
+}
+
+module.exports = {
+  LOG_EXTENSION,
+  getLogPolicy,
+  getLogPath,
+  listArchives,
+  pruneArchives,
+  rotateLog,
+  needsRotation,
+  createLogWriter,
+  splitLines,
+  formatEventLine,
+  parseEventLine,
+  parseLogLine,
+  parseSince,
+  readLogEntries,
+  followLog,
+  formatLogEntry
+};
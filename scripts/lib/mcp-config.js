@@ -0,0 +1,252 @@
+/**
+ * MCP Configuration Store
+ *
+ * The one read/write API for mcp.json. Reads migrate older file shapes to
+ * the current schema version; writes never clobber entries the user added
+ * by hand. Every write is preceded by a timestamped backup so any change
+ * can be rolled back, and --dry-run callers get a unified diff instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { unifiedDiff } = require('./diff');
+const { CURRENT_SCHEMA_VERSION, migrateConfig } = require('./config-schema');
+const { getEnvAliases } = require('./mcp-registry');
+const { hasReferences } = require('./interpolate');
+
+// Function to get the path of the global Cursor MCP configuration
+function getGlobalConfigPath() {
+  return path.join(os.homedir(), '.cursor', 'mcp.json');
+}
+
+// Function to get the directory that holds backups for a config file
+// Every backup lives under ~/.cursor/mcp-backups: the global config's at the
+// top, any other file's (a project config, or a Claude Desktop or VS Code
+// file) in a subdirectory named after its path, so backups of different files never mix
+function getBackupDir(configPath) {
+  const root = path.join(os.homedir(), '.cursor', 'mcp-backups');
+  const resolved = path.resolve(configPath);
+  if (resolved === getGlobalConfigPath()) {
+    return root;
+  }
+  const name = resolved.replace(/\.json$/i, '').replace(/^[A-Za-z]:/, '')
+    .split(/[\\/]+/).filter(Boolean).join('_');
+  return path.join(root, name);
+}
+
+// Function to serialize a config the same way every time, version stamp first
+function serializeConfig(config) {
+  const { schemaVersion, ...rest } = config;
+  return JSON.stringify({ schemaVersion: schemaVersion || CURRENT_SCHEMA_VERSION, ...rest }, null, 2) + '\n';
+}
+
+// Function to read a config file and report whether it had to be migrated
+function readConfigWithInfo(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return { config: { schemaVersion: CURRENT_SCHEMA_VERSION, mcpServers: {} }, exists: false, migrated: false, applied: [] };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error.message}`);
+  }
+
+  try {
+    return { ...migrateConfig(raw), exists: true };
+  } catch (error) {
+    throw new Error(`${configPath}: ${error.message}`);
+  }
+}
+
+// Function to read a config file, returning an empty config if it does not exist
+function readConfig(configPath) {
+  return readConfigWithInfo(configPath).config;
+}
+
+// Function to remove the literal values of required variables from an env object
+// Tokens belong in .env or the secret store; only ${env:...} and ${secret:...}
+// references to them may stay in mcp.json
+function dropPlaintextSecrets(env = {}) {
+  const required = getEnvAliases();
+  return Object.fromEntries(Object.entries(env)
+    .filter(([key, value]) => !required[key] || hasReferences(value)));
+}
+
+// Function to merge a managed entry into the user's current entry
+// Managed fields win; env keys the user added themselves are kept, except
+// plaintext values of the variables a server requires
+function mergeEntry(current, managed) {
+  const merged = { ...current, ...managed };
+  const env = { ...dropPlaintextSecrets(current.env), ...(managed.env || {}) };
+
+  delete merged.env;
+  if (Object.keys(env).length > 0) {
+    merged.env = env;
+  }
+  return merged;
+}
+
+// Function to merge generated server entries into existing ones
+// Entries not present in `managed` belong to the user and are left untouched
+function mergeMcpServers(existing, managed) {
+  const result = {};
+  const summary = { added: [], updated: [], unchanged: [], preserved: [] };
+
+  for (const [name, entry] of Object.entries(existing || {})) {
+    if (!managed[name]) {
+      result[name] = entry;
+      summary.preserved.push(name);
+      continue;
+    }
+
+    result[name] = mergeEntry(entry, managed[name]);
+    if (JSON.stringify(result[name]) === JSON.stringify(entry)) {
+      summary.unchanged.push(name);
+    } else {
+      summary.updated.push(name);
+    }
+  }
+
+  for (const [name, entry] of Object.entries(managed)) {
+    if (!(name in result)) {
+      result[name] = mergeEntry({}, entry);
+      summary.added.push(name);
+    }
+  }
+
+  return { mcpServers: result, summary };
+}
+
+// Function to create a timestamp usable in file names
+function getTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Function to copy the current config into the backup directory
+function backupConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+
+  const backupDir = getBackupDir(configPath);
+  if (!fs.existsSync(backupDir)) {
+    fs.mkdirSync(backupDir, { recursive: true });
+  }
+
+  const backupPath = path.join(backupDir, `${path.basename(configPath, '.json')}-${getTimestamp()}.json`);
+  fs.copyFileSync(configPath, backupPath);
+  return backupPath;
+}
+
+// Function to write raw config text, backing up the previous version first
+// Returns what happened so callers can report it
+function writeConfigText(configPath, nextText, { dryRun = false } = {}) {
+  const currentText = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : '';
+  const diff = unifiedDiff(currentText, nextText, {
+    fromFile: currentText ? configPath : '/dev/null',
+    toFile: configPath
+  });
+
+  if (!diff) {
+    return { changed: false, diff, backupPath: null };
+  }
+  if (dryRun) {
+    return { changed: true, diff, backupPath: null };
+  }
+
+  const backupPath = backupConfig(configPath);
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  fs.writeFileSync(configPath, nextText);
+  return { changed: true, diff, backupPath };
+}
+
+// Function to write a config object, backing up the previous version first
+function writeConfig(configPath, config, options = {}) {
+  return writeConfigText(configPath, serializeConfig(config), options);
+}
+
+// Function to read, change and write back a config file in one step
+// `mutate` receives the migrated config and may edit it in place
+function updateConfig(configPath, mutate, options = {}) {
+  const config = readConfig(configPath);
+  mutate(config);
+  return writeConfig(configPath, config, options);
+}
+
+// Function to merge managed server entries into a config file
+function applyManagedServers(configPath, managed, options = {}) {
+  const config = readConfig(configPath);
+  const { mcpServers, summary } = mergeMcpServers(config.mcpServers, managed);
+
+  for (const name of options.remove || []) {
+    delete mcpServers[name];
+  }
+  summary.preserved = summary.preserved.filter(name => name in mcpServers);
+
+  const result = writeConfig(configPath, { ...config, mcpServers }, options);
+  return { ...result, summary };
+}
+
+// Function to list backups of a config file, oldest first
+function listBackups(configPath) {
+  const backupDir = getBackupDir(configPath);
+  if (!fs.existsSync(backupDir)) {
+    return [];
+  }
+
+  const prefix = `${path.basename(configPath, '.json')}-`;
+  return fs.readdirSync(backupDir)
+    .filter(file => file.startsWith(prefix) && file.endsWith('.json'))
+    .sort()
+    .map(file => path.join(backupDir, file));
+}
+
+// Function to restore a backup over the current config
+// The config being replaced is itself backed up, so a rollback can be undone
+function restoreBackup(configPath, backupPath, options = {}) {
+  if (!fs.existsSync(backupPath)) {
+    throw new Error(`Backup not found: ${backupPath}`);
+  }
+  return writeConfigText(configPath, fs.readFileSync(backupPath, 'utf8'), options);
+}
+
+// Function to print the outcome of a write in a consistent way
+function reportWrite(configPath, result, { dryRun = false, log = console.log } = {}) {
+  if (!result.changed) {
+    log(`No changes to ${configPath}`);
+    return;
+  }
+
+  if (dryRun) {
+    log(`Dry run: the following changes would be written to ${configPath}\n`);
+    log(result.diff);
+    return;
+  }
+
+  if (result.backupPath) {
+    log(`Backed up previous configuration to ${result.backupPath}`);
+  }
+  log(`Updated MCP configuration at ${configPath}`);
+}
+
+module.exports = {
+  getGlobalConfigPath,
+  getBackupDir,
+  serializeConfig,
+  readConfigWithInfo,
+  readConfig,
+  dropPlaintextSecrets,
+  mergeEntry,
+  mergeMcpServers,
+  backupConfig,
+  writeConfigText,
+  writeConfig,
+  updateConfig,
+  applyManagedServers,
+  listBackups,
+  restoreBackup,
+  reportWrite
+};
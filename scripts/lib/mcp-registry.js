@@ -0,0 +1,437 @@
+/**
+ * MCP Server Registry
+ *
+ * Single source of truth for every MCP server this repository manages.
+ * Launchers, config writers, stop scripts and help text are all generated
+ * from the definitions below, so a server only has to be described once.
+ */
+
+const { toReference, wrapWithLauncher } = require('./interpolate');
+const { resolveLaunch } = require('./lockfile');
+const { isMocked, getMockLaunch } = require('./mocks');
+
+// Each entry describes one server:
+// - name:             key used in mcp.json and on the command line
+// - description:      one-line summary for help text
+// - package:          npm package that provides the server
+// - command / args:   how the server is launched with npx; mcp-lock.json pins
+//                     the version or swaps in the local binary (lib/lockfile.js)
+// - workspaceArgs:    append the allowed directories to args (context.roots,
+//                     or the single context.workspaceDir)
+// - env:              fixed environment variables for the server
+// - requiredEnv:      variables the server cannot work without, with aliases
+// - processSignature: pattern that identifies the running process
+// - gatewayPort:      localhost port of its HTTP gateway (lib/gateway.js)
+// - idleTimeoutMinutes: behind the gateway, start on demand and stop after this
+//                     many idle minutes; 0 keeps it running
+// - limits:           resource limits, each optional (see LIMIT_FIELDS):
+//                     maxMemoryMB and nice are enforced by the supervisor,
+//                     maxConcurrentCalls and callTimeoutSeconds by the gateway
+// - canary:           a harmless tool call that shows the server works
+//                     ({ tool, arguments }), made by the health checker (lib/health.js)
+// - npmScript:        package.json script that runs it in the foreground
+const SERVERS = [
+  {
+    name: 'filesystem',
+    description: 'Access to files and directories',
+    package: '@modelcontextprotocol/server-filesystem',
+    command: 'npx',
+    args: ['-y', '@modelcontextprotocol/server-filesystem'],
+    workspaceArgs: true,
+    env: {},
+    requiredEnv: [],
+    processSignature: 'server-filesystem',
+    gatewayPort: 3100,
+    idleTimeoutMinutes: 0,
+    limits: {},
+    canary: { tool: 'list_allowed_directories', arguments: {} },
+    npmScript: 'mcp-fs'
+  },
+  {
+    name: 'puppeteer',
+    description: 'Browser automation and UI analysis',
+    package: '@modelcontextprotocol/server-puppeteer',
+    command: 'npx',
+    args: ['-y', '@modelcontextprotocol/server-puppeteer'],
+    workspaceArgs: false,
+    env: {
+      PUPPETEER_LAUNCH_OPTIONS: '{ "headless": true, "args": ["--no-sandbox"] }',
+      ALLOW_DANGEROUS: 'true'
+    },
+    requiredEnv: [],
+    processSignature: 'server-puppeteer',
+    gatewayPort: 3101,
+    idleTimeoutMinutes: 15,
+    limits: { maxMemoryMB: 2048, nice: 10, maxConcurrentCalls: 1, callTimeoutSeconds: 120 },
+    canary: { tool: 'puppeteer_navigate', arguments: { url: 'about:blank' } },
+    npmScript: 'mcp-puppeteer'
+  },
+  {
+    name: 'github',
+    description: 'GitHub repository integration',
+    package: '@modelcontextprotocol/server-github',
+    command: 'npx',
+    args: ['-y', '@modelcontextprotocol/server-github'],
+    workspaceArgs: false,
+    env: {},
+    requiredEnv: [
+      { name: 'GITHUB_PERSONAL_ACCESS_TOKEN', aliases: ['GITHUB_TOKEN'] }
+    ],
+    processSignature: 'server-github',
+    gatewayPort: 3102,
+    idleTimeoutMinutes: 0,
+    limits: { callTimeoutSeconds: 60 },
+    canary: { tool: 'search_repositories', arguments: { query: 'repo:modelcontextprotocol/servers', perPage: 1 } },
+    npmScript: 'mcp-github'
+  },
+  {
+    name: 'webresearch',
+    description: 'Web search and content retrieval',
+    package: '@mzxrai/mcp-webresearch',
+    command: 'npx',
+    args: ['-y', '@mzxrai/mcp-webresearch'],
+    workspaceArgs: false,
+    env: {},
+    requiredEnv: [],
+    // The npx form runs @mzxrai/mcp-webresearch, the local binary mcp-server-webresearch
+    processSignature: 'webresearch',
+    gatewayPort: 3103,
+    idleTimeoutMinutes: 15,
+    limits: { maxMemoryMB: 1536, nice: 10, maxConcurrentCalls: 2, callTimeoutSeconds: 120 },
+    canary: { tool: 'visit_page', arguments: { url: 'https://example.com' } },
+    npmScript: 'mcp-webresearch'
+  },
+  {
+    name: 'fetch',
+    description: 'Enhanced fetch capabilities',
+    package: 'mcprouter',
+    command: 'npx',
+    args: ['-y', 'mcprouter'],
+    workspaceArgs: false,
+    env: {
+      SERVER_KEY: '928gi2m8xwtay9'
+    },
+    requiredEnv: [],
+    // fetch and sequentialthinking share the mcprouter binary; the key
+    // that tells them apart lives in the environment, not the command line
+    processSignature: 'mcprouter',
+    gatewayPort: 3104,
+    idleTimeoutMinutes: 0,
+    limits: { maxConcurrentCalls: 4, callTimeoutSeconds: 60 },
+    canary: { tool: 'fetch', arguments: { url: 'https://example.com', max_length: 200 } },
+    npmScript: 'mcp-fetch'
+  },
+  {
+    name: 'sequentialthinking',
+    description: 'Sequential thinking for complex tasks',
+    package: 'mcprouter',
+    command: 'npx',
+    args: ['-y', 'mcprouter'],
+    workspaceArgs: false,
+    env: {
+      SERVER_KEY: '76e32um8xwucnc'
+    },
+    requiredEnv: [],
+    processSignature: 'mcprouter',
+    gatewayPort: 3105,
+    idleTimeoutMinutes: 0,
+    limits: {},
+    canary: {
+      tool: 'sequentialthinking',
+      arguments: { thought: 'Health check', thoughtNumber: 1, totalThoughts: 1, nextThoughtNeeded: false }
+    },
+    npmScript: 'mcp-sequential'
+  }
+];
+
+// Expected type of every field in a server definition
+const SERVER_SCHEMA = {
+  name: 'string',
+  description: 'string',
+  package: 'string',
+  command: 'string',
+  args: 'string[]',
+  workspaceArgs: 'boolean',
+  env: 'object',
+  requiredEnv: 'array',
+  processSignature: 'string',
+  gatewayPort: 'number',
+  idleTimeoutMinutes: 'number',
+  limits: 'object',
+  canary: 'object',
+  npmScript: 'string'
+};
+
+// Allowed resource limits and the check each value must pass
+const LIMIT_FIELDS = {
+  maxMemoryMB: { check: value => value > 0, describe: 'a number of megabytes above 0' },
+  nice: { check: value => Number.isInteger(value) && value >= -20 && value <= 19, describe: 'a whole number from -20 to 19' },
+  maxConcurrentCalls: { check: value => Number.isInteger(value) && value > 0, describe: 'a whole number above 0' },
+  callTimeoutSeconds: { check: value => value > 0, describe: 'a number of seconds above 0' }
+};
+
+// Function to check a value against a schema type name
+function matchesType(value, type) {
+  switch (type) {
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// Function to validate a server definition, returning a list of problems
+function validateServer(server) {
+  const errors = [];
+  const label = server && server.name ? server.name : '<unnamed>';
+
+  for (const [field, type] of Object.entries(SERVER_SCHEMA)) {
+    if (!matchesType(server[field], type)) {
+      errors.push(`${label}: "${field}" must be ${type}`);
+    }
+  }
+
+  if (matchesType(server.env, 'object')) {
+    for (const [key, value] of Object.entries(server.env)) {
+      if (typeof value !== 'string') {
+        errors.push(`${label}: env "${key}" must be a string`);
+      }
+    }
+  }
+
+  if (typeof server.gatewayPort === 'number' && (!Number.isInteger(server.gatewayPort) || server.gatewayPort < 1 || server.gatewayPort > 65535)) {
+    errors.push(`${label}: "gatewayPort" must be a port number`);
+  }
+
+  if (typeof server.idleTimeoutMinutes === 'number' && !(Number.isFinite(server.idleTimeoutMinutes) && server.idleTimeoutMinutes >= 0)) {
+    errors.push(`${label}: "idleTimeoutMinutes" must be 0 or more`);
+  }
+
+  if (matchesType(server.limits, 'object')) {
+    for (const [key, value] of Object.entries(server.limits)) {
+      const field = LIMIT_FIELDS[key];
+      if (!field) {
+        errors.push(`${label}: unknown limit "${key}" (known: ${Object.keys(LIMIT_FIELDS).join(', ')})`);
+      } else if (typeof value !== 'number' || !Number.isFinite(value) || !field.check(value)) {
+        errors.push(`${label}: limit "${key}" must be ${field.describe}`);
+      }
+    }
+  }
+
+  if (matchesType(server.requiredEnv, 'array')) {
+    for (const requirement of server.requiredEnv) {
+      if (!requirement || typeof requirement.name !== 'string' ||
+          !matchesType(requirement.aliases || [], 'string[]')) {
+        errors.push(`${label}: requiredEnv entries need a name and optional aliases`);
+      }
+    }
+  }
+
+  if (matchesType(server.canary, 'object') &&
+      (typeof server.canary.tool !== 'string' || !matchesType(server.canary.arguments, 'object'))) {
+    errors.push(`${label}: "canary" needs a tool name and an arguments object`);
+  }
+
+  return errors;
+}
+
+// Function to validate the whole registry
+function validateRegistry(servers) {
+  const errors = [];
+  const seen = new Set();
+  const ports = new Map();
+
+  for (const server of servers) {
+    errors.push(...validateServer(server));
+    if (seen.has(server.name)) {
+      errors.push(`${server.name}: duplicate server name`);
+    }
+    seen.add(server.name);
+    if (ports.has(server.gatewayPort)) {
+      errors.push(`${server.name}: gatewayPort ${server.gatewayPort} is already used by ${ports.get(server.gatewayPort)}`);
+    }
+    ports.set(server.gatewayPort, server.name);
+  }
+
+  return errors;
+}
+
+const registryErrors = validateRegistry(SERVERS);
+if (registryErrors.length > 0) {
+  throw new Error(`Invalid MCP server registry:\n  ${registryErrors.join('\n  ')}`);
+}
+
+// Function to list all registered server names
+function getServerNames() {
+  return SERVERS.map(server => server.name);
+}
+
+// Function to look up a server definition by name
+function getServer(name) {
+  return SERVERS.find(server => server.name === name) || null;
+}
+
+// Function to select server definitions, defaulting to all of them
+function selectServers(names) {
+  if (!names) {
+    return SERVERS.slice();
+  }
+
+  return names.map(name => {
+    const server = getServer(name);
+    if (!server) {
+      throw new Error(`Unknown MCP server: ${name}`);
+    }
+    return server;
+  });
+}
+
+// Function to build the argument list for a server
+// `baseArgs` defaults to the registry arguments (the npx form)
+function buildArgs(server, context = {}, baseArgs = server.args) {
+  const args = baseArgs.slice();
+
+  if (server.workspaceArgs) {
+    const roots = context.roots || (context.workspaceDir ? [context.workspaceDir] : []);
+    if (roots.length === 0) {
+      throw new Error(`${server.name} needs at least one workspace directory`);
+    }
+    args.push(...roots);
+  }
+
+  return args;
+}
+
+// Function to get the command and arguments that start a server
+// Pinned servers run from node_modules/.bin when installed (see lib/lockfile.js);
+// pass { offline: true } to refuse anything that would need the network, and
+// { mock: true } to run the offline stand-in of servers that have one (lib/mocks.js)
+function getLaunchCommand(server, context = {}) {
+  const launch = isMocked(server, context) ? getMockLaunch(server) : resolveLaunch(server, context);
+  return { command: launch.command, args: buildArgs(server, context, launch.args) };
+}
+
+// Function to check whether an mcp.json entry runs a given server,
+// whether it is started through npx or a local binary
+function matchesServer(entry, server) {
+  const tokens = [entry.command, ...(Array.isArray(entry.args) ? entry.args : [])];
+  return tokens.some(token => typeof token === 'string' &&
+    (token.includes(server.package) || token.includes(server.processSignature)));
+}
+
+// Function to resolve a required variable from the environment, honouring aliases
+function resolveRequiredEnv(requirement, env = process.env) {
+  const candidates = [requirement.name, ...(requirement.aliases || [])];
+  for (const candidate of candidates) {
+    if (env[candidate]) {
+      return env[candidate];
+    }
+  }
+  return null;
+}
+
+// Function to list required variables that are not available
+// A stand-in needs none of them
+function getMissingEnv(server, env = process.env, context = {}) {
+  if (isMocked(server, context)) {
+    return [];
+  }
+  return server.requiredEnv
+    .filter(requirement => !resolveRequiredEnv(requirement, env))
+    .map(requirement => requirement.name);
+}
+
+// Function to map every required variable name to the names it can be read from
+function getEnvAliases() {
+  const aliases = {};
+  for (const server of SERVERS) {
+    for (const requirement of server.requiredEnv) {
+      const names = [requirement.name, ...(requirement.aliases || [])];
+      names.forEach(name => { aliases[name] = names; });
+    }
+  }
+  return aliases;
+}
+
+// Function to build the mcp.json entry for a server
+// Required variables are written as ${env:NAME} references and resolved by
+// the launcher when the server starts, so their values never reach mcp.json
+function toMcpConfigEntry(server, context = {}) {
+  const entry = getLaunchCommand(server, context);
+  if (isMocked(server, context)) {
+    entry.type = 'stdio';
+    return entry;
+  }
+
+  const env = { ...server.env };
+  for (const requirement of server.requiredEnv) {
+    env[requirement.name] = toReference('env', requirement.name);
+  }
+  if (Object.keys(env).length > 0) {
+    entry.env = env;
+  }
+  if (server.requiredEnv.length > 0) {
+    wrapWithLauncher(entry);
+  }
+
+  entry.type = 'stdio';
+  return entry;
+}
+
+// Function to build the mcpServers object for a set of servers
+function buildMcpServers(context = {}, names) {
+  const mcpServers = {};
+  for (const server of selectServers(names)) {
+    mcpServers[server.name] = toMcpConfigEntry(server, context);
+  }
+  return mcpServers;
+}
+
+// Function to build the command, args and environment used to spawn a server
+function getSpawnSpec(server, context = {}) {
+  const env = { ...(context.env || process.env), ...server.env };
+
+  // Fill in canonical variable names from their aliases
+  for (const requirement of server.requiredEnv) {
+    const value = resolveRequiredEnv(requirement, env);
+    if (value && !env[requirement.name]) {
+      env[requirement.name] = value;
+    }
+  }
+
+  return { ...getLaunchCommand(server, context), env };
+}
+
+// Function to list the unique process signatures of a set of servers
+function getProcessSignatures(names) {
+  return [...new Set(selectServers(names).map(server => server.processSignature))];
+}
+
+// Function to format the server list for help output
+function formatServerList(names) {
+  return selectServers(names).map(server => `- ${server.name}: ${server.description}`);
+}
+
+module.exports = {
+  SERVERS,
+  validateServer,
+  validateRegistry,
+  getServerNames,
+  getServer,
+  selectServers,
+  buildArgs,
+  getLaunchCommand,
+  matchesServer,
+  resolveRequiredEnv,
+  getMissingEnv,
+  getEnvAliases,
+  toMcpConfigEntry,
+  buildMcpServers,
+  getSpawnSpec,
+  getProcessSignatures,
+  formatServerList
+};
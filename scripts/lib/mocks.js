@@ -0,0 +1,163 @@
+/**
+ * Offline Stand-in MCP Servers
+ *
+ * The github, webresearch, fetch and sequentialthinking servers need a token,
+ * the web or the hosted mcprouter service. In mock mode each of them is
+ * replaced by a local stand-in (scripts/mock-mcp-server.js) that offers the
+ * same tools with responses from the fixtures in scripts/mocks/fixtures, so
+ * the integration tests run with no network at all.
+ *
+ * Mock mode is on for the built-in "mock" profile, for a launch context with
+ * { mock: true } (the --mock flag) and whenever MCP_MOCK=1 is set. Servers
+ * without a stand-in, such as filesystem, launch as usual.
+ *
+ * A stand-in lists the tools of the server's committed snapshot
+ * (lib/snapshots.js), so names, descriptions and input schemas match the
+ * pinned server exactly. Stand-ins for servers that cannot be recorded
+ * declare their tools themselves. Each module in scripts/mocks exports:
+ *
+ *   { tools?: [{ name, description, inputSchema }], createHandlers: () => ({ <tool>: async args => result }) }
+ */
+
+const path = require('path');
+const { LATEST_PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS } = require('@modelcontextprotocol/sdk/types.js');
+const { readSnapshot } = require('./snapshots');
+
+const MOCK_SCRIPT = path.join(__dirname, '..', 'mock-mcp-server.js');
+const MOCKED_SERVERS = ['github', 'webresearch', 'fetch', 'sequentialthinking'];
+
+// JSON-RPC error codes used by the stand-ins
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// Function to check whether mock mode is on for a launch context
+function isMockMode(context = {}) {
+  return Boolean(context.mock) || process.env.MCP_MOCK === '1';
+}
+
+// Function to check whether a server is replaced by its stand-in
+function isMocked(server, context = {}) {
+  return isMockMode(context) && MOCKED_SERVERS.includes(server.name);
+}
+
+// Function to get the command that runs a server's stand-in
+function getMockLaunch(server) {
+  return { command: process.execPath, args: [MOCK_SCRIPT, server.name], source: 'mock' };
+}
+
+// Function to load a stand-in: its tools and a fresh set of tool handlers
+function loadMock(name) {
+  if (!MOCKED_SERVERS.includes(name)) {
+    throw new Error(`There is no stand-in for "${name}". Available: ${MOCKED_SERVERS.join(', ')}`);
+  }
+  const mock = require(path.join(__dirname, '..', 'mocks', name));
+  const snapshot = readSnapshot(name);
+  const tools = snapshot ? snapshot.tools : mock.tools;
+  if (!tools) {
+    throw new Error(`The ${name} stand-in needs a snapshot; record one with "npm run snapshots -- record ${name}"`);
+  }
+  return { name, tools, handlers: mock.createHandlers() };
+}
+
+// Function to describe why arguments do not fit a tool's input schema, or null
+// Only the checks a real server's validation would fail on first: required
+// properties, JSON types and allowed values
+function validateArguments(schema, args) {
+  const properties = schema.properties || {};
+  const missing = (schema.required || []).filter(key => args[key] === undefined);
+  if (missing.length > 0) {
+    return `missing ${missing.join(', ')}`;
+  }
+  for (const [key, value] of Object.entries(args)) {
+    const property = properties[key];
+    if (!property) {
+      continue;
+    }
+    const types = property.type === undefined ? null : [].concat(property.type);
+    const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    const fits = !types || types.includes(type) ||
+      (type === 'number' && types.includes('integer') && Number.isInteger(value));
+    if (!fits) {
+      return `${key} must be ${types.join(' or ')}`;
+    }
+    if (Array.isArray(property.enum) && !property.enum.includes(value)) {
+      return `${key} must be one of ${property.enum.map(item => JSON.stringify(item)).join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// Function to create the protocol side of a stand-in
+// `send` writes one JSON-RPC message to the client
+function createMockServer(mock, send) {
+  // Function to answer one request from the client
+  async function handleRequest(message) {
+    const params = message.params || {};
+    switch (message.method) {
+      case 'initialize': {
+        // Negotiated like the SDK servers the real ones are built on
+        const requested = params.protocolVersion;
+        return {
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : LATEST_PROTOCOL_VERSION,
+          capabilities: { tools: {} },
+          serverInfo: { name: `mock-${mock.name}`, version: '1.0.0' },
+          instructions: `Offline stand-in for the ${mock.name} server; responses come from fixtures.`
+        };
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: mock.tools };
+      case 'tools/call': {
+        const tool = mock.tools.find(item => item.name === params.name);
+        const handler = mock.handlers[params.name];
+        if (!tool || !handler) {
+          throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: INVALID_PARAMS });
+        }
+        const args = params.arguments || {};
+        const problem = validateArguments(tool.inputSchema || {}, args);
+        if (problem) {
+          throw Object.assign(new Error(`Invalid arguments for ${params.name}: ${problem}`), { code: INVALID_PARAMS });
+        }
+        return handler(args);
+      }
+      default:
+        throw Object.assign(new Error(`Method not found: ${message.method}`), { code: METHOD_NOT_FOUND });
+    }
+  }
+
+  // Function to handle one message from the client
+  function handleMessage(message) {
+    if (message.method === undefined || message.id === undefined || message.id === null) {
+      // Notifications need no answer
+      return;
+    }
+    handleRequest(message)
+      .then(result => send({ jsonrpc: '2.0', id: message.id, result }))
+      .catch(error => send({
+        jsonrpc: '2.0',
+        id: message.id,
+        error: { code: typeof error.code === 'number' ? error.code : INTERNAL_ERROR, message: error.message }
+      }));
+  }
+
+  return { handleMessage };
+}
+
+// Function to build a tool result with one text item
+function textResult(text, isError = false) {
+  return isError ? { content: [{ type: 'text', text }], isError: true } : { content: [{ type: 'text', text }] };
+}
+
+module.exports = {
+  MOCK_SCRIPT,
+  MOCKED_SERVERS,
+  isMockMode,
+  isMocked,
+  getMockLaunch,
+  loadMock,
+  validateArguments,
+  createMockServer,
+  textResult
+};
@@ -0,0 +1,206 @@
+/**
+ * MCP Server Preflight
+ *
+ * Checks what each server needs before anything is started, so that a
+ * server that cannot run is skipped with a reason instead of dying silently
+ * under the supervisor. Checks cover the Node version, npx or the locally
+ * installed binary, Puppeteer's Chromium, the filesystem roots, required
+ * environment variables and the gateway ports.
+ *
+ * runPreflight resolves with:
+ *
+ *   { checks: [{ id, server, ok, message, suggestion }], ready: [names], skipped: [{ name, reasons }] }
+ *
+ * where a check with a null server applies to every server.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const { execFile } = require('child_process');
+const { selectServers, getLaunchCommand, getMissingEnv } = require('./mcp-registry');
+const { isMocked } = require('./mocks');
+const { MIN_NODE_MAJOR, commandExists, findChromium } = require('./doctor');
+const { createResolver } = require('./launch-env');
+const { loadGatewayConfig, getGatewayPort, readGatewayState } = require('./gateway');
+const { readSupervisorState } = require('./supervisor');
+const { isProcessAlive } = require('./state');
+
+const CHROMIUM_TIMEOUT_MS = 15000;
+
+// Function to build a check result
+function check(id, server, ok, message, suggestion = null) {
+  return { id, server: server || null, ok, message, suggestion };
+}
+
+// Function to check whether a port can be listened on
+function isPortFree(port, host) {
+  return new Promise(resolve => {
+    const probe = net.createServer();
+    probe.once('error', () => resolve(false));
+    probe.listen(port, host, () => probe.close(() => resolve(true)));
+  });
+}
+
+// Function to check that a Chromium binary starts, resolving with its version
+function probeChromium(executablePath) {
+  return new Promise(resolve => {
+    execFile(executablePath, ['--version'], { timeout: CHROMIUM_TIMEOUT_MS }, (error, stdout, stderr) => {
+      resolve(error
+        ? { ok: false, error: (String(stderr).trim().split('\n')[0] || error.message) }
+        : { ok: true, version: String(stdout).trim() });
+    });
+  });
+}
+
+// Function to check whether a server's port is held by its own running gateway
+function isOwnPort(name, port, supervisorState) {
+  const gateway = readGatewayState(name);
+  if (gateway && gateway.port === port) {
+    return true;
+  }
+  const entry = supervisorState.servers[name];
+  return Boolean(isProcessAlive(supervisorState.pid) && entry && entry.status === 'running' &&
+    entry.url && new URL(entry.url).port === String(port));
+}
+
+// Function to check how a server is launched: npx on PATH, or an installed binary
+function checkLaunch(server, context, hasNpx) {
+  let launch;
+  try {
+    launch = getLaunchCommand(server, context);
+  } catch (error) {
+    return check('launch', server.name, false, error.message);
+  }
+  if (launch.command === 'npx') {
+    return hasNpx()
+      ? check('npx', server.name, true, 'npx is on PATH')
+      : check('npx', server.name, false, 'npx is not on PATH', 'Install npm, or add its bin directory to PATH');
+  }
+  return fs.existsSync(launch.command)
+    ? check('launch', server.name, true, `runs ${launch.command}`)
+    : check('launch', server.name, false, `${launch.command} does not exist`, 'Run "npm ci" to reinstall the servers');
+}
+
+// Function to check that every filesystem root can be listed
+function checkRoots(server, roots) {
+  if (roots.length === 0) {
+    return check('roots', server.name, false, 'no usable filesystem roots', 'Add one with "npm run roots -- add <dir>"');
+  }
+  const unreadable = roots.filter(root => {
+    try {
+      fs.accessSync(root, fs.constants.R_OK | fs.constants.X_OK);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+  return unreadable.length === 0
+    ? check('roots', server.name, true, `${roots.length} readable root(s)`)
+    : check('roots', server.name, false, `cannot read ${unreadable.join(', ')}`,
+      'Fix the permissions, or leave it out with "npm run roots -- exclude <dir>"');
+}
+
+// Function to check Puppeteer's Chromium is downloaded and starts
+async function checkChromium(server) {
+  const executablePath = findChromium();
+  if (!executablePath) {
+    return check('chromium', server.name, false, 'Puppeteer has no downloaded Chromium',
+      'Run "npx puppeteer browsers install chrome"');
+  }
+  const probe = await probeChromium(executablePath);
+  return probe.ok
+    ? check('chromium', server.name, true, probe.version)
+    : check('chromium', server.name, false, `Chromium at ${executablePath} does not start: ${probe.error}`,
+      'Reinstall it with "npx puppeteer browsers install chrome", or install its system libraries');
+}
+
+// Function to run every check for the given servers
+// `context` is the launch context ({ workspaceDir, roots, offline, mock }); the
+// remaining options exist for tests
+async function runPreflight(names, context = {}, {
+  env = process.env,
+  nodeVersion = process.versions.node,
+  gatewayConfig = loadGatewayConfig()
+} = {}) {
+  const checks = [];
+  const servers = selectServers(names);
+  const lookup = createResolver({ env });
+  const supervisorState = readSupervisorState();
+  let npx = null;
+  const hasNpx = () => (npx === null ? (npx = commandExists('npx')) : npx);
+
+  const major = parseInt(nodeVersion.split('.')[0], 10);
+  checks.push(major >= MIN_NODE_MAJOR
+    ? check('node', null, true, `Node ${nodeVersion}`)
+    : check('node', null, false, `Node ${nodeVersion} is too old; MCP servers need Node ${MIN_NODE_MAJOR} or later`,
+      `Install Node ${MIN_NODE_MAJOR}+ (for example with nvm) and re-run npm install`));
+
+  for (const server of servers) {
+    // The launch command includes the roots, so it is only built when they are usable
+    const roots = server.workspaceArgs
+      ? checkRoots(server, context.roots || (context.workspaceDir ? [context.workspaceDir] : []))
+      : null;
+    if (roots) {
+      checks.push(roots);
+    }
+    if (!roots || roots.ok) {
+      checks.push(checkLaunch(server, context, hasNpx));
+    }
+
+    if (server.name === 'puppeteer') {
+      checks.push(await checkChromium(server));
+    }
+
+    // Required variables may also come from env files, like at launch
+    const resolved = {};
+    server.requiredEnv.forEach(requirement => { resolved[requirement.name] = lookup('env', requirement.name); });
+    const missing = getMissingEnv(server, resolved, context);
+    if (isMocked(server, context)) {
+      checks.push(check('env', server.name, true, 'runs the offline stand-in'));
+    } else if (missing.length > 0) {
+      checks.push(check('env', server.name, false, `${missing.join(', ')} is not set`,
+        server.name === 'github' ? 'Run "npm run setup-github"' : `Set ${missing.join(', ')} in the environment`));
+    } else if (server.requiredEnv.length > 0) {
+      checks.push(check('env', server.name, true, 'required variables are set'));
+    }
+
+    if (gatewayConfig.enabled) {
+      const port = getGatewayPort(server, gatewayConfig);
+      const free = isOwnPort(server.name, port, supervisorState) || await isPortFree(port, gatewayConfig.host);
+      checks.push(free
+        ? check('port', server.name, true, `port ${port} is available`)
+        : check('port', server.name, false, `port ${port} is already in use`,
+          'Stop whatever listens on it, or pick another port under "ports" in ~/.cursor/mcp-gateway.json'));
+    }
+  }
+
+  // A failed check without a server holds every server back
+  const skipped = [];
+  const ready = [];
+  for (const server of servers) {
+    const failed = checks.filter(item => !item.ok && (item.server === null || item.server === server.name));
+    if (failed.length > 0) {
+      skipped.push({ name: server.name, reasons: failed });
+    } else {
+      ready.push(server.name);
+    }
+  }
+  return { checks, ready, skipped };
+}
+
+// Function to format the servers preflight held back, with what to do about each
+function formatSkipped(skipped) {
+  const lines = [];
+  for (const { name, reasons } of skipped) {
+    lines.push(`Skipping ${name}: ${reasons.map(reason => reason.message).join('; ')}`);
+    reasons.filter(reason => reason.suggestion).forEach(reason => lines.push(`  → ${reason.suggestion}`));
+  }
+  return lines;
+}
+
+module.exports = {
+  isPortFree,
+  probeChromium,
+  runPreflight,
+  formatSkipped
+};
@@ -0,0 +1,338 @@
+/**
+ * Process Trees and Graceful Shutdown
+ *
+ * Servers started by this tool run in their own process group. Stopping
+ * one means stopping that group and everything it started, including
+ * children that moved to a group of their own (Puppeteer starts Chrome
+ * that way): SIGTERM first, SIGKILL for whatever is still alive after the
+ * grace period. Nothing is ever matched by name, so unrelated processes
+ * that happen to look similar are left alone.
+ *
+ * Processes are read from /proc on Linux and from `ps` elsewhere; memory
+ * and CPU usage are only available from /proc.
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+const DEFAULT_GRACE_MS = 5000;
+const KILL_WAIT_MS = 2000;
+
+// Environment variable the supervisor sets on every server it starts,
+// so servers orphaned by a crashed supervisor can still be found
+const MANAGED_ENV = 'MCP_MANAGED_SERVER';
+
+// Function to get the grace period between SIGTERM and SIGKILL
+function getGraceMs() {
+  const configured = parseInt(process.env.MCP_STOP_GRACE_MS, 10);
+  return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_GRACE_MS;
+}
+
+// Function to read --grace=<seconds> from the command line, falling back to getGraceMs()
+function getGraceOption(args = process.argv) {
+  const option = args.find(arg => arg.startsWith('--grace='));
+  if (!option) {
+    return getGraceMs();
+  }
+  const seconds = Number(option.slice('--grace='.length));
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid ${option}; expected a number of seconds`);
+  }
+  return seconds * 1000;
+}
+
+// Function to read one process from /proc; returns null when it is gone
+function readProcProcess(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    // The command name is in parentheses and may itself contain spaces or ")"
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const cmdline = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').filter(Boolean).join(' ');
+    return {
+      pid,
+      ppid: Number(fields[1]),
+      pgid: Number(fields[2]),
+      zombie: fields[0] === 'Z',
+      command: cmdline || stat.slice(stat.indexOf('(') + 1, stat.lastIndexOf(')'))
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to list every process as { pid, ppid, pgid, zombie, command }
+function listProcesses() {
+  if (fs.existsSync('/proc/self/stat')) {
+    return fs.readdirSync('/proc')
+      .filter(name => /^\d+$/.test(name))
+      .map(name => readProcProcess(Number(name)))
+      .filter(Boolean);
+  }
+
+  const output = execFileSync('ps', ['-axo', 'pid=,ppid=,pgid=,stat=,command='], { encoding: 'utf8' });
+  return output.split('\n').filter(line => line.trim()).map(line => {
+    const [pid, ppid, pgid, stat, ...command] = line.trim().split(/\s+/);
+    return { pid: Number(pid), ppid: Number(ppid), pgid: Number(pgid), zombie: stat.startsWith('Z'), command: command.join(' ') };
+  });
+}
+
+// Function to collect a process, the group it leads and all their descendants,
+// following descendants into any process group they created
+function collectTree(pid, processes = listProcesses()) {
+  const ownGroup = readOwnGroup(processes);
+  const members = new Map();
+  const groups = new Set([pid]);
+
+  let added = true;
+  while (added) {
+    added = false;
+    for (const proc of processes) {
+      if (members.has(proc.pid) || proc.pid === process.pid || proc.pgid === ownGroup) {
+        continue;
+      }
+      if (proc.pid === pid || groups.has(proc.pgid) || members.has(proc.ppid)) {
+        members.set(proc.pid, proc);
+        groups.add(proc.pgid);
+        added = true;
+      }
+    }
+  }
+
+  // Never signal this process's own group, or a group that is not part of the tree
+  const list = [...members.values()];
+  groups.delete(ownGroup);
+  return { members: list, groups: [...groups].filter(group => group > 1 && list.some(proc => proc.pgid === group)) };
+}
+
+// Function to find the process group this process belongs to
+function readOwnGroup(processes) {
+  const self = processes.find(proc => proc.pid === process.pid);
+  return self ? self.pgid : null;
+}
+
+// Function to send a signal to whole groups, then to members outside them
+function signalTree(tree, alive, signal) {
+  for (const group of tree.groups) {
+    try {
+      process.kill(-group, signal);
+    } catch (error) {
+      // The group is already gone
+    }
+  }
+  for (const proc of alive.filter(item => !tree.groups.includes(item.pgid))) {
+    try {
+      process.kill(proc.pid, signal);
+    } catch (error) {
+      // Already gone
+    }
+  }
+}
+
+// Function to list the members of a tree that are still running
+// New processes that appeared in the tree's groups count too
+function findAlive(tree) {
+  const pids = new Set(tree.members.map(proc => proc.pid));
+  return listProcesses().filter(proc => !proc.zombie && (pids.has(proc.pid) || tree.groups.includes(proc.pgid)));
+}
+
+// Function to wait until no member of a tree is running, or the deadline passes
+async function waitForExit(tree, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  let alive = findAlive(tree);
+  while (alive.length > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    alive = findAlive(tree);
+  }
+  return alive;
+}
+
+// Function to stop a process tree: SIGTERM, wait up to `graceMs`, then SIGKILL
+// Returns { name, pid, graceMs, terminated, killed, survivors }: the processes that
+// exited after SIGTERM, the ones that needed SIGKILL, and any that outlived both
+async function terminateTree(pid, { name = null, graceMs = getGraceMs() } = {}) {
+  const report = { name, pid, graceMs, terminated: [], killed: [], survivors: [] };
+
+  if (process.platform === 'win32') {
+    // Windows has no process groups; taskkill /T walks the tree instead
+    try {
+      execFileSync('taskkill', ['/PID', String(pid), '/T'], { stdio: 'ignore' });
+    } catch (error) {
+      // Fall through to the forced kill
+    }
+    await new Promise(resolve => setTimeout(resolve, graceMs));
+    try {
+      execFileSync('taskkill', ['/PID', String(pid), '/T', '/F'], { stdio: 'ignore' });
+      report.killed.push({ pid, command: name || '' });
+    } catch (error) {
+      report.terminated.push({ pid, command: name || '' });
+    }
+    return report;
+  }
+
+  const tree = collectTree(pid);
+  if (tree.members.length === 0) {
+    return report;
+  }
+  const describe = ({ pid: id, command }) => ({ pid: id, command });
+
+  signalTree(tree, tree.members, 'SIGTERM');
+  const lingering = await waitForExit(tree, graceMs);
+  const lingeringPids = new Set(lingering.map(proc => proc.pid));
+
+  if (lingering.length > 0) {
+    signalTree(tree, lingering, 'SIGKILL');
+    const survivors = await waitForExit(tree, KILL_WAIT_MS);
+    report.survivors = survivors.map(describe);
+  }
+
+  const survivorPids = new Set(report.survivors.map(proc => proc.pid));
+  report.terminated = tree.members.filter(proc => !lingeringPids.has(proc.pid)).map(describe);
+  report.killed = lingering.filter(proc => !survivorPids.has(proc.pid)).map(describe);
+  return report;
+}
+
+// Function to find servers started by the supervisor, by their environment
+// Only group leaders are returned, since stopping the leader's tree covers the rest.
+// Needs /proc; elsewhere there is no way to read another process's environment
+function findManagedServers(names) {
+  if (!fs.existsSync('/proc/self/environ')) {
+    return [];
+  }
+
+  const servers = [];
+  for (const proc of listProcesses()) {
+    if (proc.pid !== proc.pgid || proc.zombie) {
+      continue;
+    }
+    const environ = readEnviron(proc.pid);
+    const name = environ && environ[MANAGED_ENV];
+    if (name && (!names || names.includes(name))) {
+      servers.push({ name, pid: proc.pid, ppid: proc.ppid, command: proc.command });
+    }
+  }
+  return servers;
+}
+
+// Function to read another process's environment from /proc
+// Returns null when it cannot be read (other users' processes, or no /proc)
+function readEnviron(pid) {
+  try {
+    const environ = {};
+    for (const item of fs.readFileSync(`/proc/${pid}/environ`, 'utf8').split('\0')) {
+      const index = item.indexOf('=');
+      if (index > 0) {
+        environ[item.slice(0, index)] = item.slice(index + 1);
+      }
+    }
+    return environ;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to read a numeric system setting, e.g. CLK_TCK or PAGESIZE
+const systemSettings = {};
+function getSystemSetting(name, fallback) {
+  if (!(name in systemSettings)) {
+    try {
+      systemSettings[name] = Number(execFileSync('getconf', [name], { encoding: 'utf8' }).trim()) || fallback;
+    } catch (error) {
+      systemSettings[name] = fallback;
+    }
+  }
+  return systemSettings[name];
+}
+
+// Function to read CPU time, start time and resident memory of one process
+function readProcUsage(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    // Fields are numbered from the state (field 3 in proc(5))
+    return {
+      cpuTicks: Number(fields[11]) + Number(fields[12]),
+      startTicks: Number(fields[19]),
+      rssPages: Number(fields[21])
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to measure a process tree from /proc
+// Returns { processes, uptimeSeconds, cpuSeconds, cpuPercent, rssBytes } where
+// uptime is the root process's, CPU and memory are summed over the whole tree
+// and cpuPercent is the average since the root started; null without /proc
+function getTreeUsage(pid) {
+  const root = readProcUsage(pid);
+  if (!root) {
+    return null;
+  }
+
+  const ticks = getSystemSetting('CLK_TCK', 100);
+  const pageSize = getSystemSetting('PAGESIZE', 4096);
+  const systemUptime = Number(fs.readFileSync('/proc/uptime', 'utf8').split(' ')[0]);
+
+  const pids = new Set([pid, ...collectTree(pid).members.filter(proc => !proc.zombie).map(proc => proc.pid)]);
+  let cpuTicks = 0;
+  let rssPages = 0;
+  for (const member of pids) {
+    const usage = member === pid ? root : readProcUsage(member);
+    if (usage) {
+      cpuTicks += usage.cpuTicks;
+      rssPages += usage.rssPages;
+    }
+  }
+
+  const uptimeSeconds = Math.max(0, systemUptime - root.startTicks / ticks);
+  const cpuSeconds = cpuTicks / ticks;
+  return {
+    processes: pids.size,
+    uptimeSeconds: Math.round(uptimeSeconds),
+    cpuSeconds: Math.round(cpuSeconds * 100) / 100,
+    cpuPercent: uptimeSeconds > 0 ? Math.round((cpuSeconds / uptimeSeconds) * 1000) / 10 : 0,
+    rssBytes: rssPages * pageSize
+  };
+}
+
+// Function to format a shutdown report for the terminal
+function formatShutdownReport(report) {
+  const label = report.name ? `${report.name} (PID ${report.pid})` : `PID ${report.pid}`;
+  const lines = [];
+  const count = report.terminated.length + report.killed.length;
+
+  if (count === 0 && report.survivors.length === 0) {
+    return [`${label}: already stopped`];
+  }
+  if (report.killed.length === 0 && report.survivors.length === 0) {
+    lines.push(`${label}: ${count} process${count === 1 ? '' : 'es'} stopped after SIGTERM`);
+  } else {
+    lines.push(`${label}: ${report.terminated.length} stopped after SIGTERM, ` +
+      `${report.killed.length} still running after ${report.graceMs / 1000}s reaped with SIGKILL`);
+  }
+
+  // Children of the server are what tends to be left behind (Chrome renderers, npx children)
+  const children = [...report.terminated, ...report.killed].filter(proc => proc.pid !== report.pid);
+  for (const proc of children) {
+    const how = report.killed.includes(proc) ? 'SIGKILL' : 'SIGTERM';
+    lines.push(`  reaped child ${proc.pid} (${how}): ${proc.command.slice(0, 100)}`);
+  }
+  for (const proc of report.survivors) {
+    lines.push(`  could not stop ${proc.pid}: ${proc.command.slice(0, 100)}`);
+  }
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_GRACE_MS,
+  MANAGED_ENV,
+  getGraceMs,
+  getGraceOption,
+  listProcesses,
+  collectTree,
+  terminateTree,
+  findManagedServers,
+  readEnviron,
+  getTreeUsage,
+  formatShutdownReport
+};
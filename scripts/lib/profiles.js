@@ -0,0 +1,171 @@
+/**
+ * MCP Server Profiles
+ *
+ * Named sets of servers that can be selected at init time. Built-in
+ * profiles cover the common cases; teams can add their own in
+ * ~/.cursor/mcp-profiles.json:
+ *
+ *   {
+ *     "profiles": {
+ *       "research": { "description": "Docs and web research", "servers": ["filesystem", "webresearch"] }
+ *     }
+ *   }
+ *
+ * A profile with "mock": true runs the offline stand-ins of its servers
+ * where there are any (see ./mocks.js), like the built-in "mock" profile.
+ *
+ * The same file records which profile is active, so switching profiles
+ * can start and stop only the servers that differ.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getServerNames } = require('./mcp-registry');
+
+const DEFAULT_PROFILE = 'full';
+
+const BUILTIN_PROFILES = {
+  minimal: {
+    description: 'Local files and GitHub only',
+    servers: ['filesystem', 'github']
+  },
+  web: {
+    description: 'Files plus browser automation and web research',
+    servers: ['filesystem', 'puppeteer', 'webresearch', 'fetch']
+  },
+  full: {
+    description: 'Every registered server',
+    servers: getServerNames()
+  },
+  mock: {
+    description: 'Offline stand-ins for the servers that need a token or the network',
+    servers: ['filesystem', 'github', 'webresearch', 'fetch', 'sequentialthinking'],
+    mock: true
+  }
+};
+
+// Function to get the path of the user profile file
+function getProfilesPath() {
+  return path.join(os.homedir(), '.cursor', 'mcp-profiles.json');
+}
+
+// Function to read the user profile file, returning an empty one if missing
+function readProfilesFile() {
+  const profilesPath = getProfilesPath();
+  if (!fs.existsSync(profilesPath)) {
+    return { profiles: {} };
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(profilesPath, 'utf8'));
+    return { profiles: {}, ...data };
+  } catch (error) {
+    throw new Error(`Could not parse ${profilesPath}: ${error.message}`);
+  }
+}
+
+// Function to normalize a profile definition; an array is shorthand for its servers
+function normalizeProfile(name, definition) {
+  const profile = Array.isArray(definition) ? { servers: definition } : { ...definition };
+
+  if (!Array.isArray(profile.servers) || profile.servers.length === 0) {
+    throw new Error(`Profile "${name}" must list at least one server`);
+  }
+
+  const known = getServerNames();
+  const unknown = profile.servers.filter(server => !known.includes(server));
+  if (unknown.length > 0) {
+    throw new Error(`Profile "${name}" references unknown server(s): ${unknown.join(', ')}`);
+  }
+
+  return { name, description: profile.description || '', servers: profile.servers.slice(), mock: Boolean(profile.mock) };
+}
+
+// Function to load built-in and user-defined profiles; user profiles win on name clashes
+// An invalid custom profile is kept with its `error` instead of its servers,
+// so it only fails when it is the one looked up
+function loadProfiles() {
+  const { profiles: custom } = readProfilesFile();
+  const all = {};
+
+  for (const [name, definition] of Object.entries({ ...BUILTIN_PROFILES, ...custom })) {
+    try {
+      all[name] = normalizeProfile(name, definition);
+    } catch (error) {
+      all[name] = { name, error: error.message };
+    }
+    all[name].builtin = !(name in custom);
+  }
+  return all;
+}
+
+// Function to look up a profile by name
+function resolveProfile(name = DEFAULT_PROFILE) {
+  const profiles = loadProfiles();
+  if (!profiles[name]) {
+    throw new Error(`Unknown profile "${name}". Available: ${Object.keys(profiles).join(', ')}`);
+  }
+  if (profiles[name].error) {
+    throw new Error(`${profiles[name].error}. Fix it in ${getProfilesPath()}`);
+  }
+  return profiles[name];
+}
+
+// Function to get the active profile, the servers it enabled and whether
+// they run as stand-ins, or null
+function getActiveProfile() {
+  const data = readProfilesFile();
+  if (!data.active) {
+    return null;
+  }
+  return { name: data.active, servers: data.activeServers || [], mock: Boolean(data.activeMock) };
+}
+
+// Function to record the active profile, keeping the rest of the file intact
+function setActiveProfile(profile) {
+  const profilesPath = getProfilesPath();
+  const data = readProfilesFile();
+
+  data.active = profile.name;
+  data.activeServers = profile.servers;
+  data.activeMock = Boolean(profile.mock);
+
+  fs.mkdirSync(path.dirname(profilesPath), { recursive: true });
+  fs.writeFileSync(profilesPath, JSON.stringify(data, null, 2) + '\n');
+}
+
+// Function to compute which servers a profile switch starts and stops
+function diffProfiles(previousServers, nextServers) {
+  return {
+    start: nextServers.filter(server => !previousServers.includes(server)),
+    stop: previousServers.filter(server => !nextServers.includes(server)),
+    keep: nextServers.filter(server => previousServers.includes(server))
+  };
+}
+
+// Function to format the profile list for help output
+function formatProfileList() {
+  const active = getActiveProfile();
+  return Object.values(loadProfiles()).map(profile => {
+    const marker = active && active.name === profile.name ? '*' : ' ';
+    const origin = profile.builtin ? '' : ' (custom)';
+    if (profile.error) {
+      return `${marker} ${profile.name}${origin}: invalid - ${profile.error}`;
+    }
+    return `${marker} ${profile.name}${origin}: ${profile.servers.join(', ')}` +
+      (profile.description ? ` - ${profile.description}` : '');
+  });
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  BUILTIN_PROFILES,
+  getProfilesPath,
+  loadProfiles,
+  resolveProfile,
+  getActiveProfile,
+  setActiveProfile,
+  diffProfiles,
+  formatProfileList
+};
@@ -0,0 +1,112 @@
+/**
+ * Project-Scoped MCP Configuration
+ *
+ * Cursor reads `.cursor/mcp.json` in the open repository on top of the
+ * global `~/.cursor/mcp.json`; a project entry replaces a global entry of
+ * the same name. This module writes the project layer with roots scoped
+ * to the repository and resolves the effective, layered configuration.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildMcpServers, getServerNames } = require('./mcp-registry');
+const { getGlobalConfigPath, readConfig, applyManagedServers } = require('./mcp-config');
+
+// Function to get the path of a repository's project-level config
+function getProjectConfigPath(gitRoot) {
+  return path.join(gitRoot, '.cursor', 'mcp.json');
+}
+
+// Function to check whether a repository has a GitHub origin remote
+function hasGitHubRemote(gitRoot) {
+  const gitConfigPath = path.join(gitRoot, '.git', 'config');
+  if (!fs.existsSync(gitConfigPath)) {
+    return false;
+  }
+
+  const gitConfig = fs.readFileSync(gitConfigPath, 'utf8');
+  const remoteMatch = gitConfig.match(/\[remote "origin"\][\s\S]*?url = ([^\s]+)/m);
+  return Boolean(remoteMatch && /github\.com[/:]/i.test(remoteMatch[1]));
+}
+
+// Function to choose which servers a repository enables by default
+// The filesystem server is always scoped to the repository; github is
+// added when the repository is hosted on GitHub
+function getDefaultProjectServers(gitRoot) {
+  const names = ['filesystem'];
+  if (hasGitHubRemote(gitRoot)) {
+    names.push('github');
+  }
+  return names;
+}
+
+// Function to build the managed project entries for a repository
+function buildProjectMcpServers(gitRoot, names = getDefaultProjectServers(gitRoot)) {
+  return buildMcpServers({ workspaceDir: gitRoot }, names);
+}
+
+// Function to write the project layer for a repository
+function applyProjectConfig(gitRoot, { names, dryRun = false } = {}) {
+  const configPath = getProjectConfigPath(gitRoot);
+  const result = applyManagedServers(configPath, buildProjectMcpServers(gitRoot, names), { dryRun });
+  return { ...result, configPath };
+}
+
+// Function to parse a --project-servers=a,b option into validated names
+function parseProjectServers(args) {
+  const option = args.find(arg => arg.startsWith('--project-servers='));
+  if (!option) {
+    return undefined;
+  }
+
+  const known = getServerNames();
+  const names = option.split('=')[1].split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !known.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown MCP server(s) in --project-servers: ${unknown.join(', ')}`);
+  }
+  return names;
+}
+
+// Function to resolve the effective configuration for a repository
+// Returns the merged servers plus, for each one, the layer it came from.
+// Layers are merged per server, the way Cursor does: the whole entry comes
+// from the last layer that defines it, and `overrides` names the layer it replaced
+function resolveEffectiveConfig(gitRoot) {
+  const layers = [{ name: 'global', path: getGlobalConfigPath() }];
+  if (gitRoot) {
+    layers.push({ name: 'project', path: getProjectConfigPath(gitRoot) });
+  }
+
+  const mcpServers = {};
+  const sources = {};
+
+  for (const layer of layers) {
+    layer.exists = fs.existsSync(layer.path);
+    if (!layer.exists) {
+      continue;
+    }
+
+    const config = readConfig(layer.path);
+    for (const [name, entry] of Object.entries(config.mcpServers)) {
+      sources[name] = {
+        layer: layer.name,
+        path: layer.path,
+        overrides: sources[name] ? sources[name].layer : null
+      };
+      mcpServers[name] = entry;
+    }
+  }
+
+  return { mcpServers, sources, layers };
+}
+
+module.exports = {
+  getProjectConfigPath,
+  hasGitHubRemote,
+  getDefaultProjectServers,
+  buildProjectMcpServers,
+  applyProjectConfig,
+  parseProjectServers,
+  resolveEffectiveConfig
+};
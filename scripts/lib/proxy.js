@@ -0,0 +1,454 @@
+/**
+ * Aggregating MCP Proxy
+ *
+ * One MCP server that stands in for every managed server, so mcp.json needs
+ * a single entry. Each downstream server is reached through its gateway
+ * (see ./gateway.js). Their tools, resources and prompts are merged under
+ * namespaced names such as "github.create_issue" and "filesystem.read_file",
+ * and every call is routed back to the server the name came from.
+ *
+ * - Collisions: a name that is already taken gets a numbered suffix
+ *   ("fetch.search_2"); a resource URI that two servers share is rewritten
+ *   to mcp-proxy://<server>/<encoded uri> for the later one.
+ * - Outages: a server that cannot be reached is left out of the lists and
+ *   its calls fail with a clear error, while the other servers keep working.
+ * - Restarts: servers are reconnected in the background; whenever one comes
+ *   or goes, the client is told the lists changed.
+ */
+
+const path = require('path');
+const { createHttpClient } = require('./http-client');
+
+const PROXY_NAME = 'mcp-proxy';
+const PROXY_SCRIPT = path.join(__dirname, '..', 'mcp-proxy.js');
+const SEPARATOR = '.';
+const PROXY_URI_SCHEME = 'mcp-proxy:';
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+const RECONNECT_MS = 5000;
+const MAX_PAGES = 50;
+
+// JSON-RPC error codes used by the proxy
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const UNAVAILABLE = -32000;
+
+// The list each kind of item comes from, and the notification that announces a change
+const CATALOG = {
+  tools: { method: 'tools/list', key: 'tools', notification: 'notifications/tools/list_changed' },
+  resources: { method: 'resources/list', key: 'resources', notification: 'notifications/resources/list_changed' },
+  resourceTemplates: { method: 'resources/templates/list', key: 'resourceTemplates', notification: 'notifications/resources/list_changed' },
+  prompts: { method: 'prompts/list', key: 'prompts', notification: 'notifications/prompts/list_changed' }
+};
+
+// Capabilities that tell whether a server has a list at all
+const CAPABILITY_FOR = { tools: 'tools', resources: 'resources', resourceTemplates: 'resources', prompts: 'prompts' };
+
+// Function to build the mcp.json entry that runs the proxy
+function buildProxyEntry() {
+  return { command: 'node', args: [PROXY_SCRIPT], type: 'stdio' };
+}
+
+// Function to give each name a unique namespaced form
+// `entries` is [{ server, name }] in server order; returns the public names
+// in the same order, numbering the ones that would otherwise collide
+function assignNames(entries) {
+  const taken = new Set();
+  return entries.map(({ server, name }) => {
+    const base = `${server}${SEPARATOR}${name}`;
+    let candidate = base;
+    for (let n = 2; taken.has(candidate); n++) {
+      candidate = `${base}_${n}`;
+    }
+    taken.add(candidate);
+    return candidate;
+  });
+}
+
+// Function to encode a resource URI that another server already uses
+function toProxyUri(server, uri) {
+  return `${PROXY_URI_SCHEME}//${server}/${encodeURIComponent(uri)}`;
+}
+
+// Function to decode a proxy URI into { server, uri }, or null for other URIs
+function fromProxyUri(uri) {
+  const match = typeof uri === 'string' && uri.match(/^mcp-proxy:\/\/([^/]+)\/(.*)$/);
+  return match ? { server: match[1], uri: decodeURIComponent(match[2]) } : null;
+}
+
+// Function to get the fixed text at the start of a URI template
+function templatePrefix(uriTemplate) {
+  const index = uriTemplate.indexOf('{');
+  return index === -1 ? uriTemplate : uriTemplate.slice(0, index);
+}
+
+// Function to create the proxy
+// `downstreams` is [{ name, url }]; `send(message)` writes to the client
+function createProxy({ downstreams, send, log = () => {}, clientFactory = createHttpClient }) {
+  const backends = new Map();
+  const inflight = new Map();
+  // Names from earlier lists, so a call to a server that went down gets a
+  // clear "unavailable" error rather than "unknown tool"
+  const knownNames = { tools: new Map(), prompts: new Map() };
+  let catalog = null;
+  let refreshing = null;
+  let clientReady = false;
+  let reconnectTimer = null;
+
+  // Function to tell the client that every list may have changed
+  function announceChanges(kinds = Object.keys(CATALOG)) {
+    catalog = null;
+    if (!clientReady) {
+      return;
+    }
+    const sent = new Set();
+    for (const kind of kinds) {
+      const { notification } = CATALOG[kind];
+      if (!sent.has(notification)) {
+        sent.add(notification);
+        send({ jsonrpc: '2.0', method: notification });
+      }
+    }
+  }
+
+  // Function to record whether a backend is reachable, announcing changes
+  function setAvailable(backend, available, error) {
+    backend.error = error ? error.message : null;
+    if (backend.available === available) {
+      return;
+    }
+    backend.available = available;
+    log(available ? `${backend.name}: connected` : `${backend.name}: unavailable (${backend.error || 'disconnected'})`);
+    announceChanges();
+  }
+
+  // Function to forward a backend's notification to the client
+  function handleNotification(backend, message) {
+    const kind = Object.keys(CATALOG).find(key => CATALOG[key].notification === message.method);
+    if (kind) {
+      announceChanges([kind]);
+      return;
+    }
+    if (message.method === 'notifications/message' && message.params) {
+      const logger = message.params.logger ? `${backend.name}${SEPARATOR}${message.params.logger}` : backend.name;
+      send({ ...message, params: { ...message.params, logger } });
+      return;
+    }
+    if (message.method === 'notifications/resources/updated' && message.params) {
+      send({ ...message, params: { ...message.params, uri: publicUri(backend.name, message.params.uri) } });
+      return;
+    }
+    // Progress tokens are passed through unchanged, so progress needs no mapping
+    send(message);
+  }
+
+  for (const { name, url } of downstreams) {
+    const backend = { name, url, available: false, error: null, client: null };
+    backend.client = clientFactory({
+      url,
+      clientInfo: { name: `cursor-automation-proxy (${name})`, version: '1.0.0' },
+      onNotification: message => handleNotification(backend, message),
+      onDisconnect: () => setAvailable(backend, false)
+    });
+    backends.set(name, backend);
+  }
+
+  // Function to connect a backend, marking it available or not
+  async function connectBackend(backend) {
+    try {
+      await backend.client.connect();
+      setAvailable(backend, true);
+    } catch (error) {
+      setAvailable(backend, false, error);
+    }
+  }
+
+  // Function to try every unavailable backend again
+  function reconnect() {
+    return Promise.all([...backends.values()].filter(backend => !backend.available).map(connectBackend));
+  }
+
+  // Function to fetch every page of one list from a backend
+  async function fetchList(backend, kind) {
+    const { method, key } = CATALOG[kind];
+    const items = [];
+    let cursor;
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const result = await backend.client.request(method, cursor ? { cursor } : {});
+      items.push(...(result[key] || []));
+      cursor = result.nextCursor;
+      if (!cursor) break;
+    }
+    return items;
+  }
+
+  // Function to find the public URI of a backend's resource
+  function publicUri(server, uri) {
+    if (!catalog) {
+      return uri;
+    }
+    const route = catalog.uris.get(uri);
+    return route && route.server !== server ? toProxyUri(server, uri) : uri;
+  }
+
+  // Function to build the merged lists from every available backend
+  // A backend that fails while listing is marked unavailable and left out
+  async function buildCatalog() {
+    const collected = await Promise.all([...backends.values()].map(async backend => {
+      if (!backend.available) {
+        return { backend, lists: null };
+      }
+      try {
+        const capabilities = (backend.client.serverInfo && backend.client.serverInfo.capabilities) || {};
+        const lists = {};
+        for (const kind of Object.keys(CATALOG)) {
+          lists[kind] = capabilities[CAPABILITY_FOR[kind]] ? await fetchList(backend, kind) : [];
+        }
+        return { backend, lists };
+      } catch (error) {
+        setAvailable(backend, false, error);
+        return { backend, lists: null };
+      }
+    }));
+    const available = collected.filter(item => item.lists);
+
+    const result = { tools: [], resources: [], resourceTemplates: [], prompts: [], names: {}, uris: new Map(), templates: [] };
+    for (const kind of ['tools', 'prompts', 'resources', 'resourceTemplates']) {
+      const entries = available.flatMap(({ backend, lists }) => lists[kind].map(item => ({ server: backend.name, name: item.name, item })));
+      const names = assignNames(entries);
+      result.names[kind] = new Map();
+      entries.forEach((entry, index) => {
+        if (names[index] !== `${entry.server}${SEPARATOR}${entry.name}`) {
+          log(`${entry.server}: "${entry.name}" is listed as "${names[index]}" to avoid a name collision`);
+        }
+        result.names[kind].set(names[index], { server: entry.server, name: entry.name });
+        result[kind].push({ ...entry.item, name: names[index] });
+      });
+    }
+
+    // Resources are read by URI; the first server to list a URI keeps it
+    result.resources = result.resources.map(resource => {
+      const { server } = result.names.resources.get(resource.name);
+      const existing = result.uris.get(resource.uri);
+      if (!existing) {
+        result.uris.set(resource.uri, { server, uri: resource.uri });
+        return resource;
+      }
+      const uri = toProxyUri(server, resource.uri);
+      result.uris.set(uri, { server, uri: resource.uri });
+      return { ...resource, uri };
+    });
+    result.templates = result.resourceTemplates.map(template => ({
+      server: result.names.resourceTemplates.get(template.name).server,
+      prefix: templatePrefix(template.uriTemplate)
+    })).sort((a, b) => b.prefix.length - a.prefix.length);
+
+    return result;
+  }
+
+  // Function to get the merged lists, building them when something changed
+  async function getCatalog() {
+    if (catalog) {
+      return catalog;
+    }
+    if (!refreshing) {
+      refreshing = buildCatalog().then(result => {
+        catalog = result;
+        for (const kind of Object.keys(knownNames)) {
+          result.names[kind].forEach((route, name) => knownNames[kind].set(name, route));
+        }
+        return result;
+      }).finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  // Function to find the backend and original name behind a public name
+  async function resolveName(kind, name) {
+    let route = (await getCatalog()).names[kind].get(name);
+    if (!route) {
+      // The client may be working from an older list; look once more
+      await reconnect();
+      catalog = null;
+      route = (await getCatalog()).names[kind].get(name);
+    }
+    return route || knownNames[kind].get(name) || null;
+  }
+
+  // Function to find the backend and original URI behind a public URI
+  async function resolveUri(uri) {
+    const current = await getCatalog();
+    const encoded = fromProxyUri(uri);
+    if (encoded) {
+      return encoded;
+    }
+    if (current.uris.has(uri)) {
+      return current.uris.get(uri);
+    }
+    const template = current.templates.find(item => item.prefix && uri.startsWith(item.prefix));
+    return template ? { server: template.server, uri } : null;
+  }
+
+  // Function to send a request to a backend, failing clearly when it is down
+  async function callBackend(server, method, params, options = {}) {
+    const backend = backends.get(server);
+    try {
+      const result = await backend.client.request(method, params, options);
+      setAvailable(backend, true);
+      return result;
+    } catch (error) {
+      // JSON-RPC errors come from a working server; anything else means it is out of reach
+      const cancelled = Boolean(options.signal && options.signal.aborted);
+      if (typeof error.code === 'number' || cancelled) {
+        throw error;
+      }
+      setAvailable(backend, false, error);
+      throw Object.assign(new Error(`${server} is unavailable: ${error.message}`), { code: UNAVAILABLE });
+    }
+  }
+
+  // Function to answer one request from the client
+  async function handleRequest(message, signal) {
+    const params = message.params || {};
+    switch (message.method) {
+      case 'initialize': {
+        const requested = params.protocolVersion;
+        const names = [...backends.keys()].join(', ');
+        return {
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+          capabilities: {
+            tools: { listChanged: true },
+            resources: { listChanged: true },
+            prompts: { listChanged: true },
+            logging: {}
+          },
+          serverInfo: { name: PROXY_NAME, version: '1.0.0' },
+          instructions: `Tools, resources and prompts from ${names}, named <server>${SEPARATOR}<name>.`
+        };
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: (await getCatalog()).tools };
+      case 'resources/list':
+        return { resources: (await getCatalog()).resources };
+      case 'resources/templates/list':
+        return { resourceTemplates: (await getCatalog()).resourceTemplates };
+      case 'prompts/list':
+        return { prompts: (await getCatalog()).prompts };
+      case 'tools/call': {
+        const route = await resolveName('tools', params.name);
+        if (!route) {
+          throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: INVALID_PARAMS });
+        }
+        try {
+          // Tools may run for minutes; the client cancels them if it gives up
+          return await callBackend(route.server, 'tools/call', { ...params, name: route.name }, { signal, timeout: 0 });
+        } catch (error) {
+          if (error.code !== UNAVAILABLE) {
+            throw error;
+          }
+          return { content: [{ type: 'text', text: error.message }], isError: true };
+        }
+      }
+      case 'prompts/get': {
+        const route = await resolveName('prompts', params.name);
+        if (!route) {
+          throw Object.assign(new Error(`Unknown prompt: ${params.name}`), { code: INVALID_PARAMS });
+        }
+        return callBackend(route.server, 'prompts/get', { ...params, name: route.name }, { signal });
+      }
+      case 'resources/read':
+      case 'resources/subscribe':
+      case 'resources/unsubscribe': {
+        const route = await resolveUri(params.uri);
+        if (!route) {
+          throw Object.assign(new Error(`Unknown resource: ${params.uri}`), { code: INVALID_PARAMS });
+        }
+        const result = await callBackend(route.server, message.method, { ...params, uri: route.uri }, { signal });
+        if (message.method === 'resources/read' && Array.isArray(result.contents)) {
+          return { ...result, contents: result.contents.map(content => ({ ...content, uri: content.uri === route.uri ? params.uri : content.uri })) };
+        }
+        return result;
+      }
+      case 'completion/complete': {
+        const ref = params.ref || {};
+        const route = ref.type === 'ref/prompt' ? await resolveName('prompts', ref.name) : await resolveUri(ref.uri);
+        if (!route) {
+          return { completion: { values: [] } };
+        }
+        const backendRef = ref.type === 'ref/prompt' ? { ...ref, name: route.name } : { ...ref, uri: route.uri };
+        return callBackend(route.server, 'completion/complete', { ...params, ref: backendRef }, { signal });
+      }
+      case 'logging/setLevel':
+        await Promise.all([...backends.values()].filter(backend => backend.available)
+          .map(backend => callBackend(backend.name, 'logging/setLevel', params).catch(() => {})));
+        return {};
+      default:
+        throw Object.assign(new Error(`Method not found: ${message.method}`), { code: METHOD_NOT_FOUND });
+    }
+  }
+
+  // Function to handle one message from the client
+  function handleMessage(message) {
+    if (message.method === 'notifications/initialized') {
+      clientReady = true;
+      return;
+    }
+    if (message.method === 'notifications/cancelled') {
+      const controller = message.params && inflight.get(message.params.requestId);
+      if (controller) {
+        controller.abort();
+      }
+      return;
+    }
+    if (message.method === undefined || message.id === undefined || message.id === null) {
+      // Other notifications and responses have nowhere to go
+      return;
+    }
+
+    const controller = new AbortController();
+    inflight.set(message.id, controller);
+    handleRequest(message, controller.signal)
+      .then(result => send({ jsonrpc: '2.0', id: message.id, result }))
+      .catch(error => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        send({ jsonrpc: '2.0', id: message.id, error: { code: typeof error.code === 'number' ? error.code : INTERNAL_ERROR, message: error.message } });
+      })
+      .finally(() => inflight.delete(message.id));
+  }
+
+  // Function to connect every backend and keep retrying the missing ones
+  async function start() {
+    await reconnect();
+    reconnectTimer = setInterval(reconnect, RECONNECT_MS);
+    reconnectTimer.unref();
+  }
+
+  // Function to end every backend session
+  async function close() {
+    clearInterval(reconnectTimer);
+    inflight.forEach(controller => controller.abort());
+    await Promise.all([...backends.values()].map(backend => backend.client.close().catch(() => {})));
+  }
+
+  // Function to describe each backend, for status output
+  function describe() {
+    return [...backends.values()].map(({ name, url, available, error }) => ({ name, url, available, error }));
+  }
+
+  return { handleMessage, start, close, describe, getCatalog };
+}
+
+module.exports = {
+  PROXY_NAME,
+  PROXY_SCRIPT,
+  SEPARATOR,
+  buildProxyEntry,
+  assignNames,
+  toProxyUri,
+  fromProxyUri,
+  createProxy
+};
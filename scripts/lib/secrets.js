@@ -0,0 +1,84 @@
+/**
+ * Local Secret Store
+ *
+ * Holds the values behind ${secret:<name>} references in mcp.json. The
+ * store is a JSON file readable only by the current user; nothing in this
+ * repository prints the values it contains.
+ *
+ *   ~/.cursor/mcp-secrets.json   { "secrets": { "github": "ghp_..." } }
+ *
+ * Set MCP_SECRETS_FILE to keep the store somewhere else.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SECRET_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Function to get the path of the secret store
+function getSecretsPath() {
+  return process.env.MCP_SECRETS_FILE || path.join(os.homedir(), '.cursor', 'mcp-secrets.json');
+}
+
+// Function to read every secret; a missing store is empty
+function loadSecrets(secretsPath = getSecretsPath()) {
+  if (!fs.existsSync(secretsPath)) {
+    return {};
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(secretsPath, 'utf8'));
+    return data.secrets || {};
+  } catch (error) {
+    // Never include the file contents in the message
+    throw new Error(`Could not parse the secret store at ${secretsPath}`);
+  }
+}
+
+// Function to write the store with owner-only permissions
+function saveSecrets(secrets, secretsPath = getSecretsPath()) {
+  fs.mkdirSync(path.dirname(secretsPath), { recursive: true });
+  fs.writeFileSync(secretsPath, JSON.stringify({ secrets }, null, 2) + '\n', { mode: 0o600 });
+  fs.chmodSync(secretsPath, 0o600);
+}
+
+// Function to read one secret
+function getSecret(name, secretsPath) {
+  return loadSecrets(secretsPath)[name];
+}
+
+// Function to add or replace a secret
+function setSecret(name, value, secretsPath) {
+  if (!SECRET_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid secret name "${name}". Use letters, digits, ".", "_" and "-"`);
+  }
+  const secrets = loadSecrets(secretsPath);
+  secrets[name] = value;
+  saveSecrets(secrets, secretsPath);
+}
+
+// Function to remove a secret; returns whether it existed
+function removeSecret(name, secretsPath) {
+  const secrets = loadSecrets(secretsPath);
+  if (!(name in secrets)) {
+    return false;
+  }
+  delete secrets[name];
+  saveSecrets(secrets, secretsPath);
+  return true;
+}
+
+// Function to list the names of the stored secrets
+function listSecretNames(secretsPath) {
+  return Object.keys(loadSecrets(secretsPath)).sort();
+}
+
+module.exports = {
+  getSecretsPath,
+  loadSecrets,
+  getSecret,
+  setSecret,
+  removeSecret,
+  listSecretNames
+};
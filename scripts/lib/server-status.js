@@ -0,0 +1,185 @@
+/**
+ * MCP Server Status
+ *
+ * Collects what is known about each registered server in one place: the
+ * supervisor's view (state, restarts, failures), the running process found
+ * in the process table, its resource usage from /proc, the last error in
+ * its log and the mcp.json layer that configures it.
+ *
+ * Servers not run by the supervisor (for example ones Cursor started from
+ * mcp.json) are found by their process signature, narrowed down by the
+ * server's fixed environment when that can be read.
+ */
+
+const fs = require('fs');
+const { selectServers } = require('./mcp-registry');
+const { MOCK_SCRIPT } = require('./mocks');
+const { resolveEffectiveConfig } = require('./project-config');
+const { getStatePath } = require('./state');
+const { getLogPath, parseLogLine } = require('./logs');
+const { readSupervisorState, getSupervisorPid } = require('./supervisor');
+const { readGatewayState } = require('./gateway');
+const { MANAGED_ENV, listProcesses, readEnviron, getTreeUsage } = require('./process-tree');
+
+const LOG_TAIL_BYTES = 64 * 1024;
+const ERROR_PATTERNS = [/\b(error|failed|failure|exception|fatal|panic|unhandled)\b|ERR!/i, /\bE[A-Z]{3,}\b/];
+
+// Function to find the running processes of a server
+// Only the top of each process tree is returned (npx, not the node process under it)
+function findServerProcesses(server, processes = listProcesses()) {
+  const matches = processes.filter(proc => {
+    if (!proc.zombie && proc.command.includes(`${MOCK_SCRIPT} ${server.name}`)) {
+      return true;
+    }
+    if (proc.zombie || proc.pid === process.pid || !proc.command.includes(server.processSignature)) {
+      return false;
+    }
+    // Servers sharing a binary (fetch and sequentialthinking) differ only in their environment
+    const environ = readEnviron(proc.pid);
+    return !environ || Object.entries(server.env).every(([key, value]) => environ[key] === value);
+  });
+  const pids = new Set(matches.map(proc => proc.pid));
+  return matches.filter(proc => !pids.has(proc.ppid));
+}
+
+// Function to find the last line of a log file that reports an error, or null
+// Servers log everything to stderr, so plain progress lines are skipped
+function readLastErrorLine(logPath) {
+  let fd;
+  try {
+    fd = fs.openSync(logPath, 'r');
+    const size = fs.fstatSync(fd).size;
+    const length = Math.min(size, LOG_TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    // stdout carries protocol messages and gateway notes, so only stderr and
+    // the supervisor's notes are searched
+    const lines = buffer.toString('utf8').split('\n').map(parseLogLine)
+      .filter(entry => entry.stream !== 'stdout')
+      .map(entry => entry.message.trim())
+      .filter(line => ERROR_PATTERNS.some(pattern => pattern.test(line)));
+    return lines.length > 0 ? lines[lines.length - 1] : null;
+  } catch (error) {
+    return null;
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+// Function to describe where a server is configured
+function describeConfigSource(source) {
+  if (!source) {
+    return null;
+  }
+  return source.overrides ? `${source.layer} (overrides ${source.overrides})` : source.layer;
+}
+
+// Function to collect the status of registered servers
+// Returns one entry per server:
+//   { name, state, pid, managedBy, processes, uptimeSeconds, cpuSeconds, cpuPercent,
+//     rssBytes, restarts, error, lastExit, lastErrorLine, logFile, configSource, activity, limits }
+// `managedBy` is "supervisor", "orphan" (started by a supervisor that is gone),
+// "external" (started some other way) or null when nothing is running.
+// `activity` is what the server's gateway reports, or null without one:
+//   { state: cold | warming | warm | idle, sinceSeconds, idleTimeoutSeconds, starts }
+function collectServerStatus({ names, gitRoot = null } = {}) {
+  const supervisorPid = getSupervisorPid();
+  const supervised = supervisorPid ? readSupervisorState().servers || {} : {};
+  const processes = listProcesses();
+  const { sources } = resolveEffectiveConfig(gitRoot);
+
+  return selectServers(names).map(server => {
+    const tracked = supervised[server.name];
+    let state = 'stopped';
+    let pid = null;
+    let managedBy = null;
+
+    if (tracked) {
+      state = tracked.status;
+      pid = tracked.pid;
+      managedBy = 'supervisor';
+    } else {
+      const [found] = findServerProcesses(server, processes);
+      if (found) {
+        const environ = readEnviron(found.pid);
+        state = 'running';
+        pid = found.pid;
+        managedBy = environ && environ[MANAGED_ENV] ? 'orphan' : 'external';
+      }
+    }
+
+    const usage = pid ? getTreeUsage(pid) : null;
+    const gateway = pid ? readGatewayState(server.name) : null;
+    const logFile = getLogPath(getStatePath('logs'), server.name);
+    return {
+      name: server.name,
+      state,
+      pid,
+      managedBy,
+      processes: usage ? usage.processes : null,
+      uptimeSeconds: usage ? usage.uptimeSeconds : null,
+      cpuSeconds: usage ? usage.cpuSeconds : null,
+      cpuPercent: usage ? usage.cpuPercent : null,
+      rssBytes: usage ? usage.rssBytes : null,
+      restarts: tracked ? tracked.restarts : 0,
+      error: tracked ? tracked.error : null,
+      lastExit: tracked ? tracked.lastExit || null : null,
+      lastErrorLine: readLastErrorLine(logFile),
+      logFile,
+      configSource: describeConfigSource(sources[server.name]),
+      limits: server.limits,
+      activity: gateway && gateway.pid === pid ? {
+        state: gateway.state,
+        sinceSeconds: Math.max(0, Math.round((Date.now() - Date.parse(gateway.since)) / 1000)),
+        idleTimeoutSeconds: gateway.idleTimeoutMs ? Math.round(gateway.idleTimeoutMs / 1000) : null,
+        starts: gateway.starts
+      } : null
+    };
+  });
+}
+
+// Function to check whether any of the given servers has a running process
+function isAnyServerRunning(names) {
+  const processes = listProcesses();
+  return selectServers(names).some(server => findServerProcesses(server, processes).length > 0);
+}
+
+// Function to format seconds as a short duration, e.g. "3d 4h", "2h 05m", "42s"
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return '-';
+  }
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${seconds}s`;
+}
+
+// Function to format a byte count, e.g. "85.3 MB"
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return '-';
+  }
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+module.exports = {
+  findServerProcesses,
+  readLastErrorLine,
+  collectServerStatus,
+  isAnyServerRunning,
+  formatDuration,
+  formatBytes
+};
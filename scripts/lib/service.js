@@ -0,0 +1,150 @@
+/**
+ * Systemd User Service
+ *
+ * Builds the systemd user unit that runs the supervisor at login (or at boot
+ * with lingering enabled), as a replacement for the Cursor startup hook.
+ * The unit runs "mcp-supervisor.js run" from the repository, reads the same
+ * .env files as the launcher and restarts the supervisor if it crashes.
+ * Its output goes to supervisor.log, or to the journal.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getEnvFiles } = require('./launch-env');
+const { getLogDir } = require('./state');
+
+const SERVICE_NAME = 'cursor-mcp-supervisor.service';
+const REPO_DIR = path.resolve(__dirname, '..', '..');
+const SUPERVISOR_SCRIPT = path.join(REPO_DIR, 'scripts', 'mcp-supervisor.js');
+
+// Variables the supervisor and its servers depend on, carried over from the
+// shell that installs the service since systemd starts with a bare environment
+const PASSED_ENV = ['PATH', 'CURSOR_WORKSPACE_DIR', 'MCP_STATE_DIR', 'MCP_OFFLINE'];
+
+// Function to get the directory systemd reads user units from
+function getUnitDir() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'systemd', 'user');
+}
+
+// Function to get the path of the supervisor's unit file
+function getUnitPath() {
+  return path.join(getUnitDir(), SERVICE_NAME);
+}
+
+// Function to get the link "systemctl --user enable" creates for the unit
+function getEnableLinkPath() {
+  return path.join(getUnitDir(), 'default.target.wants', SERVICE_NAME);
+}
+
+// Function to escape "%" specifiers, which systemd expands in most settings
+function escapeSpecifiers(value) {
+  return String(value).replace(/%/g, '%%');
+}
+
+// Function to quote a value for ExecStart= or Environment=
+function quote(value) {
+  return `"${escapeSpecifiers(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Function to build the text of the unit file
+// `journal` sends the supervisor's output to the journal instead of supervisor.log
+function buildUnit({
+  nodePath = process.execPath,
+  workspaceDir = null,
+  env = process.env,
+  journal = false,
+  logFile = path.join(getLogDir(), 'supervisor.log')
+} = {}) {
+  const exec = command => [nodePath, SUPERVISOR_SCRIPT, command].map(quote).join(' ');
+  const passed = { ...env, ...(workspaceDir ? { CURSOR_WORKSPACE_DIR: workspaceDir } : {}) };
+  const environment = PASSED_ENV
+    .filter(name => passed[name])
+    .map(name => `Environment=${quote(`${name}=${passed[name]}`)}`);
+
+  // The leading "-" makes a missing .env file harmless
+  const envFiles = getEnvFiles().map(file => `EnvironmentFile=-${escapeSpecifiers(file)}`);
+  const output = journal
+    ? ['StandardOutput=journal', 'StandardError=journal', 'SyslogIdentifier=cursor-mcp-supervisor']
+    : [`StandardOutput=append:${escapeSpecifiers(logFile)}`, 'StandardError=inherit'];
+
+  return [
+    '# Generated by "npm run install-service"; remove with "npm run uninstall-service"',
+    '[Unit]',
+    'Description=Cursor MCP server supervisor',
+    // Give up after 5 crashes within 5 minutes instead of restarting forever
+    'StartLimitIntervalSec=300',
+    'StartLimitBurst=5',
+    '',
+    '[Service]',
+    'Type=simple',
+    `WorkingDirectory=${escapeSpecifiers(REPO_DIR)}`,
+    ...envFiles,
+    ...environment,
+    // supervisor.log is rotated between runs, as the supervisor does when it starts itself
+    ...(journal ? [] : [`ExecStartPre=${exec('rotate-log')}`]),
+    `ExecStart=${exec('run')}`,
+    // "npm run supervisor -- stop" ends the supervisor cleanly, which is not restarted
+    'Restart=on-failure',
+    'RestartSec=5',
+    // The supervisor stops its servers on SIGTERM; anything left is killed after the timeout
+    'KillMode=mixed',
+    'TimeoutStopSec=30',
+    ...output,
+    '',
+    '[Install]',
+    'WantedBy=default.target',
+    ''
+  ].join('\n');
+}
+
+// Function to list the systemctl commands that enable and start the service
+function getEnableCommands() {
+  return [
+    'systemctl --user daemon-reload',
+    `systemctl --user enable --now ${SERVICE_NAME}`
+  ];
+}
+
+// Function to list the systemctl commands that stop the service and forget it
+function getDisableCommands() {
+  return [
+    `systemctl --user stop ${SERVICE_NAME}`,
+    'systemctl --user daemon-reload',
+    `systemctl --user reset-failed ${SERVICE_NAME}`
+  ];
+}
+
+// Function to write the unit file; returns the previous text, or null for a new unit
+function writeUnit(text, unitPath = getUnitPath()) {
+  const previous = fs.existsSync(unitPath) ? fs.readFileSync(unitPath, 'utf8') : null;
+  fs.mkdirSync(path.dirname(unitPath), { recursive: true });
+  fs.writeFileSync(unitPath, text);
+  return previous;
+}
+
+// Function to remove the unit file and its enable link; returns the paths removed
+function removeUnit(unitPath = getUnitPath(), linkPath = getEnableLinkPath()) {
+  const removed = [];
+  for (const file of [linkPath, unitPath]) {
+    // lstat, so a link whose unit is already gone is still found
+    if (fs.lstatSync(file, { throwIfNoEntry: false })) {
+      fs.rmSync(file, { force: true });
+      removed.push(file);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  SERVICE_NAME,
+  getUnitDir,
+  getUnitPath,
+  getEnableLinkPath,
+  buildUnit,
+  getEnableCommands,
+  getDisableCommands,
+  writeUnit,
+  removeUnit
+};
@@ -0,0 +1,226 @@
+/**
+ * MCP Tool Snapshots
+ *
+ * A snapshot records what a server offers over MCP: the name, description
+ * and input schema of every tool from `tools/list`. Snapshots are committed
+ * in mcp-snapshots/<server>.json next to mcp-lock.json, so an upgrade that
+ * changes the tools shows up before it reaches anyone's editor:
+ *
+ *   {
+ *     "server": "filesystem",
+ *     "package": "@modelcontextprotocol/server-filesystem",
+ *     "version": "0.6.2",
+ *     "serverInfo": { "name": "secure-filesystem-server", "version": "0.2.0" },
+ *     "tools": [{ "name": "read_file", "description": "...", "inputSchema": { ... } }]
+ *   }
+ *
+ * Comparing a snapshot with a live tool list classifies every change:
+ *
+ *   added       a new tool
+ *   removed     a tool that is gone
+ *   breaking    a schema change that can reject calls which worked before:
+ *               a removed or newly required property, a narrowed type or enum
+ *   compatible  anything else, such as a new optional property or a new description
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const CHANGE_KINDS = ['removed', 'breaking', 'added', 'compatible'];
+
+// Function to get the directory of the committed snapshots
+function getSnapshotDir() {
+  return path.join(REPO_ROOT, 'mcp-snapshots');
+}
+
+// Function to get the snapshot path of a server
+function getSnapshotPath(name, dir = getSnapshotDir()) {
+  return path.join(dir, `${name}.json`);
+}
+
+// Function to copy a JSON value with its object keys sorted,
+// so that recording the same tools twice gives the same file
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = sortKeys(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+// Function to build a snapshot from a server's tool list
+// `listing` is what lib/health.js listServerTools resolves with
+function buildSnapshot(server, listing, version = null) {
+  const tools = listing.tools
+    .map(tool => ({ name: tool.name, description: tool.description || '', inputSchema: sortKeys(tool.inputSchema || {}) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    server: server.name,
+    package: server.package,
+    version,
+    serverInfo: listing.serverInfo,
+    tools
+  };
+}
+
+// Function to read a server's snapshot; returns null when none was recorded
+function readSnapshot(name, dir = getSnapshotDir()) {
+  const snapshotPath = getSnapshotPath(name, dir);
+  if (!fs.existsSync(snapshotPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+}
+
+// Function to write a server's snapshot and return its path
+function writeSnapshot(snapshot, dir = getSnapshotDir()) {
+  fs.mkdirSync(dir, { recursive: true });
+  const snapshotPath = getSnapshotPath(snapshot.server, dir);
+  fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2) + '\n');
+  return snapshotPath;
+}
+
+// Function to list the servers that have a snapshot
+function listSnapshots(dir = getSnapshotDir()) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+// Function to get the JSON types a schema accepts; null means any type
+function getTypes(schema) {
+  if (schema.type === undefined) {
+    return null;
+  }
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+// Function to compare two JSON schemas and collect the changes under `where`
+function compareSchemas(before, after, where, add) {
+  const oldTypes = getTypes(before);
+  const newTypes = getTypes(after);
+  if (newTypes && (!oldTypes || oldTypes.some(type => !newTypes.includes(type) && !(type === 'integer' && newTypes.includes('number'))))) {
+    add('breaking', where, `type changed from ${oldTypes ? oldTypes.join('|') : 'any'} to ${newTypes.join('|')}`);
+  } else if (JSON.stringify(oldTypes) !== JSON.stringify(newTypes)) {
+    add('compatible', where, `type widened from ${oldTypes.join('|')} to ${newTypes ? newTypes.join('|') : 'any'}`);
+  }
+
+  if (Array.isArray(after.enum)) {
+    const dropped = Array.isArray(before.enum)
+      ? before.enum.filter(value => !after.enum.includes(value))
+      : null;
+    if (!dropped) {
+      add('breaking', where, `now only accepts ${after.enum.map(value => JSON.stringify(value)).join(', ')}`);
+    } else if (dropped.length > 0) {
+      add('breaking', where, `no longer accepts ${dropped.map(value => JSON.stringify(value)).join(', ')}`);
+    } else if (after.enum.length > before.enum.length) {
+      add('compatible', where, 'accepts more values');
+    }
+  } else if (Array.isArray(before.enum)) {
+    add('compatible', where, 'accepts any value instead of a fixed list');
+  }
+
+  const oldProperties = before.properties || {};
+  const newProperties = after.properties || {};
+  const oldRequired = before.required || [];
+  const newRequired = after.required || [];
+  for (const key of Object.keys(oldProperties)) {
+    const child = where ? `${where}.${key}` : key;
+    if (!newProperties[key]) {
+      add('breaking', child, 'property removed');
+    } else {
+      compareSchemas(oldProperties[key], newProperties[key], child, add);
+    }
+  }
+  for (const key of Object.keys(newProperties)) {
+    if (!oldProperties[key]) {
+      const child = where ? `${where}.${key}` : key;
+      add(newRequired.includes(key) ? 'breaking' : 'compatible', child,
+        newRequired.includes(key) ? 'new required property' : 'new optional property');
+    }
+  }
+  for (const key of newRequired) {
+    if (oldProperties[key] && !oldRequired.includes(key)) {
+      add('breaking', where ? `${where}.${key}` : key, 'now required');
+    }
+  }
+  for (const key of oldRequired) {
+    if (!newRequired.includes(key) && newProperties[key]) {
+      add('compatible', where ? `${where}.${key}` : key, 'no longer required');
+    }
+  }
+
+  if (before.items && after.items) {
+    compareSchemas(before.items, after.items, `${where}[]`, add);
+  }
+}
+
+// Function to compare a snapshot with a live one
+// Returns a list of { kind, tool, path, message } sorted by severity
+function compareSnapshots(recorded, live) {
+  const changes = [];
+  const oldTools = new Map(recorded.tools.map(tool => [tool.name, tool]));
+  const newTools = new Map(live.tools.map(tool => [tool.name, tool]));
+
+  for (const [name, before] of oldTools) {
+    const after = newTools.get(name);
+    if (!after) {
+      changes.push({ kind: 'removed', tool: name, path: null, message: 'tool removed' });
+      continue;
+    }
+
+    const found = [];
+    const add = (kind, where, message) => found.push({ kind, tool: name, path: where || null, message });
+    compareSchemas(before.inputSchema || {}, after.inputSchema || {}, '', add);
+    if ((before.description || '') !== (after.description || '')) {
+      add('compatible', '', 'description changed');
+    }
+    // Keywords the comparison does not look at, such as a format or a minimum
+    if (found.length === 0 && JSON.stringify(sortKeys(before.inputSchema)) !== JSON.stringify(sortKeys(after.inputSchema))) {
+      add('compatible', '', 'input schema changed');
+    }
+    changes.push(...found);
+  }
+  for (const name of newTools.keys()) {
+    if (!oldTools.has(name)) {
+      changes.push({ kind: 'added', tool: name, path: null, message: 'new tool' });
+    }
+  }
+
+  return changes.sort((a, b) => CHANGE_KINDS.indexOf(a.kind) - CHANGE_KINDS.indexOf(b.kind) || a.tool.localeCompare(b.tool));
+}
+
+// Function to check whether a list of changes can break existing callers
+function hasBreakingChanges(changes) {
+  return changes.some(change => change.kind === 'removed' || change.kind === 'breaking');
+}
+
+// Function to format changes as one line each
+function formatChanges(changes) {
+  return changes.map(change =>
+    `${change.kind.padEnd(11)} ${change.tool}${change.path ? ` ${change.path}` : ''}: ${change.message}`);
+}
+
+module.exports = {
+  CHANGE_KINDS,
+  getSnapshotDir,
+  getSnapshotPath,
+  buildSnapshot,
+  readSnapshot,
+  writeSnapshot,
+  listSnapshots,
+  compareSnapshots,
+  hasBreakingChanges,
+  formatChanges
+};
@@ -0,0 +1,82 @@
+/**
+ * Runtime State Directory
+ *
+ * The one place where running MCP servers are tracked, independent of the
+ * directory a command happens to be run from:
+ *
+ *   ~/.cursor/mcp-state/
+ *     supervisor.json           written by the supervisor: its pid and each server's status
+ *     supervisor-request.json   written by commands: which servers should run, and how
+ *     gateways/<name>.json      written by each gateway: whether its server is cold, warming, warm or idle
+ *     logs/                     server and supervisor output
+ *
+ * Set MCP_STATE_DIR to keep it somewhere else.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Function to get the state directory
+function getStateDir() {
+  return process.env.MCP_STATE_DIR || path.join(os.homedir(), '.cursor', 'mcp-state');
+}
+
+// Function to get the path of a file in the state directory
+function getStatePath(name) {
+  return path.join(getStateDir(), name);
+}
+
+// Function to get the log directory, creating it if needed
+function getLogDir() {
+  const logDir = getStatePath('logs');
+  fs.mkdirSync(logDir, { recursive: true });
+  return logDir;
+}
+
+// Function to read a state file; missing or unreadable files give `fallback`
+function readState(name, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(getStatePath(name), 'utf8'));
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Function to write a state file atomically so readers never see half a file
+function writeState(name, data) {
+  const target = getStatePath(name);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const temp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(temp, target);
+}
+
+// Function to remove a state file if it exists
+function removeState(name) {
+  fs.rmSync(getStatePath(name), { force: true });
+}
+
+// Function to check whether a process id belongs to a live process
+function isProcessAlive(pid) {
+  if (!pid) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means it exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+module.exports = {
+  getStateDir,
+  getStatePath,
+  getLogDir,
+  readState,
+  writeState,
+  removeState,
+  isProcessAlive
+};
@@ -0,0 +1,473 @@
+/**
+ * MCP Server Supervisor
+ *
+ * One long-running process owns every managed MCP server. It starts the
+ * servers it is asked for, restarts any that exit unexpectedly with an
+ * exponential backoff, and gives up on a server that keeps crashing
+ * (marked "failed") instead of restarting it forever.
+ *
+ * Servers can have limits (see the registry): their process tree is
+ * restarted when it uses more memory than allowed, and they run at a lower
+ * CPU priority. Going over a limit is logged as a structured event.
+ *
+ * Commands talk to the supervisor through the state directory
+ * (see ./state.js): they write the wanted servers to supervisor-request.json
+ * and send SIGHUP; the supervisor applies the request and reports in
+ * supervisor.json which request it applied and how each server is doing.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { readState, writeState, getLogDir, isProcessAlive } = require('./state');
+const { MANAGED_ENV, getGraceMs, terminateTree, findManagedServers, getTreeUsage } = require('./process-tree');
+const { createLogWriter, splitLines, parseEventLine, rotateLog, needsRotation } = require('./logs');
+
+const SUPERVISOR_SCRIPT = path.join(__dirname, '..', 'mcp-supervisor.js');
+const STATE_FILE = 'supervisor.json';
+const REQUEST_FILE = 'supervisor-request.json';
+const STOP_FILE = 'supervisor-stop.json';
+
+// Restart policy: 1s, 2s, 4s ... up to a minute between attempts; a server
+// that stays up for 30s counts as healthy again; more than 5 crashes within
+// a minute marks it failed. Stopping allows the grace period from
+// MCP_STOP_GRACE_MS (default 5s) before SIGKILL. Memory is checked every 5s
+const DEFAULT_POLICY = {
+  initialDelayMs: 1000,
+  maxDelayMs: 60000,
+  factor: 2,
+  stableAfterMs: 30000,
+  flapWindowMs: 60000,
+  maxCrashes: 5,
+  graceMs: getGraceMs(),
+  limitCheckMs: 5000
+};
+
+// Function to describe how a process exited
+function describeExit(lastExit) {
+  if (!lastExit) {
+    return '';
+  }
+  if (lastExit.error) {
+    return lastExit.error;
+  }
+  const how = lastExit.signal ? `killed by ${lastExit.signal}` : `exit code ${lastExit.code}`;
+  return lastExit.limit ? `${lastExit.limit} (${how})` : how;
+}
+
+// Function to create a supervisor
+// `resolveSpec(name)` returns { command, args, env, url?, limits? } for a server
+// and throws when it cannot be started at all; such servers fail without retries.
+// `url` is where clients reach the server when it runs behind the gateway;
+// `limits` ({ maxMemoryMB, nice }) are enforced here
+function createSupervisor({ resolveSpec, logDir = getLogDir(), policy = {}, onChange = () => {}, log = () => {} }) {
+  const options = { ...DEFAULT_POLICY, ...policy };
+  const servers = new Map();
+  const writers = new Map();
+
+  // Function to get the JSON-lines log writer of a server (see logs.js)
+  function getWriter(name) {
+    if (!writers.has(name)) {
+      writers.set(name, createLogWriter(logDir, name, {
+        onError: error => log(`${name}: could not rotate log: ${error.message}`)
+      }));
+    }
+    return writers.get(name);
+  }
+
+  // Function to record a structured event in a server's log and the supervisor's
+  function reportEvent(entry, pid, { message, ...event }) {
+    getWriter(entry.name).write({ pid, stream: 'event', message, event });
+    log(`${entry.name}: ${message}`);
+  }
+
+  // Function to build the JSON-friendly view of every server
+  function snapshot() {
+    const result = {};
+    for (const [name, entry] of servers) {
+      result[name] = {
+        status: entry.status,
+        pid: entry.child ? entry.child.pid : null,
+        restarts: entry.restarts,
+        startedAt: entry.startedAt ? new Date(entry.startedAt).toISOString() : null,
+        nextRestartAt: entry.nextRestartAt ? new Date(entry.nextRestartAt).toISOString() : null,
+        lastExit: entry.lastExit,
+        error: entry.error,
+        url: entry.url || null
+      };
+    }
+    return result;
+  }
+
+  function changed() {
+    onChange(snapshot());
+  }
+
+  // Function to start a server's process
+  function launch(entry) {
+    entry.nextRestartAt = null;
+    entry.error = null;
+
+    const writer = getWriter(entry.name);
+    let spec;
+    try {
+      spec = resolveSpec(entry.name);
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      log(`${entry.name}: cannot start: ${error.message}`);
+      writer.write({ stream: 'supervisor', message: `cannot start: ${error.message}` });
+      changed();
+      return;
+    }
+
+    // On POSIX the server starts under "nice", so neither it nor anything it
+    // starts runs at the supervisor's priority; "nice -n" is relative to the
+    // supervisor's own level. Windows has no "nice" and is lowered just after
+    entry.limits = spec.limits || {};
+    entry.limitExceeded = null;
+    const niced = entry.limits.nice !== undefined && process.platform !== 'win32';
+    const command = niced ? 'nice' : spec.command;
+    const args = niced ? ['-n', String(entry.limits.nice - os.getPriority()), spec.command, ...spec.args] : spec.args;
+
+    // stdin stays open: stdio servers exit when it closes. Output is piped
+    // through the log writer. Each server leads its own process group so it
+    // can be stopped together with its children
+    const child = spawn(command, args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...spec.env, [MANAGED_ENV]: entry.name },
+      detached: process.platform !== 'win32',
+      shell: process.platform === 'win32'
+    });
+    for (const stream of ['stdout', 'stderr']) {
+      splitLines(child[stream], message => {
+        const reported = parseEventLine(message);
+        if (reported) {
+          writer.write({ pid: child.pid, stream: 'event', message: reported.message, event: reported.event });
+        } else {
+          writer.write({ pid: child.pid, stream, message });
+        }
+      });
+    }
+
+    // Best effort: processes the server started before this are not lowered
+    if (child.pid && entry.limits.nice !== undefined && !niced) {
+      try {
+        os.setPriority(child.pid, entry.limits.nice);
+      } catch (error) {
+        log(`${entry.name}: could not set nice level ${entry.limits.nice}: ${error.message}`);
+      }
+    }
+
+    child.stdin.on('error', () => {});
+    child.once('error', error => handleExit(entry, child, null, null, error));
+    child.once('exit', (code, signal) => handleExit(entry, child, code, signal));
+    if (child.pid) {
+      writer.write({ pid: child.pid, stream: 'supervisor', message: `started: ${[spec.command, ...spec.args].join(' ')}` });
+    }
+
+    entry.child = child;
+    entry.url = spec.url || null;
+    entry.status = 'running';
+    entry.startedAt = Date.now();
+    log(`${entry.name}: started with PID ${child.pid}`);
+    changed();
+  }
+
+  // Function to decide what happens after a server's process ends
+  function handleExit(entry, child, code, signal, error) {
+    if (entry.child !== child) {
+      return;
+    }
+    const now = Date.now();
+    entry.child = null;
+    entry.lastExit = { code, signal, error: error ? error.message : null, limit: entry.limitExceeded, at: new Date(now).toISOString() };
+    entry.limitExceeded = null;
+    getWriter(entry.name).write({ pid: child.pid || null, stream: 'supervisor', message: `exited: ${describeExit(entry.lastExit)}` });
+
+    if (!entry.wanted) {
+      entry.status = 'stopped';
+      log(`${entry.name}: stopped (${describeExit(entry.lastExit)})`);
+      entry.stopWaiters.splice(0).forEach(resolve => resolve());
+      changed();
+      return;
+    }
+
+    // A long enough run means earlier crashes no longer count towards the backoff
+    if (now - entry.startedAt >= options.stableAfterMs) {
+      entry.attempt = 0;
+    }
+    entry.crashes = entry.crashes.filter(time => now - time < options.flapWindowMs);
+    entry.crashes.push(now);
+
+    if (entry.crashes.length > options.maxCrashes) {
+      entry.status = 'failed';
+      entry.error = `crashed ${entry.crashes.length} times within ${options.flapWindowMs / 1000}s ` +
+        `(last: ${describeExit(entry.lastExit)})`;
+      log(`${entry.name}: giving up, ${entry.error}`);
+      changed();
+      return;
+    }
+
+    const delay = Math.min(options.maxDelayMs, options.initialDelayMs * Math.pow(options.factor, entry.attempt));
+    entry.attempt++;
+    entry.status = 'backoff';
+    entry.nextRestartAt = now + delay;
+    log(`${entry.name}: ${describeExit(entry.lastExit)}, restarting in ${delay / 1000}s`);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      entry.restarts++;
+      launch(entry);
+    }, delay);
+    changed();
+  }
+
+  // Function to restart servers whose process tree uses more memory than allowed
+  // The restart counts as a crash, so a server that keeps growing is marked failed
+  function checkLimits() {
+    for (const entry of servers.values()) {
+      const maxMemoryMB = entry.limits && entry.limits.maxMemoryMB;
+      if (!entry.child || !maxMemoryMB || entry.limitExceeded || entry.status !== 'running') {
+        continue;
+      }
+      const usage = getTreeUsage(entry.child.pid);
+      const usedMB = usage ? Math.round(usage.rssBytes / (1024 * 1024)) : 0;
+      if (usedMB <= maxMemoryMB) {
+        continue;
+      }
+      entry.limitExceeded = `memory limit of ${maxMemoryMB} MB exceeded`;
+      reportEvent(entry, entry.child.pid, {
+        message: `memory limit exceeded: ${usedMB} MB used by ${usage.processes} processes, limit ${maxMemoryMB} MB; restarting`,
+        type: 'limit',
+        limit: 'memory',
+        value: usedMB,
+        max: maxMemoryMB,
+        unit: 'MB',
+        action: 'restart'
+      });
+      entry.child.stdin.end();
+      terminateTree(entry.child.pid, { name: entry.name, graceMs: options.graceMs }).catch(() => {});
+    }
+  }
+  const limitTimer = setInterval(checkLimits, options.limitCheckMs);
+  limitTimer.unref();
+
+  // Function to start a server, or revive it when it was stopped or failed
+  function startServer(name) {
+    let entry = servers.get(name);
+    if (!entry) {
+      entry = { name, status: 'stopped', child: null, restarts: 0, attempt: 0, crashes: [], stopWaiters: [] };
+      servers.set(name, entry);
+    }
+    entry.wanted = true;
+    if (entry.status === 'stopped' || entry.status === 'failed') {
+      entry.attempt = 0;
+      entry.crashes = [];
+      launch(entry);
+    }
+  }
+
+  // Function to stop a server and everything it started
+  // Resolves with the shutdown report (see process-tree.js) once its process has exited
+  async function stopServer(name, { graceMs = options.graceMs } = {}) {
+    const entry = servers.get(name);
+    if (!entry) {
+      return null;
+    }
+    entry.wanted = false;
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+    if (!entry.child) {
+      entry.status = 'stopped';
+      entry.nextRestartAt = null;
+      changed();
+      return null;
+    }
+
+    const child = entry.child;
+    entry.status = 'stopping';
+    changed();
+    const exited = new Promise(resolve => entry.stopWaiters.push(resolve));
+    child.stdin.end();
+    const report = await terminateTree(child.pid, { name, graceMs });
+    await exited;
+    return report;
+  }
+
+  // Function to make the running set match `names`
+  // `restart` (true, or a list of names) restarts servers that are already running
+  async function setDesired(names, { restart = false } = {}) {
+    const removed = [...servers.keys()].filter(name => !names.includes(name));
+    await Promise.all(removed.map(name => stopServer(name).then(() => {
+      servers.delete(name);
+      changed();
+    })));
+
+    const restarting = restart === true ? names : restart || [];
+    await Promise.all(names.filter(name => restarting.includes(name) && servers.has(name)).map(name => stopServer(name)));
+    names.forEach(name => startServer(name));
+  }
+
+  // Function to stop every server; resolves with their shutdown reports
+  async function stopAll(stopOptions) {
+    const reports = await Promise.all([...servers.keys()].map(name => stopServer(name, stopOptions)));
+    writers.forEach(writer => writer.close());
+    return reports.filter(Boolean);
+  }
+
+  return { setDesired, stopAll, snapshot, checkLimits };
+}
+
+// Function to read what the supervisor last reported
+function readSupervisorState() {
+  return readState(STATE_FILE, { pid: null, servers: {} });
+}
+
+// Function to get the pid of the running supervisor, or null
+function getSupervisorPid() {
+  const { pid } = readSupervisorState();
+  return isProcessAlive(pid) ? pid : null;
+}
+
+// Function to wait until `check` returns something truthy
+async function waitFor(check, timeoutMs, intervalMs = 100) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = check();
+    if (result || Date.now() >= deadline) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+// Function to rotate the supervisor's own log when it is due; resolves with its path
+// The daemon's output is written straight to the file, so this only happens
+// between runs
+async function rotateSupervisorLog() {
+  const supervisorLog = path.join(getLogDir(), 'supervisor.log');
+  if (needsRotation(supervisorLog)) {
+    await rotateLog(supervisorLog).catch(() => {});
+  }
+  return supervisorLog;
+}
+
+// Function to build the launch context of a request
+// Keys the caller leaves undefined keep the value of the previous request, so
+// a caller that only adds servers does not change how the others launch
+function mergeRequestContext(context, previous = {}) {
+  const merged = { ...previous };
+  for (const [key, value] of Object.entries(context)) {
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+  return { workspaceDir: merged.workspaceDir, roots: merged.roots, offline: Boolean(merged.offline), mock: Boolean(merged.mock) };
+}
+
+// Function to ask the supervisor to run `names`, starting it when needed
+// `context` ({ workspaceDir, roots, offline, mock }) decides how servers are
+// launched, merged over a running supervisor's context (see mergeRequestContext);
+// `restart` (true, or a list of names) restarts servers that are already running.
+// Resolves with the supervisor's state once it has applied the request
+async function ensureSupervisor(names, context = {}, { restart = false, timeoutMs = 10000 } = {}) {
+  const id = `${Date.now()}-${process.pid}`;
+  const running = getSupervisorPid();
+  const previous = running ? readState(REQUEST_FILE, {}).context : {};
+  writeState(REQUEST_FILE, {
+    id,
+    servers: names,
+    context: mergeRequestContext(context, previous),
+    restart
+  });
+
+  if (running) {
+    process.kill(running, 'SIGHUP');
+  } else {
+    const logFile = fs.openSync(await rotateSupervisorLog(), 'a');
+    const daemon = spawn(process.execPath, [SUPERVISOR_SCRIPT, 'run'], {
+      detached: true,
+      stdio: ['ignore', logFile, logFile],
+      env: process.env
+    });
+    fs.closeSync(logFile);
+    daemon.unref();
+  }
+
+  const state = await waitFor(() => {
+    const current = readSupervisorState();
+    return current.appliedRequest === id ? current : null;
+  }, timeoutMs);
+  if (!state) {
+    throw new Error(`The supervisor did not respond within ${timeoutMs / 1000}s; see ${path.join(getLogDir(), 'supervisor.log')}`);
+  }
+  return state;
+}
+
+// Function to stop the supervisor and, with it, every server it owns
+// Resolves with the supervisor's final state, which holds a shutdown report
+// per server, or with null when no supervisor was running
+async function stopSupervisor({ graceMs = getGraceMs() } = {}) {
+  const pid = getSupervisorPid();
+  if (!pid) {
+    return null;
+  }
+  writeState(STOP_FILE, { graceMs });
+  process.kill(pid, 'SIGTERM');
+
+  // Servers stop side by side, each within the grace period plus the SIGKILL wait
+  const timeoutMs = graceMs + 15000;
+  const stopped = await waitFor(() => !isProcessAlive(pid), timeoutMs);
+  if (!stopped) {
+    throw new Error(`The supervisor (PID ${pid}) did not stop within ${timeoutMs / 1000}s`);
+  }
+  return readSupervisorState();
+}
+
+// Function to find servers this tool started that no running supervisor owns,
+// such as those left behind when a supervisor was killed
+function findOrphanedServers(names) {
+  const supervisor = getSupervisorPid();
+  return findManagedServers(names).filter(server => server.ppid !== supervisor);
+}
+
+// Function to stop every server this tool started: the supervisor with its
+// servers, then any orphans. Resolves with one shutdown report per server
+async function stopAllServers({ graceMs = getGraceMs() } = {}) {
+  const state = await stopSupervisor({ graceMs });
+  const orphans = findOrphanedServers();
+  const reports = await Promise.all(orphans.map(server => terminateTree(server.pid, { name: server.name, graceMs })));
+  return [...((state && state.shutdown) || []), ...reports];
+}
+
+// Function to format one server's line for status output
+function formatServerStatus(name, server) {
+  let detail = server.pid ? `PID ${server.pid}${server.url ? ` at ${server.url}` : ''}` : '';
+  if (server.status === 'backoff' && server.nextRestartAt) {
+    detail = `restart at ${new Date(server.nextRestartAt).toLocaleTimeString()}`;
+  } else if (server.status === 'failed') {
+    detail = server.error || '';
+  }
+  const restarts = server.restarts > 0 ? ` (${server.restarts} restart${server.restarts === 1 ? '' : 's'})` : '';
+  return `${name.padEnd(20)} ${server.status.padEnd(9)} ${detail}${restarts}`;
+}
+
+module.exports = {
+  STATE_FILE,
+  REQUEST_FILE,
+  STOP_FILE,
+  DEFAULT_POLICY,
+  createSupervisor,
+  readSupervisorState,
+  getSupervisorPid,
+  rotateSupervisorLog,
+  mergeRequestContext,
+  ensureSupervisor,
+  stopSupervisor,
+  findOrphanedServers,
+  stopAllServers,
+  formatServerStatus
+};
@@ -0,0 +1,72 @@
+/**
+ * Workspace Helpers
+ *
+ * Locates git repositories and the workspace directory that the
+ * filesystem MCP server is given access to.
+ */
+
+const { execSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Function to find the git root of the current directory
+function findGitRoot(dir) {
+  try {
+    return execSync('git rev-parse --show-toplevel', { cwd: dir, stdio: ['pipe', 'pipe', 'ignore'] })
+      .toString()
+      .trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to find all Git repositories in a parent directory
+function findAllGitRepos(parentDir) {
+  try {
+    // Find all directories that contain a .git folder
+    const findCommand = `find "${parentDir}" -maxdepth 3 -type d -name ".git" | sed 's/\\/.git$//'`;
+    return execSync(findCommand, { stdio: ['pipe', 'pipe', 'ignore'] })
+      .toString()
+      .trim()
+      .split('\n')
+      .filter(Boolean);
+  } catch (error) {
+    console.error('Error finding git repositories:', error.message);
+    return [];
+  }
+}
+
+// Directories that commonly hold a user's projects, in order of preference
+function getDefaultWorkspaceCandidates() {
+  const homeDir = os.homedir();
+  return [
+    path.join(homeDir, 'Desktop', 'Work'),
+    path.join(homeDir, 'Documents', 'Projects'),
+    path.join(homeDir, 'Projects'),
+    path.join(homeDir, 'code')
+  ];
+}
+
+// Function to determine the workspace directory
+// Order: CURSOR_WORKSPACE_DIR, the parent of the current git root, then common defaults
+function resolveWorkspaceDir(cwd = process.cwd()) {
+  if (process.env.CURSOR_WORKSPACE_DIR) {
+    return process.env.CURSOR_WORKSPACE_DIR;
+  }
+
+  const gitRoot = findGitRoot(cwd);
+  if (gitRoot) {
+    return path.dirname(gitRoot);
+  }
+
+  const candidates = getDefaultWorkspaceCandidates();
+  return candidates.find(dir => fs.existsSync(dir)) || candidates[0];
+}
+
+module.exports = {
+  findGitRoot,
+  findAllGitRepos,
+  getDefaultWorkspaceCandidates,
+  resolveWorkspaceDir
+};
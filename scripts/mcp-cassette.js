@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Session Cassettes
+ *
+ * Records MCP sessions between a client and a server into cassettes, and
+ * replays them with a stand-in server that answers from the recording (see
+ * lib/cassettes.js). A cassette recorded from a real Cursor session against
+ * the GitHub or Puppeteer server becomes a regression test that runs the
+ * same way every time, with no token, browser or network.
+ *
+ * Usage:
+ *   npm run mcp-init -- --record[=github,puppeteer]   # record Cursor's sessions with these servers
+ *   npm run cassette -- list [--json]                 # recorded cassettes
+ *   npm run cassette -- show <cassette> [--json]      # the requests in a cassette, with timings
+ *   node scripts/mcp-cassette.js replay <cassette> [--timing]
+ *   node scripts/mcp-cassette.js record [--server=<name>] [--cassette=<file>] -- <command> [args...]
+ *
+ * "record" is the shim mcp.json entries run when recording: it starts the
+ * server command and passes stdio straight through while writing every
+ * message to the cassette. "replay" serves a cassette over stdio; it exits
+ * with an error if any request did not match the recording.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const {
+  getCassetteDir,
+  resolveCassettePath,
+  newCassettePath,
+  createRecorder,
+  readCassette,
+  getInteractions,
+  describeCassette,
+  createReplayServer
+} = require('./lib/cassettes');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to read a --key=value option
+function getOption(args, key) {
+  const prefix = `--${key}=`;
+  const match = args.find(arg => arg.startsWith(prefix));
+  return match ? match.slice(prefix.length) : null;
+}
+
+// Function to format milliseconds for listings
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Function to run a server command, recording everything on its stdio
+// Exits with the server's exit code once its output has been passed on
+function record(args, command) {
+  if (command.length === 0) {
+    throw new Error('Usage: mcp-cassette.js record [--server=<name>] [--cassette=<file>] -- <command> [args...]');
+  }
+  const server = getOption(args, 'server') || path.basename(command[0]);
+  const file = getOption(args, 'cassette') || newCassettePath(server);
+  const recordLine = createRecorder(file, server);
+  const timestamped = message => process.stderr.write(`[${new Date().toISOString()}] mcp-cassette: ${message}\n`);
+
+  const child = spawn(command[0], command.slice(1), {
+    stdio: ['pipe', 'pipe', 'inherit'],
+    env: process.env,
+    shell: process.platform === 'win32'
+  });
+  child.on('error', error => {
+    timestamped(`failed to start ${command[0]}: ${error.message}`);
+    process.exit(1);
+  });
+  // 'close' comes after the server's stdout has been read to the end
+  child.on('close', (code, signal) => {
+    timestamped(`${server} exited; session recorded in ${file}`);
+    process.stdout.write('', () => process.exit(code === null ? (signal ? 1 : 0) : code));
+  });
+  child.stdin.on('error', error => timestamped(`could not write to ${server}: ${error.message}`));
+
+  readline.createInterface({ input: process.stdin })
+    .on('line', line => {
+      recordLine('client', line);
+      child.stdin.write(line + '\n');
+    })
+    .on('close', () => child.stdin.end());
+  readline.createInterface({ input: child.stdout })
+    .on('line', line => {
+      recordLine('server', line);
+      process.stdout.write(line + '\n');
+    });
+
+  // Stopping the shim stops the server it recorded
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => child.kill(signal));
+  }
+  timestamped(`recording ${server} to ${file}`);
+}
+
+// Function to serve a cassette over stdio until the client goes away
+function replay(file, args) {
+  // stdout belongs to the protocol; anything printed along the way goes to stderr
+  const write = process.stdout.write.bind(process.stdout);
+  console.log = console.error;
+  const timestamped = message => console.error(`[${new Date().toISOString()}] mcp-cassette: ${message}`);
+
+  const cassette = readCassette(file);
+  const server = createReplayServer(cassette, message => write(JSON.stringify(message) + '\n'), {
+    timing: args.includes('--timing'),
+    log: timestamped
+  });
+
+  readline.createInterface({ input: process.stdin })
+    .on('line', line => {
+      if (!line.trim()) {
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        write(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: `Parse error: ${error.message}` } }) + '\n');
+        return;
+      }
+      (Array.isArray(message) ? message : [message]).forEach(server.handleMessage);
+    })
+    .on('close', async () => {
+      // Answers delayed by --timing are still owed to the client
+      await server.whenIdle();
+      const report = server.getReport();
+      timestamped(`replayed ${report.replayed} request(s), ${report.mismatches.length} not in the cassette, ` +
+        `${report.unused.length} recorded request(s) never asked for`);
+      write('', () => process.exit(report.mismatches.length > 0 ? 1 : 0));
+    });
+
+  timestamped(`replaying ${cassette.header.server} from ${file}`);
+}
+
+// Function to list the recorded cassettes
+function listCassettes(args) {
+  const dir = getCassetteDir();
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.jsonl')).sort() : [];
+  const cassettes = files.map(file => {
+    try {
+      return { file, ...describeCassette(readCassette(path.join(dir, file))) };
+    } catch (error) {
+      return { file, error: error.message };
+    }
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ dir, cassettes }, null, 2));
+    return;
+  }
+  log(colors.bold + colors.blue + '=== MCP Cassettes ===' + colors.reset);
+  log(`Directory: ${dir}`);
+  if (cassettes.length === 0) {
+    log('\nNo cassettes yet. Record Cursor\'s sessions with: npm run mcp-init -- --record', colors.yellow);
+    return;
+  }
+  for (const cassette of cassettes) {
+    if (cassette.error) {
+      log(`${cassette.file}  unreadable: ${cassette.error}`, colors.red);
+      continue;
+    }
+    const errors = cassette.errors > 0 ? `, ${cassette.errors} error(s)` : '';
+    log(`${cassette.file}  ${cassette.requests} request(s)${errors} over ${formatDuration(cassette.durationMs)}`);
+  }
+}
+
+// Function to print the requests in a cassette with their timings
+function showCassette(file, args) {
+  const cassette = readCassette(file);
+  const interactions = getInteractions(cassette);
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ ...cassette.header, interactions }, null, 2));
+    return;
+  }
+  log(colors.bold + colors.blue + `=== ${cassette.header.server} session, ${cassette.header.recordedAt} ===` + colors.reset);
+  for (const interaction of interactions) {
+    const tool = interaction.method === 'tools/call' ? ` ${interaction.params.name}` : '';
+    const failed = interaction.response.error || (interaction.response.result && interaction.response.result.isError);
+    const line = `+${formatDuration(interaction.t).padEnd(8)} ${(interaction.method + tool).padEnd(40)} ${formatDuration(interaction.durationMs)}`;
+    log(line, failed ? colors.red : colors.reset);
+  }
+}
+
+// Main function
+function main() {
+  const all = process.argv.slice(2);
+  const split = all.indexOf('--');
+  const args = split === -1 ? all : all.slice(0, split);
+  const [command, target] = args.filter(arg => !arg.startsWith('--'));
+
+  if (command === 'record') {
+    record(args, split === -1 ? [] : all.slice(split + 1));
+  } else if (command === 'replay' || command === 'show') {
+    if (!target) {
+      throw new Error(`Usage: mcp-cassette.js ${command} <cassette>`);
+    }
+    const file = resolveCassettePath(target);
+    if (command === 'replay') {
+      replay(file, args);
+    } else {
+      showCassette(file, args);
+    }
+  } else if (!command || command === 'list') {
+    listCassettes(args);
+  } else {
+    throw new Error(`Unknown command "${command}". Use list, show, replay or record`);
+  }
+}
+
+// Run the main function
+try {
+  main();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
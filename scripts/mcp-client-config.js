@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Client Config Export / Import
+ *
+ * Exports the server registry or ~/.cursor/mcp.json into the config files
+ * of other MCP clients (Claude Desktop, VS Code), and imports their server
+ * definitions back into ~/.cursor/mcp.json. Writes merge with what is
+ * already in the target file, are backed up first and support --dry-run.
+ *
+ * Usage:
+ *   npm run mcp-export -- <format> [--from=config|registry] [--profile=<name>] [--out=<file>] [--dry-run]
+ *   npm run mcp-import -- <format> [--in=<file>] [--dry-run]
+ *   npm run mcp-export -- --list-formats
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getServer, buildMcpServers } = require('./lib/mcp-registry');
+const { findGitRoot, resolveWorkspaceDir } = require('./lib/workspace');
+const { resolveFilesystemRoots } = require('./lib/filesystem-roots');
+const {
+  getGlobalConfigPath,
+  readConfig,
+  mergeMcpServers,
+  writeConfigText,
+  applyManagedServers,
+  reportWrite
+} = require('./lib/mcp-config');
+const { resolveProfile } = require('./lib/profiles');
+const { FORMATS, getFormat, stripJsonComments, parseClientConfig, exportServers, importServers } = require('./lib/client-formats');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to read an option given as "--name=value"
+function getOption(args, name) {
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  return inline ? inline.slice(name.length + 1) : null;
+}
+
+// Function to read a client config file, which may not exist yet
+function readClientFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { text: '', config: {} };
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  try {
+    return { text, config: parseClientConfig(text) };
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+}
+
+// Function to collect the servers to export
+function getSourceServers(args) {
+  const from = getOption(args, '--from') || 'config';
+
+  if (from === 'registry') {
+    // The same roots and stand-ins "npm run mcp-init" would configure
+    const profile = resolveProfile(getOption(args, '--profile') || undefined);
+    const workspaceDir = resolveWorkspaceDir(process.cwd());
+    const { roots } = resolveFilesystemRoots({ workspaceDir });
+    const names = roots.length > 0 ? profile.servers : profile.servers.filter(name => !getServer(name).workspaceArgs);
+    if (names.length < profile.servers.length) {
+      log('No usable filesystem roots, so the filesystem server is not exported. Add one with "npm run roots -- add <dir>"', colors.yellow);
+    }
+    return buildMcpServers({ workspaceDir, roots, mock: profile.mock }, names);
+  }
+  if (from === 'config') {
+    return readConfig(getGlobalConfigPath()).mcpServers;
+  }
+  throw new Error(`Unknown source "${from}". Use --from=config or --from=registry`);
+}
+
+// Function to export servers into another client's config file
+function runExport(formatName, args, dryRun) {
+  const format = getFormat(formatName);
+  const targetPath = path.resolve(getOption(args, '--out') || format.getDefaultPath(findGitRoot(process.cwd())));
+
+  const { servers, skipped } = exportServers(formatName, getSourceServers(args));
+  if (Object.keys(servers).length === 0) {
+    log('Nothing to export. Run "npm run mcp-init" first, or export with --from=registry.', colors.yellow);
+    return;
+  }
+
+  const { text, config } = readClientFile(targetPath);
+  if (text && stripJsonComments(text) !== text) {
+    log(`Note: comments in ${targetPath} are not preserved; the original is backed up first.`, colors.yellow);
+  }
+
+  const { mcpServers, summary } = mergeMcpServers(format.getServers(config), servers);
+  const nextText = JSON.stringify(format.setServers(config, mcpServers), null, 2) + '\n';
+  const result = writeConfigText(targetPath, nextText, { dryRun });
+
+  log(`Exporting to ${format.description}`, colors.blue);
+  reportWrite(targetPath, result, { dryRun });
+  if (summary.added.length + summary.updated.length > 0) {
+    log(`Exported: ${[...summary.added, ...summary.updated].join(', ')}`, colors.green);
+  }
+  if (summary.preserved.length > 0) {
+    log(`Kept servers already defined there: ${summary.preserved.join(', ')}`);
+  }
+  if (skipped.length > 0) {
+    log(`Skipped (transport not supported by this client): ${skipped.join(', ')}`, colors.yellow);
+  }
+}
+
+// Function to import another client's servers into ~/.cursor/mcp.json
+function runImport(formatName, args, dryRun) {
+  const format = getFormat(formatName);
+  const sourcePath = path.resolve(getOption(args, '--in') || format.getDefaultPath(findGitRoot(process.cwd())));
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`${sourcePath} does not exist. Pass --in=<file> to import from another location`);
+  }
+
+  const { mcpServers, skipped } = importServers(formatName, readClientFile(sourcePath).config);
+  if (Object.keys(mcpServers).length === 0) {
+    log(`No server definitions found in ${sourcePath}`, colors.yellow);
+    return;
+  }
+
+  const configPath = getGlobalConfigPath();
+  const result = applyManagedServers(configPath, mcpServers, { dryRun });
+
+  log(`Importing from ${format.description}`, colors.blue);
+  reportWrite(configPath, result, { dryRun });
+  if (result.summary.added.length + result.summary.updated.length > 0) {
+    log(`Imported: ${[...result.summary.added, ...result.summary.updated].join(', ')}`, colors.green);
+  }
+  if (skipped.length > 0) {
+    log(`Skipped (transport not supported by Cursor): ${skipped.join(', ')}`, colors.yellow);
+  }
+}
+
+// Main function
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const formatName = args.find(arg => !arg.startsWith('--'));
+
+  if (args.includes('--list-formats') || !formatName) {
+    log(colors.bold + 'Supported client formats:' + colors.reset);
+    for (const [name, format] of Object.entries(FORMATS)) {
+      log(`  ${name.padEnd(18)} ${format.description}`);
+      log(`  ${''.padEnd(18)} ${format.getDefaultPath(findGitRoot(process.cwd()))}`);
+    }
+    if (!formatName && !args.includes('--list-formats')) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === 'export') {
+    runExport(formatName, args, dryRun);
+  } else if (command === 'import') {
+    runImport(formatName, args, dryRun);
+  } else {
+    throw new Error(`Unknown command "${command}". Use export or import`);
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
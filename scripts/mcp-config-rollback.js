@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Configuration Rollback
+ *
+ * Lists the backups taken before each change to ~/.cursor/mcp.json and
+ * restores any one of them.
+ *
+ * Usage:
+ *   npm run rollback                      # list backups
+ *   npm run rollback -- latest            # restore the most recent backup
+ *   npm run rollback -- <number|file>     # restore a specific backup
+ *   npm run rollback -- latest --dry-run  # show the diff without writing
+ */
+
+const path = require('path');
+const fs = require('fs');
+const {
+  getGlobalConfigPath,
+  listBackups,
+  restoreBackup,
+  reportWrite
+} = require('./lib/mcp-config');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to pick a backup from a number, file name or "latest"
+function resolveBackup(backups, selector) {
+  if (selector === 'latest') {
+    return backups[backups.length - 1];
+  }
+
+  if (/^\d+$/.test(selector)) {
+    return backups[parseInt(selector, 10) - 1];
+  }
+
+  return backups.find(backup => backup === path.resolve(selector) || path.basename(backup) === selector);
+}
+
+// Main function
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const configArg = args.find(arg => arg.startsWith('--config='));
+  const configPath = configArg ? path.resolve(configArg.split('=')[1]) : getGlobalConfigPath();
+  const selector = args.find(arg => !arg.startsWith('--'));
+
+  const backups = listBackups(configPath);
+  if (backups.length === 0) {
+    log(`No backups found for ${configPath}`, colors.yellow);
+    return;
+  }
+
+  if (!selector) {
+    log(colors.bold + `Backups of ${configPath}:` + colors.reset);
+    backups.forEach((backup, index) => {
+      const { size } = fs.statSync(backup);
+      log(`${String(index + 1).padStart(3)}. ${path.basename(backup)} (${size} bytes)`);
+    });
+    log('\nRestore one with: npm run rollback -- <number|latest> [--dry-run]', colors.blue);
+    return;
+  }
+
+  const backup = resolveBackup(backups, selector);
+  if (!backup) {
+    throw new Error(`No backup matches "${selector}"`);
+  }
+
+  log(`Restoring ${path.basename(backup)}...`, colors.blue);
+  const result = restoreBackup(configPath, backup, { dryRun });
+  reportWrite(configPath, result, { dryRun });
+
+  if (result.changed && !dryRun) {
+    log('Rollback complete. Restart Cursor to pick up the restored configuration.', colors.green);
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Doctor
+ *
+ * Validates the MCP setup end to end: the global and project mcp.json
+ * files, workspace paths, stored credentials, and the tools the servers
+ * need (Node, npx, Chromium). Findings that have an automatic fix can be
+ * applied with --fix; the previous config is backed up first.
+ *
+ * Usage: npm run doctor [-- --fix] [-- --json]
+ */
+
+const fs = require('fs');
+const { findGitRoot } = require('./lib/workspace');
+const { getGlobalConfigPath, readConfigWithInfo, writeConfig, reportWrite } = require('./lib/mcp-config');
+const { CURRENT_SCHEMA_VERSION } = require('./lib/config-schema');
+const { getProjectConfigPath } = require('./lib/project-config');
+const { diagnose, checkEnvironment } = require('./lib/doctor');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+const severityColors = {
+  error: colors.red,
+  warning: colors.yellow,
+  info: colors.cyan
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to list the config files to check
+function getConfigLayers() {
+  const layers = [{ name: 'global', path: getGlobalConfigPath() }];
+  const gitRoot = findGitRoot(process.cwd());
+  if (gitRoot && fs.existsSync(getProjectConfigPath(gitRoot))) {
+    layers.push({ name: 'project', path: getProjectConfigPath(gitRoot) });
+  }
+  return layers;
+}
+
+// Function to load a config file, turning parse errors into a finding
+function loadLayer(layer) {
+  if (!fs.existsSync(layer.path)) {
+    return {
+      config: null,
+      findings: [{
+        id: 'config.missing', severity: 'error', server: null, fix: null,
+        message: `${layer.path} does not exist`,
+        suggestion: 'Run "npm run mcp-init" to create it'
+      }]
+    };
+  }
+
+  try {
+    const { config, fromVersion, migrated, applied } = readConfigWithInfo(layer.path);
+    const findings = diagnose(config, { environment: false });
+    if (migrated) {
+      // The config is already migrated in memory; writing it back persists the change
+      findings.push({
+        id: 'schema.version', severity: 'warning', server: null, fix: () => {},
+        message: `Uses schema version ${fromVersion}, which needs migrating (${applied.join('; ')})`,
+        suggestion: `Rewrite the file in schema version ${CURRENT_SCHEMA_VERSION}`
+      });
+    }
+    return { config, findings };
+  } catch (error) {
+    return {
+      config: null,
+      findings: [{
+        id: 'config.parse', severity: 'error', server: null, fix: null,
+        message: error.message,
+        suggestion: 'Fix the syntax error, or restore a backup with "npm run rollback -- latest"'
+      }]
+    };
+  }
+}
+
+// Function to print one finding
+function printFinding(item) {
+  const where = item.server ? ` [${item.server}]` : '';
+  const fixable = item.fix ? ' (fixable with --fix)' : '';
+  log(`  ${item.severity.toUpperCase()}${where} ${item.message}`, severityColors[item.severity]);
+  log(`    → ${item.suggestion}${fixable}`);
+}
+
+// Main function
+async function main() {
+  const args = process.argv.slice(2);
+  const applyFixes = args.includes('--fix');
+  const json = args.includes('--json');
+
+  const reports = getConfigLayers().map(layer => ({ ...layer, ...loadLayer(layer) }));
+
+  // Machine-wide checks run once, against every configured server
+  const allServers = Object.assign({}, ...reports.map(report => (report.config && report.config.mcpServers) || {}));
+  reports.push({ name: 'environment', path: null, config: null, findings: checkEnvironment({ mcpServers: allServers }) });
+
+  if (json) {
+    const output = reports.map(({ name, path, findings }) => ({
+      name,
+      path,
+      findings: findings.map(({ fix, ...item }) => ({ ...item, fixable: Boolean(fix) }))
+    }));
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    log(colors.bold + colors.blue + '=== MCP Doctor ===' + colors.reset);
+    for (const report of reports) {
+      log(`\n${colors.bold}${report.name}${colors.reset}${report.path ? ` ${report.path}` : ''}`);
+      if (report.findings.length === 0) {
+        log('  No problems found', colors.green);
+      }
+      report.findings.forEach(printFinding);
+    }
+  }
+
+  if (applyFixes) {
+    for (const report of reports) {
+      const fixable = report.findings.filter(item => item.fix);
+      if (!report.config || fixable.length === 0) {
+        continue;
+      }
+
+      fixable.forEach(item => item.fix());
+      const result = writeConfig(report.path, report.config);
+      if (!json) {
+        log(`\nApplied ${fixable.length} fix(es) to ${report.path}`, colors.green);
+        reportWrite(report.path, result);
+      }
+      report.findings = report.findings.filter(item => !item.fix);
+    }
+  }
+
+  const remaining = reports.reduce((list, report) => list.concat(report.findings), []);
+  const errors = remaining.filter(item => item.severity === 'error').length;
+  const warnings = remaining.filter(item => item.severity === 'warning').length;
+
+  if (!json) {
+    log(`\n${errors} error(s), ${warnings} warning(s)`, errors > 0 ? colors.red : warnings > 0 ? colors.yellow : colors.green);
+    if (!applyFixes && remaining.some(item => item.fix)) {
+      log('Run "npm run doctor -- --fix" to apply the automatic fixes.', colors.blue);
+    }
+  }
+
+  if (errors > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Gateway
+ *
+ * Runs a stdio MCP server behind a localhost HTTP endpoint that several
+ * clients can share (see lib/gateway.js). The supervisor starts every server
+ * this way unless "enabled" is false in ~/.cursor/mcp-gateway.json.
+ *
+ * Usage:
+ *   npm run gateway -- urls [--json]                    # endpoint of every server, and whether it answers
+ *   npm run gateway -- <name> [--port=N] [--idle-timeout=<minutes>] [--offline]   # run one server in the foreground
+ *   node scripts/mcp-gateway.js <name> --port=N [--idle-timeout=M] [--max-calls=N] [--call-timeout=S] -- <command> [args...]
+ *                                                       # used by the supervisor
+ *
+ * With an idle timeout the server is started by the first request it is needed for and
+ * stopped after that many minutes without one (see lib/gateway.js).
+ * --max-calls and --call-timeout default to the server's registry limits.
+ */
+
+const http = require('http');
+const { getServer, getServerNames, getSpawnSpec, getMissingEnv } = require('./lib/mcp-registry');
+const { resolveWorkspaceDir } = require('./lib/workspace');
+const { requireFilesystemRoots } = require('./lib/filesystem-roots');
+const { writeState, removeState } = require('./lib/state');
+const { formatEventLine } = require('./lib/logs');
+const {
+  loadGatewayConfig,
+  getGatewayPort,
+  getGatewayUrl,
+  getIdleTimeoutMinutes,
+  getGatewayStateName,
+  createGateway
+} = require('./lib/gateway');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to read a --key=value option
+function getOption(args, key) {
+  const prefix = `--${key}=`;
+  const match = args.find(arg => arg.startsWith(prefix));
+  return match ? match.slice(prefix.length) : null;
+}
+
+// Function to ask a gateway's /health endpoint whether it is up
+function probeHealth(url) {
+  return new Promise(resolve => {
+    const req = http.get(url, { timeout: 1000 }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          resolve(null);
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy());
+    req.on('error', () => resolve(null));
+  });
+}
+
+// Function to list every server's endpoints
+async function showUrls(json) {
+  const config = loadGatewayConfig();
+  const servers = await Promise.all(getServerNames().map(async name => {
+    const server = getServer(name);
+    const health = await probeHealth(getGatewayUrl(server, config, '/health'));
+    return {
+      name,
+      port: getGatewayPort(server, config),
+      url: getGatewayUrl(server, config),
+      sseUrl: getGatewayUrl(server, config, '/sse'),
+      listening: Boolean(health),
+      health
+    };
+  }));
+
+  if (json) {
+    console.log(JSON.stringify({ enabled: config.enabled, host: config.host, servers }, null, 2));
+    return;
+  }
+
+  log(colors.bold + colors.blue + '=== MCP Gateway ===' + colors.reset);
+  if (!config.enabled) {
+    log('Disabled in ~/.cursor/mcp-gateway.json: the supervisor runs servers without it.', colors.yellow);
+  }
+  log('');
+  for (const server of servers) {
+    const sessions = server.health ? Object.values(server.health.sessions).reduce((sum, count) => sum + count, 0) : 0;
+    const state = server.listening ? `listening, ${server.health.state || 'warm'}, ${sessions} client${sessions === 1 ? '' : 's'}` : 'not running';
+    log(`${server.name.padEnd(20)} ${server.url.padEnd(30)} ${state}`, server.listening ? colors.green : colors.reset);
+  }
+  log('\nStreamable HTTP clients use the URLs above; HTTP+SSE clients use /sse on the same port.');
+}
+
+// Function to resolve a server's command the way run-mcp-server.js does
+function resolveSpec(server, offline) {
+  const missingEnv = getMissingEnv(server);
+  if (missingEnv.length > 0) {
+    throw new Error(`${server.name} MCP server requires: ${missingEnv.join(', ')}`);
+  }
+  const workspaceDir = resolveWorkspaceDir();
+  const roots = server.workspaceArgs ? requireFilesystemRoots({ workspaceDir }).roots : undefined;
+  return getSpawnSpec(server, { workspaceDir, roots, offline });
+}
+
+// Function to run one server behind the gateway until it exits
+async function serve(server, args, command) {
+  const config = loadGatewayConfig();
+  const spec = command.length > 0
+    ? { command: command[0], args: command.slice(1), env: process.env }
+    : resolveSpec(server, args.includes('--offline'));
+  const port = Number(getOption(args, 'port') || getGatewayPort(server, config));
+  const host = getOption(args, 'host') || config.host;
+  const idleTimeout = Number(getOption(args, 'idle-timeout') || getIdleTimeoutMinutes(server, config));
+  if (!Number.isFinite(idleTimeout) || idleTimeout < 0) {
+    throw new Error('--idle-timeout must be a number of minutes (0 keeps the server running)');
+  }
+  const maxCalls = Number(getOption(args, 'max-calls') || server.limits.maxConcurrentCalls || 0);
+  const callTimeout = Number(getOption(args, 'call-timeout') || server.limits.callTimeoutSeconds || 0);
+  if (!Number.isInteger(maxCalls) || maxCalls < 0 || !Number.isFinite(callTimeout) || callTimeout < 0) {
+    throw new Error('--max-calls must be a whole number and --call-timeout a number of seconds');
+  }
+
+  // Messages go to stdout, which the supervisor records in the server's log.
+  // The server's state is kept in a state file for "npm run status"
+  const stateFile = getGatewayStateName(server.name);
+  const gateway = createGateway({
+    name: server.name,
+    command: spec.command,
+    args: spec.args,
+    env: spec.env,
+    host,
+    port,
+    idleTimeoutMs: idleTimeout * 60 * 1000,
+    maxConcurrentCalls: maxCalls,
+    callTimeoutMs: callTimeout * 1000,
+    log: message => console.log(`[${new Date().toISOString()}] gateway: ${message}`),
+    // Limit events are logged as structured entries by the supervisor
+    onEvent: event => console.log(formatEventLine(event)),
+    onStateChange: details => writeState(stateFile, { name: server.name, pid: process.pid, port, ...details }),
+    onExit: (code, signal, error) => {
+      const reason = error ? error.message : signal ? `killed by ${signal}` : `exit code ${code}`;
+      console.error(`[${new Date().toISOString()}] gateway: ${server.name} exited (${reason})`);
+      removeState(stateFile);
+      // The supervisor sees the server's exit as the gateway's
+      process.exit(code === null ? 1 : code);
+    }
+  });
+
+  const stop = () => gateway.close();
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+
+  try {
+    await gateway.listen();
+    writeState(stateFile, { name: server.name, pid: process.pid, port, ...gateway.state });
+  } catch (error) {
+    await gateway.close();
+    throw error;
+  }
+}
+
+// Main function
+async function main() {
+  const argv = process.argv.slice(2);
+  const separator = argv.indexOf('--');
+  const args = separator === -1 ? argv : argv.slice(0, separator);
+  const command = separator === -1 ? [] : argv.slice(separator + 1);
+  const [name] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!name || name === 'urls') {
+    await showUrls(args.includes('--json'));
+    return;
+  }
+
+  const server = getServer(name);
+  if (!server) {
+    throw new Error(`Unknown server "${name}". Available: ${getServerNames().join(', ')}`);
+  }
+  await serve(server, args, command);
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Server Launcher
+ *
+ * mcp.json entries that reference ${env:...} or ${secret:...} values run
+ * through this wrapper. It resolves the references in its environment and
+ * arguments, then starts the real server with stdio passed straight
+ * through. Resolved values are never written to disk or printed; errors
+ * only name the reference that could not be resolved.
+ *
+ * Usage: node scripts/mcp-launch.js <command> [args...]
+ */
+
+const { spawn } = require('child_process');
+const { interpolate } = require('./lib/interpolate');
+const { createResolver } = require('./lib/launch-env');
+
+// stdout belongs to the MCP protocol, so everything else goes to stderr
+function fail(message) {
+  process.stderr.write(`[mcp-launch] ${message}\n`);
+  process.exit(1);
+}
+
+// Function to resolve the references in the environment and arguments
+function resolveLaunch(command, args, lookup) {
+  const missing = [];
+  const env = {};
+  for (const [key, value] of Object.entries(process.env)) {
+    env[key] = interpolate(value, lookup, missing);
+  }
+  const resolvedArgs = args.map(arg => interpolate(arg, lookup, missing));
+  return { command: interpolate(command, lookup, missing), args: resolvedArgs, env, missing };
+}
+
+// Main function
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command) {
+    fail('Usage: mcp-launch.js <command> [args...]');
+  }
+
+  let launch;
+  try {
+    launch = resolveLaunch(command, args, createResolver());
+  } catch (error) {
+    fail(error.message);
+  }
+
+  if (launch.missing.length > 0) {
+    const unique = [...new Set(launch.missing)];
+    fail(`Cannot start ${command}: unresolved ${unique.join(', ')}. ` +
+      'Set the variable in your environment or .env file, or store the secret with "npm run secrets -- set <name>".');
+  }
+
+  const child = spawn(launch.command, launch.args, {
+    stdio: 'inherit',
+    env: launch.env,
+    shell: process.platform === 'win32'
+  });
+
+  // Pass shutdown signals on so the server can clean up
+  for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+    process.on(signal, () => child.kill(signal));
+  }
+
+  child.on('error', error => fail(`Could not start ${command}: ${error.message}`));
+  child.on('exit', (code, signal) => {
+    if (signal) {
+      process.removeAllListeners(signal);
+      process.kill(process.pid, signal);
+    } else {
+      process.exit(code === null ? 1 : code);
+    }
+  });
+}
+
+main();
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Server Lockfile
+ *
+ * Checks or updates mcp-lock.json, which pins the version and integrity
+ * hash of every MCP server package. Upgrading a server is a deliberate
+ * two-step change: install the new version, then update the lock.
+ *
+ * Usage:
+ *   npm run lock                          # verify the lock against node_modules
+ *   npm run lock -- --update [name...]    # re-pin all (or some) servers from package-lock.json
+ *   npm run lock -- --json
+ */
+
+const { SERVERS, selectServers } = require('./lib/mcp-registry');
+const {
+  getLockfilePath,
+  readLockfile,
+  writeLockfile,
+  readPackageLock,
+  buildLockfile,
+  verifyLockfile,
+  resolveLaunch
+} = require('./lib/lockfile');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to describe how each server would be launched
+function describeLaunches(lock) {
+  return SERVERS.map(server => {
+    const locked = lock && lock.servers[server.name];
+    const launch = resolveLaunch(server, { lock });
+    return { name: server.name, version: locked ? locked.version : null, source: launch.source, command: launch.command };
+  });
+}
+
+// Main function
+async function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const lockPath = getLockfilePath();
+
+  if (args.includes('--update')) {
+    const names = args.filter(arg => !arg.startsWith('--'));
+    const previous = readLockfile();
+    const lock = buildLockfile(selectServers(names.length > 0 ? names : undefined), readPackageLock(), previous);
+    writeLockfile(lock);
+
+    for (const [name, locked] of Object.entries(lock.servers)) {
+      const before = previous && previous.servers[name];
+      const change = before && before.version !== locked.version ? ` (was ${before.version})` : '';
+      log(`${name.padEnd(20)} ${locked.package}@${locked.version}${change}`);
+    }
+    log(`\nWrote ${lockPath}`, colors.green);
+    return;
+  }
+
+  const lock = readLockfile();
+  if (!lock) {
+    log(`No ${lockPath}. Create it with: npm run lock -- --update`, colors.yellow);
+    process.exitCode = 1;
+    return;
+  }
+
+  const problems = verifyLockfile(lock, readPackageLock());
+  const launches = describeLaunches(lock);
+
+  if (json) {
+    console.log(JSON.stringify({ lockfile: lockPath, launches, problems }, null, 2));
+  } else {
+    log(colors.bold + colors.blue + '=== MCP Server Lock ===' + colors.reset);
+    for (const launch of launches) {
+      const color = launch.source === 'local' ? colors.green : colors.yellow;
+      log(`${launch.name.padEnd(20)} ${(launch.version || 'unpinned').padEnd(10)} ${launch.source}`, color);
+    }
+    if (problems.length > 0) {
+      log('\nProblems:', colors.red);
+      problems.forEach(problem => log(`  [${problem.server}] ${problem.message}`, colors.red));
+      log('\nRun "npm ci" to install the locked versions, or "npm run lock -- --update" after a deliberate upgrade.', colors.blue);
+    } else {
+      log('\nInstalled servers match the lock.', colors.green);
+    }
+  }
+
+  if (problems.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Server Logs
+ *
+ * Reads the JSON-lines logs the supervisor keeps for each server, including
+ * rotated and compressed archives (see lib/logs.js).
+ *
+ * Usage:
+ *   npm run logs                                  # list the log files
+ *   npm run logs -- github                        # last 200 entries
+ *   npm run logs -- github --follow               # keep printing new entries
+ *   npm run logs -- github --since=1h --grep=error
+ *   npm run logs -- github --stream=stderr --lines=all --json
+ *   npm run logs -- puppeteer --stream=event      # limit violations and other events
+ *   npm run logs -- supervisor                    # the supervisor's own log
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getServer, getServerNames } = require('./lib/mcp-registry');
+const { getLogDir } = require('./lib/state');
+const {
+  LOG_EXTENSION,
+  getLogPath,
+  listArchives,
+  parseSince,
+  readLogEntries,
+  followLog,
+  formatLogEntry
+} = require('./lib/logs');
+const { formatBytes } = require('./lib/server-status');
+
+const DEFAULT_LINES = 200;
+const STREAMS = ['stdout', 'stderr', 'supervisor', 'event'];
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to read a --key=value option
+function getOption(args, key) {
+  const prefix = `--${key}=`;
+  const match = args.find(arg => arg.startsWith(prefix));
+  return match ? match.slice(prefix.length) : null;
+}
+
+// Function to pick the color for an entry
+function entryColor(entry) {
+  if (entry.stream === 'stderr') return colors.yellow;
+  if (entry.stream === 'supervisor') return colors.cyan;
+  if (entry.stream === 'event') return colors.red;
+  return colors.reset;
+}
+
+// Function to find the log file of a server, or of the supervisor itself
+function resolveLogPath(name) {
+  if (name === 'supervisor') {
+    return path.join(getLogDir(), 'supervisor.log');
+  }
+  if (!getServer(name)) {
+    throw new Error(`Unknown server "${name}". Available: supervisor, ${getServerNames().join(', ')}`);
+  }
+  return getLogPath(getLogDir(), name);
+}
+
+// Function to list every log file with its size and archives
+function listLogs(json) {
+  const logDir = getLogDir();
+  const logs = fs.readdirSync(logDir)
+    .filter(file => file === 'supervisor.log' || (file.endsWith(LOG_EXTENSION) && !file.slice(0, -LOG_EXTENSION.length).includes('.')))
+    .sort()
+    .map(file => {
+      const logPath = path.join(logDir, file);
+      const stats = fs.statSync(logPath);
+      return {
+        name: path.basename(file, path.extname(file)),
+        path: logPath,
+        sizeBytes: stats.size,
+        modifiedAt: stats.mtime.toISOString(),
+        archives: listArchives(logPath)
+      };
+    });
+
+  if (json) {
+    console.log(JSON.stringify({ logDir, logs }, null, 2));
+    return;
+  }
+  log(colors.bold + colors.blue + '=== MCP Server Logs ===' + colors.reset);
+  log(`Directory: ${logDir}\n`);
+  if (logs.length === 0) {
+    log('No logs yet. Servers started by the supervisor log here.', colors.yellow);
+    return;
+  }
+  logs.forEach(entry => {
+    const archives = entry.archives.length > 0 ? `, ${entry.archives.length} archived` : '';
+    log(`${entry.name.padEnd(20)} ${formatBytes(entry.sizeBytes).padEnd(10)} last written ${new Date(entry.modifiedAt).toLocaleString()}${archives}`);
+  });
+  log('\nRead one with: npm run logs -- <server> [--follow] [--since=1h] [--grep=pattern]', colors.cyan);
+}
+
+// Function to print the entries of one log, then follow it if asked
+async function showLog(name, args) {
+  const logPath = resolveLogPath(name);
+  const json = args.includes('--json');
+  const since = getOption(args, 'since');
+  const stream = getOption(args, 'stream');
+  const lines = getOption(args, 'lines') || (since ? 'all' : String(DEFAULT_LINES));
+  if (stream && !STREAMS.includes(stream)) {
+    throw new Error(`Invalid --stream value "${stream}"; use ${STREAMS.join(', ')}`);
+  }
+  if (lines !== 'all' && !/^\d+$/.test(lines)) {
+    throw new Error(`Invalid --lines value "${lines}"; use a number or "all"`);
+  }
+  const filter = { since: since ? parseSince(since) : null, grep: getOption(args, 'grep'), stream };
+  const print = entry => (json ? console.log(JSON.stringify(entry)) : log(formatLogEntry(entry), entryColor(entry)));
+
+  // Only the last entries are kept while reading, so large archives stay cheap
+  const limit = lines === 'all' ? Infinity : Number(lines);
+  const tail = [];
+  for await (const entry of readLogEntries(logPath, filter)) {
+    tail.push(entry);
+    if (tail.length > limit) {
+      tail.shift();
+    }
+  }
+  tail.forEach(print);
+
+  if (args.includes('--follow')) {
+    followLog(logPath, print, filter);
+  } else if (tail.length === 0 && !json) {
+    log(fs.existsSync(logPath) ? 'No matching entries.' : `No log yet at ${logPath}`, colors.yellow);
+  }
+}
+
+// Main function
+async function main() {
+  const args = process.argv.slice(2);
+  const names = args.filter(arg => !arg.startsWith('--'));
+  if (names.length > 1) {
+    throw new Error('Show one log at a time: npm run logs -- <server>');
+  }
+  if (names.length === 0) {
+    listLogs(args.includes('--json'));
+    return;
+  }
+  await showLog(names[0], args);
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Aggregating MCP Proxy
+ *
+ * A single stdio MCP server for mcp.json that exposes the tools, resources
+ * and prompts of every managed server under namespaced names (see
+ * lib/proxy.js). The servers themselves run under the supervisor and are
+ * reached through their gateways; the proxy asks the supervisor to start
+ * any that are not running yet.
+ *
+ * Usage:
+ *   node scripts/mcp-proxy.js [--servers=github,fetch] [--no-start] [--offline]
+ *   npm run proxy -- list [--json]      # show the merged catalog and which servers answer
+ *
+ * "npm run mcp-init -- --proxy" writes the mcp.json entry that runs it.
+ */
+
+const readline = require('readline');
+const { getServer, getServerNames } = require('./lib/mcp-registry');
+const { resolveWorkspaceDir } = require('./lib/workspace');
+const { requireFilesystemRoots } = require('./lib/filesystem-roots');
+const { resolveProfile, getActiveProfile } = require('./lib/profiles');
+const { getSupervisorPid, readSupervisorState, ensureSupervisor } = require('./lib/supervisor');
+const { loadGatewayConfig, getGatewayUrl } = require('./lib/gateway');
+const { createProxy } = require('./lib/proxy');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to read a --key=value option
+function getOption(args, key) {
+  const prefix = `--${key}=`;
+  const match = args.find(arg => arg.startsWith(prefix));
+  return match ? match.slice(prefix.length) : null;
+}
+
+// Function to decide which servers the proxy covers: --servers, or the active profile
+function getProxiedNames(args) {
+  const option = getOption(args, 'servers');
+  if (!option) {
+    const active = getActiveProfile();
+    return resolveProfile(active ? active.name : undefined).servers;
+  }
+  const names = option.split(',').map(name => name.trim()).filter(Boolean);
+  names.forEach(name => {
+    if (!getServer(name)) {
+      throw new Error(`Unknown server "${name}". Available: ${getServerNames().join(', ')}`);
+    }
+  });
+  return names;
+}
+
+// Function to ask the supervisor for servers it is not running yet
+// Servers it already runs are kept, so other users of the supervisor are not
+// affected; without --offline a running supervisor keeps its own setting
+async function startMissingServers(names, offline) {
+  const current = getSupervisorPid() ? Object.keys(readSupervisorState().servers || {}) : [];
+  if (names.every(name => current.includes(name))) {
+    return;
+  }
+  const workspaceDir = resolveWorkspaceDir();
+  const needsRoots = names.some(name => getServer(name).workspaceArgs);
+  const roots = needsRoots ? requireFilesystemRoots({ workspaceDir }).roots : undefined;
+  const active = getActiveProfile();
+  await ensureSupervisor([...new Set([...current, ...names])], {
+    workspaceDir,
+    roots,
+    offline: offline || undefined,
+    mock: Boolean(active && active.mock)
+  });
+}
+
+// Function to create the proxy for a set of servers
+function buildProxy(names, send, logMessage) {
+  const config = loadGatewayConfig();
+  if (!config.enabled) {
+    throw new Error('The proxy reaches servers through the gateway; set "enabled": true in ~/.cursor/mcp-gateway.json');
+  }
+  const downstreams = names.map(name => ({ name, url: getGatewayUrl(getServer(name), config) }));
+  return createProxy({ downstreams, send, log: logMessage });
+}
+
+// Function to serve the proxy over stdio until the client goes away
+async function serve(args) {
+  // stdout belongs to the protocol; anything printed along the way goes to stderr
+  const write = process.stdout.write.bind(process.stdout);
+  console.log = console.error;
+  const timestamped = message => console.error(`[${new Date().toISOString()}] mcp-proxy: ${message}`);
+
+  const names = getProxiedNames(args);
+  const proxy = buildProxy(names, message => write(JSON.stringify(message) + '\n'), timestamped);
+
+  readline.createInterface({ input: process.stdin })
+    .on('line', line => {
+      if (!line.trim()) {
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        write(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: `Parse error: ${error.message}` } }) + '\n');
+        return;
+      }
+      (Array.isArray(message) ? message : [message]).forEach(proxy.handleMessage);
+    })
+    .on('close', async () => {
+      await proxy.close();
+      process.exit(0);
+    });
+
+  if (!args.includes('--no-start')) {
+    await startMissingServers(names, args.includes('--offline'))
+      .catch(error => timestamped(`could not start servers: ${error.message}`));
+  }
+  await proxy.start();
+  timestamped(`serving ${names.join(', ')}`);
+}
+
+// Function to print the merged catalog
+async function showCatalog(args) {
+  const names = getProxiedNames(args);
+  const proxy = buildProxy(names, () => {}, () => {});
+  await proxy.start();
+  const catalog = await proxy.getCatalog();
+  const backends = proxy.describe();
+  await proxy.close();
+
+  if (args.includes('--json')) {
+    const { tools, resources, resourceTemplates, prompts } = catalog;
+    console.log(JSON.stringify({ servers: backends, tools, resources, resourceTemplates, prompts }, null, 2));
+    return;
+  }
+
+  log(colors.bold + colors.blue + '=== MCP Proxy ===' + colors.reset);
+  for (const backend of backends) {
+    if (backend.available) {
+      log(`${backend.name.padEnd(20)} connected    ${backend.url}`, colors.green);
+    } else {
+      log(`${backend.name.padEnd(20)} unavailable  ${backend.error || 'not reachable'}`, colors.red);
+    }
+  }
+  for (const [title, items] of [['Tools', catalog.tools], ['Resources', catalog.resources], ['Resource templates', catalog.resourceTemplates], ['Prompts', catalog.prompts]]) {
+    if (items.length > 0) {
+      log(`\n${title} (${items.length}):`, colors.bold);
+      items.forEach(item => log(`  ${item.name}${item.uri ? `  ${item.uri}` : ''}`));
+    }
+  }
+  if (backends.some(backend => !backend.available)) {
+    log('\nStart missing servers with: npm run supervisor -- start', colors.yellow);
+  }
+}
+
+// Main function
+async function main() {
+  const args = process.argv.slice(2);
+  const [command] = args.filter(arg => !arg.startsWith('--'));
+
+  if (command === 'list') {
+    await showCatalog(args);
+  } else if (command) {
+    throw new Error(`Unknown command "${command}". Run without a command to serve, or use "list"`);
+  } else {
+    await serve(args);
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
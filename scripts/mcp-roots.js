@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Filesystem Server Roots
+ *
+ * Shows and edits the directories the filesystem MCP server may access:
+ * the repositories found in the workspace plus user include rules, minus
+ * exclude rules. Changes take effect on the next "npm run mcp-init".
+ *
+ * Usage:
+ *   npm run roots                          # show the resolved roots and skipped candidates
+ *   npm run roots -- add <dir|glob>        # allow another directory ("*" matches one level)
+ *   npm run roots -- exclude <pattern>     # never allow matching directories ("**" matches any depth)
+ *   npm run roots -- remove <entry>        # drop an include or exclude rule
+ *   npm run roots -- discover on|off       # include repositories found in the workspace
+ *   npm run roots -- --json
+ */
+
+const fs = require('fs');
+const { resolveWorkspaceDir } = require('./lib/workspace');
+const {
+  getRootsPath,
+  loadRootRules,
+  saveRootRules,
+  expandPath,
+  resolveFilesystemRoots
+} = require('./lib/filesystem-roots');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to print the rules and what they resolve to
+function showRoots(rules, json) {
+  const workspaceDir = resolveWorkspaceDir(process.cwd());
+  const result = resolveFilesystemRoots({ workspaceDir, rules });
+
+  if (json) {
+    console.log(JSON.stringify({ rulesFile: getRootsPath(), workspaceDir, rules, ...result }, null, 2));
+    return;
+  }
+
+  log(colors.bold + colors.blue + '=== Filesystem Server Roots ===' + colors.reset);
+  log(`Rules:      ${getRootsPath()}${fs.existsSync(getRootsPath()) ? '' : ' (defaults)'}`);
+  log(`Workspace:  ${workspaceDir} (repository discovery ${rules.discover ? 'on' : 'off'})`);
+  rules.include.forEach(entry => log(`Include:    ${entry}`));
+  rules.exclude.forEach(entry => log(`Exclude:    ${entry}`));
+
+  log('\nAllowed roots:', colors.bold);
+  if (result.roots.length === 0) {
+    log('  (none) - mcp-init will refuse to write the filesystem server', colors.red);
+  }
+  result.origins.forEach(root => log(`  ${root.path} ${colors.cyan}[${root.origin}]${colors.reset}`));
+
+  if (result.rejected.length > 0) {
+    log('\nSkipped:', colors.bold);
+    result.rejected.forEach(item => log(`  ${item.path}: ${item.reason}`, colors.yellow));
+  }
+}
+
+// Main function
+async function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const [command, value] = args.filter(arg => arg !== '--json');
+  const rules = loadRootRules();
+
+  if (!command) {
+    showRoots(rules, json);
+    return;
+  }
+
+  if (command === 'discover') {
+    if (!['on', 'off'].includes(value)) {
+      throw new Error('Usage: npm run roots -- discover on|off');
+    }
+    rules.discover = value === 'on';
+  } else if (!value) {
+    throw new Error(`Usage: npm run roots -- ${command} <path>`);
+  } else if (command === 'add') {
+    // Plain directories are checked now; globs are checked each time they are expanded
+    if (!/[*?]/.test(value) && !fs.existsSync(expandPath(value))) {
+      throw new Error(`${expandPath(value)} does not exist`);
+    }
+    if (!rules.include.includes(value)) {
+      rules.include.push(value);
+    }
+  } else if (command === 'exclude') {
+    if (!rules.exclude.includes(value)) {
+      rules.exclude.push(value);
+    }
+  } else if (command === 'remove') {
+    const before = rules.include.length + rules.exclude.length;
+    rules.include = rules.include.filter(entry => entry !== value);
+    rules.exclude = rules.exclude.filter(entry => entry !== value);
+    if (rules.include.length + rules.exclude.length === before) {
+      throw new Error(`No include or exclude rule "${value}"`);
+    }
+  } else {
+    throw new Error(`Unknown command "${command}". Use add, exclude, remove or discover`);
+  }
+
+  saveRootRules(rules);
+  log(`Updated ${getRootsPath()}`, colors.green);
+  showRoots(rules, json);
+  log('\nRun "npm run mcp-init" to apply the new roots.', colors.blue);
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
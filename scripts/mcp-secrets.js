@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Secret Store
+ *
+ * Manages the values behind ${secret:<name>} references in mcp.json.
+ * Values are read from a hidden prompt or from stdin, never from the
+ * command line, so they do not end up in shell history, and they are
+ * never printed.
+ *
+ * Usage:
+ *   npm run secrets                       # list stored secret names
+ *   npm run secrets -- set <name>         # prompt for (or pipe in) a value
+ *   npm run secrets -- remove <name>
+ */
+
+const readline = require('readline');
+const { getSecretsPath, setSecret, removeSecret, listSecretNames } = require('./lib/secrets');
+const { toReference } = require('./lib/interpolate');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to read a value without echoing it, or from piped stdin
+function readSecretValue(name) {
+  if (!process.stdin.isTTY) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      process.stdin.setEncoding('utf8');
+      process.stdin.on('data', chunk => { data += chunk; });
+      process.stdin.on('end', () => resolve(data.trim()));
+      process.stdin.on('error', reject);
+    });
+  }
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.question(`Value for ${name} (input is hidden): `, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer.trim());
+    });
+    // Suppress the echo of everything typed after the prompt
+    rl._writeToOutput = () => {};
+  });
+}
+
+// Main function
+async function main() {
+  const [command, name] = process.argv.slice(2);
+
+  if (!command || command === 'list') {
+    const names = listSecretNames();
+    log(colors.bold + `Secrets in ${getSecretsPath()}:` + colors.reset);
+    if (names.length === 0) {
+      log('  (none)', colors.yellow);
+    }
+    names.forEach(secret => log(`  ${secret}  →  ${toReference('secret', secret)}`));
+    return;
+  }
+
+  if (!name) {
+    throw new Error(`Usage: npm run secrets -- ${command} <name>`);
+  }
+
+  if (command === 'set') {
+    const value = await readSecretValue(name);
+    if (!value) {
+      throw new Error('No value given; nothing was stored');
+    }
+    setSecret(name, value);
+    log(`Stored secret "${name}". Reference it in mcp.json as "${toReference('secret', name)}".`, colors.green);
+  } else if (command === 'remove') {
+    if (!removeSecret(name)) {
+      throw new Error(`No secret named "${name}"`);
+    }
+    log(`Removed secret "${name}"`, colors.green);
+  } else {
+    throw new Error(`Unknown command "${command}". Use list, set or remove`);
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Supervisor Service
+ *
+ * Installs the supervisor as a systemd user service on Linux, so the MCP
+ * servers come up at login without relying on a Cursor startup hook
+ * (see lib/service.js). Only the unit file is written or removed; the
+ * systemctl commands to run are printed.
+ *
+ * Usage:
+ *   npm run install-service                      # write ~/.config/systemd/user/cursor-mcp-supervisor.service
+ *   npm run install-service -- --journal         # send the supervisor's output to the journal
+ *   npm run install-service -- --dry-run         # print the unit without writing it
+ *   npm run uninstall-service                    # remove the unit and its enable link
+ */
+
+const fs = require('fs');
+const { resolveWorkspaceDir } = require('./lib/workspace');
+const { commandExists } = require('./lib/doctor');
+const {
+  SERVICE_NAME,
+  getUnitPath,
+  buildUnit,
+  getEnableCommands,
+  getDisableCommands,
+  writeUnit,
+  removeUnit
+} = require('./lib/service');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to print commands for the user to run
+function printCommands(commands) {
+  commands.forEach(command => log(`  ${command}`, colors.cyan));
+}
+
+// Function to write the unit file and explain how to enable it
+function install(args) {
+  const journal = args.includes('--journal');
+  const workspaceDir = resolveWorkspaceDir();
+  const unit = buildUnit({ workspaceDir, journal });
+  const unitPath = getUnitPath();
+
+  if (args.includes('--dry-run')) {
+    log(`Dry run: this unit would be written to ${unitPath}\n`, colors.yellow);
+    process.stdout.write(unit);
+    return;
+  }
+
+  const previous = writeUnit(unit);
+  if (previous === unit) {
+    log(`${unitPath} is already up to date.`, colors.green);
+  } else {
+    log(`${previous === null ? 'Wrote' : 'Updated'} ${unitPath}`, colors.green);
+  }
+  log(`Workspace: ${workspaceDir}`);
+  log(`Output: ${journal ? `the journal (journalctl --user -u ${SERVICE_NAME})` : 'supervisor.log (npm run logs -- supervisor)'}`);
+
+  log('\nTo start the supervisor now and at every login, run:');
+  printCommands(getEnableCommands());
+  log('\nTo keep it running while you are logged out, also run:');
+  printCommands(['loginctl enable-linger "$USER"']);
+  if (previous !== null && previous !== unit) {
+    log('\nThe unit changed; restart a running service with:');
+    printCommands([`systemctl --user restart ${SERVICE_NAME}`]);
+  }
+}
+
+// Function to remove the unit file and explain how to stop the service
+function uninstall() {
+  const removed = removeUnit();
+  if (removed.length === 0) {
+    log(`No service installed at ${getUnitPath()}`, colors.yellow);
+    return;
+  }
+  removed.forEach(file => log(`Removed ${file}`, colors.green));
+  log('\nTo stop a running service and let systemd forget it, run:');
+  printCommands(getDisableCommands());
+}
+
+// Main function
+function main() {
+  const args = process.argv.slice(2);
+  const [command] = args.filter(arg => !arg.startsWith('--'));
+
+  if (process.platform !== 'linux') {
+    throw new Error('The service needs systemd, which is only available on Linux');
+  }
+  if (!commandExists('systemctl')) {
+    log('Warning: systemctl was not found; the unit is only useful on a systemd system', colors.yellow);
+  }
+
+  switch (command) {
+    case 'install':
+      install(args);
+      break;
+    case 'uninstall':
+      uninstall();
+      break;
+    default:
+      throw new Error(`Unknown command "${command}". Use install or uninstall`);
+  }
+}
+
+// Run the main function
+try {
+  main();
+} catch (error) {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+}
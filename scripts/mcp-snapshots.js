@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Tool Snapshots
+ *
+ * Records each server's tools (names, descriptions and input schemas) into
+ * mcp-snapshots/<server>.json, and verifies the live tools against those
+ * committed snapshots (see lib/snapshots.js). Every server is started fresh
+ * from its pinned version for this, never reached through a running gateway,
+ * so the result describes what mcp-lock.json would launch.
+ *
+ * Usage:
+ *   npm run snapshots                              # verify every recorded server
+ *   npm run snapshots -- verify github fetch       # verify only these servers
+ *   npm run snapshots -- verify --latest           # check the newest published versions instead
+ *   npm run snapshots -- record [name...]          # record (or re-record) snapshots
+ *   npm run snapshots -- verify --json --timeout=60
+ *
+ * verify exits with an error when a tool was removed or changed in a
+ * breaking way, or when a server could not be checked.
+ */
+
+const { getServer, getServerNames, selectServers, getMissingEnv } = require('./lib/mcp-registry');
+const { resolveWorkspaceDir } = require('./lib/workspace');
+const { resolveFilesystemRoots } = require('./lib/filesystem-roots');
+const { readLockfile } = require('./lib/lockfile');
+const { createResolver } = require('./lib/launch-env');
+const { DEFAULT_TIMEOUT_MS, listServerTools } = require('./lib/health');
+const {
+  getSnapshotDir,
+  buildSnapshot,
+  readSnapshot,
+  writeSnapshot,
+  listSnapshots,
+  compareSnapshots,
+  hasBreakingChanges,
+  formatChanges
+} = require('./lib/snapshots');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to read a --key=value option
+function getOption(args, key) {
+  const prefix = `--${key}=`;
+  const match = args.find(arg => arg.startsWith(prefix));
+  return match ? match.slice(prefix.length) : null;
+}
+
+// Function to read a server's live tools as a snapshot
+async function takeSnapshot(server, context, lock, timeoutMs) {
+  const listing = await listServerTools(server, context, { spawn: true, timeoutMs });
+  const locked = context.lock !== null && lock && lock.servers[server.name];
+  return buildSnapshot(server, listing, locked ? locked.version : null);
+}
+
+// Function to describe what a server needs before it can be started, or null
+// Required variables may also come from env files, like at launch
+function getMissingPrerequisite(server, context) {
+  const lookup = createResolver();
+  const resolved = {};
+  server.requiredEnv.forEach(requirement => { resolved[requirement.name] = lookup('env', requirement.name); });
+  const missing = getMissingEnv(server, resolved, context);
+  if (missing.length === 0) {
+    return null;
+  }
+  const fix = server.name === 'github' ? 'run "npm run setup-github"' : `set ${missing.join(', ')} in the environment or .env`;
+  return `${missing.join(', ')} is not set; ${fix}`;
+}
+
+// Function to describe the version a snapshot was taken from
+function describeVersion(snapshot) {
+  const server = snapshot.serverInfo ? `, ${snapshot.serverInfo.name} ${snapshot.serverInfo.version}` : '';
+  return `${snapshot.package}@${snapshot.version || 'latest'}${server}`;
+}
+
+// Function to record snapshots of the given servers
+async function record(servers, context, lock, timeoutMs) {
+  let failed = 0;
+  for (const server of servers) {
+    try {
+      const snapshot = await takeSnapshot(server, context, lock, timeoutMs);
+      const previous = readSnapshot(server.name);
+      writeSnapshot(snapshot);
+      const changes = previous ? compareSnapshots(previous, snapshot) : [];
+      const note = !previous ? 'new snapshot' : changes.length === 0 ? 'unchanged' : `${changes.length} changes`;
+      log(`${server.name.padEnd(20)} ${snapshot.tools.length} tools from ${describeVersion(snapshot)}, ${note}`, colors.green);
+      formatChanges(changes).forEach(line => log(`  ${line}`));
+    } catch (error) {
+      failed++;
+      log(`${server.name.padEnd(20)} not recorded: ${error.message}`, colors.red);
+    }
+  }
+
+  if (failed === 0) {
+    log(`\nSnapshots written to ${getSnapshotDir()}. Commit them with the lock.`, colors.cyan);
+  }
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+// Function to verify the given servers against their snapshots
+async function verify(servers, context, lock, timeoutMs, json) {
+  const results = [];
+  for (const server of servers) {
+    const recorded = readSnapshot(server.name);
+    const result = { name: server.name, recorded: null, live: null, changes: [], breaking: false, error: null };
+    results.push(result);
+    const prerequisite = recorded ? getMissingPrerequisite(server, context) : null;
+    if (!recorded) {
+      result.error = `no snapshot; record one with "npm run snapshots -- record ${server.name}"`;
+    } else if (prerequisite) {
+      result.recorded = describeVersion(recorded);
+      result.error = prerequisite;
+    } else {
+      result.recorded = describeVersion(recorded);
+      try {
+        const snapshot = await takeSnapshot(server, context, lock, timeoutMs);
+        result.live = describeVersion(snapshot);
+        result.changes = compareSnapshots(recorded, snapshot);
+        result.breaking = hasBreakingChanges(result.changes);
+      } catch (error) {
+        result.error = error.message;
+      }
+    }
+
+    if (json) {
+      continue;
+    }
+    if (result.error) {
+      log(`${server.name.padEnd(20)} not checked: ${result.error}`, colors.red);
+    } else if (result.changes.length === 0) {
+      log(`${server.name.padEnd(20)} matches the snapshot (${result.live})`, colors.green);
+    } else {
+      const versions = result.recorded === result.live ? result.live : `${result.recorded} -> ${result.live}`;
+      log(`${server.name.padEnd(20)} ${result.breaking ? 'breaking changes' : 'compatible changes'} (${versions})`,
+        result.breaking ? colors.red : colors.yellow);
+      formatChanges(result.changes).forEach(line => log(`  ${line}`));
+    }
+  }
+
+  const failed = results.filter(result => result.breaking || result.error);
+  if (json) {
+    console.log(JSON.stringify({ ok: failed.length === 0, servers: results }, null, 2));
+  } else if (failed.length === 0) {
+    log(`\nNo breaking changes in ${results.length} servers.`, colors.green);
+  } else {
+    log(`\n${failed.length} of ${results.length} servers need attention: ${failed.map(result => result.name).join(', ')}`, colors.red);
+    // Re-recording only makes sense for servers that were checked and changed
+    if (failed.some(result => result.breaking)) {
+      log('After reviewing the changes, accept them with: npm run snapshots -- record <server>', colors.cyan);
+    }
+    if (failed.some(result => result.error)) {
+      log('Servers that were not checked need the fix shown next to them first.', colors.cyan);
+    }
+  }
+  process.exitCode = failed.length === 0 ? 0 : 1;
+}
+
+// Main function
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const command = ['record', 'verify'].includes(positional[0]) ? positional.shift() : 'verify';
+  const json = args.includes('--json');
+  const latest = args.includes('--latest');
+
+  const timeout = getOption(args, 'timeout');
+  if (timeout !== null && !(Number(timeout) > 0)) {
+    throw new Error(`Invalid --timeout value "${timeout}"; use a number of seconds`);
+  }
+  const timeoutMs = timeout ? Number(timeout) * 1000 : DEFAULT_TIMEOUT_MS;
+  if (latest && command === 'record') {
+    throw new Error('Snapshots are recorded from the pinned versions; update mcp-lock.json first, then record');
+  }
+
+  positional.forEach(name => {
+    if (!getServer(name)) {
+      throw new Error(`Unknown server "${name}". Available: ${getServerNames().join(', ')}`);
+    }
+  });
+  const names = positional.length > 0 ? positional : command === 'record' ? undefined : listSnapshots();
+  const servers = selectServers(names);
+  if (servers.length === 0) {
+    log('No snapshots recorded yet. Record them with: npm run snapshots -- record', colors.yellow);
+    return;
+  }
+
+  const lock = readLockfile();
+  const workspaceDir = resolveWorkspaceDir();
+  const { roots } = resolveFilesystemRoots({ workspaceDir });
+  // Without a lock the servers launch through floating `npx -y <package>`
+  const context = { workspaceDir, roots, offline: args.includes('--offline'), ...(latest ? { lock: null } : {}) };
+
+  if (!json) {
+    log(colors.bold + colors.blue + `=== MCP Tool Snapshots: ${command} ===` + colors.reset);
+  }
+  // One server at a time, so each spawned server is stopped before the next starts
+  if (command === 'record') {
+    await record(servers, context, lock, timeoutMs);
+  } else {
+    await verify(servers, context, lock, timeoutMs, json);
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Server Status
+ *
+ * Lists every registered server with its state, PID, uptime, memory and
+ * CPU (from /proc, summed over the server's process tree), restart count,
+ * the last error reported in its log and the mcp.json layer that configures it.
+ * Servers behind the gateway show whether they are cold, warming, warm or idle.
+ *
+ * Usage:
+ *   npm run status
+ *   npm run status -- github fetch     # only some servers
+ *   npm run status -- --json
+ */
+
+const { getServer, getServerNames } = require('./lib/mcp-registry');
+const { findGitRoot } = require('./lib/workspace');
+const { getStateDir } = require('./lib/state');
+const { readSupervisorState, getSupervisorPid } = require('./lib/supervisor');
+const { collectServerStatus, formatDuration, formatBytes } = require('./lib/server-status');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to pick the color for a server state
+function stateColor(state) {
+  if (['running', 'warm', 'idle'].includes(state)) return colors.green;
+  if (state === 'failed') return colors.red;
+  if (state === 'cold') return colors.cyan;
+  return colors.yellow;
+}
+
+// Function to describe how an on-demand server is doing against its idle timeout
+function describeActivity(activity) {
+  const starts = `started ${activity.starts} time${activity.starts === 1 ? '' : 's'}`;
+  if (activity.state === 'cold') {
+    return `cold for ${formatDuration(activity.sinceSeconds)}: starts on the next request (${starts})`;
+  }
+  if (activity.state === 'idle') {
+    return `idle for ${formatDuration(activity.sinceSeconds)} of ${formatDuration(activity.idleTimeoutSeconds)} before it is stopped (${starts})`;
+  }
+  return `${activity.state} for ${formatDuration(activity.sinceSeconds)} (${starts})`;
+}
+
+// Function to print the status table
+function printTable(statuses, supervisorPid) {
+  log(colors.bold + colors.blue + '=== MCP Server Status ===' + colors.reset);
+  if (supervisorPid) {
+    log(`Supervisor: running with PID ${supervisorPid} since ${new Date(readSupervisorState().startedAt).toLocaleString()}`);
+  } else {
+    log('Supervisor: not running (start it with "npm run supervisor -- start")', colors.yellow);
+  }
+  log(`State:      ${getStateDir()}\n`);
+
+  const columns = [
+    ['SERVER', 20], ['STATE', 9], ['PID', 8], ['UPTIME', 9], ['RSS', 10], ['CPU', 7], ['RESTARTS', 9], ['CONFIG', 0]
+  ];
+  log(columns.map(([title, width]) => title.padEnd(width)).join(' '), colors.bold);
+
+  for (const status of statuses) {
+    // Servers behind the gateway report whether they are actually working
+    const state = status.state === 'running' && status.activity ? status.activity.state : status.state;
+    const cells = [
+      status.name,
+      state,
+      status.pid ? String(status.pid) : '-',
+      formatDuration(status.uptimeSeconds),
+      formatBytes(status.rssBytes),
+      status.cpuPercent === null ? '-' : `${status.cpuPercent}%`,
+      String(status.restarts),
+      status.configSource || 'not configured'
+    ];
+    const line = cells.map((cell, index) => cell.padEnd(columns[index][1])).join(' ');
+    log(line, stateColor(state));
+
+    // Details go underneath so the table stays narrow
+    if (status.managedBy && status.managedBy !== 'supervisor') {
+      const origin = status.managedBy === 'orphan' ? 'left behind by a previous supervisor' : 'not started by this tool';
+      log(`  ${origin}`, colors.cyan);
+    }
+    if (status.activity && status.activity.idleTimeoutSeconds) {
+      log(`  ${describeActivity(status.activity)}`, colors.cyan);
+    }
+    if (status.processes > 1) {
+      log(`  ${status.processes} processes, ${status.cpuSeconds}s CPU in total`, colors.cyan);
+    }
+    if (status.error) {
+      log(`  error: ${status.error}`, colors.red);
+    }
+    if (status.lastExit && status.lastExit.limit) {
+      log(`  last restarted: ${status.lastExit.limit} (see npm run logs -- ${status.name} --stream=event)`, colors.red);
+    }
+    if (status.lastErrorLine) {
+      log(`  last error in log: ${status.lastErrorLine.slice(0, 160)}`, colors.yellow);
+    }
+  }
+}
+
+// Main function
+async function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const names = args.filter(arg => !arg.startsWith('--'));
+  names.forEach(name => {
+    if (!getServer(name)) {
+      throw new Error(`Unknown server "${name}". Available: ${getServerNames().join(', ')}`);
+    }
+  });
+
+  const statuses = collectServerStatus({
+    names: names.length > 0 ? names : undefined,
+    gitRoot: findGitRoot(process.cwd())
+  });
+  const supervisorPid = getSupervisorPid();
+
+  if (json) {
+    console.log(JSON.stringify({ supervisor: { pid: supervisorPid, stateDir: getStateDir() }, servers: statuses }, null, 2));
+    return;
+  }
+  printTable(statuses, supervisorPid);
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Server Supervisor
+ *
+ * Runs the managed MCP servers under one long-lived process that restarts
+ * crashed servers with an exponential backoff and marks servers that keep
+ * crashing as failed. Each server runs behind the HTTP gateway
+ * (see lib/gateway.js) so clients can reach it. State and logs live in
+ * ~/.cursor/mcp-state.
+ *
+ * Usage:
+ *   npm run supervisor -- start [--offline] [--mock]    # run the active profile's servers
+ *   npm run supervisor -- start <name...>               # add servers to the running set
+ *   npm run supervisor -- restart [name...]             # restart servers (default: all), reviving failed ones
+ *   npm run supervisor -- stop [--grace=<seconds>]      # stop the supervisor and every server it runs
+ *   npm run supervisor -- status [--json]
+ *   npm run supervisor -- run                           # run in the foreground (used by "start" and the service)
+ *   npm run supervisor -- rotate-log                    # rotate supervisor.log if due (used by the service)
+ */
+
+const { getServer, getServerNames, getSpawnSpec, getMissingEnv } = require('./lib/mcp-registry');
+const { createResolver } = require('./lib/launch-env');
+const { resolveWorkspaceDir } = require('./lib/workspace');
+const { resolveFilesystemRoots, requireFilesystemRoots } = require('./lib/filesystem-roots');
+const { resolveProfile, getActiveProfile } = require('./lib/profiles');
+const { getStateDir, getLogDir, readState, writeState, removeState } = require('./lib/state');
+const { getGraceOption, formatShutdownReport } = require('./lib/process-tree');
+const { loadGatewayConfig, wrapWithGateway } = require('./lib/gateway');
+const {
+  STATE_FILE,
+  REQUEST_FILE,
+  STOP_FILE,
+  createSupervisor,
+  readSupervisorState,
+  getSupervisorPid,
+  rotateSupervisorLog,
+  ensureSupervisor,
+  stopSupervisor,
+  formatServerStatus
+} = require('./lib/supervisor');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Function to build a server's spawn spec inside the supervisor
+// Required variables are looked up in the environment, .env files and their
+// aliases each time the server starts, so a fixed token is picked up on restart.
+// Servers run behind the HTTP gateway unless it is disabled in mcp-gateway.json
+function resolveSpec(name, context) {
+  const server = getServer(name);
+  if (!server) {
+    throw new Error(`Unknown server "${name}"`);
+  }
+
+  const lookup = createResolver();
+  const env = { ...process.env };
+  for (const requirement of server.requiredEnv) {
+    const value = lookup('env', requirement.name);
+    if (value) {
+      env[requirement.name] = value;
+    }
+  }
+  const missing = getMissingEnv(server, env, context);
+  if (missing.length > 0) {
+    throw new Error(`requires ${missing.join(', ')}`);
+  }
+
+  // Memory and priority limits are the supervisor's; call limits need the gateway
+  const spec = getSpawnSpec(server, { ...context, env });
+  const gateway = loadGatewayConfig();
+  return { ...(gateway.enabled ? wrapWithGateway(server, spec, gateway) : spec), limits: server.limits };
+}
+
+// Function to build a request for the active profile's servers
+// Roots that cannot be resolved leave the filesystem server to fail on its own
+function buildProfileRequest() {
+  const workspaceDir = resolveWorkspaceDir();
+  const { roots } = resolveFilesystemRoots({ workspaceDir });
+  return {
+    id: `${Date.now()}-${process.pid}`,
+    servers: getProfileNames(),
+    context: { workspaceDir, roots, offline: false, mock: getProfile().mock },
+    restart: false
+  };
+}
+
+// Function to run the supervisor in the foreground
+async function runSupervisor() {
+  const existing = getSupervisorPid();
+  if (existing && existing !== process.pid) {
+    throw new Error(`A supervisor is already running (PID ${existing})`);
+  }
+
+  // Started on its own, as by the systemd service, before any command asked
+  // for servers: run the active profile
+  if (!readState(REQUEST_FILE)) {
+    writeState(REQUEST_FILE, buildProfileRequest());
+  }
+
+  const startedAt = new Date().toISOString();
+  let appliedRequest = null;
+  let request = { servers: [], context: {} };
+
+  function timestamped(message) {
+    console.log(`[${new Date().toISOString()}] ${message}`);
+  }
+
+  function save(servers) {
+    writeState(STATE_FILE, { pid: process.pid, startedAt, appliedRequest, servers });
+  }
+
+  const supervisor = createSupervisor({
+    resolveSpec: name => resolveSpec(name, request.context),
+    onChange: save,
+    log: timestamped
+  });
+
+  // Requests are applied one at a time, in the order they arrive
+  let queue = Promise.resolve();
+  function applyRequest() {
+    queue = queue.then(async () => {
+      request = readState(REQUEST_FILE, request);
+      const restarting = Array.isArray(request.restart) ? request.restart.join(', ') : 'all';
+      timestamped(`applying request: ${request.servers.join(', ') || 'no servers'}${request.restart ? ` (restart ${restarting})` : ''}`);
+      await supervisor.setDesired(request.servers, { restart: request.restart });
+      appliedRequest = request.id;
+      save(supervisor.snapshot());
+    }).catch(error => timestamped(`could not apply request: ${error.message}`));
+  }
+
+  let stopping = false;
+  async function shutdown(signal) {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    // "stop" leaves the grace period it was given next to the state
+    const { graceMs } = readState(STOP_FILE, {});
+    removeState(STOP_FILE);
+    timestamped(`${signal} received, stopping all servers`);
+    await queue;
+    const reports = await supervisor.stopAll({ graceMs });
+    reports.forEach(report => formatShutdownReport(report).forEach(timestamped));
+    writeState(STATE_FILE, {
+      pid: null,
+      startedAt,
+      stoppedAt: new Date().toISOString(),
+      appliedRequest,
+      servers: supervisor.snapshot(),
+      shutdown: reports
+    });
+    process.exit(0);
+  }
+
+  process.on('SIGHUP', applyRequest);
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  // Stay up even while no server is running; only a signal ends the supervisor
+  setInterval(() => {}, 60 * 60 * 1000);
+
+  timestamped(`supervisor started with PID ${process.pid}`);
+  save({});
+  applyRequest();
+}
+
+// Function to print the supervisor's view of its servers
+function showStatus(json) {
+  const state = readSupervisorState();
+  const pid = getSupervisorPid();
+
+  if (json) {
+    console.log(JSON.stringify({ stateDir: getStateDir(), running: Boolean(pid), ...state, pid }, null, 2));
+    return;
+  }
+
+  log(colors.bold + colors.blue + '=== MCP Supervisor ===' + colors.reset);
+  if (pid) {
+    log(`Running with PID ${pid} since ${new Date(state.startedAt).toLocaleString()}`, colors.green);
+  } else {
+    log('Not running. Start it with: npm run supervisor -- start', colors.yellow);
+  }
+  log(`State: ${getStateDir()}`);
+
+  const names = Object.keys(state.servers || {});
+  if (names.length === 0) {
+    return;
+  }
+  log('');
+  for (const name of names) {
+    const server = state.servers[name];
+    const color = server.status === 'running' ? colors.green : server.status === 'failed' ? colors.red : colors.yellow;
+    log(formatServerStatus(name, pid ? server : { ...server, status: 'stopped', pid: null }), color);
+  }
+}
+
+// Function to check server names given on the command line
+function checkNames(names) {
+  names.forEach(name => {
+    if (!getServer(name)) {
+      throw new Error(`Unknown server "${name}". Available: ${getServerNames().join(', ')}`);
+    }
+  });
+  return names;
+}
+
+// Function to list the servers a running supervisor currently owns
+function getCurrentNames() {
+  return getSupervisorPid() ? Object.keys(readSupervisorState().servers || {}) : [];
+}
+
+// Function to get the active profile
+function getProfile() {
+  const active = getActiveProfile();
+  return resolveProfile(active ? active.name : undefined);
+}
+
+// Function to list the active profile's servers
+function getProfileNames() {
+  return getProfile().servers;
+}
+
+// Function to start the supervisor, or hand a running one a new request
+async function startServers(names, { offline, mock, restart }) {
+  const workspaceDir = resolveWorkspaceDir();
+  const needsRoots = names.some(name => getServer(name).workspaceArgs);
+  const roots = needsRoots ? requireFilesystemRoots({ workspaceDir }).roots : undefined;
+
+  const wasRunning = Boolean(getSupervisorPid());
+  const state = await ensureSupervisor(names, { workspaceDir, roots, offline, mock }, { restart });
+  log(wasRunning ? `Supervisor (PID ${state.pid}) updated.` : `Supervisor started with PID ${state.pid}.`, colors.green);
+
+  for (const name of names) {
+    const server = state.servers[name];
+    if (server) {
+      log(formatServerStatus(name, server), server.status === 'failed' ? colors.red : colors.reset);
+    }
+  }
+  log(`\nLogs: ${getLogDir()}`);
+}
+
+// Main function
+async function main() {
+  const args = process.argv.slice(2);
+  const [command = 'status', ...rest] = args.filter(arg => !arg.startsWith('--'));
+  const json = args.includes('--json');
+  // Without --offline a running supervisor keeps its own offline setting
+  const offline = args.includes('--offline') || undefined;
+  // The mock profile keeps its stand-ins across restarts
+  const mock = args.includes('--mock') || (['start', 'restart'].includes(command) && getProfile().mock);
+
+  switch (command) {
+    case 'run':
+      await runSupervisor();
+      break;
+    case 'start': {
+      // Named servers join whatever already runs; no names means the active profile
+      const names = rest.length > 0 ? [...new Set([...getCurrentNames(), ...checkNames(rest)])] : getProfileNames();
+      await startServers(names, { offline, mock, restart: false });
+      break;
+    }
+    case 'restart': {
+      const current = getCurrentNames();
+      const names = [...new Set([...(current.length > 0 ? current : getProfileNames()), ...checkNames(rest)])];
+      await startServers(names, { offline, mock, restart: rest.length > 0 ? rest : true });
+      break;
+    }
+    case 'stop': {
+      const state = await stopSupervisor({ graceMs: getGraceOption(args) });
+      if (!state) {
+        log('The supervisor is not running.', colors.yellow);
+        break;
+      }
+      (state.shutdown || []).forEach(report => formatShutdownReport(report).forEach(line => log(line)));
+      log('Supervisor and its servers stopped.', colors.green);
+      break;
+    }
+    case 'status':
+      showStatus(json);
+      break;
+    case 'rotate-log':
+      await rotateSupervisorLog();
+      break;
+    default:
+      throw new Error(`Unknown command "${command}". Use start, restart, stop, status, run or rotate-log`);
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Stand-in MCP Server
+ *
+ * Serves one server's stand-in over stdio (see lib/mocks.js). In mock mode
+ * the generated mcp.json entries, the supervisor and the tests launch this
+ * script in place of the real server.
+ *
+ * Usage:
+ *   node scripts/mock-mcp-server.js <github|webresearch|fetch|sequentialthinking>
+ */
+
+const readline = require('readline');
+const { loadMock, createMockServer } = require('./lib/mocks');
+
+// Function to serve a stand-in over stdio until the client goes away
+function serve(name) {
+  // stdout belongs to the protocol; anything printed along the way goes to stderr
+  const write = process.stdout.write.bind(process.stdout);
+  console.log = console.error;
+
+  const server = createMockServer(loadMock(name), message => write(JSON.stringify(message) + '\n'));
+  readline.createInterface({ input: process.stdin })
+    .on('line', line => {
+      if (!line.trim()) {
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        write(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: `Parse error: ${error.message}` } }) + '\n');
+        return;
+      }
+      (Array.isArray(message) ? message : [message]).forEach(server.handleMessage);
+    })
+    .on('close', () => process.exit(0));
+
+  console.error(`[${new Date().toISOString()}] mock-${name}: serving fixtures over stdio`);
+}
+
+try {
+  serve(process.argv[2]);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,72 @@
+/**
+ * Fetch Stand-in
+ *
+ * Answers the fetch tool from the fixture pages in fixtures/web.json.
+ * mcprouter relays fetch to a hosted server whose tools cannot be recorded
+ * offline, so the tool is declared here after the reference fetch server.
+ */
+
+const { textResult } = require('../lib/mocks');
+const { findPage } = require('./webresearch');
+
+const DEFAULT_MAX_LENGTH = 5000;
+
+const tools = [
+  {
+    name: 'fetch',
+    description: 'Fetches a URL from the internet and optionally extracts its contents as markdown.',
+    inputSchema: {
+      type: 'object',
+      title: 'Fetch',
+      description: 'Parameters for fetching a URL.',
+      properties: {
+        url: { type: 'string', title: 'Url', description: 'URL to fetch', format: 'uri', minLength: 1 },
+        max_length: {
+          type: 'integer',
+          title: 'Max Length',
+          description: 'Maximum number of characters to return.',
+          default: DEFAULT_MAX_LENGTH,
+          exclusiveMinimum: 0,
+          exclusiveMaximum: 1000000
+        },
+        start_index: {
+          type: 'integer',
+          title: 'Start Index',
+          description: 'On return output, start the content output at this character index, useful if a previous fetch was truncated and more context is required.',
+          default: 0,
+          minimum: 0
+        },
+        raw: {
+          type: 'boolean',
+          title: 'Raw',
+          description: 'Get the actual HTML content of the requested page, without simplification.',
+          default: false
+        }
+      },
+      required: ['url']
+    }
+  }
+];
+
+// Function to create the tool handlers
+function createHandlers() {
+  return {
+    async fetch({ url, max_length: maxLength = DEFAULT_MAX_LENGTH, start_index: startIndex = 0 }) {
+      const page = findPage(url);
+      if (!page) {
+        return textResult(`Failed to fetch ${url} - status code 404`, true);
+      }
+      if (startIndex >= page.content.length) {
+        return textResult('<error>No more content available.</error>', true);
+      }
+      const end = startIndex + maxLength;
+      let text = page.content.slice(startIndex, end);
+      if (end < page.content.length) {
+        text += `\n\n<error>Content truncated. Call the fetch tool with a start_index of ${end} to get more content.</error>`;
+      }
+      return textResult(`Contents of ${url}:\n${text}`);
+    }
+  };
+}
+
+module.exports = { tools, createHandlers };
@@ -0,0 +1,256 @@
+/**
+ * GitHub Stand-in
+ *
+ * Answers the GitHub server's tools from fixtures/github.json: a few
+ * repositories with files, branches, issues and pull requests. Changes such
+ * as new issues, branches or files are kept in memory for the life of the
+ * process, so a test can create something and read it back. Results have
+ * the shape of the GitHub REST API, as the real server returns them.
+ */
+
+const crypto = require('crypto');
+const fixtures = require('./fixtures/github.json');
+const { textResult } = require('../lib/mocks');
+
+const API_URL = 'https://api.github.com';
+const WEB_URL = 'https://github.com';
+
+// Function to get a stable fake SHA for some content
+function sha(...parts) {
+  return crypto.createHash('sha1').update(parts.join('\0')).digest('hex');
+}
+
+// Function to build a JSON text result, as the real server returns it
+function jsonResult(value) {
+  return textResult(JSON.stringify(value, null, 2));
+}
+
+// Function to describe a repository the way the REST API does
+function toRepository(repo) {
+  const fullName = `${repo.owner}/${repo.name}`;
+  return {
+    id: parseInt(sha(fullName).slice(0, 8), 16),
+    node_id: `R_${sha(fullName).slice(0, 12)}`,
+    name: repo.name,
+    full_name: fullName,
+    private: repo.private,
+    owner: { login: repo.owner, id: parseInt(sha(repo.owner).slice(0, 8), 16), type: 'User' },
+    html_url: `${WEB_URL}/${fullName}`,
+    description: repo.description,
+    fork: Boolean(repo.fork),
+    url: `${API_URL}/repos/${fullName}`,
+    default_branch: repo.default_branch,
+    stargazers_count: repo.stargazers_count,
+    language: repo.language
+  };
+}
+
+// Function to describe an issue or pull request
+function toIssue(repo, issue) {
+  const fullName = `${repo.owner}/${repo.name}`;
+  return {
+    number: issue.number,
+    title: issue.title,
+    body: issue.body || '',
+    state: issue.state,
+    labels: issue.labels.map(name => ({ name })),
+    assignees: issue.assignees.map(login => ({ login })),
+    user: { login: fixtures.user },
+    url: `${API_URL}/repos/${fullName}/issues/${issue.number}`,
+    html_url: `${WEB_URL}/${fullName}/issues/${issue.number}`
+  };
+}
+
+// Function to describe a file, or a directory entry when `listing` is set
+function toContent(repo, filePath, content, listing = false) {
+  const fullName = `${repo.owner}/${repo.name}`;
+  const entry = {
+    type: 'file',
+    name: filePath.split('/').pop(),
+    path: filePath,
+    sha: sha(content),
+    size: Buffer.byteLength(content),
+    url: `${API_URL}/repos/${fullName}/contents/${filePath}`,
+    html_url: `${WEB_URL}/${fullName}/blob/${repo.default_branch}/${filePath}`,
+    download_url: `https://raw.githubusercontent.com/${fullName}/${repo.default_branch}/${filePath}`
+  };
+  return listing ? entry : { ...entry, encoding: 'base64', content: Buffer.from(content).toString('base64') };
+}
+
+// Function to create the tool handlers with their own copy of the fixtures
+function createHandlers() {
+  const repos = JSON.parse(JSON.stringify(fixtures.repositories));
+
+  // Function to find a repository, failing like the API does
+  function findRepo(owner, name) {
+    const repo = repos.find(item => item.owner === owner && item.name === name);
+    if (!repo) {
+      throw new Error(`Not Found: repository ${owner}/${name} does not exist`);
+    }
+    return repo;
+  }
+
+  // Function to check that a branch exists
+  function requireBranch(repo, branch) {
+    if (!repo.branches.includes(branch)) {
+      throw new Error(`Not Found: branch ${branch} does not exist in ${repo.owner}/${repo.name}`);
+    }
+  }
+
+  // Function to get the next issue or pull request number of a repository
+  function nextNumber(repo) {
+    return Math.max(0, ...repo.issues.map(item => item.number), ...repo.pulls.map(item => item.number)) + 1;
+  }
+
+  // Function to describe a branch reference
+  function toReference(repo, branch) {
+    const fullName = `${repo.owner}/${repo.name}`;
+    return {
+      ref: `refs/heads/${branch}`,
+      node_id: `REF_${sha(fullName, branch).slice(0, 12)}`,
+      url: `${API_URL}/repos/${fullName}/git/refs/heads/${branch}`,
+      object: { sha: sha(fullName, branch, JSON.stringify(repo.files)), type: 'commit', url: `${API_URL}/repos/${fullName}/git/commits` }
+    };
+  }
+
+  return {
+    async search_repositories({ query, page = 1, perPage = 30 }) {
+      const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+      const matches = repos.filter(repo => terms.every(term => {
+        const [qualifier, value] = term.includes(':') ? term.split(':') : [null, term];
+        const fullName = `${repo.owner}/${repo.name}`.toLowerCase();
+        if (qualifier === 'repo') return fullName === value;
+        if (qualifier === 'user' || qualifier === 'org') return repo.owner.toLowerCase() === value;
+        if (qualifier) return true;
+        return fullName.includes(value) || (repo.description || '').toLowerCase().includes(value);
+      }));
+      const start = (page - 1) * perPage;
+      return jsonResult({
+        total_count: matches.length,
+        incomplete_results: false,
+        items: matches.slice(start, start + perPage).map(toRepository)
+      });
+    },
+
+    async get_file_contents({ owner, repo: name, path: filePath, branch }) {
+      const repo = findRepo(owner, name);
+      if (branch) {
+        requireBranch(repo, branch);
+      }
+      const target = filePath.replace(/^\/+|\/+$/g, '');
+      if (repo.files[target] !== undefined) {
+        return jsonResult(toContent(repo, target, repo.files[target]));
+      }
+      const prefix = target ? `${target}/` : '';
+      const entries = new Map();
+      for (const [file, content] of Object.entries(repo.files).filter(([file]) => file.startsWith(prefix))) {
+        const rest = file.slice(prefix.length);
+        const child = rest.split('/')[0];
+        if (rest.includes('/')) {
+          entries.set(child, { type: 'dir', name: child, path: prefix + child });
+        } else {
+          entries.set(child, toContent(repo, file, content, true));
+        }
+      }
+      if (entries.size === 0) {
+        throw new Error(`Not Found: ${filePath} does not exist in ${owner}/${name}`);
+      }
+      return jsonResult([...entries.values()]);
+    },
+
+    async create_or_update_file({ owner, repo: name, path: filePath, content, message, branch, sha: previous }) {
+      const repo = findRepo(owner, name);
+      requireBranch(repo, branch);
+      if (repo.files[filePath] !== undefined && previous !== sha(repo.files[filePath])) {
+        throw new Error(`Conflict: ${filePath} exists; pass its current sha to update it`);
+      }
+      repo.files[filePath] = content;
+      return jsonResult({
+        content: toContent(repo, filePath, content, true),
+        commit: { sha: sha(filePath, content, message), message }
+      });
+    },
+
+    async push_files({ owner, repo: name, branch, files }) {
+      const repo = findRepo(owner, name);
+      requireBranch(repo, branch);
+      files.forEach(file => { repo.files[file.path] = file.content; });
+      return jsonResult(toReference(repo, branch));
+    },
+
+    async create_repository({ name, description = '', private: isPrivate = false, autoInit = false }) {
+      if (repos.some(repo => repo.owner === fixtures.user && repo.name === name)) {
+        throw new Error('Validation Failed: name already exists on this account');
+      }
+      const repo = {
+        owner: fixtures.user,
+        name,
+        description,
+        private: isPrivate,
+        default_branch: 'main',
+        branches: ['main'],
+        stargazers_count: 0,
+        language: null,
+        files: autoInit ? { 'README.md': `# ${name}\n` } : {},
+        issues: [],
+        pulls: []
+      };
+      repos.push(repo);
+      return jsonResult(toRepository(repo));
+    },
+
+    async create_issue({ owner, repo: name, title, body = '', assignees = [], labels = [] }) {
+      const repo = findRepo(owner, name);
+      const issue = { number: nextNumber(repo), title, body, state: 'open', labels, assignees };
+      repo.issues.push(issue);
+      return jsonResult(toIssue(repo, issue));
+    },
+
+    async create_pull_request({ owner, repo: name, title, body = '', head, base, draft = false }) {
+      const repo = findRepo(owner, name);
+      requireBranch(repo, head);
+      requireBranch(repo, base);
+      const pull = { number: nextNumber(repo), title, body, state: 'open', head, base, draft };
+      repo.pulls.push(pull);
+      const fullName = `${repo.owner}/${repo.name}`;
+      return jsonResult({
+        number: pull.number,
+        title,
+        body,
+        state: 'open',
+        draft,
+        user: { login: fixtures.user },
+        head: { ref: head, label: `${repo.owner}:${head}` },
+        base: { ref: base, label: `${repo.owner}:${base}` },
+        url: `${API_URL}/repos/${fullName}/pulls/${pull.number}`,
+        html_url: `${WEB_URL}/${fullName}/pull/${pull.number}`
+      });
+    },
+
+    async fork_repository({ owner, repo: name, organization }) {
+      const source = findRepo(owner, name);
+      const forkOwner = organization || fixtures.user;
+      let fork = repos.find(repo => repo.owner === forkOwner && repo.name === name);
+      if (!fork) {
+        fork = { ...JSON.parse(JSON.stringify(source)), owner: forkOwner, fork: true, issues: [], pulls: [], stargazers_count: 0 };
+        repos.push(fork);
+      }
+      return jsonResult({ ...toRepository(fork), parent: toRepository(source) });
+    },
+
+    async create_branch({ owner, repo: name, branch, from_branch: fromBranch }) {
+      const repo = findRepo(owner, name);
+      const source = fromBranch || repo.default_branch;
+      if (!repo.branches.includes(source)) {
+        throw new Error(`Source branch '${source}' not found`);
+      }
+      if (repo.branches.includes(branch)) {
+        throw new Error('Reference already exists');
+      }
+      repo.branches.push(branch);
+      return jsonResult(toReference(repo, branch));
+    }
+  };
+}
+
+module.exports = { createHandlers };
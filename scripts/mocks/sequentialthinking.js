@@ -0,0 +1,57 @@
+/**
+ * Sequential Thinking Stand-in
+ *
+ * Keeps the thought history in memory and answers like the reference
+ * sequential thinking server. mcprouter relays the tool to a hosted server
+ * whose tools cannot be recorded offline, so it is declared here.
+ */
+
+const { textResult } = require('../lib/mocks');
+
+const tools = [
+  {
+    name: 'sequentialthinking',
+    description: 'A detailed tool for dynamic and reflective problem-solving through thoughts. ' +
+      'Each thought can build on, question or revise previous insights, and the total number of thoughts can change as understanding deepens.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        thought: { type: 'string', description: 'Your current thinking step' },
+        nextThoughtNeeded: { type: 'boolean', description: 'Whether another thought step is needed' },
+        thoughtNumber: { type: 'integer', description: 'Current thought number', minimum: 1 },
+        totalThoughts: { type: 'integer', description: 'Estimated total thoughts needed', minimum: 1 },
+        isRevision: { type: 'boolean', description: 'Whether this revises previous thinking' },
+        revisesThought: { type: 'integer', description: 'Which thought is being reconsidered', minimum: 1 },
+        branchFromThought: { type: 'integer', description: 'Branching point thought number', minimum: 1 },
+        branchId: { type: 'string', description: 'Branch identifier' },
+        needsMoreThoughts: { type: 'boolean', description: 'If more thoughts are needed' }
+      },
+      required: ['thought', 'nextThoughtNeeded', 'thoughtNumber', 'totalThoughts']
+    }
+  }
+];
+
+// Function to create the tool handler with an empty thought history
+function createHandlers() {
+  const history = [];
+  const branches = {};
+
+  return {
+    async sequentialthinking(thought) {
+      const totalThoughts = Math.max(thought.totalThoughts, thought.thoughtNumber);
+      history.push({ ...thought, totalThoughts });
+      if (thought.branchFromThought && thought.branchId) {
+        (branches[thought.branchId] = branches[thought.branchId] || []).push(thought);
+      }
+      return textResult(JSON.stringify({
+        thoughtNumber: thought.thoughtNumber,
+        totalThoughts,
+        nextThoughtNeeded: thought.nextThoughtNeeded,
+        branches: Object.keys(branches),
+        thoughtHistoryLength: history.length
+      }, null, 2));
+    }
+  };
+}
+
+module.exports = { tools, createHandlers };
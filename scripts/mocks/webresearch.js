@@ -0,0 +1,59 @@
+/**
+ * Web Research Stand-in
+ *
+ * Answers the web research server's tools from fixtures/web.json: searches
+ * return the canned results that share a word with the query, and visited
+ * pages come from the fixture pages instead of a browser.
+ */
+
+const fixtures = require('./fixtures/web.json');
+const { textResult } = require('../lib/mocks');
+
+// Function to find a fixture page, ignoring a trailing slash
+function findPage(url) {
+  return fixtures.pages[url] || fixtures.pages[url.replace(/\/+$/, '')] || null;
+}
+
+// Function to create the tool handlers; the last visited page is per process
+function createHandlers() {
+  let currentPage = null;
+
+  return {
+    async search_google({ query }) {
+      const words = query.toLowerCase().split(/\W+/).filter(word => word.length > 2);
+      const results = fixtures.searchResults.filter(result =>
+        words.some(word => `${result.title} ${result.snippet}`.toLowerCase().includes(word)));
+      if (results.length === 0) {
+        return textResult('Failed to perform search: No valid search results found', true);
+      }
+      return textResult(JSON.stringify(results, null, 2));
+    },
+
+    async visit_page({ url, takeScreenshot }) {
+      if (!/^https?:\/\//.test(url)) {
+        return textResult(`Invalid URL: ${url}. Only http and https protocols are supported.`, true);
+      }
+      const page = findPage(url);
+      if (!page) {
+        return textResult(`Failed to visit page: no fixture page for ${url}`, true);
+      }
+      currentPage = url;
+      return textResult(JSON.stringify({
+        url,
+        title: page.title,
+        content: page.content,
+        timestamp: new Date().toISOString(),
+        screenshot: takeScreenshot ? 'Screenshots are not taken by the stand-in server' : undefined
+      }, null, 2));
+    },
+
+    async take_screenshot() {
+      if (!currentPage) {
+        return textResult('Failed to take screenshot: no page has been visited', true);
+      }
+      return textResult(`Screenshot of ${currentPage} skipped: the stand-in server has no browser`);
+    }
+  };
+}
+
+module.exports = { findPage, createHandlers };
@@ -9,7 +9,16 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { execSync } = require('child_process');
+const { getServerNames, buildMcpServers } = require('./lib/mcp-registry');
+const { findGitRoot, resolveWorkspaceDir } = require('./lib/workspace');
+const { requireFilesystemRoots } = require('./lib/filesystem-roots');
+const { hasReferences } = require('./lib/interpolate');
+const { createResolver } = require('./lib/launch-env');
+const { getGlobalConfigPath, readConfig, applyManagedServers, reportWrite } = require('./lib/mcp-config');
+const { applyProjectConfig, parseProjectServers, getDefaultProjectServers } = require('./lib/project-config');
+const { resolveProfile, getActiveProfile } = require('./lib/profiles');
+const { stopAllServers } = require('./lib/supervisor');
+const { formatShutdownReport } = require('./lib/process-tree');
 
 // Colors for terminal output
 const colors = {
@@ -26,42 +35,12 @@ function log(message, color = colors.reset) {
   console.log(color + message + colors.reset);
 }
 
-// Function to find the git root of the current directory
-function findGitRoot(dir) {
-  try {
-    return execSync('git rev-parse --show-toplevel', { cwd: dir, stdio: ['pipe', 'pipe', 'ignore'] })
-      .toString()
-      .trim();
-  } catch (error) {
-    return null;
-  }
-}
-
-// Function to find all Git repositories in a parent directory
-function findAllGitRepos(parentDir) {
-  try {
-    // Find all directories that contain a .git folder
-    const findCommand = `find "${parentDir}" -type d -name ".git" -maxdepth 3 | sed 's/\/.git$//'`;
-    return execSync(findCommand, { stdio: ['pipe', 'pipe', 'ignore'] })
-      .toString()
-      .trim()
-      .split('\n')
-      .filter(Boolean);
-  } catch (error) {
-    console.error('Error finding git repositories:', error.message);
-    return [];
-  }
-}
-
-// Function to kill existing MCP servers
-function killExistingMCPServers() {
+// Function to stop the MCP servers this tool started
+async function stopExistingMCPServers() {
   try {
     log('Stopping existing MCP servers...', colors.yellow);
-    execSync('pkill -f "server-filesystem" || true', { stdio: 'inherit' });
-    execSync('pkill -f "mcp-webresearch" || true', { stdio: 'inherit' });
-    execSync('pkill -f "server-github" || true', { stdio: 'inherit' });
-    execSync('pkill -f "server-puppeteer" || true', { stdio: 'inherit' });
-    execSync('pkill -f "mcprouter" || true', { stdio: 'inherit' });
+    const reports = await stopAllServers();
+    reports.forEach(report => formatShutdownReport(report).forEach(line => log(line)));
     log('Existing MCP servers stopped.', colors.green);
   } catch (error) {
     console.warn('Warning: Could not stop all MCP servers:', error.message);
@@ -70,23 +49,23 @@ function killExistingMCPServers() {
 
 // Function to check for existing GitHub token
 function getExistingGitHubToken() {
-  // Check environment variable
-  if (process.env.GITHUB_TOKEN) {
+  // Check environment variables and .env files
+  const fromEnvironment = createResolver()('env', 'GITHUB_TOKEN');
+  if (fromEnvironment) {
     log('Found existing GitHub token in environment variables', colors.green);
-    return process.env.GITHUB_TOKEN;
+    return fromEnvironment;
   }
   
   // Check in MCP config
-  const cursorDir = path.join(os.homedir(), '.cursor');
-  const mcpConfigPath = path.join(cursorDir, 'mcp.json');
+  const mcpConfigPath = getGlobalConfigPath();
   
   if (fs.existsSync(mcpConfigPath)) {
     try {
-      const mcpConfig = JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8'));
-      if (mcpConfig.mcpServers && 
-          mcpConfig.mcpServers.github && 
+      const mcpConfig = readConfig(mcpConfigPath);
+      if (mcpConfig.mcpServers.github && 
           mcpConfig.mcpServers.github.env && 
-          mcpConfig.mcpServers.github.env.GITHUB_TOKEN) {
+          mcpConfig.mcpServers.github.env.GITHUB_TOKEN &&
+          !hasReferences(mcpConfig.mcpServers.github.env.GITHUB_TOKEN)) {
         log('Found existing GitHub token in MCP configuration', colors.green);
         return mcpConfig.mcpServers.github.env.GITHUB_TOKEN;
       }
@@ -190,56 +169,18 @@ function detectGitHubRepos() {
 }
 
 // Generate the optimized MCP configuration
-function generateOptimizedConfig() {
-  // Get the current working directory
-  const cwd = process.cwd();
-  
-  // Find the git root for the current directory
-  const gitRoot = findGitRoot(cwd);
-  
+function generateOptimizedConfig({ dryRun = false, globalOnly = false, projectServers } = {}) {
   // Determine workspace directory
-  let workspaceDir;
-  if (gitRoot) {
-    // If we're in a git repo, use its parent
-    workspaceDir = path.dirname(gitRoot);
-  } else {
-    // Otherwise use a reasonable default
-    workspaceDir = path.join(os.homedir(), 'Desktop', 'Work');
-    
-    // Try to find a likely project directory
-    const possibleWorkspaces = [
-      path.join(os.homedir(), 'Desktop', 'Work'),
-      path.join(os.homedir(), 'Documents', 'Projects'),
-      path.join(os.homedir(), 'Projects'),
-      path.join(os.homedir(), 'code')
-    ];
-    
-    for (const dir of possibleWorkspaces) {
-      if (fs.existsSync(dir)) {
-        workspaceDir = dir;
-        break;
-      }
-    }
-  }
+  const workspaceDir = resolveWorkspaceDir(process.cwd());
   
-  // Find all git repositories in the workspace
-  const allRepos = findAllGitRepos(workspaceDir);
+  // Allow each repository in the workspace plus the user's include rules
+  const { roots, rejected } = requireFilesystemRoots({ workspaceDir });
   
   log(`Found workspace directory: ${workspaceDir}`, colors.blue);
-  if (allRepos.length > 0) {
-    log(`Found ${allRepos.length} repositories in workspace`, colors.blue);
-  }
-  
-  // Construct workspace glob pattern
-  const workspaceGlob = `${workspaceDir}/**/*`;
-  
-  // Check if the .cursor directory exists, create if not
-  const cursorDir = path.join(os.homedir(), '.cursor');
-  if (!fs.existsSync(cursorDir)) {
-    fs.mkdirSync(cursorDir, { recursive: true });
-  }
+  log(`Filesystem roots: ${roots.join(', ')}`, colors.blue);
+  rejected.forEach(item => log(`Skipped ${item.path}: ${item.reason}`, colors.yellow));
   
-  const mcpConfigPath = path.join(cursorDir, 'mcp.json');
+  const mcpConfigPath = getGlobalConfigPath();
   
   // Detect GitHub repositories
   const repos = detectGitHubRepos();
@@ -247,71 +188,41 @@ function generateOptimizedConfig() {
   // Get existing GitHub token
   const githubToken = getExistingGitHubToken();
   
-  // Create GitHub config with token if available
-  const githubConfig = {
-    command: "npx",
-    args: ["-y", "@modelcontextprotocol/server-github"],
-    type: "stdio"
+  // Create an optimized MCP configuration for the servers of the active profile
+  const activeProfile = getActiveProfile();
+  const profile = resolveProfile(activeProfile ? activeProfile.name : undefined);
+  const disabled = getServerNames().filter(name => !profile.servers.includes(name));
+  log(`Using profile: ${profile.name}`, colors.blue);
+  
+  const optimizedConfig = {
+    mcpServers: buildMcpServers({ workspaceDir, roots, mock: profile.mock }, profile.servers)
   };
+  const githubConfig = optimizedConfig.mcpServers.github;
   
-  if (githubToken) {
-    log('Using existing GitHub token for MCP configuration', colors.green);
-    githubConfig.env = {
-      "GITHUB_TOKEN": githubToken
-    };
-  } else {
+  // The github entry only exists when the active profile enables it. It
+  // references the token, which the launcher resolves when the server starts
+  if (githubConfig && githubToken) {
+    log('GitHub token found; the GitHub server will read it at launch', colors.green);
+  } else if (githubConfig) {
     log('No GitHub token found. GitHub integration will require manual setup.', colors.yellow);
     log('Run "npm run setup-github" to set up GitHub integration.', colors.yellow);
-    githubConfig.env = {
-      "GITHUB_TOKEN": "${process.env.GITHUB_TOKEN}"
-    };
   }
   
-  // Create an optimized MCP configuration
-  const optimizedConfig = {
-    mcpServers: {
-      filesystem: {
-        command: "npx",
-        args: ["-y", "@modelcontextprotocol/server-filesystem", workspaceGlob],
-        type: "stdio"
-      },
-      puppeteer: {
-        command: "npx",
-        args: ["-y", "@modelcontextprotocol/server-puppeteer"],
-        env: {
-          "PUPPETEER_LAUNCH_OPTIONS": "{ \"headless\": true, \"args\": [\"--no-sandbox\"], \"timeout\": 60000 }",
-          "ALLOW_DANGEROUS": "true"
-        },
-        type: "stdio"
-      },
-      github: githubConfig,
-      webresearch: {
-        command: "npx",
-        args: ["-y", "@mzxrai/mcp-webresearch"],
-        type: "stdio"
-      },
-      fetch: {
-        command: "npx",
-        args: ["-y", "mcprouter"],
-        env: {
-          "SERVER_KEY": "928gi2m8xwtay9"
-        },
-        type: "stdio"
-      },
-      sequentialthinking: {
-        command: "npx",
-        args: ["-y", "mcprouter"],
-        env: {
-          "SERVER_KEY": "76e32um8xwucnc"
-        },
-        type: "stdio"
-      }
-    }
-  };
+  // Merge the optimized entries into mcp.json, keeping user-defined servers
+  const result = applyManagedServers(mcpConfigPath, optimizedConfig.mcpServers, { dryRun, remove: disabled });
+  reportWrite(mcpConfigPath, result, { dryRun, log: message => log(message, colors.green) });
+  if (result.summary.preserved.length > 0) {
+    log(`Kept user-defined servers: ${result.summary.preserved.join(', ')}`, colors.blue);
+  }
   
-  // Write the optimized configuration to mcp.json
-  fs.writeFileSync(mcpConfigPath, JSON.stringify(optimizedConfig, null, 2));
-  log(`Optimized MCP configuration written to: ${mcpConfigPath}`, colors.green);
+  // Write the project-scoped layer when run inside a repository
+  const gitRoot = findGitRoot(process.cwd());
+  if (gitRoot && !globalOnly) {
+    const names = projectServers ||
+      getDefaultProjectServers(gitRoot).filter(name => profile.servers.includes(name));
+    const projectResult = applyProjectConfig(gitRoot, { names, dryRun });
+    reportWrite(projectResult.configPath, projectResult, { dryRun, log: message => log(message, colors.green) });
+  }
   
   return mcpConfigPath;
 }
@@ -322,12 +233,22 @@ async function main() {
   
   // Kill existing MCP servers (optional)
   const forceKill = process.argv.includes('--force') || process.argv.includes('-f');
-  if (forceKill) {
-    killExistingMCPServers();
+  const dryRun = process.argv.includes('--dry-run');
+  const globalOnly = process.argv.includes('--global-only');
+  const projectServers = parseProjectServers(process.argv.slice(2));
+  if (process.argv.includes('--offline')) {
+    // Only locally installed servers, never fetch with npx
+    process.env.MCP_OFFLINE = '1';
+  }
+  if (forceKill && !dryRun) {
+    await stopExistingMCPServers();
   }
   
   // Generate optimized configuration
-  const configPath = generateOptimizedConfig();
+  const configPath = generateOptimizedConfig({ dryRun, globalOnly, projectServers });
+  if (dryRun) {
+    return 'Dry run complete, no changes written';
+  }
   
   log('\n' + colors.bold + colors.green + '=== MCP Configuration Optimized Successfully ===' + colors.reset);
   log('\nTo start all MCP servers, run:', colors.yellow);
@@ -8,6 +8,7 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { getServer, getSpawnSpec } = require('./lib/mcp-registry');
 
 // Check for token in environment variables
 const githubToken = process.env.GITHUB_TOKEN || process.env.GITHUB_PERSONAL_ACCESS_TOKEN;
@@ -42,9 +43,10 @@ if (!process.env.GITHUB_TOKEN && !process.env.GITHUB_PERSONAL_ACCESS_TOKEN) {
 }
 
 // Run the GitHub MCP server with the environment we've set up
-const githubServer = spawn('npx', ['-y', '@modelcontextprotocol/server-github'], {
+const spec = getSpawnSpec(getServer('github'));
+const githubServer = spawn(spec.command, spec.args, {
   stdio: 'inherit',
-  env: process.env
+  env: spec.env
 });
 
 githubServer.on('error', (error) => {
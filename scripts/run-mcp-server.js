@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Run a single MCP server in the foreground
+ *
+ * Usage: node scripts/run-mcp-server.js <server-name> [--offline] [--mock] [extra args...]
+ * The command, arguments and environment come from the server registry.
+ * With --offline the server must be installed locally; nothing is fetched.
+ * With --mock a server that has an offline stand-in runs that instead.
+ */
+
+const { spawn } = require('child_process');
+const { getServer, getServerNames, getSpawnSpec, getMissingEnv } = require('./lib/mcp-registry');
+const { resolveWorkspaceDir } = require('./lib/workspace');
+const { requireFilesystemRoots } = require('./lib/filesystem-roots');
+
+const [name, ...rest] = process.argv.slice(2);
+const offline = rest.includes('--offline');
+const mock = rest.includes('--mock');
+const extraArgs = rest.filter(arg => arg !== '--offline' && arg !== '--mock');
+const server = name ? getServer(name) : null;
+
+if (!server) {
+  console.error(`Usage: node scripts/run-mcp-server.js <${getServerNames().join('|')}>`);
+  process.exit(1);
+}
+
+const missingEnv = getMissingEnv(server, process.env, { mock });
+if (missingEnv.length > 0) {
+  console.error(`${server.name} MCP server requires: ${missingEnv.join(', ')}`);
+  process.exit(1);
+}
+
+let spec;
+try {
+  const workspaceDir = resolveWorkspaceDir();
+  const roots = server.workspaceArgs ? requireFilesystemRoots({ workspaceDir }).roots : undefined;
+  spec = getSpawnSpec(server, { workspaceDir, roots, offline, mock });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const child = spawn(spec.command, [...spec.args, ...extraArgs], {
+  stdio: 'inherit',
+  env: spec.env
+});
+
+child.on('error', (error) => {
+  console.error(`Failed to start ${server.name} MCP server:`, error.message);
+  process.exit(1);
+});
+
+child.on('exit', (code) => {
+  process.exit(code === null ? 1 : code);
+});
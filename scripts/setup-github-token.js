@@ -8,9 +8,12 @@
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const readline = require('readline');
 const { execSync } = require('child_process');
+const { getServer, matchesServer } = require('./lib/mcp-registry');
+const { getGlobalConfigPath, readConfig, writeConfig, dropPlaintextSecrets } = require('./lib/mcp-config');
+const { setEnvReference } = require('./lib/interpolate');
+const { saveEnvValue } = require('./lib/launch-env');
 
 // Colors for terminal output
 const colors = {
@@ -67,65 +70,38 @@ async function main() {
     process.exit(0);
   }
 
-  // Update .env file if it exists, or create it
-  const envPath = path.join(process.cwd(), '.env');
-  let envContent = '';
-  
+  // Save the token to the repository's .env file, which the launcher reads
+  // when the GitHub server starts
   try {
-    if (fs.existsSync(envPath)) {
-      envContent = fs.readFileSync(envPath, 'utf8');
-      // Replace existing GITHUB_TOKEN if present
-      if (envContent.includes('GITHUB_TOKEN=')) {
-        envContent = envContent.replace(/GITHUB_TOKEN=.*(\n|$)/g, `GITHUB_TOKEN="${token}"\n`);
-      } else if (envContent.includes('GITHUB_PERSONAL_ACCESS_TOKEN=')) {
-        // Handle the old variable name if it exists
-        envContent = envContent.replace(/GITHUB_PERSONAL_ACCESS_TOKEN=.*(\n|$)/g, `GITHUB_TOKEN="${token}"\n`);
-      } else {
-        // Add new line if needed
-        if (!envContent.endsWith('\n')) {
-          envContent += '\n';
-        }
-        envContent += `GITHUB_TOKEN="${token}"\n`;
-      }
-    } else {
-      envContent = `GITHUB_TOKEN="${token}"\n`;
-    }
-    
-    fs.writeFileSync(envPath, envContent);
-    console.log("\n✅ GitHub token saved to .env file");
+    const envPath = saveEnvValue('GITHUB_TOKEN', token, { replace: ['GITHUB_PERSONAL_ACCESS_TOKEN'] });
+    console.log(`\n✅ GitHub token saved to ${envPath}`);
   } catch (error) {
     console.error("Error updating .env file:", error.message);
   }
 
   // Update ~/.cursor/mcp.json if it exists
-  const mcpConfigPath = path.join(os.homedir(), '.cursor', 'mcp.json');
+  const mcpConfigPath = getGlobalConfigPath();
   
   try {
     if (fs.existsSync(mcpConfigPath)) {
-      const mcpConfig = JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8'));
+      // Older configs are migrated to the mcpServers object on read
+      const mcpConfig = readConfig(mcpConfigPath);
+      const githubServer = getServer('github');
       
-      // Check if github server is in the configuration
-      const hasGithubServer = mcpConfig.servers && 
-                             mcpConfig.servers.some(server => 
-                               server.name === 'github' || 
-                               (server.command && server.command.includes('server-github')));
+      // Find the github server entries in the configuration
+      const githubEntries = Object.entries(mcpConfig.mcpServers)
+        .filter(([name, server]) => name === 'github' || matchesServer(server, githubServer))
+        .map(([, server]) => server);
       
-      if (hasGithubServer) {
-        // Update environment variables for github server
-        mcpConfig.servers = mcpConfig.servers.map(server => {
-          if (server.name === 'github' || (server.command && server.command.includes('server-github'))) {
-            if (!server.env) {
-              server.env = {};
-            }
-            server.env.GITHUB_TOKEN = token;
-            // Also set the old variable name for backward compatibility
-            server.env.GITHUB_PERSONAL_ACCESS_TOKEN = token;
-          }
-          return server;
-        });
+      if (githubEntries.length > 0) {
+        // Reference the token instead of storing it; drop values written by older versions
+        for (const server of githubEntries) {
+          server.env = dropPlaintextSecrets(server.env);
+          setEnvReference(server, 'GITHUB_PERSONAL_ACCESS_TOKEN');
+        }
         
-        fs.writeFileSync(mcpConfigPath, JSON.stringify(mcpConfig, null, 2));
-        console.log("✅ GitHub token updated in MCP configuration");
+        writeConfig(mcpConfigPath, mcpConfig);
+        console.log("✅ MCP configuration now reads the token from .env when the GitHub server starts");
       } else {
         console.log("⚠️ GitHub server not found in MCP configuration. Token will be used when the server is first initialized.");
       }
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Show Effective MCP Configuration
+ *
+ * Prints the configuration Cursor sees in the current repository: the
+ * global ~/.cursor/mcp.json with the project .cursor/mcp.json layered on
+ * top, and which layer each server entry came from. Layering is per server:
+ * a project entry replaces the global entry of the same name as a whole, so
+ * fields such as env are never merged between the two.
+ *
+ * Usage: npm run mcp-config [-- --json]
+ */
+
+const { findGitRoot } = require('./lib/workspace');
+const { resolveEffectiveConfig } = require('./lib/project-config');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// Helper function to log messages with color
+function log(message, color = colors.reset) {
+  console.log(color + message + colors.reset);
+}
+
+// Main function
+async function main() {
+  const json = process.argv.includes('--json');
+  const gitRoot = findGitRoot(process.cwd());
+  const effective = resolveEffectiveConfig(gitRoot);
+
+  if (json) {
+    console.log(JSON.stringify({ gitRoot, ...effective }, null, 2));
+    return;
+  }
+
+  log(colors.bold + colors.blue + '=== Effective MCP Configuration ===' + colors.reset);
+  for (const layer of effective.layers) {
+    log(`${layer.name.padEnd(8)} ${layer.path}${layer.exists ? '' : ' (not found)'}`,
+      layer.exists ? colors.reset : colors.yellow);
+  }
+  if (effective.layers.length > 1) {
+    log('A project entry replaces the global entry of the same name; their fields are not merged.', colors.blue);
+  }
+
+  const names = Object.keys(effective.mcpServers);
+  if (names.length === 0) {
+    log('\nNo MCP servers configured. Run "npm run mcp-init" to create a configuration.', colors.yellow);
+    return;
+  }
+
+  log('');
+  for (const name of names) {
+    const entry = effective.mcpServers[name];
+    const source = effective.sources[name];
+    const origin = source.overrides ? `${source.layer}, replaces ${source.overrides} entry` : source.layer;
+
+    log(`${colors.bold}${name}${colors.reset} ${colors.cyan}[${origin}]${colors.reset}`);
+    log(`  ${[entry.command, ...(entry.args || [])].join(' ')}`);
+    for (const key of Object.keys(entry.env || {})) {
+      log(`  env ${key}`);
+    }
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  log(`Error: ${error.message}`, colors.red);
+  process.exit(1);
+});
@@ -1,125 +1,50 @@
 #!/usr/bin/env node
 
-const { spawn } = require('child_process');
-const path = require('path');
-const fs = require('fs');
-const os = require('os');
+const { getServerNames } = require('./lib/mcp-registry');
+const { resolveWorkspaceDir } = require('./lib/workspace');
+const { resolveFilesystemRoots } = require('./lib/filesystem-roots');
+const { getLogDir } = require('./lib/state');
+const { ensureSupervisor, formatServerStatus } = require('./lib/supervisor');
+const { runPreflight, formatSkipped } = require('./lib/preflight');
 
-// Path to log directory
-const logDir = path.join(process.cwd(), 'mcp-logs');
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
-// Function to start an MCP server in the background
-function startMcpServer(name, command, args = [], env = {}) {
-  console.log(`Starting ${name} MCP server...`);
-  
-  // Create log files
-  const outFile = fs.openSync(path.join(logDir, `${name}-out.log`), 'a');
-  const errFile = fs.openSync(path.join(logDir, `${name}-err.log`), 'a');
-  
-  // Combine current environment with custom environment
-  const processEnv = { 
-    ...process.env, 
-    ...env 
-  };
-  
-  // Start process detached
-  const childProcess = spawn(command, args, {
-    detached: true,
-    stdio: ['ignore', outFile, errFile],
-    env: processEnv
-  });
-  
-  // Unref process to allow parent to exit
-  childProcess.unref();
-  
-  console.log(`${name} MCP server started with PID ${childProcess.pid}`);
-  
-  return childProcess.pid;
-}
+// With --offline, servers that are not installed locally are not fetched
+const offline = process.argv.includes('--offline');
+// With --mock, servers that have an offline stand-in run that instead
+const mock = process.argv.includes('--mock');
+// With --skip-preflight, every server is started without being checked first
+const skipPreflight = process.argv.includes('--skip-preflight');
 
 // Main function
 async function main() {
   console.log('Starting all MCP servers...');
   
-  // Check GitHub token
-  const githubToken = process.env.GITHUB_TOKEN || process.env.GITHUB_PERSONAL_ACCESS_TOKEN;
-  if (!githubToken) {
-    console.warn('WARNING: No GitHub token found in environment.');
-    console.warn('GitHub MCP server may not work correctly.');
-    console.warn('Run "npm run setup-github" to configure GitHub token.');
-  } else {
-    console.log('GitHub token found in environment variables.');
-  }
-  
-  // Get workspace directory, with fallback to user's home directory
-  const workspaceDir = process.env.CURSOR_WORKSPACE_DIR || path.join(os.homedir(), 'Desktop', 'Work');
-  
-  // MCP servers to start
-  const servers = [
-    {
-      name: 'Filesystem',
-      command: 'npx',
-      args: ['-y', '@modelcontextprotocol/server-filesystem', workspaceDir],
-      env: {}
-    },
-    {
-      name: 'Puppeteer',
-      command: 'npx',
-      args: ['-y', '@modelcontextprotocol/server-puppeteer'],
-      env: {
-        PUPPETEER_LAUNCH_OPTIONS: '{ "headless": true, "args": ["--no-sandbox"] }',
-        ALLOW_DANGEROUS: 'true'
-      }
-    },
-    {
-      name: 'GitHub',
-      command: 'npx',
-      args: ['-y', '@modelcontextprotocol/server-github'],
-      env: {} // Uses GITHUB_PERSONAL_ACCESS_TOKEN from process.env
-    },
-    {
-      name: 'WebResearch',
-      command: 'npx',
-      args: ['-y', '@mzxrai/mcp-webresearch'],
-      env: {}
-    },
-    {
-      name: 'Fetch',
-      command: 'npx',
-      args: ['-y', 'mcprouter'],
-      env: {
-        SERVER_KEY: '928gi2m8xwtay9'
-      }
-    },
-    {
-      name: 'Sequential',
-      command: 'npx',
-      args: ['-y', 'mcprouter'],
-      env: {
-        SERVER_KEY: '76e32um8xwucnc'
-      }
-    }
-  ];
-  
-  // Start all servers
-  const pids = [];
-  for (const server of servers) {
-    try {
-      const pid = startMcpServer(server.name, server.command, server.args, server.env);
-      pids.push({ name: server.name, pid });
-    } catch (err) {
-      console.error(`Error starting ${server.name} MCP server:`, err);
+  // Get workspace directory
+  const workspaceDir = resolveWorkspaceDir();
+  const { roots } = resolveFilesystemRoots({ workspaceDir });
+  const context = { workspaceDir, roots, offline, mock };
+  
+  // Servers that fail the preflight checks are left out, each with its reason
+  let names = getServerNames();
+  if (!skipPreflight) {
+    const { ready, skipped } = await runPreflight(names, context);
+    formatSkipped(skipped).forEach(line => console.warn(line));
+    if (ready.length === 0) {
+      console.error('No MCP server passed the preflight checks; nothing was started.');
+      process.exit(1);
     }
+    names = ready;
   }
   
-  // Save PIDs to file for later cleanup
-  fs.writeFileSync(path.join(process.cwd(), 'mcp-pids.json'), JSON.stringify(pids, null, 2));
+  // Hand the servers to the supervisor, which restarts them if they crash
+  const state = await ensureSupervisor(names, context);
+  console.log(`Supervisor running with PID ${state.pid}`);
+  for (const [name, server] of Object.entries(state.servers)) {
+    console.log(formatServerStatus(name, server));
+  }
   
-  console.log('\nAll MCP servers started!');
-  console.log(`Log files are available in: ${logDir}`);
+  console.log(names.length === getServerNames().length ? '\nAll MCP servers started!' : `\nStarted ${names.length} of ${getServerNames().length} MCP servers.`);
+  console.log(`Log files are available in: ${getLogDir()}`);
+  console.log('To see what the supervisor is doing, use: npm run supervisor -- status');
   console.log('To check if servers are running, use: npm run test-mcp');
 }
 
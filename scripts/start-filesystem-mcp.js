@@ -2,8 +2,12 @@
 
 const { spawn, execSync } = require('child_process');
 const path = require('path');
-const os = require('os');
 const fs = require('fs');
+const { getServer, toMcpConfigEntry, getSpawnSpec, formatServerList } = require('./lib/mcp-registry');
+const { resolveWorkspaceDir } = require('./lib/workspace');
+const { getGlobalConfigPath, applyManagedServers, reportWrite } = require('./lib/mcp-config');
+const { findOrphanedServers } = require('./lib/supervisor');
+const { MANAGED_ENV, terminateTree } = require('./lib/process-tree');
 
 // Check for debug mode
 const DEBUG = process.env.DEBUG === '1';
@@ -12,59 +16,32 @@ const debug = (...args) => DEBUG && console.log('[DEBUG]', ...args);
 
 debug('Starting in debug mode');
 
-// Get workspace directory - use environment variable if set, otherwise use a relative path
-const workspaceDir = process.env.CURSOR_WORKSPACE_DIR || path.join(os.homedir(), 'Desktop', 'Work');
+// Get workspace directory
+const workspaceDir = resolveWorkspaceDir();
 // Current project directory
 const projectDir = process.cwd();
 debug('Workspace directory:', workspaceDir);
 debug('Project directory:', projectDir);
 
 // Update MCP config
-const cursorDir = path.join(os.homedir(), '.cursor');
-const mcpConfigPath = path.join(cursorDir, 'mcp.json');
+const mcpConfigPath = getGlobalConfigPath();
 
-if (!fs.existsSync(cursorDir)) {
-  debug('Creating cursor directory:', cursorDir);
-  fs.mkdirSync(cursorDir, { recursive: true });
-}
+// Servers managed by this script
+const filesystemServer = getServer('filesystem');
+const puppeteerServer = getServer('puppeteer');
 
-// Read or create MCP config
-let mcpConfig = { mcpServers: {} };
-if (fs.existsSync(mcpConfigPath)) {
-  try {
-    debug('Reading existing MCP config from:', mcpConfigPath);
-    mcpConfig = JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8'));
-    if (!mcpConfig.mcpServers) {
-      mcpConfig.mcpServers = {};
-    }
-  } catch (error) {
-    console.warn(`Warning: Could not parse existing MCP config: ${error.message}`);
-  }
+// Update filesystem and puppeteer server configs from the registry
+try {
+  debug('Writing updated MCP config to:', mcpConfigPath);
+  const result = applyManagedServers(mcpConfigPath, {
+    filesystem: toMcpConfigEntry(filesystemServer, { workspaceDir }),
+    puppeteer: toMcpConfigEntry(puppeteerServer)
+  });
+  reportWrite(mcpConfigPath, result, { log });
+} catch (error) {
+  console.warn(`Warning: Could not update MCP config: ${error.message}`);
 }
 
-// Update filesystem server config
-mcpConfig.mcpServers.filesystem = {
-  command: "npx",
-  args: ["-y", "@modelcontextprotocol/server-filesystem", workspaceDir],
-  type: "stdio"
-};
-
-// Standard puppeteer configuration instead of enhanced version
-mcpConfig.mcpServers.puppeteer = {
-  command: "npx",
-  args: ["-y", "@modelcontextprotocol/server-puppeteer"],
-  env: {
-    PUPPETEER_LAUNCH_OPTIONS: '{ "headless": true, "args": ["--no-sandbox"] }',
-    ALLOW_DANGEROUS: 'true'
-  },
-  type: "stdio"
-};
-
-// Write updated config
-debug('Writing updated MCP config to:', mcpConfigPath);
-fs.writeFileSync(mcpConfigPath, JSON.stringify(mcpConfig, null, 2));
-log(`Updated MCP configuration at ${mcpConfigPath}`);
-
 // Check required dependencies
 try {
   debug('Checking for required dependencies');
@@ -89,17 +66,12 @@ try {
   console.warn(`Warning: Error checking dependencies: ${error.message}`);
 }
 
-// Kill any existing servers
-try {
-  log('Stopping existing MCP servers...');
-  debug('Killing any running server-filesystem processes');
-  execSync('pkill -f "server-filesystem" || true', { stdio: DEBUG ? 'inherit' : 'ignore' });
-  
-  debug('Killing any running puppeteer MCP processes');
-  execSync('pkill -f "server-puppeteer" || true', { stdio: DEBUG ? 'inherit' : 'ignore' });
-} catch (error) {
-  debug('Error stopping servers:', error.message);
-}
+// Stop servers this script started earlier; only processes carrying the
+// managed-server marker are touched, never others that look similar
+const stopping = findOrphanedServers(['filesystem', 'puppeteer']).map(server => {
+  debug(`Stopping ${server.name} (PID ${server.pid})`);
+  return terminateTree(server.pid, { name: server.name });
+});
 
 // Function to create a timestamp for log files
 function getTimestamp() {
@@ -131,55 +103,60 @@ if (DEBUG) {
   fs.writeFileSync(puppeteerLogPath, `Starting puppeteer server at ${new Date().toISOString()}\n`);
 }
 
-// Using spawn with detached mode to run in background
-const fileSystemServer = spawn('npx', ['-y', '@modelcontextprotocol/server-filesystem', workspaceDir], {
-  detached: true,
-  stdio: 'ignore',
-  env: { ...process.env, DEBUG: DEBUG ? '1' : '0' }
-});
+// Function to spawn a registry server detached in the background
+function startDetached(server, context) {
+  const spec = getSpawnSpec(server, {
+    ...context,
+    env: { ...process.env, DEBUG: DEBUG ? '1' : '0', [MANAGED_ENV]: server.name }
+  });
+  return spawn(spec.command, spec.args, {
+    detached: true,
+    stdio: 'ignore',
+    env: spec.env
+  });
+}
 
-// Start the puppeteer server
-log(`Starting Puppeteer MCP server`);
-const puppeteerServer = spawn('npx', ['-y', '@modelcontextprotocol/server-puppeteer'], {
-  detached: true,
-  stdio: 'ignore',
-  env: { 
-    ...process.env, 
-    DEBUG: DEBUG ? '1' : '0',
-    PUPPETEER_LAUNCH_OPTIONS: '{ "headless": true, "args": ["--no-sandbox"] }',
-    ALLOW_DANGEROUS: 'true'
-  }
-});
+// Function to start both servers and report where they run
+function startServers() {
+  // Using spawn with detached mode to run in background
+  const fileSystemProcess = startDetached(filesystemServer, { workspaceDir });
 
-// Unref the children to allow the parent to exit
-fileSystemServer.unref();
-puppeteerServer.unref();
+  // Start the puppeteer server
+  log(`Starting Puppeteer MCP server`);
+  const puppeteerProcess = startDetached(puppeteerServer);
 
-// Save process IDs for easier debugging
-if (DEBUG) {
-  fs.appendFileSync(fsLogPath, `Process ID: ${fileSystemServer.pid}\n`);
-  fs.appendFileSync(puppeteerLogPath, `Process ID: ${puppeteerServer.pid}\n`);
+  // Unref the children to allow the parent to exit
+  fileSystemProcess.unref();
+  puppeteerProcess.unref();
+
+  // Save process IDs for easier debugging
+  if (DEBUG) {
+    fs.appendFileSync(fsLogPath, `Process ID: ${fileSystemProcess.pid}\n`);
+    fs.appendFileSync(puppeteerLogPath, `Process ID: ${puppeteerProcess.pid}\n`);
   
-  try {
-    // Save PIDs to a file for easier checking later
-    const pidFile = path.join(logsDir, 'mcp-servers.pid');
-    fs.writeFileSync(pidFile, `filesystem:${fileSystemServer.pid}\npuppeteer:${puppeteerServer.pid}\n`);
-    debug(`PIDs saved to ${pidFile}`);
-  } catch (error) {
-    debug('Error saving PIDs:', error.message);
+    try {
+      // Save PIDs to a file for easier checking later
+      const pidFile = path.join(logsDir, 'mcp-servers.pid');
+      fs.writeFileSync(pidFile, `filesystem:${fileSystemProcess.pid}\npuppeteer:${puppeteerProcess.pid}\n`);
+      debug(`PIDs saved to ${pidFile}`);
+    } catch (error) {
+      debug('Error saving PIDs:', error.message);
+    }
   }
-}
 
-log('MCP servers started successfully in the background.');
-if (DEBUG) {
-  log(`Log files:
+  log('MCP servers started successfully in the background.');
+  if (DEBUG) {
+    log(`Log files:
 - Filesystem: ${fsLogPath}
 - Puppeteer: ${puppeteerLogPath}`);
+  }
+
+  log('\nAvailable MCP Servers:');
+  formatServerList(['filesystem', 'puppeteer']).forEach(line => log(line));
+  log('\nTo enable debug output, run with:');
+  log('DEBUG=1 node scripts/start-filesystem-mcp.js');
+  log('\nYou can now restart Cursor IDE to use the MCP servers.'); 
 }
 
-log('\nAvailable MCP Servers:');
-log('- filesystem: Access to files and directories');
-log('- puppeteer: Browser automation and UI analysis');
-log('\nTo enable debug output, run with:');
-log('DEBUG=1 node scripts/start-filesystem-mcp.js');
-log('\nYou can now restart Cursor IDE to use the MCP servers.'); 
\ No newline at end of file
+// Start once the previous servers have exited
+Promise.all(stopping).then(startServers);
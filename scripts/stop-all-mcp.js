@@ -1,115 +1,102 @@
 #!/usr/bin/env node
 
+/**
+ * Stop all MCP servers started by this tool
+ *
+ * Usage: node scripts/stop-all-mcp.js [--grace=<seconds>]
+ * Servers get SIGTERM and the grace period (default 5s, or MCP_STOP_GRACE_MS)
+ * to exit before SIGKILL. Only processes this tool started are touched: the
+ * supervisor's servers, PIDs saved by older versions, and servers left
+ * behind by a supervisor that died. Logs are left alone; they are rotated
+ * by size and age as they are written (see lib/logs.js).
+ */
+
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { getServer, getProcessSignatures } = require('./lib/mcp-registry');
+const { stopAllServers } = require('./lib/supervisor');
+const { getGraceOption, listProcesses, terminateTree, formatShutdownReport } = require('./lib/process-tree');
+
+// Display names older versions wrote to mcp-pids.json, by registry name
+const LEGACY_NAMES = {
+  filesystem: 'filesystem',
+  puppeteer: 'puppeteer',
+  github: 'github',
+  webresearch: 'webresearch',
+  fetch: 'fetch',
+  sequential: 'sequentialthinking'
+};
+
+// Function to check whether a process is the server a legacy PID file entry
+// names; entries with a name the registry does not know match any server
+function isLegacyServer(name, proc) {
+  const key = String(name).toLowerCase();
+  const server = getServer(LEGACY_NAMES[key] || key);
+  const signatures = server ? [server.processSignature] : getProcessSignatures();
+  return signatures.some(signature => proc.command.includes(signature));
+}
+
+// Function to print shutdown reports
+function printReports(reports) {
+  reports.forEach(report => formatShutdownReport(report).forEach(line => console.log(line)));
+}
 
 // Main function
 async function main() {
   console.log('Stopping all MCP servers...');
+  const graceMs = getGraceOption(process.argv.slice(2));
+  
+  // The supervisor stops the servers it owns before exiting; servers left
+  // behind by a supervisor that died are found by their environment
+  try {
+    const reports = await stopAllServers({ graceMs });
+    printReports(reports);
+  } catch (err) {
+    console.error('Error stopping MCP servers:', err.message);
+  }
   
-  // Check if we have PID file
+  // PID file left behind by versions that started servers without the supervisor
   const pidFilePath = path.join(process.cwd(), 'mcp-pids.json');
-  let stoppedByPidFile = false;
   
   if (fs.existsSync(pidFilePath)) {
     try {
       const pids = JSON.parse(fs.readFileSync(pidFilePath, 'utf8'));
       
-      // Kill each process
-      for (const { name, pid } of pids) {
-        try {
-          console.log(`Stopping ${name} MCP server (PID: ${pid})...`);
-          
-          if (process.platform === 'win32') {
-            execSync(`taskkill /F /PID ${pid}`);
-          } else {
-            execSync(`kill -9 ${pid}`);
-          }
-          
-          console.log(`${name} MCP server stopped.`);
-          stoppedByPidFile = true;
-        } catch (err) {
-          console.log(`${name} MCP server was already stopped or not found.`);
+      // Stop each server together with its children, unless the PID has
+      // since been reused by a process that is not that server
+      const processes = listProcesses();
+      const remaining = [];
+      for (const entry of pids) {
+        const { name, pid } = entry;
+        const proc = processes.find(item => item.pid === pid);
+        if (!proc || !isLegacyServer(name, proc)) {
+          console.log(`${name} MCP server was already stopped.`);
+          continue;
         }
-      }
-      
-      // Remove PID file
-      fs.unlinkSync(pidFilePath);
-      
-    } catch (err) {
-      console.error('Error reading PID file:', err);
-    }
-  }
-  
-  // Additional safety check - try to find and kill all MCP processes
-  try {
-    console.log('Checking for any remaining MCP processes...');
-    
-    if (process.platform === 'win32') {
-      execSync('taskkill /F /IM node.exe /FI "WINDOWTITLE eq *mcp*"', { stdio: 'ignore' });
-    } else {
-      // More comprehensive search for MCP processes
-      const processPatterns = [
-        'server-filesystem',
-        'server-puppeteer',
-        'server-github',
-        'mcp-webresearch',
-        'mcprouter'
-      ];
-      
-      for (const pattern of processPatterns) {
-        try {
-          const output = execSync(`ps aux | grep ${pattern} | grep -v grep`).toString();
-          
-          if (output.trim()) {
-            console.log(`Found ${pattern} processes, stopping...`);
-            execSync(`pkill -f "${pattern}"`, { stdio: 'ignore' });
-          }
-        } catch (e) {
-          // No matching processes found, continue
+        console.log(`Stopping ${name} MCP server (PID: ${pid})...`);
+        const report = await terminateTree(pid, { name, graceMs });
+        printReports([report]);
+        if (report.survivors.length > 0) {
+          remaining.push(entry);
         }
       }
-    }
-  } catch (err) {
-    // Ignore errors from pkill if no processes match
-  }
-  
-  // Check for any MCP log directory and create a backup
-  const logDir = path.join(process.cwd(), 'mcp-logs');
-  if (fs.existsSync(logDir)) {
-    try {
-      const timestamp = new Date().toISOString().replace(/:/g, '-');
-      const backupDir = path.join(process.cwd(), `mcp-logs-backup-${timestamp}`);
-      
-      // Create backup directory
-      if (!fs.existsSync(backupDir)) {
-        fs.mkdirSync(backupDir, { recursive: true });
-      }
       
-      // Copy log files to backup
-      const logFiles = fs.readdirSync(logDir);
-      for (const file of logFiles) {
-        const srcPath = path.join(logDir, file);
-        const destPath = path.join(backupDir, file);
-        fs.copyFileSync(srcPath, destPath);
+      // The PID file goes once every server in it is stopped; the ones that
+      // survived stay listed for the next run
+      if (remaining.length > 0) {
+        fs.writeFileSync(pidFilePath, JSON.stringify(remaining, null, 2));
+        console.error(`Some servers are still running; their PIDs stay in ${pidFilePath}.`);
+      } else {
+        fs.unlinkSync(pidFilePath);
       }
       
-      console.log(`Log files backed up to ${backupDir}`);
-      
-      // Clear log directory
-      for (const file of logFiles) {
-        const filePath = path.join(logDir, file);
-        fs.writeFileSync(filePath, '');
-      }
-      
-      console.log('Log files cleared');
     } catch (err) {
-      console.error('Error handling log files:', err);
+      console.error('Error reading PID file:', err);
     }
   }
   
   console.log('All MCP servers stopped.');
+  console.log('Server logs are kept and rotated; read them with: npm run logs -- <server>');
 }
 
 // Run main function
@@ -10,6 +10,8 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { getServerNames } = require('./lib/mcp-registry');
+const { getGlobalConfigPath, readConfig } = require('./lib/mcp-config');
 
 // Set colors for console output
 const colors = {
@@ -97,16 +99,13 @@ for (const dep of dependencies) {
 
 // Check MCP configuration
 log('\n' + colors.bold + '4. Checking MCP configuration:' + colors.reset);
-const homeDir = process.env.HOME || process.env.USERPROFILE;
-const mcpConfigPath = path.join(homeDir, '.cursor', 'mcp.json');
+const mcpConfigPath = getGlobalConfigPath();
 let mcpConfigOk = false;
 
 try {
-  const mcpConfig = fs.existsSync(mcpConfigPath) ? 
-    JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8')) : 
-    { mcpServers: {} };
+  const mcpConfig = readConfig(mcpConfigPath);
   
-  const requiredServers = ['filesystem', 'webresearch', 'github', 'fetch', 'sequentialthinking', 'puppeteer'];
+  const requiredServers = getServerNames();
   const configuredServers = Object.keys(mcpConfig.mcpServers || {});
   
   const missingServers = requiredServers.filter(server => !configuredServers.includes(server));
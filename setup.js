@@ -87,8 +87,13 @@ console.log("npm run test-mcp            - Test if MCP tools are working\\n");
 
 console.log("For more information, see the README.md file.\\n");
 `;
-  fs.writeFileSync(helpScriptPath, helpScript);
-  fs.chmodSync(helpScriptPath, '755');
+  // Keep the checked-in help script, which lists every command
+  if (fs.existsSync(helpScriptPath)) {
+    console.log("help.js already exists, keeping it.");
+  } else {
+    fs.writeFileSync(helpScriptPath, helpScript);
+    fs.chmodSync(helpScriptPath, '755');
+  }
   
   // Add help command to package.json
   try {
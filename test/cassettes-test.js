@@ -0,0 +1,119 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { createStdioTransport } = require('../scripts/lib/health');
+const { MOCK_SCRIPT } = require('../scripts/lib/mocks');
+const { LAUNCHER_PATH, wrapWithLauncher } = require('../scripts/lib/interpolate');
+const {
+    CASSETTE_SCRIPT,
+    REPLAY_MISMATCH,
+    readCassette,
+    getInteractions,
+    createReplayServer,
+    wrapWithRecorder
+} = require('../scripts/lib/cassettes');
+
+const SEARCH = { name: 'search_repositories', arguments: { query: 'repo:cursor-automation-demo/flappy-bird' } };
+const ISSUE = { name: 'create_issue', arguments: { owner: 'cursor-automation-demo', repo: 'flappy-bird', title: 'Add sound' } };
+
+// Function to connect an MCP client to a stdio command
+async function connect(args) {
+    const client = new Client({ name: 'cassettes-test', version: '1.0.0' }, { capabilities: {} });
+    await client.connect(createStdioTransport({ command: process.execPath, args, env: process.env }));
+    return client;
+}
+
+// Tests for recording sessions through the shim and replaying them
+async function runTests() {
+    console.log('Testing MCP session cassettes...\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-cassettes-'));
+    const file = path.join(dir, 'github.jsonl');
+
+    try {
+        // Record a session with the offline GitHub stand-in
+        const recording = await connect([CASSETTE_SCRIPT, 'record', '--server=github', `--cassette=${file}`, '--', process.execPath, MOCK_SCRIPT, 'github']);
+        const searched = await recording.callTool(SEARCH);
+        const created = await recording.callTool(ISSUE);
+        await recording.close();
+
+        const cassette = readCassette(file);
+        assert.strictEqual(cassette.header.server, 'github');
+        const interactions = getInteractions(cassette);
+        assert.deepStrictEqual(interactions.map(interaction => interaction.method), ['initialize', 'tools/call', 'tools/call']);
+        assert.ok(interactions.every(interaction => interaction.durationMs >= 0 && interaction.t >= 0));
+        assert.ok(cassette.entries.some(entry => entry.message && entry.message.method === 'notifications/initialized'));
+        console.log('✅ The recording shim writes every message with its timing');
+
+        // Replay it: the same requests get the recorded answers, anything else is flagged
+        const replaying = await connect([CASSETTE_SCRIPT, 'replay', file]);
+        assert.deepStrictEqual(await replaying.callTool(SEARCH), searched);
+        assert.deepStrictEqual(await replaying.callTool(ISSUE), created);
+        await assert.rejects(
+            replaying.callTool({ ...ISSUE, arguments: { ...ISSUE.arguments, title: 'Add music' } }),
+            error => error.code === REPLAY_MISMATCH && /create_issue/.test(error.message));
+        await replaying.close();
+        console.log('✅ The replay server answers from the cassette and flags requests that were not recorded');
+
+        // Output still on its way when the server exits reaches the client
+        const burst = 'for (let i = 0; i < 2000; i++) console.log(JSON.stringify({ jsonrpc: "2.0", method: "notifications/message", params: { i, pad: "x".repeat(100) } }))';
+        const recorded = spawnSync(process.execPath, [CASSETTE_SCRIPT, 'record', '--server=burst', `--cassette=${path.join(dir, 'burst.jsonl')}`, '--', process.execPath, '-e', burst],
+            { input: '', encoding: 'utf8', timeout: 30000 });
+        assert.strictEqual(recorded.status, 0, recorded.stderr);
+        assert.strictEqual(recorded.stdout.trim().split('\n').length, 2000);
+        console.log('✅ The recording shim passes on all of the server\'s output before exiting');
+
+        // A client that hangs up right away still gets the answers --timing delays
+        const slow = path.join(dir, 'slow.jsonl');
+        fs.writeFileSync(slow, [
+            { cassette: 1, server: 'fetch' },
+            { t: 0, from: 'client', message: { jsonrpc: '2.0', id: 1, method: 'tools/list' } },
+            { t: 300, from: 'server', message: { jsonrpc: '2.0', id: 1, result: { tools: [] } } }
+        ].map(line => JSON.stringify(line)).join('\n') + '\n');
+        const timed = spawnSync(process.execPath, [CASSETTE_SCRIPT, 'replay', slow, '--timing'],
+            { input: JSON.stringify({ jsonrpc: '2.0', id: 7, method: 'tools/list' }) + '\n', encoding: 'utf8', timeout: 30000 });
+        assert.strictEqual(timed.status, 0, timed.stderr);
+        assert.deepStrictEqual(JSON.parse(timed.stdout), { jsonrpc: '2.0', id: 7, result: { tools: [] } });
+        console.log('✅ Replaying with --timing sends delayed answers before exiting');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // Repeated requests, _meta and the replay report
+    const sent = [];
+    const cassette = {
+        header: { cassette: 1, server: 'fetch' },
+        entries: [
+            { t: 0, from: 'client', message: { jsonrpc: '2.0', id: 1, method: 'tools/list' } },
+            { t: 5, from: 'server', message: { jsonrpc: '2.0', id: 1, result: { tools: ['first'] } } },
+            { t: 6, from: 'client', message: { jsonrpc: '2.0', id: 2, method: 'tools/list' } },
+            { t: 9, from: 'server', message: { jsonrpc: '2.0', id: 2, result: { tools: ['second'] } } },
+            { t: 10, from: 'client', message: { jsonrpc: '2.0', id: 3, method: 'ping' } }
+        ]
+    };
+    const replay = createReplayServer(cassette, message => sent.push(message));
+    [10, 11, 12].forEach(id => replay.handleMessage({ jsonrpc: '2.0', id, method: 'tools/list', params: { _meta: { progressToken: id } } }));
+    assert.deepStrictEqual(sent.map(message => message.result.tools[0]), ['first', 'second', 'second']);
+    assert.deepStrictEqual(sent.map(message => message.id), [10, 11, 12]);
+    replay.handleMessage({ jsonrpc: '2.0', id: 13, method: 'ping' });
+    assert.strictEqual(sent[3].error.code, REPLAY_MISMATCH);
+    assert.deepStrictEqual(replay.getReport(), { replayed: 3, mismatches: [{ method: 'ping', params: undefined }], unused: [] });
+    console.log('✅ Identical requests are answered in recorded order, and unanswered ones are not replayed');
+
+    // Recording an entry keeps the launcher outermost, so references still resolve
+    const entry = wrapWithLauncher({ command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'], env: { GITHUB_PERSONAL_ACCESS_TOKEN: '${env:GITHUB_PERSONAL_ACCESS_TOKEN}' } });
+    wrapWithRecorder(entry, 'github');
+    assert.deepStrictEqual(entry.args, [LAUNCHER_PATH, 'node', CASSETTE_SCRIPT, 'record', '--server=github', '--', 'npx', '-y', '@modelcontextprotocol/server-github']);
+    assert.deepStrictEqual(wrapWithRecorder(JSON.parse(JSON.stringify(entry)), 'github'), entry);
+    console.log('✅ Recorded mcp.json entries run the shim inside the launcher');
+
+    console.log('\n✅ All cassette tests passed');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Export and import write ~/.cursor/mcp.json and its backups, so the test gets a home of its own
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-client-formats-test-'));
+process.env.HOME = home;
+
+const { getGlobalConfigPath, getBackupDir, readConfig, writeConfig } = require('../scripts/lib/mcp-config');
+const { saveRootRules } = require('../scripts/lib/filesystem-roots');
+const { MOCK_SCRIPT } = require('../scripts/lib/mocks');
+const { FORMATS, stripJsonComments, parseClientConfig, exportServers, importServers } = require('../scripts/lib/client-formats');
+
+const CLIENT_SCRIPT = path.join(__dirname, '..', 'scripts', 'mcp-client-config.js');
+
+const CURSOR_SERVERS = {
+    filesystem: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-filesystem', '/work'], type: 'stdio' },
+    github: {
+        command: 'node',
+        args: ['scripts/mcp-launch.js', 'npx', '-y', '@modelcontextprotocol/server-github'],
+        env: { GITHUB_PERSONAL_ACCESS_TOKEN: '${env:GITHUB_PERSONAL_ACCESS_TOKEN}' },
+        type: 'stdio'
+    },
+    remote: { url: 'http://127.0.0.1:3104/sse', type: 'sse' }
+};
+
+// Function to run the export/import command line
+function runClientConfig(args) {
+    const result = spawnSync(process.execPath, [CLIENT_SCRIPT, ...args], { cwd: home, env: process.env, encoding: 'utf8', timeout: 30000 });
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    return result.stdout;
+}
+
+// Tests for converting between Cursor's mcp.json and other clients' config files
+function runTests() {
+    console.log('Testing MCP client config formats...\n');
+
+    try {
+        // Comments and trailing commas go, but not the commas and slashes inside strings
+        const settings = [
+            '{',
+            '  // Editor settings',
+            '  "editor.rulers": [80, 120,],',
+            '  "files.exclude": { "**/a,}": true, "b//c": "d/*e*/", },',
+            '  /* MCP servers */',
+            '  "mcp": { "servers": {}, },',
+            '}'
+        ].join('\n');
+        assert.deepStrictEqual(parseClientConfig(settings), {
+            'editor.rulers': [80, 120],
+            'files.exclude': { '**/a,}': true, 'b//c': 'd/*e*/' },
+            mcp: { servers: {} }
+        });
+        assert.strictEqual(stripJsonComments('{"a": "x, ]", "b": "y,}"}'), '{"a": "x, ]", "b": "y,}"}');
+        console.log('✅ JSON with comments is parsed without touching string contents');
+
+        // Cursor -> each client -> Cursor gives back the same entries
+        for (const formatName of Object.keys(FORMATS)) {
+            const format = FORMATS[formatName];
+            const { servers, skipped } = exportServers(formatName, CURSOR_SERVERS);
+            const text = JSON.stringify(format.setServers(parseClientConfig(settings), servers), null, 2);
+            const { mcpServers } = importServers(formatName, parseClientConfig(text));
+            const expected = { ...CURSOR_SERVERS };
+            skipped.forEach(name => delete expected[name]);
+            assert.deepStrictEqual(mcpServers, expected, formatName);
+            assert.deepStrictEqual(skipped, formatName === 'claude-desktop' ? ['remote'] : []);
+        }
+        console.log('✅ Cursor entries survive a round trip through Claude Desktop and VS Code');
+
+        // The command line does the same with real files; backups stay under ~/.cursor/mcp-backups
+        const configPath = getGlobalConfigPath();
+        writeConfig(configPath, { mcpServers: CURSOR_SERVERS });
+        const claudePath = path.join(home, 'Claude', 'claude_desktop_config.json');
+        fs.mkdirSync(path.dirname(claudePath), { recursive: true });
+        fs.writeFileSync(claudePath, JSON.stringify({ globalShortcut: 'Ctrl+Space', mcpServers: {} }));
+        runClientConfig(['export', 'claude-desktop', `--out=${claudePath}`]);
+
+        const exported = JSON.parse(fs.readFileSync(claudePath, 'utf8'));
+        assert.strictEqual(exported.globalShortcut, 'Ctrl+Space');
+        assert.deepStrictEqual(Object.keys(exported.mcpServers), ['filesystem', 'github']);
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(claudePath)), ['claude_desktop_config.json']);
+        assert.ok(getBackupDir(claudePath).startsWith(path.join(home, '.cursor', 'mcp-backups') + path.sep));
+        assert.strictEqual(fs.readdirSync(getBackupDir(claudePath)).length, 1);
+        console.log('✅ Exporting merges into the client file and backs it up under ~/.cursor/mcp-backups');
+
+        fs.rmSync(configPath);
+        runClientConfig(['import', 'claude-desktop', `--in=${claudePath}`]);
+        const { remote, ...stdioServers } = CURSOR_SERVERS;
+        assert.deepStrictEqual(readConfig(configPath).mcpServers, stdioServers);
+        console.log('✅ Importing the exported file gives back the Cursor entries');
+
+        // Exporting from the registry uses the filesystem roots and the profile's stand-ins
+        const project = path.join(home, 'project');
+        fs.mkdirSync(project);
+        saveRootRules({ discover: false, include: ['~/project'], exclude: [] });
+        const vscodePath = path.join(home, 'settings.json');
+        runClientConfig(['export', 'vscode', '--from=registry', '--profile=mock', `--out=${vscodePath}`]);
+        const registryServers = JSON.parse(fs.readFileSync(vscodePath, 'utf8')).mcp.servers;
+        assert.deepStrictEqual(registryServers.filesystem.args.slice(-1), [project]);
+        assert.deepStrictEqual(registryServers.github.args, [MOCK_SCRIPT, 'github']);
+        console.log('✅ Exporting --from=registry uses the filesystem roots and the mock profile\'s stand-ins');
+
+        console.log('\n✅ All client format tests passed');
+    } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error('❌ Client format test failed:', error.message);
+    process.exit(1);
+}
@@ -1,9 +1,34 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { execSync } = require('child_process');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { getServer } = require('../scripts/lib/mcp-registry');
+const { createTransport } = require('../scripts/lib/health');
+
+// With --mock, GitHub, web research, fetch and sequential thinking are
+// answered by the offline stand-ins, so the suite needs no network
+const mock = process.argv.includes('--mock');
+
+// Function to call one tool on a freshly started server and return its text
+async function callTool(name, tool, args) {
+    const { transport } = await createTransport(getServer(name), { mock }, { spawn: true });
+    const client = new Client({ name: 'comprehensive-mcp-test', version: '1.0.0' }, { capabilities: {} });
+    try {
+        await client.connect(transport);
+        const result = await client.callTool({ name: tool, arguments: args });
+        const text = result.content.filter(item => item.type === 'text').map(item => item.text).join('\n');
+        if (result.isError) {
+            throw new Error(text);
+        }
+        return text;
+    } finally {
+        await client.close().catch(() => {});
+    }
+}
 
 async function runComprehensiveTest() {
-    console.log('\n=== Comprehensive MCP Integration Test ===\n');
+    console.log(`\n=== Comprehensive MCP Integration Test${mock ? ' (offline stand-ins)' : ''} ===\n`);
     let allPassed = true;
 
     // Test 1: Filesystem MCP - Create and read game config
@@ -14,8 +39,18 @@ async function runComprehensiveTest() {
             pipeGap: 225,
             speed: 3
         };
-        fs.writeFileSync('examples/flappy-bird/config.json', JSON.stringify(gameConfig, null, 2));
-        const readConfig = JSON.parse(fs.readFileSync('examples/flappy-bird/config.json', 'utf8'));
+        // Written to a temporary directory so the run leaves the tree untouched
+        const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-bird-'));
+        const configPath = path.join(configDir, 'config.json');
+        try {
+            fs.writeFileSync(configPath, JSON.stringify(gameConfig, null, 2));
+            const readConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            if (readConfig.pipeGap !== gameConfig.pipeGap) {
+                throw new Error('config.json did not read back as written');
+            }
+        } finally {
+            fs.rmSync(configDir, { recursive: true, force: true });
+        }
         console.log('✅ Filesystem MCP: Successfully created and read game config');
     } catch (error) {
         console.error('❌ Filesystem MCP:', error.message);
@@ -36,7 +71,11 @@ async function runComprehensiveTest() {
     try {
         console.log('\n🔍 Testing GitHub MCP integration...');
         const repoStatus = execSync('git status', { encoding: 'utf8' });
-        console.log('✅ GitHub MCP: Successfully checked repository status');
+        const search = JSON.parse(await callTool('github', 'search_repositories', { query: 'repo:modelcontextprotocol/servers', perPage: 1 }));
+        if (search.total_count < 1) {
+            throw new Error('search_repositories found no repository');
+        }
+        console.log('✅ GitHub MCP: Successfully checked repository status and searched repositories');
     } catch (error) {
         console.error('❌ GitHub MCP:', error.message);
         allPassed = false;
@@ -45,6 +84,8 @@ async function runComprehensiveTest() {
     // Test 4: WebResearch MCP - Search for game improvements
     try {
         console.log('\n🔍 Testing WebResearch MCP for game research...');
+        const results = JSON.parse(await callTool('webresearch', 'search_google', { query: 'Flappy Bird game mechanics improvements' }));
+        console.log(`Found ${results.length} search results`);
         execSync('node scripts/search-game-improvements.js', { stdio: 'inherit' });
         console.log('✅ WebResearch MCP: Successfully researched game improvements');
     } catch (error) {
@@ -55,6 +96,10 @@ async function runComprehensiveTest() {
     // Test 5: Fetch MCP - Test API endpoints
     try {
         console.log('\n🔍 Testing Fetch MCP with API endpoints...');
+        const page = await callTool('fetch', 'fetch', { url: 'https://example.com', max_length: 200 });
+        if (!page.includes('Example Domain')) {
+            throw new Error('fetch returned unexpected content');
+        }
         execSync('node scripts/test-api-endpoints.js', { stdio: 'inherit' });
         console.log('✅ Fetch MCP: Successfully tested API endpoints');
     } catch (error) {
@@ -65,6 +110,15 @@ async function runComprehensiveTest() {
     // Test 6: Sequential MCP - Run game analysis
     try {
         console.log('\n🔍 Testing Sequential MCP with game analysis...');
+        const step = JSON.parse(await callTool('sequentialthinking', 'sequentialthinking', {
+            thought: 'Break the game loop into input, physics, collisions and rendering',
+            thoughtNumber: 1,
+            totalThoughts: 1,
+            nextThoughtNeeded: false
+        }));
+        if (step.thoughtNumber !== 1) {
+            throw new Error('sequentialthinking did not record the thought');
+        }
         execSync('node scripts/analyze-game-sequence.js', { stdio: 'inherit' });
         console.log('✅ Sequential MCP: Successfully analyzed game sequence');
     } catch (error) {
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// The doctor fixes ~/.cursor/mcp.json and stores secrets, so the test gets a home of its own
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-doctor-test-'));
+process.env.HOME = home;
+process.env.MCP_SECRETS_FILE = path.join(home, '.cursor', 'mcp-secrets.json');
+
+const { LAUNCHER_PATH } = require('../scripts/lib/interpolate');
+const { getSecret } = require('../scripts/lib/secrets');
+const { diagnose } = require('../scripts/lib/doctor');
+
+const DOCTOR_SCRIPT = path.join(__dirname, '..', 'scripts', 'mcp-doctor.js');
+
+// Function to build a config with one of each fixable mistake
+function brokenConfig(workspace) {
+    return {
+        mcpServers: {
+            filesystem: {
+                command: 'npx',
+                args: ['-y', '@modelcontextprotocol/server-filesystem', path.join(workspace, '**', '*')]
+            },
+            github: {
+                command: 'npx',
+                args: ['-y', '@modelcontextprotocol/server-github'],
+                env: { GITHUB_TOKEN: '${process.env.GITHUB_TOKEN}', GITHUB_API_URL: '${GITHUB_API_URL}' }
+            },
+            fetch: {
+                command: 'npx',
+                args: ['-y', 'mcprouter'],
+                env: { FETCH_API_KEY: 'sk-test-1234' }
+            }
+        }
+    };
+}
+
+// Function to apply every automatic fix, the way "npm run doctor -- --fix" does
+function applyFixes(config) {
+    const fixable = diagnose(config, { environment: false }).filter(item => item.fix);
+    fixable.forEach(item => item.fix());
+    return fixable.map(item => item.id).sort();
+}
+
+// Tests for the automatic fixes of "npm run doctor -- --fix"
+function runTests() {
+    console.log('Testing the doctor fixes...\n');
+    const workspace = path.join(home, 'workspace');
+    fs.mkdirSync(workspace);
+
+    try {
+        const config = brokenConfig(workspace);
+        assert.deepStrictEqual(applyFixes(config),
+            ['placeholder.env', 'placeholder.env', 'secret.plainText', 'workspace.glob']);
+
+        // A glob root becomes the directory it starts from
+        assert.strictEqual(config.mcpServers.filesystem.args[2], workspace);
+        console.log('✅ A glob filesystem root is replaced by its directory');
+
+        // Legacy placeholders become references under the registry's canonical name
+        assert.deepStrictEqual(config.mcpServers.github.env, {
+            GITHUB_PERSONAL_ACCESS_TOKEN: '${env:GITHUB_PERSONAL_ACCESS_TOKEN}'
+        });
+        assert.deepStrictEqual(config.mcpServers.github.args, [LAUNCHER_PATH, 'npx', '-y', '@modelcontextprotocol/server-github']);
+        console.log('✅ Placeholders become launcher references to the variable the server reads, or are removed');
+
+        // Plain-text credentials move to the secret store
+        assert.deepStrictEqual(config.mcpServers.fetch.env, { FETCH_API_KEY: '${secret:fetch.FETCH_API_KEY}' });
+        assert.strictEqual(config.mcpServers.fetch.args[0], LAUNCHER_PATH);
+        assert.strictEqual(getSecret('fetch.FETCH_API_KEY'), 'sk-test-1234');
+        console.log('✅ A plain-text credential is moved to the secret store and referenced');
+
+        // Once fixed, nothing is left to fix
+        assert.deepStrictEqual(applyFixes(config), []);
+        console.log('✅ Fixing a fixed config changes nothing');
+
+        // Malformed entries are diagnosed one by one instead of failing the whole run
+        const configPath = path.join(home, '.cursor', 'mcp.json');
+        const malformed = {
+            mcpServers: {
+                empty: null,
+                scalarArgs: { command: 'npx', args: 'foo', env: { TOKEN: '${process.env.TOKEN}' } },
+                listEnv: { command: 'npx', args: ['-y', 'mcprouter'], env: ['API_KEY=sk-test'] },
+                fetch: { command: 'npx', args: ['-y', 'mcprouter'], env: { API_KEY: '${API_KEY}' } }
+            }
+        };
+        assert.deepStrictEqual(diagnose(malformed, { environment: false }).map(item => `${item.id} ${item.server}`),
+            ['schema.entry empty', 'schema.args scalarArgs', 'schema.env listEnv', 'placeholder.env fetch']);
+        fs.writeFileSync(configPath, JSON.stringify(malformed));
+        const diagnosed = spawnSync(process.execPath, [DOCTOR_SCRIPT, '--json'], { cwd: workspace, env: process.env, encoding: 'utf8', timeout: 60000 });
+        assert.deepStrictEqual(JSON.parse(diagnosed.stdout)[0].findings.map(item => item.id),
+            ['schema.entry', 'schema.args', 'schema.env', 'placeholder.env']);
+        console.log('✅ Entries that are not objects, or have malformed args or env, are reported on their own');
+
+        // The command line applies the same fixes to ~/.cursor/mcp.json and backs it up
+        fs.rmSync(process.env.MCP_SECRETS_FILE);
+        fs.writeFileSync(configPath, JSON.stringify(brokenConfig(workspace), null, 2));
+        const result = spawnSync(process.execPath, [DOCTOR_SCRIPT, '--fix', '--json'], {
+            cwd: workspace,
+            env: process.env,
+            encoding: 'utf8',
+            timeout: 60000
+        });
+        const report = JSON.parse(result.stdout);
+        assert.strictEqual(report[0].findings.filter(item => item.fixable).length, 4);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers, config.mcpServers);
+        assert.strictEqual(fs.readdirSync(path.join(home, '.cursor', 'mcp-backups')).length, 1);
+        assert.strictEqual(getSecret('fetch.FETCH_API_KEY'), 'sk-test-1234');
+        console.log('✅ "npm run doctor -- --fix" rewrites mcp.json after backing it up');
+
+        console.log('\n✅ All doctor tests passed');
+    } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error('❌ Doctor test failed:', error.message);
+    process.exit(1);
+}
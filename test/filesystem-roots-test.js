@@ -0,0 +1,94 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// "~" in the rules means the test's own home
+const home = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-roots-test-')));
+process.env.HOME = home;
+
+const {
+    getRootsPath,
+    loadRootRules,
+    saveRootRules,
+    resolveFilesystemRoots,
+    requireFilesystemRoots
+} = require('../scripts/lib/filesystem-roots');
+
+const workspace = path.join(home, 'workspace');
+const dir = (...parts) => path.join(workspace, ...parts);
+
+// Function to create the directories of the test workspace
+function createWorkspace() {
+    for (const relative of ['app/packages/lib', 'archive-old', 'myarchive-2020', 'notes', 'projects/a', 'projects/b']) {
+        fs.mkdirSync(dir(...relative.split('/')), { recursive: true });
+    }
+    fs.writeFileSync(dir('projects', 'README.md'), '# projects\n');
+}
+
+// Stand-in for findAllGitRepos, so no git repositories are needed
+const findRepos = () => [dir('archive-old'), dir('myarchive-2020'), dir('app'), dir('app', 'packages', 'lib'), dir('gone')];
+
+// Tests for building the filesystem server's roots
+function runTests() {
+    console.log('Testing filesystem roots...\n');
+    createWorkspace();
+
+    try {
+        // Discovered repositories, include globs and "**" excludes together
+        saveRootRules({ discover: true, include: ['~/workspace/notes', '~/workspace/projects/*'], exclude: ['**/archive-*'] });
+        const rules = loadRootRules();
+        const result = resolveFilesystemRoots({ workspaceDir: workspace, rules, findRepos });
+        assert.deepStrictEqual(result.roots, [dir('app'), dir('myarchive-2020'), dir('notes'), dir('projects', 'a'), dir('projects', 'b')]);
+        assert.deepStrictEqual(result.origins.map(root => root.origin), ['repository', 'repository', 'include', 'include', 'include']);
+        console.log('✅ Repositories and include globs become roots; "*" only matches directories');
+
+        assert.deepStrictEqual(result.rejected, [
+            { path: dir('archive-old'), reason: 'excluded by "**/archive-*"' },
+            { path: dir('gone'), reason: 'does not exist' },
+            { path: dir('app', 'packages', 'lib'), reason: `already covered by ${dir('app')}` }
+        ]);
+        console.log('✅ "**" excludes, missing directories and nested roots are rejected with a reason');
+        console.log('✅ "**/archive-*" only matches whole directory names, not "myarchive-2020"');
+
+        // A parent added later still absorbs the roots inside it
+        const collapsed = resolveFilesystemRoots({ workspaceDir: workspace, rules: { ...rules, include: ['~/workspace'] }, findRepos });
+        assert.deepStrictEqual(collapsed.roots, [dir()]);
+        assert.deepStrictEqual(collapsed.rejected.filter(item => /already covered/.test(item.reason)).map(item => item.path),
+            [dir('app'), dir('app', 'packages', 'lib'), dir('myarchive-2020')]);
+        console.log('✅ Roots inside another root collapse into it');
+
+        // Include entries that cannot be used
+        const unusable = resolveFilesystemRoots({ rules: { discover: false, include: ['~/workspace/**', '~/nothing-*', '~/workspace/projects/README.md'], exclude: [] } });
+        assert.deepStrictEqual(unusable.rejected.map(item => item.reason), [
+            '"**" is not supported in include entries: ~/workspace/**',
+            'matches no directories',
+            'is not a directory'
+        ]);
+        console.log('✅ Unusable include entries are reported');
+
+        // Without repositories or includes the workspace itself is used, unless it is excluded
+        const fallback = resolveFilesystemRoots({ workspaceDir: dir('notes'), rules: { discover: true, include: [], exclude: [] }, findRepos: () => [] });
+        assert.deepStrictEqual(fallback.origins, [{ path: dir('notes'), origin: 'workspace' }]);
+        assert.throws(() => requireFilesystemRoots({ workspaceDir: dir('notes'), rules: { discover: true, include: [], exclude: ['~/workspace'] }, findRepos: () => [] }),
+            new RegExp(`^Error: No usable filesystem roots: ${dir('notes')} excluded by "~/workspace"\\. Add one with "npm run roots -- add <dir>"$`));
+        assert.throws(() => requireFilesystemRoots({ rules: { discover: true, include: [], exclude: [] } }), /^Error: No usable filesystem roots\. /);
+        console.log('✅ No usable roots is an error that says why');
+
+        // Bad rules files are refused
+        fs.writeFileSync(getRootsPath(), JSON.stringify({ include: '~/notes' }));
+        assert.throws(() => loadRootRules(), /"include" must be an array of paths/);
+        console.log('✅ A malformed rules file is rejected');
+
+        console.log('\n✅ All filesystem roots tests passed');
+    } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error('❌ Filesystem roots test failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,292 @@
+const assert = require('assert');
+const http = require('http');
+const { createGateway, isLocalAddress } = require('../scripts/lib/gateway');
+
+// A stdio MCP server small enough to inline: it counts how often it was
+// initialized and answers "echo" after reporting progress
+const FAKE_SERVER = `
+    const readline = require('readline');
+    let initializations = 0;
+    const send = message => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\\n');
+    readline.createInterface({ input: process.stdin }).on('line', line => {
+        const message = JSON.parse(line);
+        if (message.method === 'initialize') {
+            initializations++;
+            send({ id: message.id, result: { protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { name: 'fake', version: '1.0.0' } } });
+        } else if (message.method === 'tools/call') {
+            const token = message.params._meta && message.params._meta.progressToken;
+            if (token !== undefined) {
+                send({ method: 'notifications/progress', params: { progressToken: token, progress: 1, total: 2 } });
+            }
+            if (message.params.name === 'announce') {
+                send({ method: 'notifications/tools/list_changed' });
+            }
+            const delay = message.params.arguments.delay || 0;
+            setTimeout(() => send({ id: message.id, result: { content: [{ type: 'text', text: message.params.arguments.text }], initializations } }), delay);
+        } else if (message.id !== undefined) {
+            send({ id: message.id, result: {} });
+        }
+    });
+`;
+
+// Function to make an HTTP request and collect the whole body
+function request(port, { method = 'POST', path = '/mcp', headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path, headers: { 'Content-Type': 'application/json', ...headers } }, res => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text, json: () => JSON.parse(text) }));
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+}
+
+// Function to open an event stream; events are collected as they arrive
+function openStream(port, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ host: '127.0.0.1', port, path, headers: { Accept: 'text/event-stream', ...headers } }, res => {
+            const events = [];
+            let buffer = '';
+            res.on('data', chunk => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const event = (block.match(/^event: (.*)$/m) || [])[1];
+                    const data = (block.match(/^data: (.*)$/m) || [])[1];
+                    if (data !== undefined) events.push({ event, data });
+                }
+            });
+            resolve({ events, close: () => req.destroy() });
+        });
+        req.on('error', reject);
+    });
+}
+
+// Function to parse the messages of an event-stream body
+function parseEvents(text) {
+    return text.split('\n').filter(line => line.startsWith('data: ')).map(line => JSON.parse(line.slice(6)));
+}
+
+function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (check()) return resolve();
+            if (Date.now() > deadline) return reject(new Error('Timed out waiting for the gateway'));
+            setTimeout(poll, 20);
+        };
+        poll();
+    });
+}
+
+const call = (id, text, extra = {}) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'echo', arguments: { text }, ...extra } });
+const initialize = { jsonrpc: '2.0', id: 0, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } } };
+
+// Tests for sharing one stdio server between HTTP clients
+async function runTests() {
+    console.log('Testing the MCP stdio-to-HTTP gateway...\n');
+    let exitedWith = null;
+    const gateway = createGateway({
+        name: 'fake',
+        command: process.execPath,
+        args: ['-e', FAKE_SERVER],
+        port: 0,
+        onExit: (code, signal) => { exitedWith = { code, signal }; }
+    });
+    const streams = [];
+
+    try {
+        const port = await gateway.listen();
+
+        // Every client gets its own session, but the server is initialized once
+        const first = await request(port, { body: initialize, headers: { Accept: 'application/json' } });
+        const second = await request(port, { body: initialize, headers: { Accept: 'application/json' } });
+        const firstSession = first.headers['mcp-session-id'];
+        const secondSession = second.headers['mcp-session-id'];
+        assert.strictEqual(first.status, 200);
+        assert.ok(firstSession && secondSession && firstSession !== secondSession);
+        assert.strictEqual(first.json().id, 0);
+        assert.strictEqual(first.json().result.serverInfo.name, 'fake');
+        const initialized = await request(port, { body: { jsonrpc: '2.0', method: 'notifications/initialized' }, headers: { 'Mcp-Session-Id': firstSession } });
+        assert.strictEqual(initialized.status, 202);
+        console.log('✅ Clients get their own sessions from a single initialization');
+
+        // The same request id from two clients reaches the right client, even
+        // when the answers come back in the other order
+        const [slow, fast] = await Promise.all([
+            request(port, { body: call(1, 'first', { arguments: { text: 'first', delay: 200 } }), headers: { 'Mcp-Session-Id': firstSession, Accept: 'application/json' } }),
+            request(port, { body: call(1, 'second'), headers: { 'Mcp-Session-Id': secondSession, Accept: 'application/json' } })
+        ]);
+        assert.strictEqual(slow.json().id, 1);
+        assert.strictEqual(slow.json().result.content[0].text, 'first');
+        assert.strictEqual(fast.json().id, 1);
+        assert.strictEqual(fast.json().result.content[0].text, 'second');
+        assert.strictEqual(fast.json().result.initializations, 1);
+        console.log('✅ Request ids are kept apart between clients');
+
+        // An event-stream answer carries progress with the client's own token
+        const streamed = await request(port, {
+            body: call('abc', 'progress', { _meta: { progressToken: 7 } }),
+            headers: { 'Mcp-Session-Id': firstSession, Accept: 'application/json, text/event-stream' }
+        });
+        assert.match(streamed.headers['content-type'], /text\/event-stream/);
+        const [progress, result] = parseEvents(streamed.text);
+        assert.strictEqual(progress.method, 'notifications/progress');
+        assert.strictEqual(progress.params.progressToken, 7);
+        assert.strictEqual(result.id, 'abc');
+        assert.strictEqual(result.result.content[0].text, 'progress');
+        console.log('✅ Streamed answers carry progress notifications');
+
+        // HTTP+SSE clients announce themselves with GET /sse and post to the endpoint they get
+        const legacy = await openStream(port, '/sse');
+        streams.push(legacy);
+        await waitFor(() => legacy.events.length > 0);
+        assert.strictEqual(legacy.events[0].event, 'endpoint');
+        const endpoint = legacy.events[0].data;
+        assert.match(endpoint, /^\/messages\?sessionId=/);
+        assert.strictEqual((await request(port, { path: endpoint, body: initialize })).status, 202);
+        assert.strictEqual((await request(port, { path: endpoint, body: call(1, 'legacy') })).status, 202);
+        await waitFor(() => legacy.events.length === 3);
+        assert.strictEqual(JSON.parse(legacy.events[1].data).result.serverInfo.name, 'fake');
+        assert.strictEqual(JSON.parse(legacy.events[2].data).result.content[0].text, 'legacy');
+        console.log('✅ HTTP+SSE clients are served on the same port');
+
+        // Server notifications reach every client's stream
+        const standalone = await openStream(port, '/mcp', { 'Mcp-Session-Id': secondSession });
+        streams.push(standalone);
+        await request(port, { body: call(2, 'x', { name: 'announce' }), headers: { 'Mcp-Session-Id': firstSession, Accept: 'application/json' } });
+        await waitFor(() => standalone.events.length === 1 && legacy.events.length === 4);
+        assert.strictEqual(JSON.parse(standalone.events[0].data).method, 'notifications/tools/list_changed');
+        assert.strictEqual(JSON.parse(legacy.events[3].data).method, 'notifications/tools/list_changed');
+        console.log('✅ Server notifications are sent to every client');
+
+        // Sessions are required, can be ended, and only local names are accepted
+        assert.strictEqual((await request(port, { body: call(3, 'x') })).status, 400);
+        assert.strictEqual((await request(port, { method: 'DELETE', headers: { 'Mcp-Session-Id': firstSession } })).status, 200);
+        assert.strictEqual((await request(port, { body: call(3, 'x'), headers: { 'Mcp-Session-Id': firstSession } })).status, 404);
+        assert.strictEqual((await request(port, { body: initialize, headers: { Host: 'attacker.example:80' } })).status, 403);
+        assert.strictEqual((await request(port, { body: initialize, headers: { Origin: 'http://attacker.example' } })).status, 403);
+        assert.ok(isLocalAddress('[::1]:3100') && isLocalAddress('http://localhost:3000') && !isLocalAddress('10.0.0.1'));
+        const health = (await request(port, { method: 'GET', path: '/health' })).json();
+        assert.deepStrictEqual(health.sessions, { 'streamable-http': 1, sse: 1 });
+        console.log('✅ Sessions are checked and only local clients may connect');
+
+        // When the server dies the gateway goes with it, so the supervisor restarts both
+        gateway.child.kill('SIGKILL');
+        await gateway.exited;
+        assert.deepStrictEqual(exitedWith, { code: null, signal: 'SIGKILL' });
+        await assert.rejects(request(port, { body: initialize }), /ECONNREFUSED|ECONNRESET|socket hang up/);
+        console.log('✅ The gateway stops when its server exits');
+
+        // With an idle timeout the server starts on the first request and stops
+        // once idle, while the gateway and its sessions stay up. Like npx, this
+        // server keeps running when its stdin closes, so it has to be signalled
+        const states = [];
+        const lazy = createGateway({
+            name: 'lazy',
+            command: process.execPath,
+            args: ['-e', `${FAKE_SERVER}; setInterval(() => {}, 1000);`],
+            port: 0,
+            idleTimeoutMs: 500,
+            onStateChange: details => states.push(details.state)
+        });
+        try {
+            const lazyPort = await lazy.listen();
+            assert.strictEqual(lazy.child, null);
+            assert.strictEqual((await request(lazyPort, { method: 'GET', path: '/health' })).json().state, 'cold');
+            // A cold gateway answers initialize itself and stays stopped
+            const coldInit = await request(lazyPort, { body: initialize, headers: { Accept: 'application/json' } });
+            assert.strictEqual(coldInit.json().result.protocolVersion, '2025-03-26');
+            assert.deepStrictEqual(coldInit.json().result.capabilities, { tools: {} });
+            assert.strictEqual(lazy.child, null);
+            assert.strictEqual(lazy.state.state, 'cold');
+            assert.deepStrictEqual(states, []);
+
+            // Listing tools with nothing cached starts it; a tool call keeps it busy
+            const session = coldInit.headers['mcp-session-id'];
+            const headers = { 'Mcp-Session-Id': session, Accept: 'application/json' };
+            const listTools = { jsonrpc: '2.0', id: 5, method: 'tools/list' };
+            assert.deepStrictEqual((await request(lazyPort, { body: listTools, headers })).json().result, {});
+            const firstPid = lazy.child.pid;
+            await request(lazyPort, { body: call(1, 'warm', { arguments: { text: 'warm', delay: 100 } }), headers });
+            assert.deepStrictEqual(states, ['warming', 'idle', 'warm', 'idle', 'warm', 'idle']);
+            await waitFor(() => lazy.state.state === 'cold');
+            assert.throws(() => process.kill(firstPid, 0), /ESRCH/);
+
+            // Once stopped, initialize and the tool list come from the last run
+            const reinit = (await request(lazyPort, { body: initialize, headers: { Accept: 'application/json' } })).json();
+            assert.strictEqual(reinit.result.serverInfo.name, 'fake');
+            assert.deepStrictEqual((await request(lazyPort, { body: listTools, headers })).json().result, {});
+            assert.strictEqual(lazy.child, null);
+            assert.strictEqual(lazy.state.starts, 1);
+
+            const again = (await request(lazyPort, { body: call(2, 'again'), headers })).json();
+            assert.strictEqual(again.result.content[0].text, 'again');
+            assert.notStrictEqual(lazy.child.pid, firstPid);
+            assert.strictEqual(lazy.state.starts, 2);
+            assert.deepStrictEqual(states.slice(6), ['cold', 'warming', 'idle', 'warm', 'idle']);
+        } finally {
+            await lazy.close();
+        }
+        console.log('✅ Servers with an idle timeout start on demand and stop when idle');
+
+        // Tool calls beyond the limit wait their turn, and slow calls are cut off
+        const events = [];
+        const limited = createGateway({
+            name: 'limited',
+            command: process.execPath,
+            args: ['-e', FAKE_SERVER],
+            port: 0,
+            maxConcurrentCalls: 1,
+            callTimeoutMs: 400,
+            onEvent: event => events.push(event)
+        });
+        try {
+            const limitedPort = await limited.listen();
+            const session = (await request(limitedPort, { body: initialize, headers: { Accept: 'application/json' } })).headers['mcp-session-id'];
+            const headers = { 'Mcp-Session-Id': session, Accept: 'application/json' };
+            const started = Date.now();
+            const [one, two] = await Promise.all([
+                request(limitedPort, { body: call(1, 'one', { arguments: { text: 'one', delay: 150 } }), headers }),
+                request(limitedPort, { body: call(2, 'two', { arguments: { text: 'two', delay: 150 } }), headers })
+            ]);
+            assert.deepStrictEqual([one.json().result.content[0].text, two.json().result.content[0].text], ['one', 'two']);
+            assert.ok(Date.now() - started >= 300, 'the second call waited for the first');
+            assert.deepStrictEqual(events.map(event => [event.limit, event.action]), [['concurrency', 'queued']]);
+
+            const slow = (await request(limitedPort, { body: call(3, 'slow', { arguments: { text: 'slow', delay: 2000 } }), headers })).json();
+            assert.strictEqual(slow.error.code, -32001);
+            assert.deepStrictEqual(events.map(event => event.limit), ['concurrency', 'timeout']);
+            assert.strictEqual(events[1].tool, 'echo');
+            assert.match(events[1].message, /did not finish within 0.4s/);
+            const after = (await request(limitedPort, { body: call(4, 'after'), headers })).json();
+            assert.strictEqual(after.result.content[0].text, 'after');
+
+            // A call that times out while queued leaves nothing behind
+            const [running, queued] = await Promise.all([
+                request(limitedPort, { body: call(5, 'running', { arguments: { text: 'running', delay: 2000 } }), headers }),
+                request(limitedPort, { body: call(6, 'queued'), headers })
+            ]);
+            assert.deepStrictEqual([running.json().error.code, queued.json().error.code], [-32001, -32001]);
+            const health = (await request(limitedPort, { method: 'GET', path: '/health' })).json();
+            assert.deepStrictEqual(health.toolCalls, { running: 0, queued: 0, open: 0 });
+            assert.strictEqual(health.pendingRequests, 0);
+        } finally {
+            await limited.close();
+        }
+        console.log('✅ Tool calls are held to the concurrency and time limits');
+
+        console.log('\n✅ All gateway tests passed');
+    } finally {
+        streams.forEach(stream => stream.close());
+        await gateway.close();
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});
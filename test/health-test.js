@@ -0,0 +1,72 @@
+const assert = require('assert');
+const { checkServer, formatHealthReport } = require('../scripts/lib/health');
+
+// A stdio MCP server with one "echo" tool that fails when asked to
+const FAKE_SERVER = `
+    const readline = require('readline');
+    const send = message => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\\n');
+    readline.createInterface({ input: process.stdin }).on('line', line => {
+        const message = JSON.parse(line);
+        if (message.method === 'initialize') {
+            send({ id: message.id, result: { protocolVersion: '2024-10-07', capabilities: { tools: {} }, serverInfo: { name: 'fake', version: '2.0.0' } } });
+        } else if (message.method === 'tools/list') {
+            send({ id: message.id, result: { tools: [{ name: 'echo', inputSchema: { type: 'object' } }] } });
+        } else if (message.method === 'tools/call') {
+            const text = message.params.arguments.text;
+            send({ id: message.id, result: { content: [{ type: 'text', text }], isError: text === 'fail' } });
+        }
+    });
+`;
+
+// Function to describe a fake server the way the registry would
+function fakeServer(canary, requiredEnv = []) {
+    return {
+        name: 'fake',
+        package: 'fake-mcp-server',
+        command: process.execPath,
+        args: ['-e', FAKE_SERVER],
+        workspaceArgs: false,
+        env: {},
+        requiredEnv,
+        canary
+    };
+}
+
+// Tests for handshakes, canary calls and servers that cannot be spawned
+async function runTests() {
+    console.log('Testing the MCP health checks...\n');
+    const options = { spawn: true, timeoutMs: 5000 };
+
+    const healthy = await checkServer(fakeServer({ tool: 'echo', arguments: { text: 'hi' } }), { lock: null }, options);
+    assert.strictEqual(healthy.ok, true, healthy.error);
+    assert.strictEqual(healthy.transport, 'stdio');
+    assert.strictEqual(healthy.protocolVersion, '2024-10-07');
+    assert.deepStrictEqual(healthy.serverInfo, { name: 'fake', version: '2.0.0' });
+    assert.strictEqual(healthy.toolCount, 1);
+    assert.ok(healthy.handshakeMs >= 0);
+    assert.strictEqual(healthy.canary.ok, true);
+    console.log('✅ A working server reports its protocol, tools and canary');
+
+    // A failing or missing canary tool leaves the handshake result intact
+    const failing = await checkServer(fakeServer({ tool: 'echo', arguments: { text: 'fail' } }), { lock: null }, options);
+    assert.strictEqual(failing.ok, false);
+    assert.strictEqual(failing.canary.error, 'fail');
+    const missing = await checkServer(fakeServer({ tool: 'nope', arguments: {} }), { lock: null }, options);
+    assert.match(missing.canary.error, /does not offer "nope"/);
+    assert.match(formatHealthReport(missing)[1], /canary nope: failed/);
+    console.log('✅ Canary failures are reported next to a good handshake');
+
+    // A server that would miss a required variable is not spawned
+    const requirement = { name: 'HEALTH_TEST_TOKEN_THAT_IS_NOT_SET' };
+    const unstarted = await checkServer(fakeServer(null, [requirement]), { lock: null }, options);
+    assert.strictEqual(unstarted.error, 'requires HEALTH_TEST_TOKEN_THAT_IS_NOT_SET');
+    assert.strictEqual(unstarted.handshakeMs, null);
+    console.log('✅ Servers missing a required variable are reported, not spawned');
+
+    console.log('\n✅ All health check tests passed');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});
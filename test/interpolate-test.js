@@ -0,0 +1,71 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { interpolate, findEntryReferences, wrapWithLauncher, unwrapLauncher, LAUNCHER_PATH } = require('../scripts/lib/interpolate');
+const { createResolver } = require('../scripts/lib/launch-env');
+const { setSecret } = require('../scripts/lib/secrets');
+
+// Tests for ${env:...} / ${secret:...} references and the launcher that resolves them
+function runTests() {
+    console.log('Testing launch-time interpolation...\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'interpolate-test-'));
+    const envFile = path.join(tmpDir, '.env');
+    const secretsPath = path.join(tmpDir, 'secrets.json');
+
+    try {
+        // Lookup order: environment, then .env files; aliases are honoured
+        fs.writeFileSync(envFile, 'FROM_FILE="file value"\nSHARED=file\n');
+        setSecret('api', 'secret value', secretsPath);
+        const lookup = createResolver({
+            env: { SHARED: 'env', GITHUB_TOKEN: 'tok', UNRESOLVED: '${env:UNRESOLVED}' },
+            envFiles: [envFile],
+            secretsPath
+        });
+        assert.strictEqual(lookup('env', 'SHARED'), 'env');
+        assert.strictEqual(lookup('env', 'FROM_FILE'), 'file value');
+        assert.strictEqual(lookup('env', 'GITHUB_PERSONAL_ACCESS_TOKEN'), 'tok');
+        assert.strictEqual(lookup('env', 'UNRESOLVED'), undefined);
+        assert.strictEqual(lookup('secret', 'api'), 'secret value');
+        assert.strictEqual(fs.statSync(secretsPath).mode & 0o777, 0o600);
+        console.log('✅ References resolve from env, .env and the secret store');
+
+        const missing = [];
+        assert.strictEqual(interpolate('Bearer ${secret:api}', lookup, missing), 'Bearer secret value');
+        assert.strictEqual(interpolate('${env:NOPE}', lookup, missing), '');
+        assert.deepStrictEqual(missing, ['${env:NOPE}']);
+        console.log('✅ Interpolation reports unresolved references');
+
+        // Wrapping is idempotent and reversible
+        const entry = { command: 'npx', args: ['-y', 'pkg', '${env:ARG}'], env: { KEY: '${secret:api}' } };
+        wrapWithLauncher(entry);
+        wrapWithLauncher(entry);
+        assert.deepStrictEqual(entry.args, [LAUNCHER_PATH, 'npx', '-y', 'pkg', '${env:ARG}']);
+        assert.deepStrictEqual(unwrapLauncher(entry), { command: 'npx', args: ['-y', 'pkg', '${env:ARG}'] });
+        assert.deepStrictEqual(findEntryReferences(entry).map(ref => ref.where), ['env KEY', 'argument 4']);
+        console.log('✅ Launcher wrapping');
+
+        // The launcher passes resolved values to the child and never prints them
+        const childEnv = { ...process.env, HOME: tmpDir, MCP_SECRETS_FILE: secretsPath, VALUE: '${secret:api}' };
+        const output = execFileSync('node', [LAUNCHER_PATH, 'node', '-e', 'process.stdout.write(process.env.VALUE)'], { env: childEnv });
+        assert.strictEqual(output.toString(), 'secret value');
+
+        const failed = spawnSync('node', [LAUNCHER_PATH, 'node', '-e', ''], { env: { ...childEnv, VALUE: '${secret:none} ${secret:api}' } });
+        assert.strictEqual(failed.status, 1);
+        assert.ok(failed.stderr.toString().includes('${secret:none}'));
+        assert.ok(!failed.stderr.toString().includes('secret value'));
+        console.log('✅ Launcher resolves values without logging them');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log('\n✅ All interpolation tests passed');
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error('❌ Interpolation test failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getServer } = require('../scripts/lib/mcp-registry');
+const { resolveLaunch, verifyLockfile } = require('../scripts/lib/lockfile');
+
+const filesystem = getServer('filesystem');
+const LOCKED = {
+    package: filesystem.package,
+    version: '0.6.2',
+    integrity: 'sha512-test',
+    resolved: null,
+    bin: 'mcp-server-filesystem'
+};
+const LOCK = { lockfileVersion: 1, servers: { filesystem: LOCKED } };
+
+// Function to install a fake copy of a package, with its binary, under `root`
+function install(root, version) {
+    const packageDir = path.join(root, 'node_modules', ...LOCKED.package.split('/'));
+    fs.mkdirSync(packageDir, { recursive: true });
+    fs.writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify({ name: LOCKED.package, version }));
+    const binDir = path.join(root, 'node_modules', '.bin');
+    fs.mkdirSync(binDir, { recursive: true });
+    const binPath = path.join(binDir, process.platform === 'win32' ? `${LOCKED.bin}.cmd` : LOCKED.bin);
+    fs.writeFileSync(binPath, '');
+    return binPath;
+}
+
+// Tests for choosing how a locked server is launched
+function runTests() {
+    console.log('Testing the server lockfile...\n');
+    delete process.env.MCP_OFFLINE;
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-lockfile-test-'));
+    const extraArgs = ['/work'];
+    const server = { ...filesystem, args: [...filesystem.args, ...extraArgs] };
+
+    try {
+        // Not installed: the pinned version is fetched with npx
+        assert.deepStrictEqual(resolveLaunch(server, { lock: LOCK }, root), {
+            command: 'npx',
+            args: ['-y', `${LOCKED.package}@0.6.2`, '/work'],
+            source: 'npx-pinned'
+        });
+        console.log('✅ A locked server that is not installed runs the pinned version through npx');
+
+        // Installed at the locked version: the local binary runs, without npx
+        const binPath = install(root, '0.6.2');
+        assert.deepStrictEqual(resolveLaunch(server, { lock: LOCK }, root), { command: binPath, args: extraArgs, source: 'local' });
+        assert.deepStrictEqual(resolveLaunch(server, { lock: LOCK, offline: true }, root).source, 'local');
+        console.log('✅ A locked server installed at the pinned version runs from node_modules/.bin, also offline');
+
+        // Installed at another version: back to the pinned npx package
+        install(root, '0.7.0');
+        assert.strictEqual(resolveLaunch(server, { lock: LOCK }, root).source, 'npx-pinned');
+        assert.deepStrictEqual(verifyLockfile(LOCK, { packages: { [`node_modules/${LOCKED.package}`]: { version: '0.6.2', integrity: 'sha512-test' } } }, root),
+            [{ server: 'filesystem', message: `node_modules has ${LOCKED.package}@0.7.0, lock pins 0.6.2` }]);
+        console.log('✅ A different installed version is not used, and is reported');
+
+        // Not locked: the registry command floats on the latest version
+        assert.deepStrictEqual(resolveLaunch(server, { lock: null }, root), { command: 'npx', args: server.args, source: 'npx' });
+        assert.deepStrictEqual(resolveLaunch(server, { lock: { lockfileVersion: 1, servers: {} } }, root).source, 'npx');
+        console.log('✅ A server without a lock entry runs the registry command');
+
+        // Offline, anything that would need npx is refused
+        assert.throws(() => resolveLaunch(server, { lock: LOCK, offline: true }, root),
+            /filesystem is not installed locally \(@modelcontextprotocol\/server-filesystem@0\.6\.2\) and offline mode forbids fetching it/);
+        assert.throws(() => resolveLaunch(server, { lock: null, offline: true }, root),
+            /filesystem is not installed locally \(@modelcontextprotocol\/server-filesystem\) and offline mode/);
+        process.env.MCP_OFFLINE = '1';
+        assert.throws(() => resolveLaunch(server, { lock: null }, root), /offline mode forbids fetching it/);
+        delete process.env.MCP_OFFLINE;
+        console.log('✅ Offline mode throws instead of falling back to npx');
+
+        console.log('\n✅ All lockfile tests passed');
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error('❌ Lockfile test failed:', error.message);
+    process.exit(1);
+}
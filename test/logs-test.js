@@ -0,0 +1,111 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const {
+    createLogWriter,
+    rotateLog,
+    listArchives,
+    needsRotation,
+    splitLines,
+    formatEventLine,
+    parseEventLine,
+    parseSince,
+    readLogEntries
+} = require('../scripts/lib/logs');
+
+function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (check()) return resolve();
+            if (Date.now() > deadline) return reject(new Error('Timed out waiting for the log'));
+            setTimeout(poll, 20);
+        };
+        poll();
+    });
+}
+
+async function collect(logPath, filter) {
+    const entries = [];
+    for await (const entry of readLogEntries(logPath, filter)) {
+        entries.push(entry);
+    }
+    return entries;
+}
+
+// Tests for rotation, retention, filtering and line splitting
+async function runTests() {
+    console.log('Testing server logs...\n');
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-test-'));
+    const policy = { maxBytes: 200, maxAgeMs: 60 * 60 * 1000, keep: 2, retentionMs: 24 * 60 * 60 * 1000 };
+
+    try {
+        // A writer past its size limit moves the file aside and compresses it
+        const writer = createLogWriter(logDir, 'demo', { policy });
+        for (let i = 0; i < 6; i++) {
+            writer.write({ pid: 42, stream: i % 2 ? 'stderr' : 'stdout', message: `line ${i} ${'x'.repeat(60)}` });
+        }
+        writer.close();
+        await waitFor(() => listArchives(writer.path).length > 0 && listArchives(writer.path).every(file => file.endsWith('.gz')));
+        const entries = await collect(writer.path);
+        assert.deepStrictEqual(entries.map(entry => entry.message.split(' ')[1]), ['0', '1', '2', '3', '4', '5']);
+        assert.deepStrictEqual(Object.keys(entries[0]), ['timestamp', 'server', 'pid', 'stream', 'message']);
+        assert.ok(listArchives(writer.path).length >= 2);
+        console.log('✅ Logs are rotated by size and read back across archives');
+
+        // Only the newest archives are kept
+        for (let i = 1; i <= 3; i++) {
+            fs.appendFileSync(writer.path, JSON.stringify({ timestamp: new Date().toISOString(), message: `extra ${i}` }) + '\n');
+            await rotateLog(writer.path, policy, Date.now() + i * 1000);
+        }
+        assert.strictEqual(listArchives(writer.path).length, 2);
+        console.log('✅ Old archives are pruned');
+
+        // Age is taken from the first entry, so a quiet log is rotated once it is old
+        const old = path.join(logDir, 'old.jsonl');
+        fs.writeFileSync(old, JSON.stringify({ timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(), message: 'hi' }) + '\n');
+        assert.strictEqual(needsRotation(old, policy), true);
+        assert.strictEqual(needsRotation(path.join(logDir, 'none.jsonl'), policy), false);
+        console.log('✅ Logs are rotated by age');
+
+        // --since, --grep and --stream narrow the entries down
+        const filtered = path.join(logDir, 'filtered.jsonl');
+        fs.writeFileSync(filtered, [
+            { timestamp: '2026-01-01T10:00:00.000Z', stream: 'stderr', message: 'Error: early' },
+            { timestamp: '2026-01-01T12:00:00.000Z', stream: 'stdout', message: 'all good' },
+            { timestamp: '2026-01-01T12:30:00.000Z', stream: 'stderr', message: 'error: late' }
+        ].map(entry => JSON.stringify(entry)).join('\n') + '\nplain text line\n');
+        const since = parseSince('1h', Date.parse('2026-01-01T12:45:00.000Z'));
+        assert.deepStrictEqual((await collect(filtered, { since, grep: 'error' })).map(entry => entry.message), ['error: late']);
+        assert.deepStrictEqual((await collect(filtered, { stream: 'stdout' })).map(entry => entry.message), ['all good']);
+        assert.strictEqual((await collect(filtered, { grep: 'plain' }))[0].timestamp, null);
+        assert.strictEqual(parseSince('2026-01-01T00:00:00Z'), Date.parse('2026-01-01T00:00:00Z'));
+        assert.throws(() => parseSince('yesterday'), /Invalid --since/);
+        console.log('✅ Entries are filtered by time, pattern and stream');
+
+        // Output is split into lines, and a runaway line is cut into pieces
+        const lines = [];
+        const output = new PassThrough();
+        splitLines(output, line => lines.push(line));
+        output.write('first\r\nsec');
+        output.write('ond\n' + 'y'.repeat(20000));
+        output.end('\nlast');
+        await new Promise(resolve => output.on('end', resolve));
+        assert.deepStrictEqual(lines.map(line => line.length), [5, 6, 16384, 3616, 4]);
+        const line = formatEventLine({ message: 'too slow', type: 'limit', limit: 'timeout' });
+        assert.deepStrictEqual(parseEventLine(line), { message: 'too slow', event: { type: 'limit', limit: 'timeout' } });
+        assert.strictEqual(parseEventLine('@mcp-event not json'), null);
+        console.log('✅ Output is split into lines and events are recognized');
+
+        console.log('\n✅ All log tests passed');
+    } finally {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,123 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Backups are kept under ~/.cursor/mcp-backups, so the test gets a home of its own
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-config-home-'));
+process.env.HOME = home;
+const {
+    mergeMcpServers,
+    applyManagedServers,
+    listBackups,
+    restoreBackup,
+    readConfig,
+    readConfigWithInfo
+} = require('../scripts/lib/mcp-config');
+const { unifiedDiff } = require('../scripts/lib/diff');
+
+// Tests for the non-destructive mcp.json merge, backups and rollback
+function runTests() {
+    console.log('Testing MCP config merge...\n');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-config-test-'));
+    const configPath = path.join(tmpDir, 'mcp.json');
+
+    try {
+        // User-owned servers survive, managed ones are updated, user env keys are kept
+        const existing = {
+            custom: { command: 'my-server', args: [] },
+            github: { command: 'old', args: [], env: { LOG_LEVEL: 'debug' } }
+        };
+        const managed = {
+            github: { command: 'npx', args: ['-y', 'server-github'], type: 'stdio' },
+            filesystem: { command: 'npx', args: ['-y', 'server-filesystem', '/work'], type: 'stdio' }
+        };
+        const { mcpServers, summary } = mergeMcpServers(existing, managed);
+        assert.deepStrictEqual(mcpServers.custom, existing.custom);
+        assert.strictEqual(mcpServers.github.command, 'npx');
+        assert.strictEqual(mcpServers.github.env.LOG_LEVEL, 'debug');
+        assert.deepStrictEqual(summary.added, ['filesystem']);
+        assert.deepStrictEqual(summary.updated, ['github']);
+        assert.deepStrictEqual(summary.preserved, ['custom']);
+        console.log('✅ Merge keeps user-owned entries');
+
+        // Plaintext tokens in a managed entry are dropped, under any alias; references stay
+        const plaintext = {
+            github: {
+                command: 'npx',
+                args: [],
+                env: { GITHUB_TOKEN: 'ghp_plaintext', GITHUB_PERSONAL_ACCESS_TOKEN: 'ghp_plaintext', LOG_LEVEL: 'debug' }
+            },
+            custom: { command: 'my-server', env: { GITHUB_TOKEN: 'ghp_user_owned' } }
+        };
+        const referenced = { github: { command: 'node', args: [], env: { GITHUB_PERSONAL_ACCESS_TOKEN: '${env:GITHUB_PERSONAL_ACCESS_TOKEN}' } } };
+        const scrubbed = mergeMcpServers(plaintext, referenced).mcpServers;
+        assert.deepStrictEqual(scrubbed.github.env, { LOG_LEVEL: 'debug', GITHUB_PERSONAL_ACCESS_TOKEN: '${env:GITHUB_PERSONAL_ACCESS_TOKEN}' });
+        assert.ok(!JSON.stringify(scrubbed.github).includes('ghp_'));
+        assert.strictEqual(scrubbed.custom.env.GITHUB_TOKEN, 'ghp_user_owned');
+        const kept = mergeMcpServers({ github: { command: 'npx', env: { GITHUB_TOKEN: '${secret:github}' } } }, referenced).mcpServers;
+        assert.strictEqual(kept.github.env.GITHUB_TOKEN, '${secret:github}');
+        console.log('✅ Merge drops plaintext tokens from managed entries');
+
+        // Dry run reports a diff without touching the file
+        fs.writeFileSync(configPath, JSON.stringify({ mcpServers: existing }, null, 2));
+        const before = fs.readFileSync(configPath, 'utf8');
+        const dryRun = applyManagedServers(configPath, managed, { dryRun: true });
+        assert.ok(dryRun.changed);
+        assert.ok(dryRun.diff.includes('+      "command": "npx"'));
+        assert.strictEqual(fs.readFileSync(configPath, 'utf8'), before);
+        assert.strictEqual(listBackups(configPath).length, 0);
+        console.log('✅ Dry run leaves the config untouched');
+
+        // A real write backs up first, and the backup can be restored
+        const written = applyManagedServers(configPath, managed);
+        assert.ok(written.backupPath);
+        assert.strictEqual(listBackups(configPath).length, 1);
+        assert.strictEqual(readConfig(configPath).mcpServers.filesystem.args[2], '/work');
+
+        const again = applyManagedServers(configPath, managed);
+        assert.strictEqual(again.changed, false);
+        assert.strictEqual(listBackups(configPath).length, 1);
+
+        restoreBackup(configPath, written.backupPath);
+        assert.strictEqual(fs.readFileSync(configPath, 'utf8'), before);
+        assert.strictEqual(listBackups(configPath).length, 2);
+        console.log('✅ Backups are taken and rollback restores them');
+
+        // Diff output uses unified hunk headers
+        const diff = unifiedDiff('a\nb\nc\n', 'a\nB\nc\n', { fromFile: 'old', toFile: 'new' });
+        assert.strictEqual(diff, '--- old\n+++ new\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+        assert.strictEqual(unifiedDiff('same\n', 'same\n'), '');
+        console.log('✅ Unified diff output');
+
+        // Legacy "servers" arrays are migrated to the current schema on read
+        const legacyPath = path.join(tmpDir, 'legacy.json');
+        fs.writeFileSync(legacyPath, JSON.stringify({
+            servers: [
+                { name: 'custom', command: 'node', args: ['server.js'] },
+                { command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'] }
+            ]
+        }));
+        const legacy = readConfigWithInfo(legacyPath);
+        assert.strictEqual(legacy.fromVersion, 0);
+        assert.strictEqual(legacy.migrated, true);
+        assert.strictEqual(legacy.config.schemaVersion, 1);
+        assert.deepStrictEqual(Object.keys(legacy.config.mcpServers), ['custom', 'github']);
+        assert.strictEqual(legacy.config.servers, undefined);
+        fs.writeFileSync(legacyPath, JSON.stringify({ schemaVersion: 99, mcpServers: {} }));
+        assert.throws(() => readConfig(legacyPath), /schema version 99/);
+        console.log('✅ Legacy configs are migrated');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+
+    console.log('\n✅ All MCP config tests passed');
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error('❌ MCP config test failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { getServer, getLaunchCommand, getMissingEnv } = require('../scripts/lib/mcp-registry');
+const { MOCK_SCRIPT, MOCKED_SERVERS, loadMock, createMockServer } = require('../scripts/lib/mocks');
+
+// Function to send requests to a stand-in and collect its answers by id
+function connect(name) {
+    const answers = new Map();
+    const server = createMockServer(loadMock(name), message => answers.set(message.id, message));
+    let nextId = 1;
+    return async (method, params) => {
+        const id = nextId++;
+        server.handleMessage({ jsonrpc: '2.0', id, method, params });
+        await new Promise(resolve => setImmediate(resolve));
+        return answers.get(id);
+    };
+}
+
+// Function to call a tool and parse its JSON text
+async function callJson(request, name, args) {
+    const answer = await request('tools/call', { name, arguments: args });
+    assert.ok(answer.result, answer.error && answer.error.message);
+    return JSON.parse(answer.result.content[0].text);
+}
+
+// Tests for the offline stand-ins and how mock mode launches them
+async function runTests() {
+    console.log('Testing the offline stand-in servers...\n');
+
+    const github = getServer('github');
+    assert.deepStrictEqual(getLaunchCommand(github, { mock: true }), { command: process.execPath, args: [MOCK_SCRIPT, 'github'] });
+    assert.deepStrictEqual(getMissingEnv(github, {}, { mock: true }), []);
+    assert.notStrictEqual(getLaunchCommand(getServer('filesystem'), { mock: true, roots: ['/tmp'] }).args[0], MOCK_SCRIPT);
+    console.log('✅ Mock mode launches stand-ins that need no token, and leaves other servers alone');
+
+    for (const name of MOCKED_SERVERS) {
+        const mock = loadMock(name);
+        const unhandled = mock.tools.filter(tool => !mock.handlers[tool.name]).map(tool => tool.name);
+        assert.deepStrictEqual(unhandled, [], `${name} stand-in has no handler for ${unhandled.join(', ')}`);
+        const server = getServer(name);
+        const request = connect(name);
+        const canary = await request('tools/call', { name: server.canary.tool, arguments: server.canary.arguments });
+        assert.ok(canary.result && !canary.result.isError, `${name} canary failed`);
+    }
+    console.log('✅ Every stand-in handles all of its tools and passes its canary');
+
+    const request = connect('github');
+    const init = await request('initialize', { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '1' } });
+    assert.strictEqual(init.result.protocolVersion, '2024-11-05');
+    assert.strictEqual(init.result.serverInfo.name, 'mock-github');
+    const invalid = await request('tools/call', { name: 'create_issue', arguments: { owner: 'cursor-automation-demo', repo: 'flappy-bird' } });
+    assert.strictEqual(invalid.error.code, -32602);
+    assert.match(invalid.error.message, /missing title/);
+    const issue = await callJson(request, 'create_issue', { owner: 'cursor-automation-demo', repo: 'flappy-bird', title: 'Add sound' });
+    assert.strictEqual(issue.number, 5);
+    const file = await callJson(request, 'get_file_contents', { owner: 'cursor-automation-demo', repo: 'flappy-bird', path: 'config.json' });
+    assert.strictEqual(JSON.parse(Buffer.from(file.content, 'base64').toString()).pipeGap, 225);
+    const missing = await request('tools/call', { name: 'get_file_contents', arguments: { owner: 'nobody', repo: 'nothing', path: 'x' } });
+    assert.match(missing.error.message, /Not Found/);
+    console.log('✅ The GitHub stand-in validates arguments, keeps new issues and serves fixture files');
+
+    const fetch = connect('fetch');
+    const page = await fetch('tools/call', { name: 'fetch', arguments: { url: 'https://example.com', max_length: 20 } });
+    assert.match(page.result.content[0].text, /start_index of 20/);
+    const unknown = await fetch('tools/call', { name: 'fetch', arguments: { url: 'https://example.org/none' } });
+    assert.strictEqual(unknown.result.isError, true);
+    console.log('✅ The fetch stand-in truncates fixture pages and fails on unknown URLs');
+
+    console.log('\n✅ All stand-in server tests passed');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});
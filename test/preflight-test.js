@@ -0,0 +1,65 @@
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Keep the supervisor and gateway state of the test away from the real one
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'preflight-test-'));
+const { runPreflight, isPortFree, formatSkipped } = require('../scripts/lib/preflight');
+
+// Function to hold a port until the returned server is closed
+function occupy() {
+    return new Promise(resolve => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+// Tests for skipping servers that cannot start
+async function runTests() {
+    console.log('Testing the preflight checks...\n');
+    const blocker = await occupy();
+    const busyPort = blocker.address().port;
+    const gatewayConfig = { enabled: true, host: '127.0.0.1', ports: { fetch: busyPort }, idleTimeouts: {} };
+    const env = { ...process.env, GITHUB_PERSONAL_ACCESS_TOKEN: 'test-token' };
+
+    try {
+        // A taken port holds back only the server that needs it
+        assert.strictEqual(await isPortFree(busyPort, '127.0.0.1'), false);
+        const result = await runPreflight(['fetch', 'github'], {}, { env, gatewayConfig });
+        assert.deepStrictEqual(result.ready, ['github']);
+        assert.strictEqual(result.skipped[0].name, 'fetch');
+        assert.deepStrictEqual(result.skipped[0].reasons.map(reason => reason.id), ['port']);
+        assert.match(formatSkipped(result.skipped)[0], new RegExp(`Skipping fetch: port ${busyPort} is already in use`));
+        console.log('✅ A server whose port is taken is skipped');
+
+        // Without the gateway no port is needed
+        const direct = await runPreflight(['fetch'], {}, { env, gatewayConfig: { ...gatewayConfig, enabled: false } });
+        assert.deepStrictEqual(direct.ready, ['fetch']);
+        console.log('✅ Ports are only checked when the gateway is enabled');
+
+        // Missing or unreadable roots hold back the filesystem server
+        const missing = path.join(process.env.HOME, 'gone');
+        const roots = await runPreflight(['filesystem'], { roots: [missing] }, { env, gatewayConfig: { ...gatewayConfig, enabled: false } });
+        assert.deepStrictEqual(roots.skipped.map(item => item.reasons[0].message), [`cannot read ${missing}`]);
+        const none = await runPreflight(['filesystem'], { roots: [] }, { env, gatewayConfig: { ...gatewayConfig, enabled: false } });
+        assert.strictEqual(none.skipped[0].reasons[0].message, 'no usable filesystem roots');
+        console.log('✅ The filesystem server needs readable roots');
+
+        // A Node version that is too old holds back every server
+        const old = await runPreflight(['fetch', 'github'], {}, { env, nodeVersion: '16.20.0', gatewayConfig: { ...gatewayConfig, enabled: false } });
+        assert.deepStrictEqual(old.ready, []);
+        assert.deepStrictEqual(old.skipped.map(item => item.reasons[0].id), ['node', 'node']);
+        console.log('✅ An old Node version skips every server');
+
+        console.log('\n✅ All preflight tests passed');
+    } finally {
+        blocker.close();
+        fs.rmSync(process.env.HOME, { recursive: true, force: true });
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});
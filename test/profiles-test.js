@@ -0,0 +1,88 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Profiles live in ~/.cursor, so the test gets a home of its own
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-profiles-test-'));
+process.env.HOME = home;
+
+const { getServerNames } = require('../scripts/lib/mcp-registry');
+const {
+    getProfilesPath,
+    resolveProfile,
+    getActiveProfile,
+    setActiveProfile,
+    diffProfiles,
+    formatProfileList
+} = require('../scripts/lib/profiles');
+
+// Tests for profile lookup, custom profiles and switching between them
+function runTests() {
+    console.log('Testing server profiles...\n');
+
+    try {
+        assert.deepStrictEqual(resolveProfile().servers, getServerNames());
+        assert.deepStrictEqual(resolveProfile('minimal').servers, ['filesystem', 'github']);
+        assert.strictEqual(resolveProfile('mock').mock, true);
+        assert.strictEqual(resolveProfile('web').mock, false);
+        assert.throws(() => resolveProfile('nope'), /Unknown profile "nope". Available: minimal, web, full, mock/);
+        console.log('✅ Built-in profiles resolve, with full as the default');
+
+        fs.mkdirSync(path.dirname(getProfilesPath()), { recursive: true });
+        fs.writeFileSync(getProfilesPath(), JSON.stringify({
+            profiles: {
+                research: { description: 'Docs and web research', servers: ['filesystem', 'webresearch'] },
+                minimal: ['filesystem']
+            }
+        }));
+        assert.deepStrictEqual(resolveProfile('research').servers, ['filesystem', 'webresearch']);
+        assert.deepStrictEqual(resolveProfile('minimal').servers, ['filesystem']);
+        assert.ok(formatProfileList().some(line => line.includes('research (custom): filesystem, webresearch')));
+        console.log('✅ Custom profiles extend and override the built-in ones');
+
+        // A bad custom profile fails only its own lookup, and is listed with the reason
+        fs.writeFileSync(getProfilesPath(), JSON.stringify({ profiles: { broken: ['filesystem', 'gitlab'], empty: [], research: ['fetch'] } }));
+        assert.throws(() => resolveProfile('broken'), /Profile "broken" references unknown server\(s\): gitlab\. Fix it in /);
+        assert.throws(() => resolveProfile('empty'), /Profile "empty" must list at least one server/);
+        assert.deepStrictEqual(resolveProfile('full').servers, getServerNames());
+        assert.deepStrictEqual(resolveProfile('research').servers, ['fetch']);
+        assert.ok(formatProfileList().includes('  empty (custom): invalid - Profile "empty" must list at least one server'));
+        fs.rmSync(getProfilesPath());
+        console.log('✅ Invalid custom profiles are rejected without breaking lookups of the valid ones');
+
+        // Switching from web to minimal starts, stops and keeps only what differs
+        assert.strictEqual(getActiveProfile(), null);
+        setActiveProfile(resolveProfile('web'));
+        const previous = getActiveProfile();
+        assert.deepStrictEqual(previous, { name: 'web', servers: ['filesystem', 'puppeteer', 'webresearch', 'fetch'], mock: false });
+        assert.deepStrictEqual(diffProfiles(previous.servers, resolveProfile('minimal').servers), {
+            start: ['github'],
+            stop: ['puppeteer', 'webresearch', 'fetch'],
+            keep: ['filesystem']
+        });
+        assert.deepStrictEqual(diffProfiles(['filesystem'], ['filesystem']), { start: [], stop: [], keep: ['filesystem'] });
+        console.log('✅ A profile switch only touches the servers that differ');
+
+        // The active profile is recorded next to custom profiles without disturbing them
+        const stored = JSON.parse(fs.readFileSync(getProfilesPath(), 'utf8'));
+        stored.profiles = { research: ['filesystem', 'webresearch'] };
+        fs.writeFileSync(getProfilesPath(), JSON.stringify(stored));
+        setActiveProfile(resolveProfile('mock'));
+        assert.strictEqual(getActiveProfile().mock, true);
+        assert.deepStrictEqual(resolveProfile('research').servers, ['filesystem', 'webresearch']);
+        assert.ok(formatProfileList().some(line => line.startsWith('* mock:')));
+        console.log('✅ The active profile, and whether it runs stand-ins, is remembered');
+
+        console.log('\n✅ All profile tests passed');
+    } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error('❌ Profile test failed:', error.message);
+    process.exit(1);
+}
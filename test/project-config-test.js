@@ -0,0 +1,84 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+
+// The global layer is ~/.cursor/mcp.json, so the test gets a home of its own
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-project-config-test-'));
+process.env.HOME = home;
+
+const { getGlobalConfigPath, writeConfig } = require('../scripts/lib/mcp-config');
+const {
+    getProjectConfigPath,
+    getDefaultProjectServers,
+    applyProjectConfig,
+    resolveEffectiveConfig
+} = require('../scripts/lib/project-config');
+
+const SHOW_SCRIPT = path.join(__dirname, '..', 'scripts', 'show-mcp-config.js');
+
+// Function to create a repository, optionally with a GitHub origin remote
+function createRepo(name, remote) {
+    const gitRoot = path.join(home, name);
+    execFileSync('git', ['init', '-q', gitRoot]);
+    if (remote) {
+        execFileSync('git', ['remote', 'add', 'origin', remote], { cwd: gitRoot });
+    }
+    return fs.realpathSync(gitRoot);
+}
+
+// Tests for the project layer and the effective, layered configuration
+function runTests() {
+    console.log('Testing project-scoped MCP config...\n');
+
+    try {
+        // The project layer scopes the filesystem server to the repository, plus github on GitHub
+        const gitRoot = createRepo('app', 'git@github.com:cursor-automation-demo/app.git');
+        assert.deepStrictEqual(getDefaultProjectServers(gitRoot), ['filesystem', 'github']);
+        assert.deepStrictEqual(getDefaultProjectServers(createRepo('local')), ['filesystem']);
+        const { configPath } = applyProjectConfig(gitRoot, { names: ['filesystem'] });
+        assert.strictEqual(configPath, getProjectConfigPath(gitRoot));
+        const project = JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers;
+        assert.deepStrictEqual(Object.keys(project), ['filesystem']);
+        assert.deepStrictEqual(project.filesystem.args.slice(-1), [gitRoot]);
+        console.log('✅ The project layer scopes the filesystem server to the repository');
+
+        // A project entry replaces the global one whole; global-only entries stay
+        writeConfig(getGlobalConfigPath(), {
+            mcpServers: {
+                filesystem: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-filesystem', home], env: { LOG_LEVEL: 'debug' } },
+                fetch: { command: 'npx', args: ['-y', 'mcprouter'] }
+            }
+        });
+        const effective = resolveEffectiveConfig(gitRoot);
+        assert.deepStrictEqual(effective.mcpServers.filesystem, project.filesystem);
+        assert.ok(!(effective.mcpServers.filesystem.env || {}).LOG_LEVEL);
+        assert.deepStrictEqual(effective.sources.filesystem, { layer: 'project', path: configPath, overrides: 'global' });
+        assert.deepStrictEqual(effective.sources.fetch, { layer: 'global', path: getGlobalConfigPath(), overrides: null });
+        assert.deepStrictEqual(effective.layers.map(layer => [layer.name, layer.exists]), [['global', true], ['project', true]]);
+        console.log('✅ Layers are merged per server, with the layer each entry came from');
+
+        // Outside a repository only the global layer counts
+        assert.deepStrictEqual(Object.keys(resolveEffectiveConfig(null).mcpServers), ['filesystem', 'fetch']);
+        console.log('✅ Without a repository the global config is the effective one');
+
+        // The command line says that entries are replaced, not merged
+        const result = spawnSync(process.execPath, [SHOW_SCRIPT], { cwd: gitRoot, env: process.env, encoding: 'utf8', timeout: 30000 });
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.ok(result.stdout.includes('[project, replaces global entry]'), result.stdout);
+        assert.ok(result.stdout.includes('their fields are not merged'), result.stdout);
+        console.log('✅ "npm run mcp-config" shows which entries replace global ones');
+
+        console.log('\n✅ All project config tests passed');
+    } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error('❌ Project config test failed:', error.message);
+    process.exit(1);
+}
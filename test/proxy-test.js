@@ -0,0 +1,144 @@
+const assert = require('assert');
+const { createGateway } = require('../scripts/lib/gateway');
+const { createProxy, assignNames, fromProxyUri } = require('../scripts/lib/proxy');
+
+// A stdio MCP server that answers with its own name, so the test can see
+// which backend handled a call; FAKE_TOOLS adds tools to the list
+const FAKE_SERVER = `
+    const readline = require('readline');
+    const name = process.env.FAKE_NAME;
+    const tools = ['echo', ...JSON.parse(process.env.FAKE_TOOLS || '[]')].map(tool => ({ name: tool, inputSchema: { type: 'object' } }));
+    const results = {
+        initialize: () => ({ protocolVersion: '2024-11-05', capabilities: { tools: {}, resources: {}, prompts: {} }, serverInfo: { name, version: '1.0.0' } }),
+        'tools/list': () => ({ tools }),
+        'tools/call': params => ({ content: [{ type: 'text', text: name + ':' + params.name + ':' + params.arguments.text }] }),
+        'resources/list': () => ({ resources: [{ uri: 'memo://shared', name: 'shared' }] }),
+        'resources/templates/list': () => ({ resourceTemplates: [] }),
+        'resources/read': params => ({ contents: [{ uri: params.uri, text: name }] }),
+        'prompts/list': () => ({ prompts: [{ name: 'greet' }] }),
+        'prompts/get': () => ({ messages: [{ role: 'user', content: { type: 'text', text: 'hello from ' + name } }] })
+    };
+    readline.createInterface({ input: process.stdin }).on('line', line => {
+        const message = JSON.parse(line);
+        if (message.id !== undefined && results[message.method]) {
+            process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: results[message.method](message.params) }) + '\\n');
+        }
+    });
+`;
+
+// Function to run a fake server behind a gateway; resolves with the gateway and its port
+async function startBackend(name, { tools = [], port = 0 } = {}) {
+    const gateway = createGateway({
+        name,
+        command: process.execPath,
+        args: ['-e', FAKE_SERVER],
+        env: { ...process.env, FAKE_NAME: name, FAKE_TOOLS: JSON.stringify(tools) },
+        port
+    });
+    return { gateway, port: await gateway.listen() };
+}
+
+function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (check()) return resolve();
+            if (Date.now() > deadline) return reject(new Error('Timed out waiting for the proxy'));
+            setTimeout(poll, 20);
+        };
+        poll();
+    });
+}
+
+// Tests for merging, routing, collisions, outages and restarts
+async function runTests() {
+    console.log('Testing the aggregating MCP proxy...\n');
+
+    assert.deepStrictEqual(
+        assignNames([{ server: 'a', name: 'b.c' }, { server: 'a.b', name: 'c' }, { server: 'a.b', name: 'c' }]),
+        ['a.b.c', 'a.b.c_2', 'a.b.c_3']
+    );
+    console.log('✅ Colliding names get numbered suffixes');
+
+    // "alpha" lists a tool called "x.echo" that collides with "alpha.x"'s "echo"
+    const alpha = await startBackend('alpha', { tools: ['x.echo'] });
+    let beta = await startBackend('alpha.x');
+    const sent = [];
+    let nextId = 1;
+    const pending = new Map();
+    const proxy = createProxy({
+        downstreams: [
+            { name: 'alpha', url: `http://127.0.0.1:${alpha.port}/mcp` },
+            { name: 'alpha.x', url: `http://127.0.0.1:${beta.port}/mcp` }
+        ],
+        send: message => {
+            sent.push(message);
+            if (pending.has(message.id)) pending.get(message.id)(message);
+        }
+    });
+    const request = (method, params = {}) => new Promise(resolve => {
+        const id = nextId++;
+        pending.set(id, resolve);
+        proxy.handleMessage({ jsonrpc: '2.0', id, method, params });
+    });
+    const callText = async (name, text) => (await request('tools/call', { name, arguments: { text } })).result.content[0].text;
+
+    try {
+        await proxy.start();
+        const init = await request('initialize', { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } });
+        assert.strictEqual(init.result.protocolVersion, '2024-11-05');
+        assert.ok(init.result.capabilities.tools.listChanged);
+        proxy.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+        // Every backend's tools are listed under its namespace, collisions numbered
+        const tools = (await request('tools/list')).result.tools.map(tool => tool.name);
+        assert.deepStrictEqual(tools, ['alpha.echo', 'alpha.x.echo', 'alpha.x.echo_2']);
+        assert.strictEqual(await callText('alpha.echo', 'hi'), 'alpha:echo:hi');
+        assert.strictEqual(await callText('alpha.x.echo', 'hi'), 'alpha:x.echo:hi');
+        assert.strictEqual(await callText('alpha.x.echo_2', 'hi'), 'alpha.x:echo:hi');
+        console.log('✅ Tools are merged under namespaces and routed to their server');
+
+        // The shared resource URI stays with the first server; the second gets a proxy URI
+        const resources = (await request('resources/list')).result.resources;
+        assert.deepStrictEqual(resources.map(resource => resource.name), ['alpha.shared', 'alpha.x.shared']);
+        assert.strictEqual(resources[0].uri, 'memo://shared');
+        assert.deepStrictEqual(fromProxyUri(resources[1].uri), { server: 'alpha.x', uri: 'memo://shared' });
+        const second = (await request('resources/read', { uri: resources[1].uri })).result.contents[0];
+        assert.deepStrictEqual(second, { uri: resources[1].uri, text: 'alpha.x' });
+        assert.strictEqual((await request('resources/read', { uri: 'memo://shared' })).result.contents[0].text, 'alpha');
+        const prompt = await request('prompts/get', { name: 'alpha.x.greet' });
+        assert.strictEqual(prompt.result.messages[0].content.text, 'hello from alpha.x');
+        console.log('✅ Resources and prompts are routed, shared URIs kept apart');
+
+        // When a backend goes down the client is told, and only its tools disappear
+        sent.length = 0;
+        beta.gateway.child.kill('SIGKILL');
+        await beta.gateway.exited;
+        await waitFor(() => sent.some(message => message.method === 'notifications/tools/list_changed'));
+        assert.deepStrictEqual((await request('tools/list')).result.tools.map(tool => tool.name), ['alpha.echo', 'alpha.x.echo']);
+        const failed = await request('tools/call', { name: 'alpha.x.echo_2', arguments: { text: 'hi' } });
+        assert.strictEqual(failed.result.isError, true);
+        assert.match(failed.result.content[0].text, /alpha\.x is unavailable/);
+        assert.strictEqual(await callText('alpha.echo', 'still here'), 'alpha:echo:still here');
+        console.log('✅ An outage removes only that server, and its calls fail clearly');
+
+        // Once the backend is back on its port, a call reconnects to it
+        beta = await startBackend('alpha.x', { port: beta.port });
+        assert.strictEqual(await callText('alpha.x.echo_2', 'back'), 'alpha.x:echo:back');
+        assert.deepStrictEqual(proxy.describe().map(backend => backend.available), [true, true]);
+        const unknown = await request('tools/call', { name: 'nope.echo', arguments: {} });
+        assert.strictEqual(unknown.error.code, -32602);
+        console.log('✅ Restarted servers are picked up again');
+
+        console.log('\n✅ All proxy tests passed');
+    } finally {
+        await proxy.close();
+        await alpha.gateway.close();
+        await beta.gateway.close();
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});
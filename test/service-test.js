@@ -0,0 +1,100 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The unit is written under $XDG_CONFIG_HOME and reads ~/.cursor/.env, so the test gets a home of its own
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-service-test-'));
+process.env.HOME = home;
+process.env.XDG_CONFIG_HOME = path.join(home, '.config');
+process.env.MCP_STATE_DIR = path.join(home, 'state');
+
+const {
+    SERVICE_NAME,
+    getUnitPath,
+    getEnableLinkPath,
+    buildUnit,
+    getEnableCommands,
+    getDisableCommands,
+    writeUnit,
+    removeUnit
+} = require('../scripts/lib/service');
+
+const REPO_DIR = path.resolve(__dirname, '..');
+const SUPERVISOR_SCRIPT = path.join(REPO_DIR, 'scripts', 'mcp-supervisor.js');
+
+// Function to get the values of one setting in a unit's text
+function getSetting(unit, key) {
+    return unit.split('\n').filter(line => line.startsWith(`${key}=`)).map(line => line.slice(key.length + 1));
+}
+
+// Tests for the systemd user unit that runs the supervisor
+function runTests() {
+    console.log('Testing the supervisor service unit...\n');
+
+    try {
+        const logFile = path.join(home, 'state', 'logs', 'supervisor.log');
+        const env = { PATH: '/usr/local/bin:/usr/bin', MCP_OFFLINE: '1', GITHUB_PERSONAL_ACCESS_TOKEN: 'ghp_secret' };
+        const unit = buildUnit({ nodePath: '/opt/node 20/bin/node', workspaceDir: '/work/100%', env, logFile });
+
+        // ExecStart runs the supervisor from this repository, with the node that installed it
+        assert.deepStrictEqual(getSetting(unit, 'ExecStart'), [`"/opt/node 20/bin/node" "${SUPERVISOR_SCRIPT}" "run"`]);
+        assert.deepStrictEqual(getSetting(unit, 'ExecStartPre'), [`"/opt/node 20/bin/node" "${SUPERVISOR_SCRIPT}" "rotate-log"`]);
+        assert.deepStrictEqual(getSetting(unit, 'WorkingDirectory'), [REPO_DIR]);
+        console.log('✅ ExecStart runs "mcp-supervisor.js run" from the repository, quoted');
+
+        // A crash restarts the supervisor, a clean stop does not, and crash loops give up
+        assert.deepStrictEqual(getSetting(unit, 'Restart'), ['on-failure']);
+        assert.deepStrictEqual(getSetting(unit, 'RestartSec'), ['5']);
+        assert.deepStrictEqual(getSetting(unit, 'StartLimitIntervalSec'), ['300']);
+        assert.deepStrictEqual(getSetting(unit, 'StartLimitBurst'), ['5']);
+        assert.deepStrictEqual(getSetting(unit, 'KillMode'), ['mixed']);
+        assert.deepStrictEqual(getSetting(unit, 'WantedBy'), ['default.target']);
+        console.log('✅ The restart policy restarts on failure only, with a start limit');
+
+        // Only the variables the supervisor needs are carried over, never tokens; "%" is escaped
+        assert.deepStrictEqual(getSetting(unit, 'Environment'), [
+            '"PATH=/usr/local/bin:/usr/bin"',
+            '"CURSOR_WORKSPACE_DIR=/work/100%%"',
+            '"MCP_OFFLINE=1"'
+        ]);
+        assert.ok(!unit.includes('ghp_secret'));
+        assert.deepStrictEqual(getSetting(unit, 'EnvironmentFile'), [
+            `-${path.join(REPO_DIR, '.env')}`,
+            `-${path.join(home, '.cursor', '.env')}`
+        ]);
+        console.log('✅ The environment comes from the .env files and a few passed variables');
+
+        // Output goes to supervisor.log, or to the journal without the log rotation
+        assert.deepStrictEqual(getSetting(unit, 'StandardOutput'), [`append:${logFile}`]);
+        const journal = buildUnit({ nodePath: '/usr/bin/node', env: {}, journal: true, logFile });
+        assert.deepStrictEqual(getSetting(journal, 'StandardOutput'), ['journal']);
+        assert.deepStrictEqual(getSetting(journal, 'ExecStartPre'), []);
+        assert.deepStrictEqual(getSetting(journal, 'Environment'), []);
+        console.log('✅ With --journal the output goes to the journal');
+
+        // Installing writes the unit; uninstalling removes it and its enable link
+        assert.strictEqual(getUnitPath(), path.join(home, '.config', 'systemd', 'user', SERVICE_NAME));
+        assert.strictEqual(writeUnit(unit), null);
+        assert.strictEqual(writeUnit(journal), unit);
+        assert.strictEqual(fs.readFileSync(getUnitPath(), 'utf8'), journal);
+        fs.mkdirSync(path.dirname(getEnableLinkPath()), { recursive: true });
+        fs.symlinkSync(getUnitPath(), getEnableLinkPath());
+        assert.deepStrictEqual(removeUnit(), [getEnableLinkPath(), getUnitPath()]);
+        assert.deepStrictEqual(removeUnit(), []);
+        assert.deepStrictEqual(getEnableCommands(), ['systemctl --user daemon-reload', `systemctl --user enable --now ${SERVICE_NAME}`]);
+        assert.strictEqual(getDisableCommands()[0], `systemctl --user stop ${SERVICE_NAME}`);
+        console.log('✅ The unit file is written, replaced and removed with its enable link');
+
+        console.log('\n✅ All service tests passed');
+    } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error('❌ Service test failed:', error.message);
+    process.exit(1);
+}
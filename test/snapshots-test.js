@@ -0,0 +1,92 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    buildSnapshot,
+    readSnapshot,
+    writeSnapshot,
+    listSnapshots,
+    compareSnapshots,
+    hasBreakingChanges
+} = require('../scripts/lib/snapshots');
+
+const SERVER = { name: 'fake', package: 'fake-mcp-server' };
+
+// Function to build a snapshot from a list of tools
+function snapshotOf(tools) {
+    return buildSnapshot(SERVER, { serverInfo: { name: 'fake', version: '1.0.0' }, tools }, '1.0.0');
+}
+
+// Function to describe a tool with an object schema
+function tool(name, properties, required = [], description = '') {
+    return { name, description, inputSchema: { type: 'object', properties, required } };
+}
+
+// Tests for recording snapshots and classifying tool changes
+async function runTests() {
+    console.log('Testing tool snapshots...\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-snapshots-'));
+    try {
+        const recorded = snapshotOf([
+            tool('search', { query: { type: 'string' }, limit: { type: 'integer' } }, ['query']),
+            tool('echo', { text: { type: 'string' } }, ['text'])
+        ]);
+        assert.deepStrictEqual(recorded.tools.map(item => item.name), ['echo', 'search']);
+        assert.deepStrictEqual(Object.keys(recorded.tools[1].inputSchema), ['properties', 'required', 'type']);
+        writeSnapshot(recorded, dir);
+        assert.deepStrictEqual(readSnapshot('fake', dir), recorded);
+        assert.deepStrictEqual(listSnapshots(dir), ['fake']);
+        assert.strictEqual(readSnapshot('other', dir), null);
+        assert.deepStrictEqual(compareSnapshots(recorded, recorded), []);
+        console.log('✅ Snapshots are sorted and read back unchanged');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const before = snapshotOf([
+        tool('search', { query: { type: 'string' }, limit: { type: 'integer' } }, ['query']),
+        tool('echo', { text: { type: 'string' } }, ['text']),
+        tool('mode', { level: { type: 'string', enum: ['low', 'high'] } })
+    ]);
+    const compatible = snapshotOf([
+        tool('search', { query: { type: 'string' }, limit: { type: 'number' }, page: { type: 'integer' } }, [], 'Search things'),
+        tool('echo', { text: { type: 'string' } }, ['text']),
+        tool('mode', { level: { type: 'string', enum: ['low', 'high', 'max'] } }),
+        tool('ping', {})
+    ]);
+    const changes = compareSnapshots(before, compatible);
+    assert.deepStrictEqual(changes.map(change => `${change.kind} ${change.tool} ${change.path}`), [
+        'added ping null',
+        'compatible mode level',
+        'compatible search limit',
+        'compatible search page',
+        'compatible search query',
+        'compatible search null'
+    ]);
+    assert.strictEqual(hasBreakingChanges(changes), false);
+    console.log('✅ New tools, optional properties and wider types are not breaking');
+
+    const breaking = snapshotOf([
+        tool('search', { query: { type: 'array', items: { type: 'string' } }, limit: { type: 'integer' }, sort: { type: 'string' } }, ['query', 'limit', 'sort']),
+        tool('mode', { level: { type: 'string', enum: ['high'] } })
+    ]);
+    const found = compareSnapshots(before, breaking);
+    assert.deepStrictEqual(found.map(change => `${change.kind} ${change.tool} ${change.path}: ${change.message}`), [
+        'removed echo null: tool removed',
+        'breaking mode level: no longer accepts "low"',
+        'breaking search query: type changed from string to array',
+        'breaking search sort: new required property',
+        'breaking search limit: now required'
+    ]);
+    assert.strictEqual(hasBreakingChanges(found), true);
+    console.log('✅ Removed tools, narrowed types and new requirements are breaking');
+
+    console.log('\n✅ All tool snapshot tests passed');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+// Keep the supervisor state and logs of the test away from the real ones
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-status-test-'));
+process.env.HOME = home;
+process.env.MCP_STATE_DIR = path.join(home, 'state');
+
+const { MOCK_SCRIPT } = require('../scripts/lib/mocks');
+const { MANAGED_ENV, listProcesses } = require('../scripts/lib/process-tree');
+const { getStateDir, getLogDir, writeState } = require('../scripts/lib/state');
+const { getLogPath } = require('../scripts/lib/logs');
+
+const STATUS_SCRIPT = path.join(__dirname, '..', 'scripts', 'mcp-status.js');
+const SERVER_KEYS = [
+    'name', 'state', 'pid', 'managedBy', 'processes', 'uptimeSeconds', 'cpuSeconds', 'cpuPercent',
+    'rssBytes', 'restarts', 'error', 'lastExit', 'lastErrorLine', 'logFile', 'configSource', 'limits', 'activity'
+];
+
+// Function to start an offline stand-in server that runs until it is killed
+function startMock(name) {
+    const env = { ...process.env };
+    delete env[MANAGED_ENV];
+    return spawn(process.execPath, [MOCK_SCRIPT, name], { stdio: ['pipe', 'ignore', 'ignore'], env });
+}
+
+// Function to wait until a process shows up in the process table
+async function waitForProcess(pid) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (listProcesses().some(proc => proc.pid === pid && proc.command.includes(MOCK_SCRIPT))) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Process ${pid} did not start`);
+}
+
+// Tests for the shape of "npm run status -- --json"
+async function runTests() {
+    console.log('Testing the status report...\n');
+    const external = startMock('github');
+    const supervised = startMock('fetch');
+
+    try {
+        await waitForProcess(external.pid);
+        await waitForProcess(supervised.pid);
+
+        // fetch is run by a supervisor (this test stands in for it), github by someone else
+        const lastExit = { code: 1, signal: null, error: null, limit: null, at: new Date().toISOString() };
+        writeState('supervisor.json', {
+            pid: process.pid,
+            servers: { fetch: { status: 'running', pid: supervised.pid, restarts: 2, lastExit, error: null } }
+        });
+        fs.writeFileSync(getLogPath(getLogDir(), 'github'), [
+            { stream: 'stderr', message: 'Error: connect ECONNREFUSED 127.0.0.1:443' },
+            { stream: 'stdout', message: '{"error":{"code":-32601}}' },
+            { stream: 'stderr', message: 'GitHub MCP Server running on stdio' }
+        ].map(entry => JSON.stringify({ timestamp: new Date().toISOString(), server: 'github', pid: external.pid, ...entry })).join('\n') + '\n');
+
+        const result = spawnSync(process.execPath, [STATUS_SCRIPT, '--json', 'github', 'fetch', 'puppeteer'], {
+            cwd: home,
+            env: process.env,
+            encoding: 'utf8',
+            timeout: 30000
+        });
+        assert.strictEqual(result.status, 0, result.stderr);
+        const report = JSON.parse(result.stdout);
+
+        assert.deepStrictEqual(Object.keys(report), ['supervisor', 'servers']);
+        assert.deepStrictEqual(report.supervisor, { pid: process.pid, stateDir: getStateDir() });
+        assert.deepStrictEqual(report.servers.map(server => server.name), ['github', 'fetch', 'puppeteer']);
+        report.servers.forEach(server => assert.deepStrictEqual(Object.keys(server).sort(), SERVER_KEYS.slice().sort(), server.name));
+        console.log('✅ --json reports the supervisor and one entry per requested server, with every field');
+
+        const [github, fetch, puppeteer] = report.servers;
+        assert.strictEqual(github.state, 'running');
+        assert.strictEqual(github.pid, external.pid);
+        assert.strictEqual(github.managedBy, 'external');
+        assert.ok(github.processes >= 1 && github.rssBytes > 0);
+        assert.ok(github.uptimeSeconds >= 0 && github.cpuSeconds >= 0 && github.cpuPercent >= 0);
+        assert.strictEqual(github.restarts, 0);
+        assert.strictEqual(github.lastErrorLine, 'Error: connect ECONNREFUSED 127.0.0.1:443');
+        assert.strictEqual(github.logFile, getLogPath(getLogDir(), 'github'));
+        assert.strictEqual(github.activity, null);
+        console.log('✅ A server started outside the supervisor is found with its usage and last logged error');
+
+        assert.strictEqual(fetch.managedBy, 'supervisor');
+        assert.strictEqual(fetch.pid, supervised.pid);
+        assert.strictEqual(fetch.restarts, 2);
+        assert.deepStrictEqual(fetch.lastExit, lastExit);
+        assert.deepStrictEqual(fetch.limits, { maxConcurrentCalls: 4, callTimeoutSeconds: 60 });
+        console.log('✅ A supervised server reports its restarts and last exit');
+
+        assert.strictEqual(puppeteer.state, 'stopped');
+        for (const key of ['pid', 'managedBy', 'processes', 'uptimeSeconds', 'cpuSeconds', 'cpuPercent', 'rssBytes', 'lastExit', 'lastErrorLine', 'configSource']) {
+            assert.strictEqual(puppeteer[key], null, key);
+        }
+        console.log('✅ A stopped server has null usage');
+
+        console.log('\n✅ All status tests passed');
+    } finally {
+        external.kill();
+        supervised.kill();
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Status test failed:', error.message);
+    process.exit(1);
+});
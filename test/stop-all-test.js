@@ -0,0 +1,80 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+
+// stop-all reads mcp-pids.json from its working directory and the supervisor
+// state from MCP_STATE_DIR, so the test gets a home of its own
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-stop-all-test-'));
+process.env.HOME = home;
+process.env.MCP_STATE_DIR = path.join(home, 'state');
+
+const STOP_SCRIPT = path.join(__dirname, '..', 'scripts', 'stop-all-mcp.js');
+
+// Function to start a process whose command line carries a server's signature,
+// the way the old start-all-mcp.js left them running
+function startLegacyServer(signature) {
+    const child = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)', signature], {
+        detached: true,
+        stdio: 'ignore'
+    });
+    child.exited = new Promise(resolve => child.once('exit', () => resolve(true)));
+    return child;
+}
+
+// Function to check whether a process has exited, giving it a moment to be reaped
+function hasExited(child) {
+    return Promise.race([child.exited, new Promise(resolve => setTimeout(() => resolve(false), 2000))]);
+}
+
+// Function to run stop-all in the test's home
+function runStopAll() {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [STOP_SCRIPT, '--grace=1'], { cwd: home, env: process.env, timeout: 60000 },
+            (error, stdout, stderr) => (error ? reject(new Error(stdout + stderr)) : resolve(stdout)));
+    });
+}
+
+// Tests for stopping the servers listed in the PID file of older versions
+async function runTests() {
+    console.log('Testing stop-all with a legacy PID file...\n');
+    const children = [];
+
+    try {
+        // The old start-all wrote display names, not registry names
+        const filesystem = startLegacyServer('@modelcontextprotocol/server-filesystem');
+        const sequential = startLegacyServer('mcprouter');
+        children.push(filesystem, sequential);
+        const pidFile = path.join(home, 'mcp-pids.json');
+        fs.writeFileSync(pidFile, JSON.stringify([
+            { name: 'Filesystem', pid: filesystem.pid },
+            { name: 'Sequential', pid: sequential.pid }
+        ]));
+
+        const output = await runStopAll();
+        assert.ok(output.includes(`Stopping Filesystem MCP server (PID: ${filesystem.pid})`), output);
+        assert.ok(output.includes(`Stopping Sequential MCP server (PID: ${sequential.pid})`), output);
+        assert.ok(await hasExited(filesystem) && await hasExited(sequential));
+        assert.ok(!fs.existsSync(pidFile));
+        console.log('✅ Servers listed under their old display names are stopped, then the PID file is removed');
+
+        // A PID now used by something that is not an MCP server is left alone
+        const unrelated = startLegacyServer('unrelated');
+        children.push(unrelated);
+        fs.writeFileSync(pidFile, JSON.stringify([{ name: 'GitHub', pid: unrelated.pid }]));
+        await runStopAll();
+        assert.strictEqual(await hasExited(unrelated), false);
+        console.log('✅ A reused PID is not stopped');
+
+        console.log('\n✅ All stop-all tests passed');
+    } finally {
+        children.filter(child => child.exitCode === null && child.signalCode === null).forEach(child => child.kill('SIGKILL'));
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Stop-all test failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,166 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createSupervisor, mergeRequestContext } = require('../scripts/lib/supervisor');
+const { listProcesses, terminateTree, collectTree, formatShutdownReport } = require('../scripts/lib/process-tree');
+
+// Short timings so the restart policy can be exercised in a few seconds
+const POLICY = {
+    initialDelayMs: 50,
+    maxDelayMs: 200,
+    factor: 2,
+    stableAfterMs: 10000,
+    flapWindowMs: 10000,
+    maxCrashes: 3,
+    graceMs: 1000
+};
+
+function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (check()) return resolve();
+            if (Date.now() > deadline) return reject(new Error('Timed out waiting for supervisor'));
+            setTimeout(poll, 20);
+        };
+        poll();
+    });
+}
+
+// Tests for crash restarts, backoff, flapping and stopping
+async function runTests() {
+    console.log('Testing the MCP server supervisor...\n');
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'supervisor-test-'));
+    const specs = {
+        crashing: { command: process.execPath, args: ['-e', 'process.exit(3)'], env: process.env },
+        steady: { command: process.execPath, args: ['-e', "console.error('ready'); setInterval(() => {}, 1000)"], env: process.env },
+        missing: { command: path.join(logDir, 'no-such-binary'), args: [], env: process.env },
+        hungry: { command: process.execPath, args: ['-e', 'setInterval(() => {}, 1000)'], env: process.env, limits: { maxMemoryMB: 1, nice: 5 } }
+    };
+    const history = [];
+    const supervisor = createSupervisor({
+        logDir,
+        policy: POLICY,
+        resolveSpec: name => {
+            if (name === 'unconfigured') throw new Error('requires TOKEN');
+            return specs[name];
+        },
+        onChange: state => history.push(state)
+    });
+    const current = name => supervisor.snapshot()[name];
+
+    try {
+        // A server that keeps crashing is restarted with growing delays, then marked failed
+        await supervisor.setDesired(['crashing', 'steady']);
+        await waitFor(() => current('crashing') && current('crashing').status === 'failed');
+        const delays = history
+            .map(state => state.crashing)
+            .filter(entry => entry && entry.status === 'backoff')
+            .map(entry => Date.parse(entry.nextRestartAt) - Date.parse(entry.lastExit.at));
+        assert.deepStrictEqual(delays, [50, 100, 200]);
+        assert.strictEqual(current('crashing').restarts, 3);
+        assert.match(current('crashing').error, /crashed 4 times/);
+        assert.strictEqual(current('crashing').lastExit.code, 3);
+        console.log('✅ Crashing servers back off exponentially and are marked failed');
+
+        // The healthy server is untouched, and killing it from outside triggers a restart
+        assert.strictEqual(current('steady').status, 'running');
+        const firstPid = current('steady').pid;
+        process.kill(firstPid, 'SIGKILL');
+        await waitFor(() => current('steady').status === 'running' && current('steady').pid !== firstPid);
+        assert.strictEqual(current('steady').restarts, 1);
+        assert.strictEqual(current('steady').lastExit.signal, 'SIGKILL');
+        console.log('✅ Servers that die are restarted');
+
+        // Asking again revives a failed server
+        await supervisor.setDesired(['crashing', 'steady']);
+        assert.strictEqual(current('crashing').status, 'running');
+        assert.strictEqual(current('crashing').restarts, 3);
+        console.log('✅ Failed servers are revived by the next request');
+
+        // Servers that cannot start at all fail straight away
+        await supervisor.setDesired(['steady', 'missing', 'unconfigured']);
+        assert.strictEqual(current('crashing'), undefined, 'servers no longer wanted are dropped');
+        assert.strictEqual(current('unconfigured').status, 'failed');
+        assert.strictEqual(current('unconfigured').error, 'requires TOKEN');
+        await waitFor(() => current('missing').status !== 'running');
+        assert.strictEqual(current('missing').lastExit.code, null);
+        assert.match(current('missing').lastExit.error, /ENOENT/);
+        console.log('✅ Servers that cannot be launched are reported, not hidden');
+
+        // A server over its memory limit is restarted, and the event is logged
+        await supervisor.setDesired(['steady', 'hungry']);
+        await waitFor(() => current('hungry').status === 'running');
+        const hungryPid = current('hungry').pid;
+        // The server runs at its nice level
+        await waitFor(() => os.getPriority(hungryPid) === 5);
+        supervisor.checkLimits();
+        await waitFor(() => current('hungry').restarts === 1 && current('hungry').status === 'running');
+        assert.match(current('hungry').lastExit.limit, /memory limit of 1 MB exceeded/);
+        const [limitEvent] = fs.readFileSync(path.join(logDir, 'hungry.jsonl'), 'utf8').trim().split('\n')
+            .map(line => JSON.parse(line)).filter(entry => entry.stream === 'event');
+        assert.strictEqual(limitEvent.pid, hungryPid);
+        assert.deepStrictEqual([limitEvent.event.limit, limitEvent.event.max, limitEvent.event.action], ['memory', 1, 'restart']);
+        await supervisor.setDesired(['steady']);
+        console.log('✅ Servers are restarted when they go over their memory limit');
+
+        // Stopping waits for every process to exit
+        const steadyPid = current('steady').pid;
+        const steadyLog = path.join(logDir, 'steady.jsonl');
+        await waitFor(() => fs.readFileSync(steadyLog, 'utf8').includes(`"pid":${steadyPid},"stream":"stderr"`));
+        await supervisor.stopAll();
+        assert.strictEqual(current('steady').status, 'stopped');
+        assert.throws(() => process.kill(steadyPid, 0), /ESRCH/);
+        console.log('✅ stopAll waits for every process to exit');
+
+        // Output is recorded as JSON lines next to the supervisor's own notes
+        const entries = fs.readFileSync(steadyLog, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.ok(entries.some(entry => entry.stream === 'stderr' && entry.message === 'ready' && entry.pid === steadyPid));
+        assert.ok(entries.some(entry => entry.stream === 'supervisor' && /^exited: /.test(entry.message)));
+        assert.ok(entries.every(entry => entry.server === 'steady' && !Number.isNaN(Date.parse(entry.timestamp))));
+        console.log('✅ Server output is logged with its server, PID and stream');
+
+        // A child that started its own group and ignores SIGTERM (as Chrome can) is
+        // found through the tree, and reaped with SIGKILL after the grace period
+        const stubborn = "process.on('SIGTERM', () => {}); setInterval(() => {}, 1000)";
+        const parent = spawn(process.execPath, ['-e', `
+            const { spawn } = require('child_process');
+            const child = spawn(process.execPath, ['-e', ${JSON.stringify(stubborn)}], { detached: true, stdio: 'ignore' });
+            console.log(child.pid);
+            setInterval(() => {}, 1000);
+        `], { detached: true, stdio: ['ignore', 'pipe', 'ignore'] });
+        const childPid = await new Promise(resolve => parent.stdout.once('data', data => resolve(Number(data))));
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.deepStrictEqual(collectTree(parent.pid).members.map(proc => proc.pid).sort(), [parent.pid, childPid].sort());
+
+        const report = await terminateTree(parent.pid, { name: 'stubborn', graceMs: 300 });
+        assert.deepStrictEqual(report.terminated.map(proc => proc.pid), [parent.pid]);
+        assert.deepStrictEqual(report.killed.map(proc => proc.pid), [childPid]);
+        assert.deepStrictEqual(report.survivors, []);
+        // The orphaned child may linger as a zombie until init collects it
+        assert.ok(!listProcesses().some(proc => proc.pid === childPid && !proc.zombie));
+        assert.match(formatShutdownReport(report).join('\n'), new RegExp(`reaped child ${childPid} \\(SIGKILL\\)`));
+        console.log('✅ Shutdown escalates to SIGKILL only for processes that outlive the grace period');
+
+        // A request that leaves mock or offline out keeps the running supervisor's setting
+        const previous = { workspaceDir: '/work', roots: ['/work'], offline: true, mock: true };
+        assert.deepStrictEqual(mergeRequestContext({ workspaceDir: '/other', roots: ['/other'] }, previous),
+            { workspaceDir: '/other', roots: ['/other'], offline: true, mock: true });
+        assert.deepStrictEqual(mergeRequestContext({ mock: false, offline: undefined }, previous),
+            { workspaceDir: '/work', roots: ['/work'], offline: true, mock: false });
+        assert.deepStrictEqual(mergeRequestContext({}), { workspaceDir: undefined, roots: undefined, offline: false, mock: false });
+        console.log('✅ Requests keep the launch settings they do not mention');
+
+        console.log('\n✅ All supervisor tests passed');
+    } finally {
+        await supervisor.stopAll();
+        fs.rmSync(logDir, { recursive: true, force: true });
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});